@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+
+/**
+ * Transformer Check Script
+ * Runs every upstream payload transformer's fixture through format detection
+ * and the transformer, and reports what came out. Fails if a fixture is
+ * detected as another format or does not produce a valid sports object.
+ *
+ * Usage:
+ *   node scripts/check-transformers.js
+ *   UPSTREAM_TRANSFORMERS=./transformers/myFeed.js node scripts/check-transformers.js
+ */
+
+const fs = require('fs');
+const TransformerRegistry = require('../src/transformers');
+const { transformUpstreamData, validateOwlsInsightFormat } = require('../src/services/dataTransformer');
+const FeedConfig = require('../src/services/feedConfig');
+
+function main() {
+  const transformers = TransformerRegistry.fromEnv();
+  const feedConfig = new FeedConfig();
+  const sportKeyMap = feedConfig.sportKeyMap();
+  let failures = 0;
+
+  transformers.all().forEach((transformer) => {
+    const label = transformer.name.padEnd(14);
+    if (!transformer.fixture) {
+      console.log(`${label} | no fixture`);
+      return;
+    }
+
+    try {
+      const fixture = JSON.parse(fs.readFileSync(transformer.fixture, 'utf8'));
+      const detected = transformers.detect(fixture)?.name || 'none';
+      const result = transformUpstreamData(fixture, { sportKeyMap, format: transformer.name, transformers });
+      const valid = validateOwlsInsightFormat(result, feedConfig.sportKeys());
+
+      const counts = Object.entries(result.sports)
+        .filter(([, events]) => Array.isArray(events) && events.length > 0)
+        .map(([sport, events]) => `${sport}:${events.length}`);
+      const ok = detected === transformer.name && valid && counts.length > 0;
+      if (!ok) failures++;
+
+      console.log(
+        `${label} | ${ok ? 'ok  ' : 'FAIL'} | detected ${detected.padEnd(14)} | ` +
+        `${counts.join(' ') || 'no events'}${result.partial ? ' (partial)' : ''}${valid ? '' : ' | invalid sports object'}`
+      );
+    } catch (err) {
+      failures++;
+      console.log(`${label} | FAIL | ${err.message}`);
+    }
+  });
+
+  if (failures > 0) {
+    console.error(`\n${failures} transformer fixture(s) failed`);
+    process.exit(1);
+  }
+}
+
+main();
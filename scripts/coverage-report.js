@@ -12,9 +12,11 @@
 
 const SERVER_URL = process.env.SERVER_URL || 'http://localhost:3002';
 
-const ALL_ODDS_BOOKS = ['pinnacle', 'fanduel', 'draftkings', 'betmgm', 'bet365', 'caesars'];
+const ALL_ODDS_BOOKS = ['pinnacle', 'fanduel', 'draftkings', 'betmgm', 'bet365', 'caesars', 'kalshi'];
+// Prediction markets quote contract prices, shown as American odds + implied probability
+const PREDICTION_MARKET_BOOKS = ['kalshi'];
 const ALL_PROPS_BOOKS = ['pinnacle', 'bet365', 'fanduel', 'draftkings'];
-const SPORTS = ['nba', 'ncaab', 'nfl', 'nhl', 'ncaaf'];
+const SPORTS = ['nba', 'ncaab', 'nfl', 'nhl', 'ncaaf', 'mlb'];
 
 async function main() {
   console.log(`Fetching coverage data from ${SERVER_URL}...`);
@@ -49,7 +51,7 @@ function printReport(data) {
   console.log('-'.repeat(7));
   console.log(`Total Games: ${data.summary.totalGames}`);
   console.log(`Total Props: ${data.summary.totalProps}`);
-  console.log(`Odds Books:  ${data.summary.oddsBooks}/${ALL_ODDS_BOOKS.length}`);
+  console.log(`Odds Books:  ${data.summary.oddsBooks}/${ALL_ODDS_BOOKS.length} (${data.summary.predictionMarketBooks || 0} prediction market)`);
   console.log(`Props Books: ${data.summary.propsBooks}/${ALL_PROPS_BOOKS.length}`);
 
   // Odds coverage
@@ -66,13 +68,16 @@ function printReport(data) {
 
     ALL_ODDS_BOOKS.forEach(book => {
       const bookData = sportData.books[book] || { games: 0, markets: [] };
+      const label = PREDICTION_MARKET_BOOKS.includes(book) ? `${book}*` : book;
       const hasH2h = bookData.markets.includes('h2h') ? '✓' : '-';
       const hasSpreads = bookData.markets.includes('spreads') ? '✓' : '-';
       const hasTotals = bookData.markets.includes('totals') ? '✓' : '-';
-      console.log(`${book.padEnd(12)} | ${String(bookData.games).padStart(5)} |  ${hasH2h}  |    ${hasSpreads}    |   ${hasTotals}`);
+      console.log(`${label.padEnd(12)} | ${String(bookData.games).padStart(5)} |  ${hasH2h}  |    ${hasSpreads}    |   ${hasTotals}`);
     });
   });
 
+  console.log('\n* prediction market (excluded from averages)');
+
   // Props coverage
   console.log('\n' + LINE);
   console.log('                              PROPS COVERAGE');
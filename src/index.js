@@ -3,18 +3,95 @@ const express = require('express');
 const http = require('http');
 const cors = require('cors');
 const { Server } = require('socket.io');
+const msgpackParser = require('socket.io-msgpack-parser');
 const logger = require('./utils/logger');
 const UpstreamConnector = require('./services/upstreamConnector');
+const ApiKeyStore = require('./services/apiKeyStore');
+const Entitlements = require('./services/entitlements');
+const FeedConfig = require('./services/feedConfig');
+const RateLimiter = require('./services/rateLimiter');
+const UsageMeter = require('./services/usageMeter');
+const { maskApiKey } = require('./services/usageMeter');
+const FeedLog = require('./services/feedLog');
+const BroadcastThrottle = require('./services/broadcastThrottle');
+const SlowConsumerMonitor = require('./services/slowConsumers');
+const FeedFreshness = require('./services/feedFreshness');
+const FeedRegistry = require('./services/feedRegistry');
+const PayloadValidator = require('./services/payloadValidator');
+const { countProps } = require('./services/feedRegistry');
+const { BOOK_TYPES, bookType: bookTypeOf } = require('./services/predictionMarkets');
+const { DEFAULT_FAIR_METHOD, parseFairMethod, addFairOdds, sharpFairLines } = require('./services/fairOdds');
+const { calculateEventAverages } = require('./services/dataTransformer');
+const MockUpstream = require('./mock/upstreamServer');
+const {
+  normalizeSubscription,
+  subscriptionRooms,
+  socketSubscription,
+  subscriptionKey,
+  filterSportsForSubscription,
+  subscribedToBook,
+} = require('./services/subscriptions');
+const { diffSports, diffObject } = require('./services/oddsDelta');
+const { createAuthMiddleware, createSocketAuthMiddleware, requireScope } = require('./middleware/auth');
+const { requireEntitlement } = require('./middleware/entitlements');
+const { createRateLimitMiddleware } = require('./middleware/rateLimit');
+const { createUsageMiddleware } = require('./middleware/usage');
+const { createFreshnessMiddleware } = require('./middleware/freshness');
+const { createOddsFormatMiddleware } = require('./middleware/oddsFormat');
+const { parseOddsFormat, convertOdds } = require('./services/oddsFormat');
 
 // Configuration
 const PORT = process.env.PORT || 3002;
 const CORS_ORIGIN = process.env.CORS_ORIGIN || '*';
+const MSGPACK_SOCKET_PATH = process.env.MSGPACK_SOCKET_PATH || '/socket.io-msgpack';
 
 // Initialize Express
 const app = express();
 app.use(cors({ origin: CORS_ORIGIN }));
 app.use(express.json());
 
+// Downstream API key authentication (/health and /internal/* are exempt)
+const apiKeyStore = new ApiKeyStore();
+app.use(createAuthMiddleware({ keyStore: apiKeyStore }));
+
+// Per-key token bucket rate limiting and daily quotas for REST routes
+const rateLimiter = new RateLimiter();
+app.use('/api', createRateLimitMiddleware({ rateLimiter }));
+
+// Meter REST calls, socket connection time and broadcast bytes per key.
+// Mounted after the rate limiter, so rejected (429) calls are not billed
+const usageMeter = new UsageMeter();
+app.use('/api', createUsageMiddleware({ usageMeter }));
+
+// Tier entitlements (sports, books, feeds) enforced on routes and socket broadcasts
+const entitlements = new Entitlements();
+
+// Sports and books subscribed upstream and accepted on routes and socket subscriptions
+const feedConfig = new FeedConfig();
+
+// Per-book player props feeds and their latest payloads
+const propsFeeds = new FeedRegistry();
+
+// Schema checks on upstream payloads; invalid games and outcomes are quarantined
+const payloadValidator = new PayloadValidator();
+
+// Last-received time and message rate per upstream feed; cached REST responses
+// carry the freshness of the feeds behind them
+const feedFreshness = new FeedFreshness();
+app.use('/api', createFreshnessMiddleware({ freshnessFor: restFeedFreshness }));
+
+// ?oddsFormat=decimal|fractional|hongkong|implied converts the prices of odds,
+// props and history responses (American by default)
+app.use([
+  '/api/v1/:sport/odds',
+  '/api/v1/:sport/moneyline',
+  '/api/v1/:sport/spreads',
+  '/api/v1/:sport/totals',
+  '/api/v1/:sport/props',
+  '/api/history',
+  '/api/odds/history',
+], createOddsFormatMiddleware());
+
 // -----------------------------------------------------------------------------
 // History proxy endpoint
 // -----------------------------------------------------------------------------
@@ -27,10 +104,12 @@ const historyWatchers = new Map();
 const HISTORY_POLL_MS = 60 * 1000;
 
 const getApiBaseUrl = () => {
-  const explicit = process.env.OWLS_INSIGHT_API_BASE_URL;
+  // Follow the active upstream when failover endpoints set their own REST base
+  const active = upstreamConnector?.activeEndpoint();
+  const explicit = active?.apiBaseUrl || process.env.OWLS_INSIGHT_API_BASE_URL;
   if (explicit) return explicit.replace(/\/$/, '');
 
-  const upstream = process.env.UPSTREAM_WS_URL;
+  const upstream = active?.url || process.env.UPSTREAM_WS_URL;
   if (!upstream) return null;
 
   try {
@@ -185,7 +264,7 @@ function clearSocketWatchers(socketId) {
   historyWatchers.delete(socketId);
 }
 
-app.get('/api/history', async (req, res) => {
+app.get('/api/history', requireEntitlement(entitlements, req => ({ feed: 'history', book: req.query.book })), async (req, res) => {
   const { eventId, book, market, hours } = req.query;
   if (!eventId || !book || !market) {
     return res.status(400).json({ success: false, error: 'eventId, book, market are required' });
@@ -202,7 +281,7 @@ app.get('/api/history', async (req, res) => {
 
 // Single-side history endpoint - proxies to upstream API server
 // This matches the nba-odds-app /api/odds/history endpoint format
-app.get('/api/odds/history', async (req, res) => {
+app.get('/api/odds/history', requireEntitlement(entitlements, req => ({ feed: 'history', book: req.query.book })), async (req, res) => {
   const { eventId, book, market, side, hours } = req.query;
   if (!eventId || !book || !market || !side) {
     return res.status(400).json({ success: false, error: 'eventId, book, market, side are required' });
@@ -248,9 +327,9 @@ app.get('/api/odds/history', async (req, res) => {
 const SCORES_CACHE_TTL_MS = 15 * 1000; // 15 seconds
 let scoresCache = { data: null, timestamp: 0 };
 
-async function fetchLiveScoresFromUpstream(sport = null) {
+async function fetchLiveScoresFromUpstream(sport = null, clientApiKey = null) {
   const apiBase = getApiBaseUrl();
-  const apiKey = req.apiKeyInfo?.apiKey || process.env.OWLS_INSIGHT_SERVER_API_KEY;
+  const apiKey = clientApiKey || process.env.OWLS_INSIGHT_SERVER_API_KEY;
   if (!apiBase || !apiKey) throw new Error('scores proxy not configured');
 
   // Check cache first
@@ -297,21 +376,30 @@ async function fetchLiveScoresFromUpstream(sport = null) {
   return { ...json, cached: false };
 }
 
+// Scores sports object restricted to the sports the caller's tier may see
+function entitledScoresSports(req, sports) {
+  return entitlements.filterScoresSports(req.apiKeyInfo?.tier, sports || {});
+}
+
 // All sports live scores
-app.get('/api/v1/scores/live', async (req, res) => {
+app.get('/api/v1/scores/live', requireEntitlement(entitlements, () => ({ feed: 'scores' })), async (req, res) => {
   try {
     // First try to return cached data from WebSocket
     if (latestScoresData) {
       return res.json({
         success: true,
-        data: latestScoresData,
+        data: {
+          ...latestScoresData,
+          sports: entitledScoresSports(req, latestScoresData.sports),
+        },
         cached: true,
       });
     }
 
     // Fall back to upstream API
-    const data = await fetchLiveScoresFromUpstream();
-    return res.json(data);
+    const data = await fetchLiveScoresFromUpstream(null, req.apiKeyInfo?.apiKey);
+    if (!data?.data?.sports) return res.json(data);
+    return res.json({ ...data, data: { ...data.data, sports: entitledScoresSports(req, data.data.sports) } });
   } catch (err) {
     logger.error(`Scores proxy error: ${err.message}`);
     return res.status(502).json({ success: false, error: 'failed to fetch scores' });
@@ -319,18 +407,17 @@ app.get('/api/v1/scores/live', async (req, res) => {
 });
 
 // Sport-specific live scores
-const VALID_SPORTS = ['nba', 'ncaab', 'nfl', 'nhl', 'ncaaf'];
-app.get('/api/v1/:sport/scores/live', async (req, res) => {
+app.get('/api/v1/:sport/scores/live', requireEntitlement(entitlements, req => ({ feed: 'scores', sport: req.params.sport })), async (req, res) => {
   const { sport } = req.params;
 
-  if (!VALID_SPORTS.includes(sport)) {
+  if (!feedConfig.hasSport(sport)) {
     return res.status(400).json({ success: false, error: `Invalid sport: ${sport}` });
   }
 
   try {
     // First try to return cached data from WebSocket
     if (latestScoresData) {
-      const sportData = latestScoresData.sports?.[sport] || [];
+      const sportData = entitledScoresSports(req, { [sport]: latestScoresData.sports?.[sport] || [] })[sport] || [];
       return res.json({
         success: true,
         sport,
@@ -342,8 +429,9 @@ app.get('/api/v1/:sport/scores/live', async (req, res) => {
     }
 
     // Fall back to upstream API
-    const data = await fetchLiveScoresFromUpstream(sport);
-    return res.json(data);
+    const data = await fetchLiveScoresFromUpstream(sport, req.apiKeyInfo?.apiKey);
+    const events = entitledScoresSports(req, { [sport]: data.events || [] })[sport] || [];
+    return res.json({ ...data, count: events.length, events });
   } catch (err) {
     logger.error(`Scores proxy error (${sport}): ${err.message}`);
     return res.status(502).json({ success: false, error: 'failed to fetch scores' });
@@ -354,6 +442,12 @@ app.get('/api/v1/:sport/scores/live', async (req, res) => {
 // Odds REST endpoints (return cached WebSocket data)
 // -----------------------------------------------------------------------------
 
+// Cached games for a sport, restricted to the bookmakers the caller's tier may see
+function entitledOddsGames(req, sport) {
+  const filtered = entitlements.filterOddsSports(req.apiKeyInfo?.tier, { [sport]: latestOddsData[sport] || [] });
+  return filtered[sport] || [];
+}
+
 // Helper to filter bookmaker markets
 function filterBookmakerMarkets(bookmakers, marketKey) {
   if (!Array.isArray(bookmakers)) return [];
@@ -363,18 +457,65 @@ function filterBookmakerMarkets(bookmakers, marketKey) {
   })).filter(b => b.markets.length > 0);
 }
 
+/**
+ * Parse the bookType and fairMethod query options of the odds routes
+ * @returns {{ bookType?: string, fairMethod?: string, error?: string }}
+ */
+function parseOddsOptions(query) {
+  const { bookType } = query;
+  if (bookType && !BOOK_TYPES.includes(bookType)) {
+    return { error: `Invalid bookType: ${bookType} (expected ${BOOK_TYPES.join(' or ')})` };
+  }
+  const { method: fairMethod, error } = parseFairMethod(query.fairMethod);
+  if (error) return { error };
+  return { bookType, fairMethod };
+}
+
+// Apply the fairMethod, books and bookType options of the odds routes to their games
+function applyOddsOptions(games, { books, bookType, fairMethod }) {
+  // Fair lines are computed at ingest with the default method; recompute for
+  // another one before book filters, so the sharp reference stays available
+  if (fairMethod !== DEFAULT_FAIR_METHOD) {
+    games = games.map(g => addFairOdds(g, { method: fairMethod }));
+  }
+
+  if (books) {
+    const bookList = books.split(',').map(b => b.trim().toLowerCase());
+    games = games.map(g => ({
+      ...g,
+      bookmakers: (g.bookmakers || []).filter(b =>
+        bookList.includes((b.key || '').toLowerCase())
+      )
+    }));
+  }
+
+  // Sportsbooks or prediction markets
+  if (bookType) {
+    games = games.map(g => ({
+      ...g,
+      bookmakers: (g.bookmakers || []).filter(b => bookTypeOf(b.key) === bookType)
+    }));
+  }
+
+  return games;
+}
+
 // All odds for a sport (from WebSocket cache)
-app.get('/api/v1/:sport/odds', async (req, res) => {
+app.get('/api/v1/:sport/odds', requireEntitlement(entitlements, req => ({ feed: 'odds', sport: req.params.sport })), async (req, res) => {
   const { sport } = req.params;
   const { eventId, books } = req.query;
 
-  if (!VALID_SPORTS.includes(sport)) {
+  if (!feedConfig.hasSport(sport)) {
     return res.status(400).json({ success: false, error: `Invalid sport: ${sport}` });
   }
+  const { bookType, fairMethod, error: optionsError } = parseOddsOptions(req.query);
+  if (optionsError) {
+    return res.status(400).json({ success: false, error: optionsError });
+  }
 
   // Return cached data from WebSocket
   if (latestOddsData) {
-    let sportData = latestOddsData[sport] || [];
+    let sportData = entitledOddsGames(req, sport);
 
     // Filter by eventId if provided
     if (eventId) {
@@ -383,16 +524,7 @@ app.get('/api/v1/:sport/odds', async (req, res) => {
       );
     }
 
-    // Filter by books if provided
-    if (books) {
-      const bookList = books.split(',').map(b => b.trim().toLowerCase());
-      sportData = sportData.map(g => ({
-        ...g,
-        bookmakers: (g.bookmakers || []).filter(b =>
-          bookList.includes((b.key || '').toLowerCase())
-        )
-      }));
-    }
+    sportData = applyOddsOptions(sportData, { books, bookType, fairMethod });
 
     return res.json({
       success: true,
@@ -400,6 +532,7 @@ app.get('/api/v1/:sport/odds', async (req, res) => {
       meta: {
         sport,
         count: sportData.length,
+        fairMethod,
         timestamp: new Date().toISOString(),
         cached: true,
       }
@@ -417,6 +550,8 @@ app.get('/api/v1/:sport/odds', async (req, res) => {
     const params = new URLSearchParams();
     if (eventId) params.append('eventId', eventId);
     if (books) params.append('books', books);
+    if (bookType) params.append('bookType', bookType);
+    if (req.query.fairMethod) params.append('fairMethod', fairMethod);
 
     const url = `${apiBase}/api/v1/${sport}/odds${params.toString() ? '?' + params.toString() : ''}`;
     const resp = await fetch(url, {
@@ -436,16 +571,20 @@ app.get('/api/v1/:sport/odds', async (req, res) => {
 });
 
 // Moneyline only (h2h market)
-app.get('/api/v1/:sport/moneyline', async (req, res) => {
+app.get('/api/v1/:sport/moneyline', requireEntitlement(entitlements, req => ({ feed: 'odds', sport: req.params.sport })), async (req, res) => {
   const { sport } = req.params;
   const { eventId, books } = req.query;
 
-  if (!VALID_SPORTS.includes(sport)) {
+  if (!feedConfig.hasSport(sport)) {
     return res.status(400).json({ success: false, error: `Invalid sport: ${sport}` });
   }
+  const { bookType, fairMethod, error: optionsError } = parseOddsOptions(req.query);
+  if (optionsError) {
+    return res.status(400).json({ success: false, error: optionsError });
+  }
 
   if (latestOddsData) {
-    let sportData = latestOddsData[sport] || [];
+    let sportData = entitledOddsGames(req, sport);
 
     if (eventId) {
       sportData = sportData.filter(g =>
@@ -459,15 +598,7 @@ app.get('/api/v1/:sport/moneyline', async (req, res) => {
       bookmakers: filterBookmakerMarkets(g.bookmakers, 'h2h')
     }));
 
-    if (books) {
-      const bookList = books.split(',').map(b => b.trim().toLowerCase());
-      sportData = sportData.map(g => ({
-        ...g,
-        bookmakers: (g.bookmakers || []).filter(b =>
-          bookList.includes((b.key || '').toLowerCase())
-        )
-      }));
-    }
+    sportData = applyOddsOptions(sportData, { books, bookType, fairMethod });
 
     return res.json({
       success: true,
@@ -476,6 +607,7 @@ app.get('/api/v1/:sport/moneyline', async (req, res) => {
         sport,
         market: 'h2h',
         count: sportData.length,
+        fairMethod,
         timestamp: new Date().toISOString(),
         cached: true,
       }
@@ -493,6 +625,8 @@ app.get('/api/v1/:sport/moneyline', async (req, res) => {
     const params = new URLSearchParams();
     if (eventId) params.append('eventId', eventId);
     if (books) params.append('books', books);
+    if (bookType) params.append('bookType', bookType);
+    if (req.query.fairMethod) params.append('fairMethod', fairMethod);
 
     const url = `${apiBase}/api/v1/${sport}/moneyline${params.toString() ? '?' + params.toString() : ''}`;
     const resp = await fetch(url, {
@@ -512,16 +646,20 @@ app.get('/api/v1/:sport/moneyline', async (req, res) => {
 });
 
 // Spreads only
-app.get('/api/v1/:sport/spreads', async (req, res) => {
+app.get('/api/v1/:sport/spreads', requireEntitlement(entitlements, req => ({ feed: 'odds', sport: req.params.sport })), async (req, res) => {
   const { sport } = req.params;
   const { eventId, books } = req.query;
 
-  if (!VALID_SPORTS.includes(sport)) {
+  if (!feedConfig.hasSport(sport)) {
     return res.status(400).json({ success: false, error: `Invalid sport: ${sport}` });
   }
+  const { bookType, fairMethod, error: optionsError } = parseOddsOptions(req.query);
+  if (optionsError) {
+    return res.status(400).json({ success: false, error: optionsError });
+  }
 
   if (latestOddsData) {
-    let sportData = latestOddsData[sport] || [];
+    let sportData = entitledOddsGames(req, sport);
 
     if (eventId) {
       sportData = sportData.filter(g =>
@@ -535,15 +673,7 @@ app.get('/api/v1/:sport/spreads', async (req, res) => {
       bookmakers: filterBookmakerMarkets(g.bookmakers, 'spreads')
     }));
 
-    if (books) {
-      const bookList = books.split(',').map(b => b.trim().toLowerCase());
-      sportData = sportData.map(g => ({
-        ...g,
-        bookmakers: (g.bookmakers || []).filter(b =>
-          bookList.includes((b.key || '').toLowerCase())
-        )
-      }));
-    }
+    sportData = applyOddsOptions(sportData, { books, bookType, fairMethod });
 
     return res.json({
       success: true,
@@ -552,6 +682,7 @@ app.get('/api/v1/:sport/spreads', async (req, res) => {
         sport,
         market: 'spreads',
         count: sportData.length,
+        fairMethod,
         timestamp: new Date().toISOString(),
         cached: true,
       }
@@ -569,6 +700,8 @@ app.get('/api/v1/:sport/spreads', async (req, res) => {
     const params = new URLSearchParams();
     if (eventId) params.append('eventId', eventId);
     if (books) params.append('books', books);
+    if (bookType) params.append('bookType', bookType);
+    if (req.query.fairMethod) params.append('fairMethod', fairMethod);
 
     const url = `${apiBase}/api/v1/${sport}/spreads${params.toString() ? '?' + params.toString() : ''}`;
     const resp = await fetch(url, {
@@ -588,16 +721,20 @@ app.get('/api/v1/:sport/spreads', async (req, res) => {
 });
 
 // Totals only
-app.get('/api/v1/:sport/totals', async (req, res) => {
+app.get('/api/v1/:sport/totals', requireEntitlement(entitlements, req => ({ feed: 'odds', sport: req.params.sport })), async (req, res) => {
   const { sport } = req.params;
   const { eventId, books } = req.query;
 
-  if (!VALID_SPORTS.includes(sport)) {
+  if (!feedConfig.hasSport(sport)) {
     return res.status(400).json({ success: false, error: `Invalid sport: ${sport}` });
   }
+  const { bookType, fairMethod, error: optionsError } = parseOddsOptions(req.query);
+  if (optionsError) {
+    return res.status(400).json({ success: false, error: optionsError });
+  }
 
   if (latestOddsData) {
-    let sportData = latestOddsData[sport] || [];
+    let sportData = entitledOddsGames(req, sport);
 
     if (eventId) {
       sportData = sportData.filter(g =>
@@ -611,15 +748,7 @@ app.get('/api/v1/:sport/totals', async (req, res) => {
       bookmakers: filterBookmakerMarkets(g.bookmakers, 'totals')
     }));
 
-    if (books) {
-      const bookList = books.split(',').map(b => b.trim().toLowerCase());
-      sportData = sportData.map(g => ({
-        ...g,
-        bookmakers: (g.bookmakers || []).filter(b =>
-          bookList.includes((b.key || '').toLowerCase())
-        )
-      }));
-    }
+    sportData = applyOddsOptions(sportData, { books, bookType, fairMethod });
 
     return res.json({
       success: true,
@@ -628,6 +757,7 @@ app.get('/api/v1/:sport/totals', async (req, res) => {
         sport,
         market: 'totals',
         count: sportData.length,
+        fairMethod,
         timestamp: new Date().toISOString(),
         cached: true,
       }
@@ -645,6 +775,8 @@ app.get('/api/v1/:sport/totals', async (req, res) => {
     const params = new URLSearchParams();
     if (eventId) params.append('eventId', eventId);
     if (books) params.append('books', books);
+    if (bookType) params.append('bookType', bookType);
+    if (req.query.fairMethod) params.append('fairMethod', fairMethod);
 
     const url = `${apiBase}/api/v1/${sport}/totals${params.toString() ? '?' + params.toString() : ''}`;
     const resp = await fetch(url, {
@@ -705,36 +837,35 @@ const mergeBookIntoGames = (gamesMap, bookData, sport) => {
   }
 };
 
-app.get('/api/v1/:sport/props', async (req, res) => {
+app.get('/api/v1/:sport/props', requireEntitlement(entitlements, req => ({ feed: 'props', sport: req.params.sport })), async (req, res) => {
   const { sport } = req.params;
   const { game_id, player, category } = req.query;
 
   console.log(`[DEBUG Props] GET /api/v1/${sport}/props - query:`, { game_id, player, category });
 
-  if (!VALID_SPORTS.includes(sport)) {
+  if (!feedConfig.hasSport(sport)) {
     return res.status(400).json({ success: false, error: `Invalid sport: ${sport}` });
   }
 
   // Build merged props from all cached book data
-  const hasCachedData = latestPropsData || latestFanDuelPropsData || latestDraftKingsPropsData ||
-                        latestBet365PropsData || latestBetMGMPropsData || latestCaesarsPropsData;
-
-  if (hasCachedData) {
-    // Start with Pinnacle data as base
+  if (propsFeeds.hasData()) {
+    // Start with the multi-book (Pinnacle) feed as base
     const gamesMap = new Map();
-    const pinnacleGames = latestPropsData?.sports?.[sport] || [];
-    for (const game of pinnacleGames) {
-      gamesMap.set(game.gameId, { ...game, books: [...(game.books || [])] });
-    }
+    propsFeeds.all().filter(feed => feed.multiBook).forEach(feed => {
+      for (const game of propsFeeds.latest(feed.book)?.sports?.[sport] || []) {
+        gamesMap.set(game.gameId, { ...game, books: [...(game.books || [])] });
+      }
+    });
 
     // Merge in other book data
-    mergeBookIntoGames(gamesMap, latestFanDuelPropsData, sport);
-    mergeBookIntoGames(gamesMap, latestDraftKingsPropsData, sport);
-    mergeBookIntoGames(gamesMap, latestBet365PropsData, sport);
-    mergeBookIntoGames(gamesMap, latestBetMGMPropsData, sport);
-    mergeBookIntoGames(gamesMap, latestCaesarsPropsData, sport);
+    propsFeeds.all().filter(feed => !feed.multiBook).forEach(feed => {
+      mergeBookIntoGames(gamesMap, propsFeeds.latest(feed.book), sport);
+    });
 
-    let filteredData = Array.from(gamesMap.values());
+    // Drop books the caller's tier is not entitled to (e.g. Pinnacle/Bet365 on free)
+    let filteredData = entitlements.filterPropsSports(req.apiKeyInfo?.tier, {
+      [sport]: Array.from(gamesMap.values()),
+    })[sport] || [];
 
     const bookCounts = {};
     filteredData.forEach(g => {
@@ -790,9 +921,7 @@ app.get('/api/v1/:sport/props', async (req, res) => {
       data: filteredData,
       meta: {
         sport,
-        timestamp: latestPropsData?.timestamp ||
-                   latestDraftKingsPropsData?.timestamp ||
-                   latestFanDuelPropsData?.timestamp ||
+        timestamp: propsFeeds.books().map(book => propsFeeds.latest(book)?.timestamp).find(Boolean) ||
                    new Date().toISOString(),
         propsReturned: propsCount,
         gamesReturned: filteredData.length,
@@ -837,21 +966,25 @@ app.get('/api/v1/:sport/props', async (req, res) => {
 });
 
 // -----------------------------------------------------------------------------
-// Bet365 Player Props proxy endpoints
+// Per-book Player Props proxy endpoints (one per props feed in the registry)
 // -----------------------------------------------------------------------------
 
-// Bet365 Props proxy - uses WebSocket cache first, falls back to upstream
-app.get('/api/v1/:sport/props/bet365', async (req, res) => {
+// Book props proxy - uses WebSocket cache first, falls back to upstream.
+// Paths that are not a registered props book (e.g. /props/history) fall through.
+app.get('/api/v1/:sport/props/:book', (req, res, next) => next(propsFeeds.has(req.params.book) ? undefined : 'route'),
+  requireEntitlement(entitlements, req => ({ feed: 'props', sport: req.params.sport, book: req.params.book.toLowerCase() })), async (req, res) => {
   const { sport } = req.params;
+  const feed = propsFeeds.get(req.params.book);
   const { game_id, player, category } = req.query;
 
-  if (!VALID_SPORTS.includes(sport)) {
+  if (!feedConfig.hasSport(sport)) {
     return res.status(400).json({ success: false, error: `Invalid sport: ${sport}` });
   }
 
   // First try to return cached data from WebSocket
-  if (latestBet365PropsData) {
-    const sportGames = latestBet365PropsData.sports?.[sport] || [];
+  const cached = propsFeeds.latest(feed.book);
+  if (cached) {
+    const sportGames = cached.sports?.[sport] || [];
     let filteredData = [...sportGames];
 
     // Apply filters if provided
@@ -888,8 +1021,8 @@ app.get('/api/v1/:sport/props/bet365', async (req, res) => {
       data: filteredData,
       meta: {
         sport,
-        book: 'bet365',
-        timestamp: latestBet365PropsData.timestamp,
+        book: feed.book,
+        timestamp: cached.timestamp,
         propsReturned: propsCount,
         gamesReturned: filteredData.length,
         cached: true,
@@ -902,7 +1035,7 @@ app.get('/api/v1/:sport/props/bet365', async (req, res) => {
     const apiBase = getApiBaseUrl();
     const apiKey = req.apiKeyInfo?.apiKey || process.env.OWLS_INSIGHT_SERVER_API_KEY;
     if (!apiBase || !apiKey) {
-      return res.status(502).json({ success: false, error: 'bet365 props proxy not configured' });
+      return res.status(502).json({ success: false, error: `${feed.book} props proxy not configured` });
     }
 
     const params = new URLSearchParams();
@@ -910,27 +1043,27 @@ app.get('/api/v1/:sport/props/bet365', async (req, res) => {
     if (player) params.append('player', player);
     if (category) params.append('category', category);
 
-    const url = `${apiBase}/api/v1/${sport}/props/bet365${params.toString() ? '?' + params.toString() : ''}`;
+    const url = `${apiBase}/api/v1/${sport}/props/${feed.book}${params.toString() ? '?' + params.toString() : ''}`;
     const resp = await fetch(url, {
       headers: { 'Authorization': `Bearer ${apiKey}` },
     });
 
     if (!resp.ok) {
       const errorBody = await resp.text().catch(() => '');
-      logger.error(`Bet365 props upstream failed: ${resp.status} - ${errorBody.slice(0, 200)}`);
+      logger.error(`${feed.name} props upstream failed: ${resp.status} - ${errorBody.slice(0, 200)}`);
       return res.status(resp.status).json({ success: false, error: `upstream failed (${resp.status})` });
     }
 
     const data = await resp.json();
     return res.json(data);
   } catch (err) {
-    logger.error(`Bet365 props proxy error (${sport}): ${err.message}`);
-    return res.status(502).json({ success: false, error: 'failed to fetch bet365 props' });
+    logger.error(`${feed.name} props proxy error (${sport}): ${err.message}`);
+    return res.status(502).json({ success: false, error: `failed to fetch ${feed.book} props` });
   }
 });
 
 // Bet365 Props stats endpoint
-app.get('/api/v1/props/bet365/stats', async (req, res) => {
+app.get('/api/v1/props/bet365/stats', requireEntitlement(entitlements, () => ({ feed: 'props', book: 'bet365' })), async (req, res) => {
   try {
     const apiBase = getApiBaseUrl();
     const apiKey = req.apiKeyInfo?.apiKey || process.env.OWLS_INSIGHT_SERVER_API_KEY;
@@ -958,7 +1091,7 @@ app.get('/api/v1/props/bet365/stats', async (req, res) => {
 });
 
 // FanDuel Props stats endpoint
-app.get('/api/v1/props/fanduel/stats', async (req, res) => {
+app.get('/api/v1/props/fanduel/stats', requireEntitlement(entitlements, () => ({ feed: 'props', book: 'fanduel' })), async (req, res) => {
   try {
     const apiBase = getApiBaseUrl();
     const apiKey = req.apiKeyInfo?.apiKey || process.env.OWLS_INSIGHT_SERVER_API_KEY;
@@ -985,199 +1118,17 @@ app.get('/api/v1/props/fanduel/stats', async (req, res) => {
   }
 });
 
-// FanDuel Props proxy - uses WebSocket cache first, falls back to upstream
-app.get('/api/v1/:sport/props/fanduel', async (req, res) => {
-  const { sport } = req.params;
-  const { game_id, player, category } = req.query;
-
-  if (!VALID_SPORTS.includes(sport)) {
-    return res.status(400).json({ success: false, error: `Invalid sport: ${sport}` });
-  }
-
-  // First try to return cached data from WebSocket
-  if (latestFanDuelPropsData) {
-    const sportGames = latestFanDuelPropsData.sports?.[sport] || [];
-    let filteredData = [...sportGames];
-
-    // Apply filters if provided
-    if (game_id) {
-      filteredData = filteredData.filter(g => g.gameId === game_id || g.game_id === game_id);
-    }
-    if (player) {
-      const playerLower = player.toLowerCase();
-      filteredData = filteredData.map(g => ({
-        ...g,
-        props: (g.props || []).filter(p =>
-          (p.playerName || p.player_name || '').toLowerCase().includes(playerLower)
-        )
-      })).filter(g => g.props.length > 0);
-    }
-    if (category) {
-      const catLower = category.toLowerCase();
-      filteredData = filteredData.map(g => ({
-        ...g,
-        props: (g.props || []).filter(p =>
-          (p.category || '').toLowerCase() === catLower
-        )
-      })).filter(g => g.props.length > 0);
-    }
-
-    // Count props
-    let propsCount = 0;
-    filteredData.forEach(g => {
-      propsCount += (g.props || []).length;
-    });
-
-    return res.json({
-      success: true,
-      data: filteredData,
-      meta: {
-        sport,
-        book: 'fanduel',
-        timestamp: latestFanDuelPropsData.timestamp,
-        propsReturned: propsCount,
-        gamesReturned: filteredData.length,
-        cached: true,
-      }
-    });
-  }
-
-  // Fall back to upstream API
-  try {
-    const apiBase = getApiBaseUrl();
-    const apiKey = req.apiKeyInfo?.apiKey || process.env.OWLS_INSIGHT_SERVER_API_KEY;
-    if (!apiBase || !apiKey) {
-      return res.status(502).json({ success: false, error: 'fanduel props proxy not configured' });
-    }
-
-    const params = new URLSearchParams();
-    if (game_id) params.append('game_id', game_id);
-    if (player) params.append('player', player);
-    if (category) params.append('category', category);
-
-    const url = `${apiBase}/api/v1/${sport}/props/fanduel${params.toString() ? '?' + params.toString() : ''}`;
-    const resp = await fetch(url, {
-      headers: { 'Authorization': `Bearer ${apiKey}` },
-    });
-
-    if (!resp.ok) {
-      const errorBody = await resp.text().catch(() => '');
-      logger.error(`FanDuel props upstream failed: ${resp.status} - ${errorBody.slice(0, 200)}`);
-      return res.status(resp.status).json({ success: false, error: `upstream failed (${resp.status})` });
-    }
-
-    const data = await resp.json();
-    return res.json(data);
-  } catch (err) {
-    logger.error(`FanDuel props proxy error (${sport}): ${err.message}`);
-    return res.status(502).json({ success: false, error: 'failed to fetch fanduel props' });
-  }
-});
-
-// -----------------------------------------------------------------------------
-// DraftKings Player Props proxy endpoints
-// -----------------------------------------------------------------------------
-
-// DraftKings Props proxy - uses WebSocket cache first, falls back to upstream
-app.get('/api/v1/:sport/props/draftkings', async (req, res) => {
-  const { sport } = req.params;
-  const { game_id, player, category } = req.query;
-
-  if (!VALID_SPORTS.includes(sport)) {
-    return res.status(400).json({ success: false, error: `Invalid sport: ${sport}` });
-  }
-
-  // First try to return cached data from WebSocket
-  if (latestDraftKingsPropsData) {
-    const sportGames = latestDraftKingsPropsData.sports?.[sport] || [];
-    let filteredData = [...sportGames];
-
-    // Apply filters if provided
-    if (game_id) {
-      filteredData = filteredData.filter(g => g.gameId === game_id || g.game_id === game_id);
-    }
-    if (player) {
-      const playerLower = player.toLowerCase();
-      filteredData = filteredData.map(g => ({
-        ...g,
-        props: (g.props || []).filter(p =>
-          (p.playerName || p.player_name || '').toLowerCase().includes(playerLower)
-        )
-      })).filter(g => g.props.length > 0);
-    }
-    if (category) {
-      const catLower = category.toLowerCase();
-      filteredData = filteredData.map(g => ({
-        ...g,
-        props: (g.props || []).filter(p =>
-          (p.category || '').toLowerCase() === catLower
-        )
-      })).filter(g => g.props.length > 0);
-    }
-
-    // Count props
-    let propsCount = 0;
-    filteredData.forEach(g => {
-      propsCount += (g.props || []).length;
-    });
-
-    return res.json({
-      success: true,
-      data: filteredData,
-      meta: {
-        sport,
-        book: 'draftkings',
-        timestamp: latestDraftKingsPropsData.timestamp,
-        propsReturned: propsCount,
-        gamesReturned: filteredData.length,
-        cached: true,
-      }
-    });
-  }
-
-  // Fall back to upstream API
-  try {
-    const apiBase = getApiBaseUrl();
-    const apiKey = req.apiKeyInfo?.apiKey || process.env.OWLS_INSIGHT_SERVER_API_KEY;
-    if (!apiBase || !apiKey) {
-      return res.status(502).json({ success: false, error: 'draftkings props proxy not configured' });
-    }
-
-    const params = new URLSearchParams();
-    if (game_id) params.append('game_id', game_id);
-    if (player) params.append('player', player);
-    if (category) params.append('category', category);
-
-    const url = `${apiBase}/api/v1/${sport}/props/draftkings${params.toString() ? '?' + params.toString() : ''}`;
-    const resp = await fetch(url, {
-      headers: { 'Authorization': `Bearer ${apiKey}` },
-    });
-
-    if (!resp.ok) {
-      const errorBody = await resp.text().catch(() => '');
-      logger.error(`DraftKings props upstream failed: ${resp.status} - ${errorBody.slice(0, 200)}`);
-      return res.status(resp.status).json({ success: false, error: `upstream failed (${resp.status})` });
-    }
-
-    const data = await resp.json();
-    return res.json(data);
-  } catch (err) {
-    logger.error(`DraftKings props proxy error (${sport}): ${err.message}`);
-    return res.status(502).json({ success: false, error: 'failed to fetch draftkings props' });
-  }
-});
-
 // -----------------------------------------------------------------------------
 // Props History proxy endpoint
 // -----------------------------------------------------------------------------
 
 // Props history - fetches historical player props from upstream
-app.get('/api/v1/:sport/props/history', async (req, res) => {
+app.get('/api/v1/:sport/props/history', requireEntitlement(entitlements, req => ({ feed: 'history', sport: req.params.sport, book: req.query.book })), async (req, res) => {
   const { sport } = req.params;
   const { game_id, eventId, player, category, prop_type, hours, book } = req.query;
   const resolvedGameId = game_id || eventId;
 
-  if (!VALID_SPORTS.includes(sport)) {
+  if (!feedConfig.hasSport(sport)) {
     return res.status(400).json({ success: false, error: `Invalid sport: ${sport}` });
   }
 
@@ -1224,11 +1175,11 @@ app.get('/api/v1/:sport/props/history', async (req, res) => {
 
 // EV proxy - fetches from upstream and caches
 // EV data is included in WebSocket odds broadcasts, so check latestOddsData first
-app.get('/api/v1/:sport/ev', async (req, res) => {
+app.get('/api/v1/:sport/ev', requireEntitlement(entitlements, req => ({ feed: 'ev', sport: req.params.sport })), async (req, res) => {
   const { sport } = req.params;
   const { eventId, books, min_ev } = req.query;
 
-  if (!VALID_SPORTS.includes(sport)) {
+  if (!feedConfig.hasSport(sport)) {
     return res.status(400).json({ success: false, error: `Invalid sport: ${sport}` });
   }
 
@@ -1269,7 +1220,7 @@ app.get('/api/v1/:sport/ev', async (req, res) => {
 // -----------------------------------------------------------------------------
 
 // Analytics - fetches odds analytics from upstream
-app.get('/api/odds/analytics', async (req, res) => {
+app.get('/api/odds/analytics', requireEntitlement(entitlements, req => ({ feed: 'analytics', book: req.query.book })), async (req, res) => {
   const { eventId, book, market, hours, granularity } = req.query;
 
   try {
@@ -1310,7 +1261,7 @@ app.get('/api/odds/analytics', async (req, res) => {
 // -----------------------------------------------------------------------------
 
 app.get('/api/v1/coverage', (req, res) => {
-  const SPORTS = ['nba', 'ncaab', 'nfl', 'nhl', 'ncaaf'];
+  const SPORTS = feedConfig.sportKeys();
 
   // Build odds coverage
   const oddsCoverage = {};
@@ -1326,7 +1277,7 @@ app.get('/api/v1/coverage', (req, res) => {
       (game.bookmakers || []).forEach(book => {
         allOddsBooks.add(book.key);
         if (!sportCoverage.books[book.key]) {
-          sportCoverage.books[book.key] = { games: 0, markets: new Set() };
+          sportCoverage.books[book.key] = { type: bookTypeOf(book.key), games: 0, markets: new Set() };
         }
         sportCoverage.books[book.key].games++;
         (book.markets || []).forEach(m => sportCoverage.books[book.key].markets.add(m.key));
@@ -1344,41 +1295,15 @@ app.get('/api/v1/coverage', (req, res) => {
   // Build props coverage
   const propsCoverage = {};
   let totalProps = 0;
-  const propsBooks = ['pinnacle', 'bet365', 'fanduel', 'draftkings'];
-
-  const propsCaches = {
-    pinnacle: latestPropsData,
-    bet365: latestBet365PropsData,
-    fanduel: latestFanDuelPropsData,
-    draftkings: latestDraftKingsPropsData
-  };
+  const propsBooks = feedConfig.propsBooks();
 
   SPORTS.forEach(sport => {
     propsCoverage[sport] = {};
 
-    // Pinnacle (nested books structure)
-    const pinnacleGames = propsCaches.pinnacle?.sports?.[sport] || [];
-    let pinnacleProps = 0;
-    pinnacleGames.forEach(g => {
-      (g.books || []).forEach(b => { pinnacleProps += (b.props || []).length; });
-    });
-    propsCoverage[sport].pinnacle = { games: pinnacleGames.length, props: pinnacleProps };
-    totalProps += pinnacleProps;
-
-    // Other books (props nested in books[] array)
-    ['bet365', 'fanduel', 'draftkings'].forEach(book => {
-      const bookGames = propsCaches[book]?.sports?.[sport] || [];
-      let bookProps = 0;
-      bookGames.forEach(g => {
-        // Props may be under game.books[].props or game.props
-        if (g.books && Array.isArray(g.books)) {
-          g.books.forEach(b => { bookProps += (b.props || []).length; });
-        } else if (g.props) {
-          bookProps += g.props.length;
-        }
-      });
-      propsCoverage[sport][book] = { games: bookGames.length, props: bookProps };
-      totalProps += bookProps;
+    propsBooks.forEach(book => {
+      const counts = countProps(propsFeeds.latest(book)?.sports?.[sport]);
+      propsCoverage[sport][book] = counts;
+      totalProps += counts.props;
     });
   });
 
@@ -1389,6 +1314,7 @@ app.get('/api/v1/coverage', (req, res) => {
       totalGames,
       totalProps,
       oddsBooks: allOddsBooks.size,
+      predictionMarketBooks: Array.from(allOddsBooks).filter(book => bookTypeOf(book) === 'prediction').length,
       propsBooks: propsBooks.length
     },
     odds: oddsCoverage,
@@ -1396,17 +1322,45 @@ app.get('/api/v1/coverage', (req, res) => {
   });
 });
 
+// -----------------------------------------------------------------------------
+// Usage endpoints (metered locally, not proxied)
+// -----------------------------------------------------------------------------
+
+const parseUsageHours = (value) => Math.min(Math.max(parseInt(value) || 24, 1), usageMeter.retentionHours);
+
+// Usage for the calling key
+app.get('/api/v1/usage', (req, res) => {
+  const hours = parseUsageHours(req.query.hours);
+  const [usage] = usageMeter.report({ keyId: req.apiKeyInfo?.id, hours });
+  res.json({
+    success: true,
+    data: usage || null,
+    meta: { hours, timestamp: new Date().toISOString() },
+  });
+});
+
+// Usage for all keys (admin only)
+app.get('/api/v1/usage/all', requireScope('admin'), (req, res) => {
+  const hours = parseUsageHours(req.query.hours);
+  const data = usageMeter.report({ hours });
+  res.json({
+    success: true,
+    data,
+    meta: { hours, keys: data.length, timestamp: new Date().toISOString() },
+  });
+});
+
 // -----------------------------------------------------------------------------
 // Arbitrage proxy endpoints
 // -----------------------------------------------------------------------------
 
 // Arbitrage proxy - fetches from upstream
 // Arbitrage data is included in WebSocket odds broadcasts
-app.get('/api/v1/:sport/arbitrage', async (req, res) => {
+app.get('/api/v1/:sport/arbitrage', requireEntitlement(entitlements, req => ({ feed: 'arbitrage', sport: req.params.sport })), async (req, res) => {
   const { sport } = req.params;
   const { min_profit } = req.query;
 
-  if (!VALID_SPORTS.includes(sport)) {
+  if (!feedConfig.hasSport(sport)) {
     return res.status(400).json({ success: false, error: `Invalid sport: ${sport}` });
   }
 
@@ -1439,39 +1393,162 @@ app.get('/api/v1/:sport/arbitrage', async (req, res) => {
   }
 });
 
-// Health check endpoint
-// Returns 503 if upstream is disconnected so K8s will restart the pod
-app.get('/health', (req, res) => {
-  const liveGameCount = latestScoresData
-    ? Object.values(latestScoresData.sports || {}).flat().length
-    : 0;
+// -----------------------------------------------------------------------------
+// Admin key management endpoints (require the admin scope)
+// -----------------------------------------------------------------------------
 
-  const isUpstreamConnected = upstreamConnector?.isConnected() || false;
-  const status = isUpstreamConnected ? 'ok' : 'unhealthy';
-  const httpStatus = isUpstreamConnected ? 200 : 503;
+app.use('/admin', requireScope('admin'));
 
-  res.status(httpStatus).json({
-    status,
-    uptime: process.uptime(),
-    timestamp: new Date().toISOString(),
-    connections: io.engine.clientsCount,
-    upstreamConnected: isUpstreamConnected,
-    liveGames: liveGameCount,
-    hasOddsData: !!latestOddsData,
-    hasScoresData: !!latestScoresData,
-    hasPropsData: !!latestPropsData,
-    hasBet365PropsData: !!latestBet365PropsData,
-    hasFanDuelPropsData: !!latestFanDuelPropsData,
-    hasDraftKingsPropsData: !!latestDraftKingsPropsData,
-  });
+// Secrets are only revealed when a key is created or rotated
+function serializeApiKey(record, { reveal = false } = {}) {
+  const { key, ...rest } = record;
+  return { ...rest, key: reveal ? key : maskApiKey(key) };
+}
+
+function sendAdminError(res, err) {
+  const status = err.status || 500;
+  if (status >= 500) logger.error(`Admin request error: ${err.message}`);
+  return res.status(status).json({ success: false, error: err.message });
+}
+
+app.get('/admin/keys', (req, res) => {
+  const keys = apiKeyStore.list().map((r) => serializeApiKey(r));
+  res.json({ success: true, data: keys, meta: { count: keys.length } });
 });
 
-// Internal endpoint for connection tracking (used by rainbow deployments)
-app.get('/internal/connections', (req, res) => {
-  res.json({
-    pod: process.env.HOSTNAME || 'unknown',
+app.get('/admin/keys/:id', (req, res) => {
+  const record = apiKeyStore.getById(req.params.id);
+  if (!record) return res.status(404).json({ success: false, error: `API key not found: ${req.params.id}` });
+  return res.json({ success: true, data: serializeApiKey(record) });
+});
+
+app.post('/admin/keys', (req, res) => {
+  try {
+    const record = apiKeyStore.create(req.body || {});
+    return res.status(201).json({ success: true, data: serializeApiKey(record, { reveal: true }) });
+  } catch (err) {
+    return sendAdminError(res, err);
+  }
+});
+
+app.patch('/admin/keys/:id', (req, res) => {
+  try {
+    const record = apiKeyStore.update(req.params.id, req.body || {});
+    return res.json({ success: true, data: serializeApiKey(record) });
+  } catch (err) {
+    return sendAdminError(res, err);
+  }
+});
+
+app.post('/admin/keys/:id/rotate', (req, res) => {
+  try {
+    const record = apiKeyStore.rotate(req.params.id);
+    return res.json({ success: true, data: serializeApiKey(record, { reveal: true }) });
+  } catch (err) {
+    return sendAdminError(res, err);
+  }
+});
+
+app.post('/admin/keys/:id/suspend', (req, res) => {
+  try {
+    const record = apiKeyStore.update(req.params.id, { status: 'suspended' });
+    return res.json({ success: true, data: serializeApiKey(record) });
+  } catch (err) {
+    return sendAdminError(res, err);
+  }
+});
+
+app.post('/admin/keys/:id/activate', (req, res) => {
+  try {
+    const record = apiKeyStore.update(req.params.id, { status: 'active' });
+    return res.json({ success: true, data: serializeApiKey(record) });
+  } catch (err) {
+    return sendAdminError(res, err);
+  }
+});
+
+app.delete('/admin/keys/:id', (req, res) => {
+  try {
+    const record = apiKeyStore.remove(req.params.id);
+    return res.json({ success: true, data: serializeApiKey(record) });
+  } catch (err) {
+    return sendAdminError(res, err);
+  }
+});
+
+// Feed config: sports and books subscribed upstream. Changes resubscribe the
+// upstream connection without a restart.
+app.get('/admin/feeds', (req, res) => {
+  res.json({ success: true, data: feedConfig.get() });
+});
+
+app.patch('/admin/feeds', (req, res) => {
+  try {
+    return res.json({ success: true, data: feedConfig.update(req.body || {}) });
+  } catch (err) {
+    return sendAdminError(res, err);
+  }
+});
+
+// Re-read FEED_CONFIG_FILE and the environment (e.g. after editing the file)
+app.post('/admin/feeds/reload', (req, res) => {
+  res.json({ success: true, data: feedConfig.load() });
+});
+
+// Health check endpoint
+// Returns 503 until upstream first connects, or once reconnecting has been given up
+// (UPSTREAM_MAX_RECONNECTS), so K8s will restart the pod. While reconnecting it
+// reports 'degraded' with 200, since a restart would not bring upstream back sooner.
+// It also reports 'degraded' while any upstream feed is stale (see `staleFeeds`).
+app.get('/health', (req, res) => {
+  const liveGameCount = latestScoresData
+    ? Object.values(latestScoresData.sports || {}).flat().length
+    : 0;
+
+  const isUpstreamConnected = upstreamConnector?.isConnected() || false;
+  const upstreamState = upstreamConnector?.status().state;
+  const staleFeeds = feedFreshness.staleFeeds();
+  let status = 'unhealthy';
+  if (isUpstreamConnected) status = staleFeeds.length > 0 ? 'degraded' : 'ok';
+  else if (upstreamState === 'degraded') status = 'degraded';
+  const httpStatus = status === 'unhealthy' ? 503 : 200;
+
+  res.status(httpStatus).json({
+    status,
+    uptime: process.uptime(),
+    timestamp: new Date().toISOString(),
+    connections: downstreamClientCount(),
+    slowConsumers: slowConsumers.metrics(),
+    upstreamConnected: isUpstreamConnected,
+    upstream: upstreamConnector?.status() || null,
+    staleFeeds,
+    feeds: feedFreshness.snapshot(),
+    liveGames: liveGameCount,
+    hasOddsData: !!latestOddsData,
+    hasScoresData: !!latestScoresData,
+    hasPropsData: propsFeeds.hasData(),
+    propsFeeds: propsFeeds.status(),
+  });
+});
+
+// Internal endpoint for connection tracking (used by rainbow deployments)
+app.get('/internal/connections', (req, res) => {
+  res.json({
+    pod: process.env.HOSTNAME || 'unknown',
     version: process.env.APP_VERSION || 'unknown',
-    connections: io.engine.clientsCount,
+    connections: downstreamClientCount(),
+    slowConsumers: slowConsumers.metrics(),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// Internal endpoint for upstream payloads that failed validation: counters per
+// feed and the most recent quarantined items (?feed=odds|scores|props:<book>, ?limit=)
+app.get('/internal/quarantine', (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || payloadValidator.maxSamples, 1), payloadValidator.maxSamples);
+  res.json({
+    pod: process.env.HOSTNAME || 'unknown',
+    ...payloadValidator.snapshot({ feed: req.query.feed || null, limit }),
     timestamp: new Date().toISOString(),
   });
 });
@@ -1480,13 +1557,62 @@ app.get('/internal/connections', (req, res) => {
 const server = http.createServer(app);
 
 // Initialize Socket.io for downstream clients (Owls Insight frontend)
-const io = new Server(server, {
+const downstreamOptions = {
   cors: {
     origin: CORS_ORIGIN,
     methods: ['GET', 'POST'],
   },
-  path: '/socket.io',
   transports: ['websocket', 'polling'],
+};
+const io = new Server(server, { ...downstreamOptions, path: '/socket.io' });
+
+// Same events as binary MessagePack frames, for bandwidth-sensitive clients
+// (connect with socket.io-msgpack-parser on MSGPACK_SOCKET_PATH)
+const ioMsgpack = new Server(server, { ...downstreamOptions, path: MSGPACK_SOCKET_PATH, parser: msgpackParser });
+
+const downstreamServers = [io, ioMsgpack];
+
+// Every connected downstream socket, whichever encoding it uses
+const downstreamSockets = () => downstreamServers.flatMap((srv) => Array.from(srv.sockets.sockets.values()));
+const downstreamClientCount = () => downstreamServers.reduce((sum, srv) => sum + srv.engine.clientsCount, 0);
+const findDownstreamSocket = (socketId) => downstreamServers
+  .map((srv) => srv.sockets.sockets.get(socketId))
+  .find(Boolean) || null;
+
+// Reject downstream sockets without a valid API key before they receive any data
+downstreamServers.forEach((srv) => srv.use(createSocketAuthMiddleware({ keyStore: apiKeyStore })));
+
+// Apply admin key changes to live sockets: disconnect sockets whose key is no
+// longer valid (deleted, rotated, suspended, expired, origin removed) and
+// refresh tier/scopes on the rest
+apiKeyStore.on('change', ({ action, before, after }) => {
+  if (!before) return;
+
+  downstreamSockets().forEach((socket) => {
+    if (socket.data.apiKeyInfo?.id !== before.id) return;
+
+    let reason = null;
+    if (action === 'delete') reason = 'key-deleted';
+    else if (action === 'rotate') reason = 'key-rotated';
+    else {
+      const result = apiKeyStore.validate(after.key, { origin: socket.handshake.headers?.origin });
+      if (!result.ok) reason = result.code;
+    }
+
+    if (reason) {
+      logger.info(`Disconnecting ${socket.id}: API key ${before.id} ${reason}`);
+      socket.emit('key-revoked', { reason, keyId: before.id });
+      socket.disconnect(true);
+      return;
+    }
+
+    socket.data.apiKeyInfo = {
+      ...socket.data.apiKeyInfo,
+      owner: after.owner,
+      tier: after.tier,
+      scopes: after.scopes,
+    };
+  });
 });
 
 // Store latest odds data for new connections
@@ -1496,18 +1622,6 @@ let openingLines = {};
 // Store latest live scores data for new connections
 let latestScoresData = null;
 
-// Store latest player props data for new connections
-let latestPropsData = null;
-
-// Store latest Bet365 player props data for new connections
-let latestBet365PropsData = null;
-
-// Store latest FanDuel player props data for new connections
-let latestFanDuelPropsData = null;
-
-// Store latest DraftKings player props data for new connections
-let latestDraftKingsPropsData = null;
-
 // Track downstream props history requests for targeted responses
 const propsHistoryRequests = new Map();
 const PROPS_HISTORY_REQUEST_TTL_MS = 30_000;
@@ -1527,11 +1641,10 @@ setInterval(() => {
   });
 }, PROPS_HISTORY_REQUEST_TTL_MS).unref();
 
-// Store latest BetMGM player props data for new connections
-let latestBetMGMPropsData = null;
-
-// Store latest Caesars player props data for new connections
-let latestCaesarsPropsData = null;
+// Event fair lines and averages follow the merged bookmakers, whether new or preserved
+function withEventLines(game, sportKey) {
+  return { ...game, fair: sharpFairLines(game.bookmakers), averages: calculateEventAverages(game, sportKey) };
+}
 
 /**
  * Deep merge sports data, preserving bookmaker data across updates.
@@ -1572,10 +1685,9 @@ function mergeSportsWithBookmakers(prevSports, newSports) {
       // Merge bookmakers: keep previous bookmakers not in new data
       const newBookmakers = newGame.bookmakers || [];
       const prevBookmakers = prevGame.bookmakers || [];
-
       if (newBookmakers.length === 0) {
         // New update has no bookmakers, keep previous
-        return { ...newGame, bookmakers: prevBookmakers };
+        return withEventLines({ ...newGame, bookmakers: prevBookmakers }, sportKey);
       }
 
       // Build set of bookmaker keys in new data
@@ -1587,15 +1699,97 @@ function mergeSportsWithBookmakers(prevSports, newSports) {
       // Combine: new bookmakers + preserved previous bookmakers
       const mergedBookmakers = [...newBookmakers, ...preservedBookmakers];
 
-      return { ...newGame, bookmakers: mergedBookmakers };
+      return withEventLines({ ...newGame, bookmakers: mergedBookmakers }, sportKey);
     });
   });
 
   return result;
 }
 
+// Keep the markets of a game's books that a per-market update does not carry
+function upsertBookMarkets(prevGame, newGame) {
+  const prevBooks = new Map((prevGame?.bookmakers || []).map(b => [b.key, b]));
+  return {
+    ...newGame,
+    bookmakers: (newGame.bookmakers || []).map(book => {
+      const prevBook = prevBooks.get(book.key);
+      if (!prevBook) return book;
+      const marketKeys = new Set((book.markets || []).map(m => m.key));
+      return {
+        ...prevBook,
+        ...book,
+        markets: [...(book.markets || []), ...(prevBook.markets || []).filter(m => !marketKeys.has(m.key))],
+      };
+    }),
+  };
+}
+
+// Partial payloads (per-event pushes, outcome rows) carry only the games that
+// changed: upsert them into each sport's games instead of replacing the list.
+// With `markets`, only the markets they carry change on each book.
+function upsertSportsGames(prevSports, newSports, { markets = false } = {}) {
+  const full = {};
+  Object.entries(newSports).forEach(([sportKey, games]) => {
+    const prevGames = Array.isArray(prevSports?.[sportKey]) ? prevSports[sportKey] : [];
+    if (!Array.isArray(games)) return;
+    const prevById = new Map(prevGames.map(g => [g.eventId || g.id, g]));
+    const newGames = markets ? games.map(g => upsertBookMarkets(prevById.get(g.eventId || g.id), g)) : games;
+    const byId = new Map(newGames.map(g => [g.eventId || g.id, g]));
+    const updated = prevGames.map(g => byId.get(g.eventId || g.id) || g);
+    const prevIds = new Set(prevGames.map(g => g.eventId || g.id));
+    full[sportKey] = [...updated, ...newGames.filter(g => !prevIds.has(g.eventId || g.id))];
+  });
+  return mergeSportsWithBookmakers(prevSports, full);
+}
+
 // Initialize upstream connector
 let upstreamConnector = null;
+// Bundled mock upstream (MOCK_UPSTREAM=true)
+let mockUpstream = null;
+
+// Upstream connector state -> `server-status` status sent to clients
+const SERVER_STATUS = { connecting: 'starting', connected: 'ok', degraded: 'degraded', down: 'down' };
+
+// What clients are told about upstream health: 'degraded' means the server is
+// reconnecting and the data it serves may be stale
+function serverStatusPayload() {
+  const upstream = upstreamConnector?.status();
+  return {
+    status: SERVER_STATUS[upstream?.state] || 'starting',
+    since: upstream?.since || null,
+    timestamp: new Date().toISOString(),
+  };
+}
+
+function broadcastServerStatus() {
+  const payload = serverStatusPayload();
+  logger.info(`[Downstream] server-status ${payload.status} to ${downstreamClientCount()} clients`);
+  downstreamServers.forEach((srv) => srv.emit('server-status', payload));
+}
+
+// Apply feed config changes: resubscribe upstream, drop removed sports from the odds
+// cache and stop tracking the freshness of removed books
+feedConfig.on('change', ({ before, after }) => {
+  upstreamConnector?.applyFeedConfig(before, after);
+  const { sports, books, propsBooks } = FeedConfig.removed(before, after);
+  books.forEach((book) => feedFreshness.forget(FeedFreshness.key('odds', book)));
+  propsBooks.forEach((book) => {
+    feedFreshness.forget(FeedFreshness.key('props', book));
+    // Stop serving the disabled feed's last payload
+    propsFeeds.forget(book);
+  });
+  if (latestOddsData && typeof latestOddsData === 'object' && !Array.isArray(latestOddsData)) {
+    latestOddsData = Object.fromEntries(Object.entries(latestOddsData)
+      .filter(([sport]) => !sports.includes(sport))
+      .map(([sport, games]) => [sport, books.length > 0 && Array.isArray(games)
+        ? games.map(g => ({
+          ...g,
+          bookmakers: (g.bookmakers || []).filter(b => !books.includes(String(b.key || '').toLowerCase())),
+          ...(g.fair && books.includes(g.fair.book) && { fair: null }),
+        }))
+        : games]));
+  }
+});
 
 // -----------------------------------------------------------------------------
 // Live score merge helpers
@@ -1682,6 +1876,23 @@ function getHomeAwayScores(event) {
   };
 }
 
+// Baseball game state: inning (the period), half ('top' | 'middle' | 'bottom' | 'end')
+// and outs. The half falls back to the status detail, e.g. "Top 5th" or "Mid 7th".
+function getBaseballState(event, statusObj) {
+  const inning = Number(event?.inning ?? statusObj?.period ?? event?.period);
+  const rawHalf = String(event?.inningHalf ?? event?.inning_half ?? event?.half ?? statusObj?.detail ?? event?.detail ?? '')
+    .trim()
+    .toLowerCase();
+  const half = rawHalf.match(/^(top|bot(?:tom)?|mid(?:dle)?|end)/)?.[1];
+  const outs = Number(event?.outs ?? event?.situation?.outs ?? statusObj?.outs);
+
+  return {
+    inning: Number.isFinite(inning) && inning > 0 ? inning : null,
+    inningHalf: half ? { bot: 'bottom', mid: 'middle' }[half] || half : null,
+    outs: Number.isFinite(outs) ? outs : null,
+  };
+}
+
 function buildTeamsKey(away, home) {
   const a = normalizeTeamKey(away);
   const h = normalizeTeamKey(home);
@@ -1747,6 +1958,7 @@ function buildScoreIndex(scoresData) {
         clock: statusObj?.displayClock || ev?.clock || ev?.displayClock || null,
         period: statusObj?.period ?? ev?.period ?? null,
         updatedAt: ev?.timestamp || ev?.updatedAt || ev?.updated_at || null,
+        baseball: sportKey === 'mlb' ? getBaseballState(ev, statusObj) : null,
       };
 
       // DEBUG: Log normalized live events with clock/period
@@ -1908,6 +2120,11 @@ function mergeScoresIntoSports(sports, scoresData) {
         score_period: score.period,
         score_detail: score.detail,
         score_updated_at: score.updatedAt,
+        ...(score.baseball && {
+          score_inning: score.baseball.inning,
+          score_inning_half: score.baseball.inningHalf,
+          score_outs: score.baseball.outs,
+        }),
       };
     });
   });
@@ -1919,6 +2136,319 @@ function mergeScoresIntoSports(sports, scoresData) {
   return next;
 }
 
+// -----------------------------------------------------------------------------
+// Entitlement- and subscription-aware emit helpers
+// -----------------------------------------------------------------------------
+
+// Feed descriptors: which entitlement a downstream event needs, how its sports are
+// filtered per tier, which game field holds the books a subscription narrows,
+// (seqFeed) the name it is sequenced and resumed under, (coalesce) how updates
+// held back by a client's throttle are merged, (freshness) which upstream
+// feeds it reports freshness for, and (prices) whether it carries prices to
+// convert to the client's odds format. Feeds without coalesce send full state
+// on every update, so the latest one wins.
+const ODDS_FEED = {
+  feed: 'odds',
+  seqFeed: 'odds',
+  freshness: 'odds',
+  prices: true,
+  booksField: 'bookmakers',
+  filter: (tier, sports) => entitlements.filterOddsSports(tier, sports),
+  coalesce: (pending, next) => ({
+    ...next,
+    sports: mergeSportsWithBookmakers(pending.sports, next.sports),
+    openingLines: { ...(pending.openingLines || {}), ...(next.openingLines || {}) },
+  }),
+};
+const SCORES_FEED = { feed: 'scores', seqFeed: 'scores', freshness: 'scores', booksField: null, filter: (tier, sports) => entitlements.filterScoresSports(tier, sports) };
+// Descriptor for a props feed in the registry; multi-book feeds are entitled per
+// book inside each game rather than as a whole
+const propsFeed = (feed) => ({
+  feed: 'props',
+  seqFeed: feed.seqFeed,
+  freshness: feed.key,
+  book: feed.multiBook ? null : feed.book,
+  prices: true,
+  booksField: 'books',
+  filter: (tier, sports) => entitlements.filterPropsSports(tier, sports),
+});
+
+// Sequence numbers and recent messages per feed, for `resume`
+const feedLog = new FeedLog();
+
+/**
+ * Build the payload a tier may see for a feed
+ * @returns {Object|null} - Filtered payload, or null if the tier is not entitled to the feed
+ */
+function buildEntitledPayload(tier, payload, { feed, book, filter }) {
+  if (entitlements.check(tier, { feed, book })) return null;
+  if (!filter || !payload?.sports) return payload;
+  return { ...payload, sports: filter(tier, payload.sports) };
+}
+
+/**
+ * Freshness of the upstream feeds matching `prefix` ('odds', 'props:caesars', ...)
+ * that a tier may see and, for sockets, that its subscription includes
+ * @returns {Object|null} - { key: status }, or null for feeds without freshness
+ */
+function feedFreshnessFor(tier, prefix, subscription = null) {
+  if (!prefix) return null;
+  const keys = feedFreshness.keys().filter((key) => {
+    if (key !== prefix && !key.startsWith(`${prefix}:`)) return false;
+    const { feed, book } = FeedFreshness.parse(key);
+    if (entitlements.check(tier, { feed, book })) return false;
+    return !subscription || subscribedToBook(subscription, book);
+  });
+  return feedFreshness.snapshot(keys);
+}
+
+// REST feeds -> upstream feeds whose freshness they report
+function restFeedFreshness(req) {
+  const { feed, book } = req.feedRequest || {};
+  const tier = req.apiKeyInfo?.tier;
+  if (feed === 'odds' || feed === 'ev' || feed === 'arbitrage') return feedFreshnessFor(tier, 'odds');
+  if (feed === 'scores') return feedFreshnessFor(tier, 'scores');
+  if (feed === 'props') return feedFreshnessFor(tier, FeedFreshness.key('props', book));
+  return null;
+}
+
+// Books present in a sports payload ({ sport: games[] }), e.g. to record freshness per book
+function booksInSports(sports, booksField) {
+  const books = new Set();
+  Object.values(sports || {}).forEach((games) => {
+    if (!Array.isArray(games)) return;
+    games.forEach((game) => (game?.[booksField] || []).forEach((b) => b?.key && books.add(String(b.key).toLowerCase())));
+  });
+  return books;
+}
+
+// Serialized size of a payload, for usage metering
+const payloadBytes = (payload) => Buffer.byteLength(JSON.stringify(payload) || '');
+
+/**
+ * Build the payload a socket should receive for a feed: entitlement filtering
+ * for its tier, narrowing to its room subscriptions, then prices in its odds format
+ * @returns {Object|null} - Payload, or null if the socket should not receive the feed
+ */
+function buildSocketPayload(socket, payload, feedOptions) {
+  const entitled = buildEntitledPayload(socket.data.apiKeyInfo?.tier, payload, feedOptions);
+  if (!entitled) return null;
+
+  const subscription = socketSubscription(socket);
+  if (!subscribedToBook(subscription, feedOptions.book)) return null;
+  const freshness = feedFreshnessFor(socket.data.apiKeyInfo?.tier, feedOptions.freshness, subscription);
+  const withFreshness = freshness ? { ...entitled, freshness } : entitled;
+  const narrowed = entitled.sports
+    ? { ...withFreshness, sports: filterSportsForSubscription(entitled.sports, subscription, { booksField: feedOptions.booksField }) }
+    : withFreshness;
+  return feedOptions.prices ? convertOdds(narrowed, socketOddsFormat(socket)) : narrowed;
+}
+
+// Odds format a socket asked for (`auth: { oddsFormat }`, ?oddsFormat= or `set-odds-format`)
+const socketOddsFormat = (socket) => socket.data.oddsFormat || 'american';
+
+// Sockets with the same tier, subscription and odds format receive identical payloads
+const socketPayloadGroup = (socket) => `${socket.data.apiKeyInfo?.tier}|${subscriptionKey(socketSubscription(socket))}|${socketOddsFormat(socket)}`;
+
+// Upper bound for a client's throttle interval
+const MAX_THROTTLE_MS = 60 * 1000;
+
+/**
+ * Parse a requested throttle interval
+ * @returns {{ intervalMs?: number, error?: string }}
+ */
+function parseThrottleMs(value) {
+  const intervalMs = value == null || value === '' ? 0 : Number(value);
+  if (!Number.isFinite(intervalMs) || intervalMs < 0 || intervalMs > MAX_THROTTLE_MS) {
+    return { error: `throttleMs must be a number between 0 and ${MAX_THROTTLE_MS}` };
+  }
+  return { intervalMs: Math.round(intervalMs) };
+}
+
+const isThrottled = (socket) => socket.data.throttle?.intervalMs > 0;
+
+// Outbound buffer monitoring and the policy for lagging sockets
+const slowConsumers = new SlowConsumerMonitor();
+
+/**
+ * Re-check a socket's outbound buffer before a live broadcast and apply the
+ * slow-consumer policy when it starts lagging or catches up
+ * @returns {boolean} - false if the socket was disconnected
+ */
+function checkSlowConsumer(socket) {
+  const change = slowConsumers.update(socket);
+  if (change === 'lagging') {
+    if (slowConsumers.policy === 'disconnect') {
+      slowConsumers.record('disconnected');
+      socket.emit('slow-consumer', { state: 'disconnected', reason: 'slow-consumer' });
+      socket.disconnect(true);
+      return false;
+    }
+    socket.emit('slow-consumer', { state: 'lagging', policy: slowConsumers.policy });
+    socket.data.throttle.pause();
+  } else if (change === 'recovered') {
+    socket.emit('slow-consumer', { state: 'recovered' });
+    socket.data.throttle.resume();
+  }
+  return true;
+}
+
+// Send a broadcast to one socket; live feeds go through the socket's throttle
+// while it is throttled or lagging (the throttle meters what it eventually sends)
+function deliverToSocket(socket, eventName, payload, feedOptions, bytes) {
+  if (feedOptions.seqFeed && socket.data.throttle.holding) {
+    if (socket.data.throttle.paused) slowConsumers.record('heldUpdates');
+    socket.data.throttle.push(eventName, payload, feedOptions.coalesce);
+    return;
+  }
+  socket.emit(eventName, payload);
+  usageMeter.recordBroadcast(socket.data.apiKeyInfo, bytes ?? payloadBytes(payload));
+}
+
+// Emit a feed to every connected socket, filtered per tier and subscription.
+// Each distinct payload (and its size) is computed once per broadcast.
+// Sequenced feeds get the next `seq` and are buffered for resume.
+function emitFeed(eventName, payload, feedOptions) {
+  if (feedOptions.seqFeed) {
+    const seq = feedLog.nextSeq(feedOptions.seqFeed);
+    payload = { ...payload, seq };
+    feedLog.push(feedOptions.seqFeed, { seq, eventName, payload, feedOptions });
+  }
+
+  const byGroup = new Map();
+  downstreamSockets().forEach((socket) => {
+    if (feedOptions.seqFeed && !checkSlowConsumer(socket)) return;
+    const group = socketPayloadGroup(socket);
+    if (!byGroup.has(group)) {
+      const groupPayload = buildSocketPayload(socket, payload, feedOptions);
+      byGroup.set(group, groupPayload ? { payload: groupPayload, bytes: payloadBytes(groupPayload) } : null);
+    }
+    const entry = byGroup.get(group);
+    if (entry) deliverToSocket(socket, eventName, entry.payload, feedOptions, entry.bytes);
+  });
+}
+
+// Whether a socket receives an upstream feed (entitled to it and subscribed to its book)
+function socketUsesFeed(socket, { feed, book }) {
+  if (entitlements.check(socket.data.apiKeyInfo?.tier, { feed, book })) return false;
+  return subscribedToBook(socketSubscription(socket), book);
+}
+
+// `feed-stale` payload: { feed: key, kind, book, stale, lastReceivedAt, ageMs, ratePerMin, staleAfterMs }
+const feedStalePayload = ({ key, feed, book, ...status }) => ({ feed: key, kind: feed, book, ...status });
+
+// Tell the clients using a feed that it went quiet (stale: true) or is flowing again (stale: false)
+function broadcastFeedStale(change) {
+  const payload = feedStalePayload(change);
+  let notified = 0;
+  downstreamSockets().forEach((socket) => {
+    if (!socketUsesFeed(socket, change)) return;
+    socket.emit('feed-stale', payload);
+    notified++;
+  });
+  logger.info(`[Downstream] feed-stale ${change.key} stale=${change.stale} to ${notified} clients`);
+}
+
+feedFreshness.on('stale', broadcastFeedStale);
+feedFreshness.on('fresh', broadcastFeedStale);
+
+// -----------------------------------------------------------------------------
+// Delta-encoded odds broadcasts
+// -----------------------------------------------------------------------------
+
+// The odds `version` carried by odds-update / odds-delta is the odds feed's `seq`
+const oddsVersion = () => feedLog.current(ODDS_FEED.seqFeed);
+// Payload group -> sports last sent to that group (base for its next delta)
+let oddsDeltaBases = new Map();
+// openingLines last broadcast (not filtered per group)
+let lastBroadcastOpeningLines = {};
+
+// Clients opt in with `auth: { capabilities: ['odds-delta'] }` (or ?capabilities=odds-delta)
+const wantsOddsDeltas = (socket) => !!socket.data.capabilities?.has('odds-delta');
+
+// Record that a socket now holds the full state for its group (the base for
+// deltas, whether it opted in or is downgraded to them as a slow consumer)
+function markOddsSnapshotSent(socket, sports) {
+  const group = socketPayloadGroup(socket);
+  if (!oddsDeltaBases.has(group)) oddsDeltaBases.set(group, sports);
+  socket.data.oddsBase = { group, version: oddsVersion() };
+}
+
+/**
+ * Emit an odds payload: full `odds-update` to regular clients, `odds-delta`
+ * (changes since the previous version) to delta-capable clients whose last
+ * received version and group match. Anyone else gets a full snapshot.
+ * Throttled clients always get (coalesced) full updates. Under the 'delta'
+ * slow-consumer policy, lagging clients get deltas too.
+ */
+function emitOddsFeed(payload) {
+  const baseVersion = oddsVersion();
+  const seq = feedLog.nextSeq(ODDS_FEED.seqFeed);
+  const versioned = { ...payload, seq, version: seq };
+  feedLog.push(ODDS_FEED.seqFeed, { seq, eventName: 'odds-update', payload: versioned, feedOptions: ODDS_FEED });
+  const openingLinesDelta = diffObject(lastBroadcastOpeningLines, payload.openingLines);
+  lastBroadcastOpeningLines = payload.openingLines || {};
+
+  const nextBases = new Map();
+  const byGroup = new Map();
+
+  downstreamSockets().forEach((socket) => {
+    if (!checkSlowConsumer(socket)) return;
+    const group = socketPayloadGroup(socket);
+    if (!byGroup.has(group)) {
+      const groupPayload = buildSocketPayload(socket, versioned, ODDS_FEED);
+      byGroup.set(group, groupPayload ? { payload: groupPayload, bytes: null, delta: null, deltaBytes: null } : null);
+    }
+    const entry = byGroup.get(group);
+    if (!entry) return;
+    const downgraded = slowConsumers.policy === 'delta' && slowConsumers.isLagging(socket);
+    const held = isThrottled(socket) || (socket.data.throttle.paused && !downgraded);
+
+    if (held) {
+      // Deltas cannot be coalesced; resume them from the next full update once released
+      socket.data.oddsBase = null;
+      deliverToSocket(socket, 'odds-update', entry.payload, ODDS_FEED);
+      return;
+    }
+
+    nextBases.set(group, entry.payload.sports);
+    const base = socket.data.oddsBase;
+    socket.data.oddsBase = { group, version: seq };
+
+    if (wantsOddsDeltas(socket) || downgraded) {
+      if (base?.group === group && base.version === baseVersion && oddsDeltaBases.has(group)) {
+        if (!entry.delta) {
+          entry.delta = {
+            seq,
+            version: seq,
+            baseVersion,
+            timestamp: payload.timestamp,
+            sports: diffSports(oddsDeltaBases.get(group), entry.payload.sports),
+            openingLines: convertOdds(openingLinesDelta, socketOddsFormat(socket)),
+            freshness: entry.payload.freshness,
+          };
+          entry.deltaBytes = payloadBytes(entry.delta);
+        }
+        socket.emit('odds-delta', entry.delta);
+        usageMeter.recordBroadcast(socket.data.apiKeyInfo, entry.deltaBytes);
+        if (!wantsOddsDeltas(socket)) slowConsumers.record('deltaDowngrades');
+        return;
+      }
+      if (downgraded) {
+        // No base to diff against: hold the full update until it catches up
+        socket.data.oddsBase = null;
+        deliverToSocket(socket, 'odds-update', entry.payload, ODDS_FEED);
+        return;
+      }
+    }
+
+    if (entry.bytes == null) entry.bytes = payloadBytes(entry.payload);
+    deliverToSocket(socket, 'odds-update', entry.payload, ODDS_FEED, entry.bytes);
+  });
+
+  oddsDeltaBases = nextBases;
+}
+
 // Broadcast odds update to all connected clients
 function broadcastOddsUpdate(data) {
   try {
@@ -1930,6 +2460,7 @@ function broadcastOddsUpdate(data) {
     if (rawSports?.nhl?.length != null) logger.debug(`[Upstream] nhl events: ${rawSports.nhl.length}`);
     if (rawSports?.ncaab?.length != null) logger.debug(`[Upstream] ncaab events: ${rawSports.ncaab.length}`);
     if (rawSports?.ncaaf?.length != null) logger.debug(`[Upstream] ncaaf events: ${rawSports.ncaaf.length}`);
+    if (rawSports?.mlb?.length != null) logger.debug(`[Upstream] mlb events: ${rawSports.mlb.length}`);
     if (data.openingLines) {
       const openKeys = Object.keys(data.openingLines || {});
       logger.debug(`[Upstream] openingLines present. Keys: ${openKeys.slice(0, 5).join(', ')}${openKeys.length > 5 ? '…' : ''}`);
@@ -1943,6 +2474,7 @@ function broadcastOddsUpdate(data) {
         ncaaf: rawSports?.ncaaf?.length ?? null,
         nfl: rawSports?.nfl?.length ?? null,
         nhl: rawSports?.nhl?.length ?? null,
+        mlb: rawSports?.mlb?.length ?? null,
         keys: sportKeys,
       });
     }
@@ -1953,11 +2485,14 @@ function broadcastOddsUpdate(data) {
   // Some upstream payloads may be partial (only a subset of sports or bookmakers).
   // Use deep merge to preserve bookmaker data across updates.
   const incomingSports = data.sports || data;
+  booksInSports(incomingSports, 'bookmakers').forEach((book) => feedFreshness.record(FeedFreshness.key('odds', book)));
   if (incomingSports && typeof incomingSports === 'object' && !Array.isArray(incomingSports)) {
     const prev = (latestOddsData && typeof latestOddsData === 'object' && !Array.isArray(latestOddsData))
       ? latestOddsData
       : {};
-    latestOddsData = mergeSportsWithBookmakers(prev, incomingSports);
+    latestOddsData = data.partial
+      ? upsertSportsGames(prev, incomingSports, { markets: data.partial === 'markets' })
+      : mergeSportsWithBookmakers(prev, incomingSports);
   } else {
     latestOddsData = incomingSports;
   }
@@ -1987,11 +2522,12 @@ function broadcastOddsUpdate(data) {
       ncaaf: payload.sports?.ncaaf?.length ?? null,
       nfl: payload.sports?.nfl?.length ?? null,
       nhl: payload.sports?.nhl?.length ?? null,
+      mlb: payload.sports?.mlb?.length ?? null,
     });
   }
 
-  io.emit('odds-update', payload);
-  logger.info(`Broadcasted odds update to ${io.engine.clientsCount} clients`);
+  emitOddsFeed(payload);
+  logger.info(`Broadcasted odds update to ${downstreamClientCount()} clients`);
 }
 
 // Broadcast live scores update to all connected clients
@@ -2052,175 +2588,48 @@ function broadcastScoresUpdate(data) {
 
   // Cache for new connections
   latestScoresData = data;
+  feedFreshness.record('scores');
 
   const payload = {
     sports: data.sports || {},
     timestamp: data.timestamp || new Date().toISOString(),
   };
 
-  io.emit('scores-update', payload);
-  logger.info(`Broadcasted scores update to ${io.engine.clientsCount} clients (${Object.values(payload.sports).flat().length} live games)`);
-}
-
-// Broadcast player props update to all connected clients
-function broadcastPropsUpdate(data) {
-  try {
-    const sportsObj = data.sports || {};
-    const propsCounts = {};
-    let totalGames = 0;
-    let totalProps = 0;
-
-    Object.entries(sportsObj).forEach(([sportKey, games]) => {
-      if (Array.isArray(games)) {
-        propsCounts[sportKey] = games.length;
-        totalGames += games.length;
-        // Count total props across all books for each game
-        games.forEach(game => {
-          if (Array.isArray(game.books)) {
-            game.books.forEach(book => {
-              if (Array.isArray(book.props)) {
-                totalProps += book.props.length;
-              }
-            });
-          }
-        });
-      }
-    });
-
-    logger.debug(`[Upstream] player-props-update received. ${totalProps} props from ${totalGames} games`, propsCounts);
-  } catch (e) {
-    logger.warn(`[Upstream] props debug log failed: ${e.message}`);
-  }
-
-  // Cache for new connections
-  latestPropsData = data;
-
-  const payload = {
-    sports: data.sports || {},
-    timestamp: data.timestamp || new Date().toISOString(),
-  };
-
-  io.emit('player-props-update', payload);
-  logger.info(`Broadcasted props update to ${io.engine.clientsCount} clients`);
-}
-
-// Broadcast Bet365 player props update to all connected clients
-function broadcastBet365PropsUpdate(data) {
-  try {
-    const sportsObj = data.sports || {};
-    const propsCounts = {};
-    let totalGames = 0;
-    let totalProps = 0;
-
-    Object.entries(sportsObj).forEach(([sportKey, games]) => {
-      if (Array.isArray(games)) {
-        propsCounts[sportKey] = games.length;
-        totalGames += games.length;
-        games.forEach(game => {
-          if (Array.isArray(game.props)) {
-            totalProps += game.props.length;
-          }
-        });
-      }
-    });
-
-    logger.debug(`[Upstream] bet365-props-update received. ${totalProps} props from ${totalGames} games`, propsCounts);
-  } catch (e) {
-    logger.warn(`[Upstream] bet365 props debug log failed: ${e.message}`);
-  }
-
-  // Cache for new connections
-  latestBet365PropsData = data;
-
-  const payload = {
-    sports: data.sports || {},
-    timestamp: data.timestamp || new Date().toISOString(),
-  };
-
-  io.emit('bet365-props-update', payload);
-  logger.info(`Broadcasted Bet365 props update to ${io.engine.clientsCount} clients`);
-}
-
-// Broadcast FanDuel player props update to all connected clients
-function broadcastFanDuelPropsUpdate(data) {
-  try {
-    const sportsObj = data.sports || {};
-    const propsCounts = {};
-    let totalGames = 0;
-    let totalProps = 0;
-
-    Object.entries(sportsObj).forEach(([sportKey, games]) => {
-      if (Array.isArray(games)) {
-        propsCounts[sportKey] = games.length;
-        totalGames += games.length;
-        games.forEach(game => {
-          if (Array.isArray(game.props)) {
-            totalProps += game.props.length;
-          }
-          // Also count props inside books array
-          if (Array.isArray(game.books)) {
-            game.books.forEach(book => {
-              if (Array.isArray(book.props)) {
-                totalProps += book.props.length;
-              }
-            });
-          }
-        });
-      }
-    });
-
-    logger.debug(`[Upstream] fanduel-props-update received. ${totalProps} props from ${totalGames} games`, propsCounts);
-  } catch (e) {
-    logger.warn(`[Upstream] fanduel props debug log failed: ${e.message}`);
-  }
-
-  // Cache for new connections
-  latestFanDuelPropsData = data;
-
-  const payload = {
-    sports: data.sports || {},
-    timestamp: data.timestamp || new Date().toISOString(),
-  };
-
-  io.emit('fanduel-props-update', payload);
-  logger.info(`Broadcasted FanDuel props update to ${io.engine.clientsCount} clients`);
+  emitFeed('scores-update', payload, SCORES_FEED);
+  logger.info(`Broadcasted scores update to ${downstreamClientCount()} clients (${Object.values(payload.sports).flat().length} live games)`);
 }
 
-// Broadcast DraftKings player props update to all connected clients
-function broadcastDraftKingsPropsUpdate(data) {
+// Broadcast a props feed's update to all connected clients
+function broadcastPropsUpdate(feed, data) {
   try {
-    const sportsObj = data.sports || {};
     const propsCounts = {};
     let totalGames = 0;
     let totalProps = 0;
 
-    Object.entries(sportsObj).forEach(([sportKey, games]) => {
-      if (Array.isArray(games)) {
-        propsCounts[sportKey] = games.length;
-        totalGames += games.length;
-        games.forEach(game => {
-          if (Array.isArray(game.props)) {
-            totalProps += game.props.length;
-          }
-        });
-      }
+    Object.entries(data.sports || {}).forEach(([sportKey, games]) => {
+      if (!Array.isArray(games)) return;
+      const counts = countProps(games);
+      propsCounts[sportKey] = counts.games;
+      totalGames += counts.games;
+      totalProps += counts.props;
     });
 
-    logger.debug(`[Upstream] draftkings-props-update received. ${totalProps} props from ${totalGames} games`, propsCounts);
+    logger.debug(`[Upstream] ${feed.upstreamEvent} received. ${totalProps} props from ${totalGames} games`, propsCounts);
   } catch (e) {
-    logger.warn(`[Upstream] draftkings props debug log failed: ${e.message}`);
+    logger.warn(`[Upstream] ${feed.book} props debug log failed: ${e.message}`);
   }
 
   // Cache for new connections
-  latestDraftKingsPropsData = data;
+  propsFeeds.update(feed.book, data);
+  feedFreshness.record(feed.key);
 
   const payload = {
     sports: data.sports || {},
     timestamp: data.timestamp || new Date().toISOString(),
   };
 
-  io.emit('draftkings-props-update', payload);
-  logger.info(`Broadcasted DraftKings props update to ${io.engine.clientsCount} clients`);
+  emitFeed(feed.downstreamEvent, payload, propsFeed(feed));
+  logger.info(`Broadcasted ${feed.name} props update to ${downstreamClientCount()} clients`);
 }
 
 // Forward props history responses to the requesting client (by requestId)
@@ -2234,90 +2643,16 @@ function broadcastPropsHistoryResponse(data) {
       return;
     }
     propsHistoryRequests.delete(requestId);
-    const targetSocket = io.sockets.sockets.get(requestMeta.socketId);
+    const targetSocket = findDownstreamSocket(requestMeta.socketId);
     if (targetSocket) {
-      targetSocket.emit('props-history-response', data);
+      targetSocket.emit('props-history-response', convertOdds(data, socketOddsFormat(targetSocket)));
     } else {
       logger.warn(`Props history response target socket not found for requestId ${requestId}`);
     }
     return;
   }
 
-  io.emit('props-history-response', data);
-}
-
-// Broadcast BetMGM player props update to all connected clients
-function broadcastBetMGMPropsUpdate(data) {
-  try {
-    const sportsObj = data.sports || {};
-    const propsCounts = {};
-    let totalGames = 0;
-    let totalProps = 0;
-
-    Object.entries(sportsObj).forEach(([sportKey, games]) => {
-      if (Array.isArray(games)) {
-        propsCounts[sportKey] = games.length;
-        totalGames += games.length;
-        games.forEach(game => {
-          if (Array.isArray(game.props)) {
-            totalProps += game.props.length;
-          }
-        });
-      }
-    });
-
-    logger.debug(`[Upstream] betmgm-props-update received. ${totalProps} props from ${totalGames} games`, propsCounts);
-  } catch (e) {
-    logger.warn(`[Upstream] betmgm props debug log failed: ${e.message}`);
-  }
-
-  // Cache for new connections
-  latestBetMGMPropsData = data;
-
-  const payload = {
-    sports: data.sports || {},
-    timestamp: data.timestamp || new Date().toISOString(),
-  };
-
-  io.emit('betmgm-props-update', payload);
-  logger.info(`Broadcasted BetMGM props update to ${io.engine.clientsCount} clients`);
-}
-
-// Broadcast Caesars player props update to all connected clients
-function broadcastCaesarsPropsUpdate(data) {
-  try {
-    const sportsObj = data.sports || {};
-    const propsCounts = {};
-    let totalGames = 0;
-    let totalProps = 0;
-
-    Object.entries(sportsObj).forEach(([sportKey, games]) => {
-      if (Array.isArray(games)) {
-        propsCounts[sportKey] = games.length;
-        totalGames += games.length;
-        games.forEach(game => {
-          if (Array.isArray(game.props)) {
-            totalProps += game.props.length;
-          }
-        });
-      }
-    });
-
-    logger.debug(`[Upstream] caesars-props-update received. ${totalProps} props from ${totalGames} games`, propsCounts);
-  } catch (e) {
-    logger.warn(`[Upstream] caesars props debug log failed: ${e.message}`);
-  }
-
-  // Cache for new connections
-  latestCaesarsPropsData = data;
-
-  const payload = {
-    sports: data.sports || {},
-    timestamp: data.timestamp || new Date().toISOString(),
-  };
-
-  io.emit('caesars-props-update', payload);
-  logger.info(`Broadcasted Caesars props update to ${io.engine.clientsCount} clients`);
+  emitFeed('props-history-response', data, { feed: 'history', book: data.book, prices: true });
 }
 
 // -----------------------------------------------------------------------------
@@ -2334,6 +2669,7 @@ async function debugProbeHistory(latestSports) {
     pick('nfl') ||
     pick('nba') ||
     pick('nhl') ||
+    pick('mlb') ||
     pick('ncaab');
   if (!sample) return;
 
@@ -2372,15 +2708,167 @@ async function debugProbeHistory(latestSports) {
 }
 
 // Handle downstream client connections (Owls Insight frontend)
-io.on('connection', (socket) => {
-  logger.info(`Client connected: ${socket.id} (Total: ${io.engine.clientsCount})`);
-  logger.debug(`[Downstream] socket connected. query=${JSON.stringify(socket.handshake.query || {})}`);
+function handleDownstreamConnection(socket) {
+  const { owner, tier: connectTier } = socket.data.apiKeyInfo || {};
+  const encoding = socket.nsp.server === ioMsgpack ? 'msgpack' : 'json';
+  logger.info(`Client connected: ${socket.id} owner=${owner || 'unknown'} tier=${connectTier || 'unknown'} encoding=${encoding} (Total: ${downstreamClientCount()})`);
+
+  // Key info is read on use rather than captured, so admin changes to the key
+  // (tier, scopes, rotation) apply to this live socket
+  const keyInfo = () => socket.data.apiKeyInfo || {};
+
+  // Optional client capabilities, e.g. 'odds-delta'
+  const capabilities = socket.handshake.auth?.capabilities || socket.handshake.query?.capabilities || [];
+  socket.data.capabilities = new Set(
+    (Array.isArray(capabilities) ? capabilities : String(capabilities).split(',')).map((c) => String(c).trim()).filter(Boolean)
+  );
+  usageMeter.socketConnected(socket.id, socket.data.apiKeyInfo);
+
+  // Optional per-client cadence for live feeds (`auth: { throttleMs }`, ?throttleMs= or `set-throttle`)
+  socket.data.throttle = new BroadcastThrottle({
+    send: (eventName, payload) => {
+      socket.emit(eventName, payload);
+      usageMeter.recordBroadcast(keyInfo(), payloadBytes(payload));
+    },
+  });
+  // Release held updates as soon as a lagging client's buffer drains
+  socket.conn.on('drain', () => {
+    if (slowConsumers.isLagging(socket)) checkSlowConsumer(socket);
+  });
+  const handshakeThrottle = parseThrottleMs(socket.handshake.auth?.throttleMs ?? socket.handshake.query?.throttleMs);
+  if (handshakeThrottle.error) socket.emit('throttle-error', { success: false, error: handshakeThrottle.error });
+  else socket.data.throttle.setInterval(handshakeThrottle.intervalMs);
+
+  // Optional odds format for prices in odds, props and history events (`auth: { oddsFormat }`,
+  // ?oddsFormat= or `set-odds-format`); American by default
+  const handshakeOddsFormat = parseOddsFormat(socket.handshake.auth?.oddsFormat ?? socket.handshake.query?.oddsFormat);
+  if (handshakeOddsFormat.error) socket.emit('odds-format-error', { success: false, error: handshakeOddsFormat.error });
+  else socket.data.oddsFormat = handshakeOddsFormat.format;
+
+  // Emit a cached feed to this client, filtered to its tier and subscriptions.
+  // Returns the payload sent, or null if nothing was sent.
+  const emitFeedToSocket = (eventName, payload, feedOptions) => {
+    const { tier } = keyInfo();
+    const missing = entitlements.check(tier, { feed: feedOptions.feed, book: feedOptions.book });
+    if (missing) {
+      socket.emit('entitlement-error', { event: eventName, ...Entitlements.deniedPayload(tier, missing) });
+      return null;
+    }
+    const sequenced = feedOptions.seqFeed ? { ...payload, seq: feedLog.current(feedOptions.seqFeed) } : payload;
+    const socketPayload = buildSocketPayload(socket, sequenced, feedOptions);
+    if (!socketPayload) return null;
+    socket.emit(eventName, socketPayload);
+    usageMeter.recordBroadcast(keyInfo(), payloadBytes(socketPayload));
+    socket.data.throttle.markSent(eventName);
+    return socketPayload;
+  };
+
+  // Full odds state; also the base for delta-capable clients' next odds-delta
+  const sendOddsSnapshot = () => {
+    if (!latestOddsData) return;
+    const snapshot = {
+      sports: mergeScoresIntoSports(latestOddsData, latestScoresData),
+      openingLines: openingLines,
+      timestamp: new Date().toISOString(),
+      version: oddsVersion(),
+    };
+    const sent = emitFeedToSocket('odds-update', snapshot, ODDS_FEED);
+    if (sent) markOddsSnapshotSent(socket, sent.sports);
+  };
+
+  const sendScoresSnapshot = () => {
+    if (!latestScoresData) return;
+    emitFeedToSocket('scores-update', {
+      sports: latestScoresData.sports || {},
+      timestamp: latestScoresData.timestamp || new Date().toISOString(),
+    }, SCORES_FEED);
+  };
+
+  /**
+   * Catch the client up on sequenced feeds: { epoch, feeds: { odds: 41, scores: 17 } }
+   * holds the last seq it saw per feed. Missed messages still buffered are replayed
+   * in order; older gaps (or a different epoch) get the latest message as a snapshot.
+   */
+  const resumeFeeds = ({ epoch, feeds } = {}) => {
+    const sameEpoch = epoch === feedLog.epoch;
+    const result = {};
+    Object.entries(feeds && typeof feeds === 'object' ? feeds : {}).forEach(([feed, lastSeq]) => {
+      const { mode, entries } = feedLog.missedSince(feed, sameEpoch ? Number(lastSeq) : null);
+      let lastSent = null;
+      let sent = 0;
+      entries.forEach((entry) => {
+        const socketPayload = buildSocketPayload(socket, entry.payload, entry.feedOptions);
+        if (!socketPayload) return;
+        socket.emit(entry.eventName, socketPayload);
+        usageMeter.recordBroadcast(keyInfo(), payloadBytes(socketPayload));
+        socket.data.throttle.markSent(entry.eventName);
+        lastSent = socketPayload;
+        sent++;
+      });
+      if (feed === ODDS_FEED.seqFeed && lastSent) markOddsSnapshotSent(socket, lastSent.sports);
+      result[feed] = { mode, seq: feedLog.current(feed), sent };
+    });
+    return { success: true, epoch: feedLog.epoch, feeds: result };
+  };
+
+  // Join subscription rooms; returns an error message for invalid params
+  const applySubscription = (params) => {
+    const subscription = normalizeSubscription(params);
+    const invalidSports = subscription.sports.filter((sport) => !feedConfig.hasSport(sport));
+    if (invalidSports.length > 0) return `Invalid sport: ${invalidSports.join(', ')}`;
+    socket.join(subscriptionRooms(subscription));
+    return null;
+  };
+
+  // Optional subscription in the handshake, so the initial snapshot is already narrowed
+  const handshakeSubscription = socket.handshake.auth?.subscribe || {
+    sports: socket.handshake.query?.sports,
+    eventIds: socket.handshake.query?.eventIds,
+    books: socket.handshake.query?.books,
+  };
+  const handshakeError = applySubscription(handshakeSubscription);
+  if (handshakeError) socket.emit('subscription-error', { success: false, error: handshakeError });
+
+  // Narrow broadcasts to sports, events and books: { sports, eventIds, books }
+  socket.on('subscribe', (params = {}, ack) => {
+    const error = applySubscription(params);
+    const result = error
+      ? { success: false, error }
+      : { success: true, subscription: socketSubscription(socket) };
+    logger.debug(`[Downstream] ${socket.id} subscribe ${JSON.stringify(result)}`);
+    if (typeof ack === 'function') ack(result);
+    else socket.emit(error ? 'subscription-error' : 'subscribed', result);
+    if (error) return;
+
+    // Re-send snapshots narrowed to the new subscription
+    sendOddsSnapshot();
+    sendScoresSnapshot();
+  });
+
+  // Leave the given rooms, or all subscription rooms when called without params
+  // (which restores the receive-everything default)
+  socket.on('unsubscribe', (params, ack) => {
+    const current = socketSubscription(socket);
+    const target = params ? normalizeSubscription(params) : current;
+    subscriptionRooms(target).forEach((room) => socket.leave(room));
+    const result = { success: true, subscription: socketSubscription(socket) };
+    logger.debug(`[Downstream] ${socket.id} unsubscribe ${JSON.stringify(result)}`);
+    if (typeof ack === 'function') ack(result);
+    else socket.emit('subscribed', result);
+  });
 
   // Client wants live history updates for a drawer
   socket.on('watch-history', async (params = {}) => {
     const { eventId, book, market, hours } = params;
     if (!eventId || !book || !market) return;
 
+    const { tier } = keyInfo();
+    const missing = entitlements.check(tier, { feed: 'history', book });
+    if (missing) {
+      socket.emit('entitlement-error', { event: 'watch-history', ...Entitlements.deniedPayload(tier, missing) });
+      return;
+    }
+
     const key = `${eventId}|${book}|${market}|${hours || ''}`;
     logger.debug(`[Downstream] ${socket.id} watch-history ${key}`);
 
@@ -2389,8 +2877,8 @@ io.on('connection', (socket) => {
 
     const sendUpdate = async () => {
       try {
-        const data = await fetchCombinedHistory({ eventId, book, market, hours });
-        socket.emit('history-update', data);
+        const data = await fetchCombinedHistory({ eventId, book, market, hours, clientApiKey: keyInfo().apiKey });
+        socket.emit('history-update', convertOdds(data, socketOddsFormat(socket)));
       } catch (e) {
         socket.emit('history-update', { success: false, error: e.message, data: { eventId, book, market } });
       }
@@ -2406,7 +2894,18 @@ io.on('connection', (socket) => {
     const { eventId, books, market, hours } = params;
     if (!eventId || !Array.isArray(books) || books.length === 0 || !market) return;
 
-    const uniqBooks = Array.from(new Set(books.map((b) => String(b).trim()).filter(Boolean))).sort();
+    const { tier } = keyInfo();
+    const missing = entitlements.check(tier, { feed: 'history' });
+    if (missing) {
+      socket.emit('entitlement-error', { event: 'watch-history-multi', ...Entitlements.deniedPayload(tier, missing) });
+      return;
+    }
+
+    // Silently drop books the tier is not entitled to
+    const uniqBooks = Array.from(new Set(books.map((b) => String(b).trim()).filter(Boolean)))
+      .filter((b) => !entitlements.check(tier, { feed: 'history', book: b }))
+      .sort();
+    if (uniqBooks.length === 0) return;
     const key = `${eventId}|multi|${uniqBooks.join(',')}|${market}|${hours || ''}`;
     logger.debug(`[Downstream] ${socket.id} watch-history-multi ${key}`);
 
@@ -2415,7 +2914,7 @@ io.on('connection', (socket) => {
 
     const sendUpdate = async () => {
       const settled = await Promise.allSettled(
-        uniqBooks.map((book) => fetchCombinedHistory({ eventId, book, market, hours }))
+        uniqBooks.map((book) => fetchCombinedHistory({ eventId, book, market, hours, clientApiKey: keyInfo().apiKey }))
       );
 
       const byBook = {};
@@ -2431,7 +2930,7 @@ io.on('connection', (socket) => {
         }
       });
 
-      socket.emit('history-multi-update', {
+      socket.emit('history-multi-update', convertOdds({
         success: true,
         data: {
           eventId,
@@ -2441,7 +2940,7 @@ io.on('connection', (socket) => {
           byBook,
           errors: Object.keys(errors).length > 0 ? errors : undefined,
         },
-      });
+      }, socketOddsFormat(socket)));
     };
 
     await sendUpdate();
@@ -2454,29 +2953,70 @@ io.on('connection', (socket) => {
     logger.debug(`[Downstream] ${socket.id} unwatch-history`);
   });
 
+  // Change this client's live feed cadence: { throttleMs } (0 turns throttling off)
+  socket.on('set-throttle', (params = {}, ack) => {
+    const { intervalMs, error } = parseThrottleMs(typeof params === 'object' ? params?.throttleMs : params);
+    if (!error) socket.data.throttle.setInterval(intervalMs);
+    const result = error ? { success: false, error } : { success: true, throttleMs: intervalMs };
+    logger.debug(`[Downstream] ${socket.id} set-throttle ${JSON.stringify(result)}`);
+    if (typeof ack === 'function') ack(result);
+    else socket.emit(error ? 'throttle-error' : 'throttle-set', result);
+  });
+
+  // Change the odds format of this client's prices: { oddsFormat }. The odds
+  // snapshot is re-sent in the new format (and is the base for further deltas).
+  socket.on('set-odds-format', (params = {}, ack) => {
+    const { format, error } = parseOddsFormat(typeof params === 'object' ? params?.oddsFormat : params);
+    const changed = !error && format !== socketOddsFormat(socket);
+    if (!error) socket.data.oddsFormat = format;
+    const result = error ? { success: false, error } : { success: true, oddsFormat: format };
+    logger.debug(`[Downstream] ${socket.id} set-odds-format ${JSON.stringify(result)}`);
+    if (typeof ack === 'function') ack(result);
+    else socket.emit(error ? 'odds-format-error' : 'odds-format-set', result);
+    if (changed) sendOddsSnapshot();
+  });
+
+  // Resume sequenced feeds after a reconnect: { epoch, feeds: { feed: lastSeq } }
+  socket.on('resume', (params = {}, ack) => {
+    const result = resumeFeeds(params);
+    logger.debug(`[Downstream] ${socket.id} resume ${JSON.stringify(result)}`);
+    if (typeof ack === 'function') ack(result);
+    else socket.emit('resumed', result);
+  });
+
+  socket.emit('server-status', serverStatusPayload());
+
+  // Feeds this client uses that are already stale
+  feedFreshness.staleFeeds().forEach((key) => {
+    const change = { key, ...FeedFreshness.parse(key), ...feedFreshness.status(key) };
+    if (socketUsesFeed(socket, change)) socket.emit('feed-stale', feedStalePayload(change));
+  });
+
+  // Current sequence numbers, so clients know where they start
+  socket.emit('sequences', { epoch: feedLog.epoch, feeds: feedLog.sequences() });
+
+  // A reconnecting client can pass `auth: { resume: { epoch, feeds } }` to be
+  // caught up on those feeds instead of receiving full snapshots
+  const handshakeResume = socket.handshake.auth?.resume;
+  const resumedFeeds = new Set(Object.keys(handshakeResume?.feeds || {}));
+  if (handshakeResume) socket.emit('resumed', resumeFeeds(handshakeResume));
+
   // Send latest data immediately on connect
-  if (latestOddsData) {
+  if (latestOddsData && !resumedFeeds.has(ODDS_FEED.seqFeed)) {
     logger.debug(`[Downstream] sending cached odds to ${socket.id}`);
     if (process.env.DEBUG_OWLS_INSIGHT === 'true') {
       const keys = latestOddsData && typeof latestOddsData === 'object' ? Object.keys(latestOddsData) : [];
       // eslint-disable-next-line no-console
       console.log('[DEBUG_OWLS_INSIGHT] sending cached odds on connect. keys:', keys);
     }
-    socket.emit('odds-update', {
-      sports: mergeScoresIntoSports(latestOddsData, latestScoresData),
-      openingLines: openingLines,
-      timestamp: new Date().toISOString(),
-    });
+    sendOddsSnapshot();
     logger.debug(`Sent cached odds to new client: ${socket.id}`);
   }
 
   // Send latest live scores immediately on connect
-  if (latestScoresData) {
+  if (latestScoresData && !resumedFeeds.has(SCORES_FEED.seqFeed)) {
     logger.debug(`[Downstream] sending cached scores to ${socket.id}`);
-    socket.emit('scores-update', {
-      sports: latestScoresData.sports || {},
-      timestamp: latestScoresData.timestamp || new Date().toISOString(),
-    });
+    sendScoresSnapshot();
     logger.debug(`Sent cached scores to new client: ${socket.id}`);
   }
 
@@ -2485,11 +3025,7 @@ io.on('connection', (socket) => {
     logger.debug(`Client ${socket.id} requested odds refresh`);
     if (latestOddsData) {
       logger.debug(`[Downstream] re-sending cached odds to ${socket.id}`);
-      socket.emit('odds-update', {
-        sports: mergeScoresIntoSports(latestOddsData, latestScoresData),
-        openingLines: openingLines,
-        timestamp: new Date().toISOString(),
-      });
+      sendOddsSnapshot();
     }
   });
 
@@ -2498,59 +3034,22 @@ io.on('connection', (socket) => {
     logger.debug(`Client ${socket.id} requested scores refresh`);
     if (latestScoresData) {
       logger.debug(`[Downstream] re-sending cached scores to ${socket.id}`);
-      socket.emit('scores-update', {
-        sports: latestScoresData.sports || {},
-        timestamp: latestScoresData.timestamp || new Date().toISOString(),
-      });
-    }
-  });
-
-  // Handle manual props refresh request from client
-  socket.on('request-props', () => {
-    logger.debug(`Client ${socket.id} requested props refresh`);
-    if (latestPropsData) {
-      logger.debug(`[Downstream] re-sending cached props to ${socket.id}`);
-      socket.emit('player-props-update', {
-        sports: latestPropsData.sports || {},
-        timestamp: latestPropsData.timestamp || new Date().toISOString(),
-      });
-    }
-  });
-
-  // Handle manual Bet365 props refresh request from client
-  socket.on('request-bet365-props', () => {
-    logger.debug(`Client ${socket.id} requested Bet365 props refresh`);
-    if (latestBet365PropsData) {
-      logger.debug(`[Downstream] re-sending cached Bet365 props to ${socket.id}`);
-      socket.emit('bet365-props-update', {
-        sports: latestBet365PropsData.sports || {},
-        timestamp: latestBet365PropsData.timestamp || new Date().toISOString(),
-      });
-    }
-  });
-
-  // Handle manual FanDuel props refresh request from client
-  socket.on('request-fanduel-props', () => {
-    logger.debug(`Client ${socket.id} requested FanDuel props refresh`);
-    if (latestFanDuelPropsData) {
-      logger.debug(`[Downstream] re-sending cached FanDuel props to ${socket.id}`);
-      socket.emit('fanduel-props-update', {
-        sports: latestFanDuelPropsData.sports || {},
-        timestamp: latestFanDuelPropsData.timestamp || new Date().toISOString(),
-      });
+      sendScoresSnapshot();
     }
   });
 
-  // Handle manual DraftKings props refresh request from client
-  socket.on('request-draftkings-props', () => {
-    logger.debug(`Client ${socket.id} requested DraftKings props refresh`);
-    if (latestDraftKingsPropsData) {
-      logger.debug(`[Downstream] re-sending cached DraftKings props to ${socket.id}`);
-      socket.emit('draftkings-props-update', {
-        sports: latestDraftKingsPropsData.sports || {},
-        timestamp: latestDraftKingsPropsData.timestamp || new Date().toISOString(),
-      });
-    }
+  // Handle manual props refresh requests from client (one event per props feed)
+  propsFeeds.all().forEach((feed) => {
+    socket.on(feed.refreshEvent, () => {
+      logger.debug(`Client ${socket.id} requested ${feed.name} props refresh`);
+      const cached = propsFeeds.latest(feed.book);
+      if (!cached) return;
+      logger.debug(`[Downstream] re-sending cached ${feed.name} props to ${socket.id}`);
+      emitFeedToSocket(feed.downstreamEvent, {
+        sports: cached.sports || {},
+        timestamp: cached.timestamp || new Date().toISOString(),
+      }, propsFeed(feed));
+    });
   });
 
   // Handle props history request from client (forward upstream)
@@ -2599,6 +3098,16 @@ io.on('connection', (socket) => {
       return;
     }
 
+    const { tier, apiKey: clientApiKey } = keyInfo();
+    const missing = entitlements.check(tier, { feed: 'history', book });
+    if (missing) {
+      socket.emit('props-history-response', {
+        requestId,
+        ...Entitlements.deniedPayload(tier, missing),
+      });
+      return;
+    }
+
     propsHistoryRequests.set(requestId, { socketId: socket.id, createdAt: Date.now() });
 
     const forwarded = upstreamConnector?.emit('request-props-history', {
@@ -2608,6 +3117,7 @@ io.on('connection', (socket) => {
       category,
       book,
       hours,
+      apiKey: clientApiKey,
     });
 
     if (!forwarded) {
@@ -2620,30 +3130,6 @@ io.on('connection', (socket) => {
     }
   });
 
-  // Handle manual BetMGM props refresh request from client
-  socket.on('request-betmgm-props', () => {
-    logger.debug(`Client ${socket.id} requested BetMGM props refresh`);
-    if (latestBetMGMPropsData) {
-      logger.debug(`[Downstream] re-sending cached BetMGM props to ${socket.id}`);
-      socket.emit('betmgm-props-update', {
-        sports: latestBetMGMPropsData.sports || {},
-        timestamp: latestBetMGMPropsData.timestamp || new Date().toISOString(),
-      });
-    }
-  });
-
-  // Handle manual Caesars props refresh request from client
-  socket.on('request-caesars-props', () => {
-    logger.debug(`Client ${socket.id} requested Caesars props refresh`);
-    if (latestCaesarsPropsData) {
-      logger.debug(`[Downstream] re-sending cached Caesars props to ${socket.id}`);
-      socket.emit('caesars-props-update', {
-        sports: latestCaesarsPropsData.sports || {},
-        timestamp: latestCaesarsPropsData.timestamp || new Date().toISOString(),
-      });
-    }
-  });
-
   // Handle client disconnect
   socket.on('disconnect', (reason) => {
     clearSocketWatchers(socket.id);
@@ -2651,12 +3137,17 @@ io.on('connection', (socket) => {
       if (value.socketId === socket.id) propsHistoryRequests.delete(key);
     });
     propsHistoryRateLimits.delete(socket.id);
-    logger.info(`Client disconnected: ${socket.id} (Reason: ${reason}, Remaining: ${io.engine.clientsCount})`);
+    socket.data.throttle.stop();
+    slowConsumers.forget(socket);
+    usageMeter.socketDisconnected(socket.id);
+    logger.info(`Client disconnected: ${socket.id} (Reason: ${reason}, Remaining: ${downstreamClientCount()})`);
   });
-});
+}
+
+downstreamServers.forEach((srv) => srv.on('connection', handleDownstreamConnection));
 
 // Start the server
-server.listen(PORT, () => {
+server.listen(PORT, async () => {
   logger.info('='.repeat(50));
   logger.info('OWLS INSIGHT SERVER');
   logger.info('='.repeat(50));
@@ -2664,25 +3155,39 @@ server.listen(PORT, () => {
   logger.info(`CORS Origin: ${CORS_ORIGIN}`);
   logger.info('='.repeat(50));
 
+  // Offline development: serve the upstream feed and REST API from synthetic data
+  let endpoints;
+  if (process.env.MOCK_UPSTREAM === 'true') {
+    try {
+      mockUpstream = new MockUpstream();
+      const url = await mockUpstream.start();
+      endpoints = [{ name: 'mock', url, apiKey: process.env.OWLS_INSIGHT_SERVER_API_KEY || 'mock' }];
+      logger.info(`Using bundled mock upstream at ${url}`);
+    } catch (e) {
+      logger.error(`Failed to start mock upstream: ${e.message}`);
+    }
+  }
+
   // Initialize upstream WebSocket connection
   // TODO: Configure UPSTREAM_WS_URL and OWLS_INSIGHT_SERVER_API_KEY in .env
   // TODO: Create the connection to the upstream odds provider server
   upstreamConnector = new UpstreamConnector({
+    endpoints,
+    feedConfig,
     onOddsUpdate: broadcastOddsUpdate,
     onScoresUpdate: broadcastScoresUpdate,
+    feedRegistry: propsFeeds,
+    validator: payloadValidator,
     onPropsUpdate: broadcastPropsUpdate,
-    onBet365PropsUpdate: broadcastBet365PropsUpdate,
-    onFanDuelPropsUpdate: broadcastFanDuelPropsUpdate,
-    onDraftKingsPropsUpdate: broadcastDraftKingsPropsUpdate,
-    onBetMGMPropsUpdate: broadcastBetMGMPropsUpdate,
-    onCaesarsPropsUpdate: broadcastCaesarsPropsUpdate,
     onPropsHistoryResponse: broadcastPropsHistoryResponse,
     onConnect: () => logger.info('Upstream connected'),
     onDisconnect: (reason) => logger.warn(`Upstream disconnected: ${reason}`),
     onError: (error) => logger.error(`Upstream error: ${error.message}`),
+    onStatusChange: broadcastServerStatus,
   });
 
   upstreamConnector.connect();
+  feedFreshness.start();
 });
 
 // Graceful shutdown
@@ -2691,6 +3196,10 @@ process.on('SIGTERM', () => {
   if (upstreamConnector) {
     upstreamConnector.disconnect();
   }
+  if (mockUpstream) {
+    mockUpstream.stop();
+  }
+  ioMsgpack.close();
   io.close(() => {
     server.close(() => {
       logger.info('Server closed');
@@ -2704,6 +3213,10 @@ process.on('SIGINT', () => {
   if (upstreamConnector) {
     upstreamConnector.disconnect();
   }
+  if (mockUpstream) {
+    mockUpstream.stop();
+  }
+  ioMsgpack.close();
   io.close(() => {
     server.close(() => {
       logger.info('Server closed');
@@ -2712,4 +3225,4 @@ process.on('SIGINT', () => {
   });
 });
 
-module.exports = { app, io };
+module.exports = { app, io, ioMsgpack };
@@ -0,0 +1,115 @@
+const logger = require('../utils/logger');
+const ApiKeyStore = require('../services/apiKeyStore');
+
+// Paths that never require an API key (K8s probes, rainbow deployment tooling)
+const DEFAULT_EXEMPT_PATHS = ['/health', /^\/internal\//];
+
+/**
+ * Extract the API key from an Express request.
+ * Accepts `Authorization: Bearer <key>`, `X-API-Key: <key>` or `?apiKey=<key>`.
+ */
+function extractApiKey(req) {
+  const authHeader = req.headers?.authorization || '';
+  const bearer = authHeader.match(/^Bearer\s+(.+)$/i);
+  if (bearer) return bearer[1].trim();
+
+  const headerKey = req.headers?.['x-api-key'];
+  if (headerKey) return String(headerKey).trim();
+
+  const queryKey = req.query?.apiKey;
+  if (queryKey) return String(queryKey).trim();
+
+  return null;
+}
+
+/**
+ * Extract the API key from a Socket.IO handshake.
+ * Accepts `auth.apiKey` / `auth.token`, `?apiKey=` in the query, or the same
+ * Authorization / X-API-Key headers as REST.
+ */
+function extractSocketApiKey(socket) {
+  const handshake = socket.handshake || {};
+  const authKey = handshake.auth?.apiKey || handshake.auth?.token;
+  if (authKey) return String(authKey).trim();
+
+  const queryKey = handshake.query?.apiKey;
+  if (queryKey) return String(queryKey).trim();
+
+  return extractApiKey({ headers: handshake.headers });
+}
+
+function isExempt(pathname, exemptPaths) {
+  return exemptPaths.some((rule) => (
+    rule instanceof RegExp ? rule.test(pathname) : pathname === rule
+  ));
+}
+
+/**
+ * Create Express middleware that validates the caller's API key against the
+ * key store and attaches `req.apiKeyInfo` ({ id, apiKey, owner, tier, scopes }).
+ * Keys restricted to allowedOrigins are rejected when the Origin header does not match.
+ * @param {Object} options
+ * @param {ApiKeyStore} options.keyStore - Store used to validate keys
+ * @param {Array<string|RegExp>} [options.exemptPaths] - Paths that skip auth
+ */
+function createAuthMiddleware({ keyStore, exemptPaths = DEFAULT_EXEMPT_PATHS }) {
+  return (req, res, next) => {
+    if (isExempt(req.path, exemptPaths)) return next();
+
+    const result = keyStore.validate(extractApiKey(req), { origin: req.headers.origin });
+    if (!result.ok) {
+      logger.debug(`[Auth] ${req.method} ${req.path} rejected: ${result.code}`);
+      return res.status(result.status).json({ success: false, error: result.error, code: result.code });
+    }
+
+    const { id, key, owner, tier, scopes } = result.record;
+    req.apiKeyInfo = { id, apiKey: key, owner, tier, scopes };
+    return next();
+  };
+}
+
+/**
+ * Create Socket.IO middleware that validates the handshake API key and stores
+ * the key info on `socket.data.apiKeyInfo`. Rejected clients receive a
+ * `connect_error` whose `data` is { code, status }.
+ * @param {Object} options
+ * @param {ApiKeyStore} options.keyStore - Store used to validate keys
+ */
+function createSocketAuthMiddleware({ keyStore }) {
+  return (socket, next) => {
+    const result = keyStore.validate(extractSocketApiKey(socket), { origin: socket.handshake.headers?.origin });
+    if (!result.ok) {
+      logger.debug(`[Auth] socket ${socket.id} rejected: ${result.code}`);
+      const err = new Error(result.error);
+      err.data = { code: result.code, status: result.status };
+      return next(err);
+    }
+
+    const { id, key, owner, tier, scopes } = result.record;
+    socket.data.apiKeyInfo = { id, apiKey: key, owner, tier, scopes };
+    return next();
+  };
+}
+
+/**
+ * Require a scope on the authenticated key (use after createAuthMiddleware)
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!req.apiKeyInfo) {
+      return res.status(401).json({ success: false, error: 'API key required', code: 'missing_api_key' });
+    }
+    if (!ApiKeyStore.hasScope(req.apiKeyInfo, scope)) {
+      return res.status(403).json({ success: false, error: `API key lacks scope: ${scope}`, code: 'insufficient_scope' });
+    }
+    return next();
+  };
+}
+
+module.exports = {
+  extractApiKey,
+  extractSocketApiKey,
+  createAuthMiddleware,
+  createSocketAuthMiddleware,
+  requireScope,
+};
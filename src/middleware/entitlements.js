@@ -0,0 +1,26 @@
+const logger = require('../utils/logger');
+const Entitlements = require('../services/entitlements');
+
+/**
+ * Create Express middleware that rejects requests the caller's tier is not
+ * entitled to with a 403 naming the missing entitlement. The resolved request
+ * is kept on `req.feedRequest` for later middleware.
+ * @param {Entitlements} entitlements - Tier entitlements model
+ * @param {Function} resolve - (req) => { feed, sport, book } describing the request
+ */
+function requireEntitlement(entitlements, resolve) {
+  return (req, res, next) => {
+    const tier = req.apiKeyInfo?.tier;
+    req.feedRequest = resolve(req) || {};
+    const missing = entitlements.check(tier, req.feedRequest);
+    if (missing) {
+      logger.debug(`[Entitlements] ${req.method} ${req.path} denied for tier ${tier}: ${missing.type}=${missing.value}`);
+      return res.status(403).json(Entitlements.deniedPayload(tier, missing));
+    }
+    return next();
+  };
+}
+
+module.exports = {
+  requireEntitlement,
+};
@@ -0,0 +1,24 @@
+/**
+ * Create Express middleware that adds `freshness` to successful responses
+ * served from the live feed cache (`cached: true` at the top level or in `meta`).
+ * @param {Object} options
+ * @param {Function} options.freshnessFor - (req) => freshness object, or null to add nothing;
+ *   called when the response is sent, after route middleware has run
+ */
+function createFreshnessMiddleware({ freshnessFor }) {
+  return (req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (body?.success && (body.cached === true || body.meta?.cached === true)) {
+        const freshness = freshnessFor(req);
+        if (freshness) return json({ ...body, freshness });
+      }
+      return json(body);
+    };
+    next();
+  };
+}
+
+module.exports = {
+  createFreshnessMiddleware,
+};
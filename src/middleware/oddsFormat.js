@@ -0,0 +1,26 @@
+const { parseOddsFormat, convertOdds, DEFAULT_ODDS_FORMAT } = require('../services/oddsFormat');
+
+/**
+ * Create Express middleware for the `oddsFormat` query parameter: rejects
+ * unknown formats with 400, then converts the prices of successful responses
+ * and reports the format used (`oddsFormat`). American odds pass through unchanged.
+ */
+function createOddsFormatMiddleware() {
+  return (req, res, next) => {
+    const { format, error } = parseOddsFormat(req.query.oddsFormat);
+    if (error) return res.status(400).json({ success: false, error });
+
+    req.oddsFormat = format;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (!body?.success) return json(body);
+      const converted = format === DEFAULT_ODDS_FORMAT ? body : convertOdds(body, format);
+      return json({ ...converted, oddsFormat: format });
+    };
+    next();
+  };
+}
+
+module.exports = {
+  createOddsFormatMiddleware,
+};
@@ -0,0 +1,54 @@
+const logger = require('../utils/logger');
+
+/**
+ * Create Express middleware that rate limits by API key and sets X-RateLimit-*
+ * headers. Rejected requests get 429 with Retry-After. Mount it after auth,
+ * which rejects requests without a valid key. Buckets are keyed by the key
+ * record id, so rotating a key's secret keeps its bucket and daily quota.
+ * @param {Object} options
+ * @param {RateLimiter} options.rateLimiter - Limiter holding per-tier limits and the store
+ */
+function createRateLimitMiddleware({ rateLimiter }) {
+  return async (req, res, next) => {
+    const keyId = req.apiKeyInfo?.id;
+    // Only routes exempt from auth arrive without a key
+    if (!keyId) return next();
+    const id = `key:${keyId}`;
+
+    let result;
+    try {
+      result = await rateLimiter.consume(id, req.apiKeyInfo?.tier);
+    } catch (e) {
+      // Fail open: a broken shared store should not take the API down
+      logger.error(`Rate limiter store error: ${e.message}`);
+      return next();
+    }
+
+    const { limits } = result;
+    res.set('X-RateLimit-Limit', String(limits.capacity));
+    res.set('X-RateLimit-Remaining', String(result.remaining));
+    res.set('X-RateLimit-Reset', String(Math.ceil((Date.now() + result.resetMs) / 1000)));
+    if (limits.dailyQuota != null) {
+      res.set('X-RateLimit-Daily-Limit', String(limits.dailyQuota));
+      res.set('X-RateLimit-Daily-Remaining', String(Math.max(0, limits.dailyQuota - result.dailyUsed)));
+    }
+
+    if (!result.allowed) {
+      const retryAfter = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+      res.set('Retry-After', String(retryAfter));
+      logger.debug(`[RateLimit] ${keyId} ${req.method} ${req.path} rejected (${result.quotaExceeded ? 'quota' : 'rate'})`);
+      return res.status(429).json({
+        success: false,
+        error: result.quotaExceeded ? 'Daily quota exceeded' : 'Rate limit exceeded, try again later',
+        code: result.quotaExceeded ? 'quota_exceeded' : 'rate_limited',
+        retryAfter,
+      });
+    }
+
+    return next();
+  };
+}
+
+module.exports = {
+  createRateLimitMiddleware,
+};
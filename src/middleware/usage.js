@@ -0,0 +1,22 @@
+/**
+ * Create Express middleware that meters each REST call (per key, route and sport)
+ * once the response has been sent.
+ * @param {Object} options
+ * @param {UsageMeter} options.usageMeter - Meter to record into
+ */
+function createUsageMiddleware({ usageMeter }) {
+  return (req, res, next) => {
+    res.on('finish', () => {
+      usageMeter.recordRequest(req.apiKeyInfo, {
+        route: req.route?.path || 'unrouted',
+        sport: req.params?.sport || null,
+        status: res.statusCode,
+      });
+    });
+    next();
+  };
+}
+
+module.exports = {
+  createUsageMiddleware,
+};
@@ -0,0 +1,484 @@
+/**
+ * MockSlate - Synthetic games, odds, live scores and player props for the mock
+ * upstream. Everything is generated from a seed, so the same seed produces the
+ * same slate. Each tick() moves lines, advances live games and updates props.
+ */
+
+const { DEFAULT_BOOKS: ODDS_BOOKS, PROPS_BOOKS } = require('../services/feedConfig');
+
+const BOOK_TITLES = {
+  pinnacle: 'Pinnacle',
+  fanduel: 'FanDuel',
+  draftkings: 'DraftKings',
+  betmgm: 'BetMGM',
+  bet365: 'Bet365',
+  caesars: 'Caesars',
+  kalshi: 'Kalshi',
+};
+
+// Sharp books hang lower margins
+const BOOK_VIG = { pinnacle: 0.025, kalshi: 0.02 };
+const DEFAULT_VIG = 0.045;
+
+// Game seconds simulated per tick
+const GAME_SECONDS_PER_TICK = 30;
+
+const SPORTS = {
+  nba: {
+    teams: [['BOS', 'Boston Celtics'], ['SAC', 'Sacramento Kings'], ['LAL', 'Los Angeles Lakers'], ['MIA', 'Miami Heat'], ['DEN', 'Denver Nuggets'], ['NYK', 'New York Knicks'], ['GSW', 'Golden State Warriors'], ['MIL', 'Milwaukee Bucks']],
+    periods: 4, periodSeconds: 12 * 60, periodLabel: 'Q', total: 226, spreadRange: 9,
+    score: (rand) => (rand() < 0.5 ? [2, 2, 3, 1][Math.floor(rand() * 4)] : 0),
+    props: { points: 21.5, rebounds: 7.5, assists: 5.5, threes: 2.5 },
+  },
+  ncaab: {
+    teams: [['DUKE', 'Duke Blue Devils'], ['UNC', 'North Carolina Tar Heels'], ['KU', 'Kansas Jayhawks'], ['UK', 'Kentucky Wildcats'], ['GONZ', 'Gonzaga Bulldogs'], ['DEL', 'Delaware Blue Hens']],
+    periods: 2, periodSeconds: 20 * 60, periodLabel: 'H', total: 146, spreadRange: 11,
+    score: (rand) => (rand() < 0.4 ? [2, 2, 3, 1][Math.floor(rand() * 4)] : 0),
+    props: { points: 14.5, rebounds: 6.5, assists: 3.5 },
+  },
+  nfl: {
+    teams: [['KC', 'Kansas City Chiefs'], ['BUF', 'Buffalo Bills'], ['PHI', 'Philadelphia Eagles'], ['DAL', 'Dallas Cowboys'], ['SF', 'San Francisco 49ers'], ['DET', 'Detroit Lions']],
+    periods: 4, periodSeconds: 15 * 60, periodLabel: 'Q', total: 46.5, spreadRange: 7,
+    score: (rand) => { const r = rand(); return r < 0.03 ? 7 : r < 0.05 ? 3 : 0; },
+    props: { passing_yards: 245.5, rushing_yards: 62.5, receiving_yards: 54.5, receptions: 4.5 },
+  },
+  nhl: {
+    teams: [['PHI', 'Philadelphia Flyers'], ['UTA', 'Utah Mammoth'], ['BOS', 'Boston Bruins'], ['NYR', 'New York Rangers'], ['TOR', 'Toronto Maple Leafs'], ['EDM', 'Edmonton Oilers']],
+    periods: 3, periodSeconds: 20 * 60, periodLabel: 'P', total: 6, spreadRange: 1.5, fixedLine: true,
+    score: (rand) => (rand() < 0.025 ? 1 : 0),
+    props: { goals: 0.5, assists: 0.5, shots: 2.5 },
+  },
+  ncaaf: {
+    teams: [['ALA', 'Alabama Crimson Tide'], ['UGA', 'Georgia Bulldogs'], ['OSU', 'Ohio State Buckeyes'], ['MICH', 'Michigan Wolverines'], ['TEX', 'Texas Longhorns'], ['ORE', 'Oregon Ducks']],
+    periods: 4, periodSeconds: 15 * 60, periodLabel: 'Q', total: 52.5, spreadRange: 14,
+    score: (rand) => { const r = rand(); return r < 0.035 ? 7 : r < 0.055 ? 3 : 0; },
+    props: { passing_yards: 235.5, rushing_yards: 74.5, receiving_yards: 58.5 },
+  },
+  // Periods are innings: the away team bats in the first half of each, the home team in the second
+  mlb: {
+    teams: [['NYY', 'New York Yankees'], ['LAD', 'Los Angeles Dodgers'], ['BOS', 'Boston Red Sox'], ['HOU', 'Houston Astros'], ['ATL', 'Atlanta Braves'], ['SEA', 'Seattle Mariners']],
+    periods: 9, periodSeconds: 12 * 60, periodLabel: 'Inn', total: 8.5, spreadRange: 1.5, fixedLine: true, innings: true,
+    score: (rand) => (rand() < 0.03 ? [1, 1, 1, 2, 3][Math.floor(rand() * 5)] : 0),
+    props: { strikeouts: 5.5, hits: 0.5, home_runs: 0.5, rbis: 0.5, total_bases: 1.5 },
+  },
+};
+
+const ORDINALS = ['th', 'st', 'nd', 'rd'];
+const ordinal = (n) => `${n}${(n % 100 >= 11 && n % 100 <= 13) ? 'th' : ORDINALS[n % 10] || 'th'}`;
+
+const FIRST_NAMES = ['Jaylen', 'Marcus', 'Tyler', 'Jordan', 'Cole', 'Derrick', 'Andre', 'Miles', 'Trey', 'Devin', 'Caleb', 'Isaiah'];
+const LAST_NAMES = ['Brown', 'Johnson', 'Carter', 'Williams', 'Reed', 'Hayes', 'Brooks', 'Morgan', 'Foster', 'Price', 'Bennett', 'Ellis'];
+
+// mulberry32: small seeded PRNG
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const clamp = (v, min, max) => Math.min(max, Math.max(min, v));
+const roundHalf = (v) => Math.round(v * 2) / 2;
+
+// Win probability -> American odds
+function americanFromProb(p) {
+  const prob = clamp(p, 0.01, 0.99);
+  return prob >= 0.5 ? -Math.round((100 * prob) / (1 - prob)) : Math.round((100 * (1 - prob)) / prob);
+}
+
+// Prices for a two-way market with the book's margin split across both sides
+function twoWay(p, vig) {
+  return [americanFromProb(p + vig / 2), americanFromProb(1 - p + vig / 2)];
+}
+
+const yyyymmdd = (date) => date.toISOString().slice(0, 10).replace(/-/g, '');
+
+class MockSlate {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.seed=1] - PRNG seed
+   * @param {string[]} [options.sports] - Sports to generate (default: all built-in)
+   * @param {number} [options.gamesPerSport=3]
+   * @param {number} [options.now] - Slate start time (epoch ms)
+   */
+  constructor(options = {}) {
+    this.rand = createRandom(options.seed ?? 1);
+    this.sports = (options.sports || Object.keys(SPORTS)).filter((sport) => SPORTS[sport]);
+    this.gamesPerSport = options.gamesPerSport || 3;
+    this.startedAt = options.now || Date.now();
+    this.ticks = 0;
+
+    // sport -> games
+    this.games = {};
+    this.sports.forEach((sport) => {
+      this.games[sport] = this.createGames(sport);
+    });
+  }
+
+  createGames(sport) {
+    const def = SPORTS[sport];
+    const games = [];
+    for (let i = 0; i < this.gamesPerSport && i * 2 + 1 < def.teams.length; i++) {
+      const [awayAbbr, away] = def.teams[i * 2];
+      const [homeAbbr, home] = def.teams[i * 2 + 1];
+      // The first game of each sport is already live; the rest start over the next hours
+      const commence = new Date(this.startedAt + (i === 0 ? -20 * 60 * 1000 : i * 90 * 60 * 1000));
+      // NHL game IDs use full team names
+      const idTeams = sport === 'nhl' ? `${away}@${home}` : `${awayAbbr}@${homeAbbr}`;
+      const homeWinProb = clamp(0.5 + (this.rand() - 0.5) * 0.5, 0.15, 0.85);
+      const spread = def.fixedLine ? -1.5 : roundHalf(-(homeWinProb - 0.5) * 2 * def.spreadRange) || -0.5;
+
+      const game = {
+        id: `${sport}:${idTeams}-${yyyymmdd(commence)}`,
+        sport,
+        home,
+        away,
+        homeAbbr,
+        awayAbbr,
+        commenceTime: commence.toISOString(),
+        homeWinProb,
+        spread,
+        total: roundHalf(def.total + (this.rand() - 0.5) * def.total * 0.06),
+        status: i === 0 ? 'live' : 'scheduled',
+        period: i === 0 ? 1 : 0,
+        clockSeconds: def.periodSeconds,
+        homeScore: 0,
+        awayScore: 0,
+        // Per-book deviation from the market, so books disagree a little
+        books: Object.fromEntries(ODDS_BOOKS.map((book) => [book, {
+          prob: book === 'pinnacle' ? 0 : (this.rand() - 0.5) * 0.04,
+          point: book === 'pinnacle' || this.rand() < 0.6 ? 0 : (this.rand() < 0.5 ? -0.5 : 0.5),
+        }])),
+        players: this.createPlayers(sport),
+        history: [],
+      };
+      game.opening = this.marketLines(game, 'pinnacle');
+      games.push(game);
+    }
+    return games;
+  }
+
+  createPlayers(sport) {
+    const def = SPORTS[sport];
+    const players = [];
+    ['away', 'home'].forEach((side) => {
+      for (let i = 0; i < 3; i++) {
+        const name = `${FIRST_NAMES[Math.floor(this.rand() * FIRST_NAMES.length)]} ${LAST_NAMES[Math.floor(this.rand() * LAST_NAMES.length)]}`;
+        const lines = {};
+        Object.entries(def.props).forEach(([category, base]) => {
+          const scale = base < 1 ? 0 : base * (0.4 - i * 0.12);
+          lines[category] = { line: Math.max(0.5, roundHalf(base + (this.rand() - 0.5) * scale)), overProb: 0.5 };
+        });
+        players.push({ name, side, lines });
+      }
+    });
+    return players;
+  }
+
+  /**
+   * One book's current lines for a game
+   */
+  marketLines(game, book) {
+    const def = SPORTS[game.sport];
+    const shift = game.books[book];
+    const vig = BOOK_VIG[book] ?? DEFAULT_VIG;
+    const p = clamp(game.homeWinProb + shift.prob, 0.03, 0.97);
+    const [mlHome, mlAway] = twoWay(p, vig);
+    // Puck and run lines stay at 1.5 and move on price: covering -1.5 takes a win by 2+
+    const spread = def.fixedLine ? game.spread : game.spread + shift.point;
+    const [spreadHomeOdds, spreadAwayOdds] = twoWay(def.fixedLine ? clamp(p - 0.2, 0.05, 0.95) : 0.5 + shift.prob / 2, vig);
+    const total = game.total + shift.point;
+    const [overOdds, underOdds] = twoWay(0.5 - shift.prob / 2, vig);
+    return {
+      moneyline: { home: mlHome, away: mlAway },
+      spread: { home: spread, away: -spread, homeOdds: spreadHomeOdds, awayOdds: spreadAwayOdds },
+      total: { points: total, overOdds, underOdds },
+    };
+  }
+
+  /**
+   * Odds API style bookmaker entry
+   */
+  bookmaker(game, book, now) {
+    const lines = this.marketLines(game, book);
+    // Kalshi quotes contract prices in cents rather than American odds
+    if (book === 'kalshi') {
+      const cents = (price) => Math.round((price > 0 ? 100 / (price + 100) : -price / (-price + 100)) * 100);
+      lines.moneyline = { home: cents(lines.moneyline.home), away: cents(lines.moneyline.away) };
+      lines.spread = { ...lines.spread, homeOdds: cents(lines.spread.homeOdds), awayOdds: cents(lines.spread.awayOdds) };
+      lines.total = { ...lines.total, overOdds: cents(lines.total.overOdds), underOdds: cents(lines.total.underOdds) };
+    }
+    return {
+      key: book,
+      title: BOOK_TITLES[book],
+      last_update: new Date(now).toISOString(),
+      markets: [
+        { key: 'h2h', outcomes: [{ name: game.home, price: lines.moneyline.home }, { name: game.away, price: lines.moneyline.away }] },
+        { key: 'spreads', outcomes: [
+          { name: game.home, price: lines.spread.homeOdds, point: lines.spread.home },
+          { name: game.away, price: lines.spread.awayOdds, point: lines.spread.away },
+        ] },
+        { key: 'totals', outcomes: [
+          { name: 'Over', price: lines.total.overOdds, point: lines.total.points },
+          { name: 'Under', price: lines.total.underOdds, point: lines.total.points },
+        ] },
+      ],
+    };
+  }
+
+  /**
+   * Advance the slate: start and play games, move lines and props
+   */
+  tick(now = Date.now()) {
+    this.ticks++;
+    this.sports.forEach((sport) => {
+      const def = SPORTS[sport];
+      this.games[sport].forEach((game) => {
+        if (game.status === 'scheduled' && Date.parse(game.commenceTime) <= now) {
+          game.status = 'live';
+          game.period = 1;
+        }
+        if (game.status === 'live') this.playGame(game, def);
+
+        // Market moves: the consensus drifts and individual books adjust
+        if (game.status !== 'final') {
+          game.homeWinProb = clamp(game.homeWinProb + (this.rand() - 0.5) * 0.01, 0.03, 0.97);
+          if (this.rand() < 0.05 && !def.fixedLine) game.spread = roundHalf(game.spread + (this.rand() < 0.5 ? -0.5 : 0.5));
+          if (this.rand() < 0.05) game.total = roundHalf(game.total + (this.rand() < 0.5 ? -0.5 : 0.5));
+          const book = ODDS_BOOKS[Math.floor(this.rand() * ODDS_BOOKS.length)];
+          if (book !== 'pinnacle' && this.rand() < 0.3) {
+            game.books[book].prob = clamp(game.books[book].prob + (this.rand() - 0.5) * 0.02, -0.04, 0.04);
+          }
+          game.players.forEach((player) => Object.values(player.lines).forEach((line) => {
+            if (this.rand() < 0.03) line.line = Math.max(0.5, line.line + (this.rand() < 0.5 ? -0.5 : 0.5));
+            line.overProb = clamp(line.overProb + (this.rand() - 0.5) * 0.02, 0.35, 0.65);
+          }));
+        }
+
+        game.history.push({ ts: now, ...this.marketLines(game, 'pinnacle') });
+        if (game.history.length > 500) game.history.shift();
+      });
+    });
+  }
+
+  playGame(game, def) {
+    const batting = def.innings ? (game.clockSeconds > def.periodSeconds / 2 ? 'away' : 'home') : null;
+    if (batting !== 'away') game.homeScore += def.score(this.rand);
+    if (batting !== 'home') game.awayScore += def.score(this.rand);
+    game.clockSeconds -= GAME_SECONDS_PER_TICK;
+    if (game.clockSeconds <= 0) {
+      if (game.period >= def.periods && game.homeScore !== game.awayScore) {
+        game.status = 'final';
+        game.clockSeconds = 0;
+        return;
+      }
+      game.period++;
+      game.clockSeconds = def.periodSeconds;
+    }
+
+    // The leader becomes more likely to win as the game runs down
+    const elapsed = ((game.period - 1) * def.periodSeconds + (def.periodSeconds - game.clockSeconds)) / (def.periods * def.periodSeconds);
+    const margin = (game.homeScore - game.awayScore) / Math.max(def.total / 10, 1);
+    game.homeWinProb = clamp(0.5 + Math.tanh(margin * (0.3 + elapsed)) / 2, 0.02, 0.98);
+  }
+
+  /**
+   * odds-update payload (Owls Insight format)
+   */
+  oddsPayload({ sports = this.sports, books = ODDS_BOOKS } = {}, now = Date.now()) {
+    const out = {};
+    const openingLines = {};
+    sports.filter((sport) => this.games[sport]).forEach((sport) => {
+      out[sport] = this.games[sport].filter((game) => game.status !== 'final').map((game) => {
+        openingLines[game.id] = game.opening;
+        return this.oddsGame(game, books, now);
+      });
+    });
+    return { sports: out, openingLines, timestamp: new Date(now).toISOString() };
+  }
+
+  oddsGame(game, books = ODDS_BOOKS, now = Date.now()) {
+    return {
+      id: game.id,
+      eventId: game.id,
+      sport_key: game.sport,
+      home_team: game.home,
+      away_team: game.away,
+      commence_time: game.commenceTime,
+      status: game.status,
+      bookmakers: books.filter((book) => game.books[book]).map((book) => this.bookmaker(game, book, now)),
+    };
+  }
+
+  scoreEvent(game) {
+    const def = SPORTS[game.sport];
+    if (def.innings) return this.baseballScoreEvent(game, def);
+    const minutes = Math.floor(game.clockSeconds / 60);
+    const seconds = String(game.clockSeconds % 60).padStart(2, '0');
+    const clock = `${minutes}:${seconds}`;
+    return {
+      id: game.id,
+      eventId: game.id,
+      sport: game.sport,
+      home_team: game.home,
+      away_team: game.away,
+      home_score: game.homeScore,
+      away_score: game.awayScore,
+      status: game.status === 'final' ? 'final' : 'in',
+      period: game.period,
+      clock,
+      detail: game.status === 'final' ? 'Final' : `${def.periodLabel}${game.period} ${clock}`,
+    };
+  }
+
+  /**
+   * Baseball score event: inning, half and outs instead of a clock. Each half
+   * inning's time is split evenly across its three outs.
+   */
+  baseballScoreEvent(game, def) {
+    const halfSeconds = def.periodSeconds / 2;
+    const elapsed = def.periodSeconds - game.clockSeconds;
+    const half = elapsed < halfSeconds ? 'top' : 'bottom';
+    const outs = Math.min(2, Math.floor((elapsed % halfSeconds) / (halfSeconds / 3)));
+    const final = game.status === 'final';
+    return {
+      id: game.id,
+      eventId: game.id,
+      sport: game.sport,
+      home_team: game.home,
+      away_team: game.away,
+      home_score: game.homeScore,
+      away_score: game.awayScore,
+      status: final ? 'final' : 'in',
+      period: game.period,
+      inning: game.period,
+      inningHalf: final ? null : half,
+      outs: final ? null : outs,
+      clock: null,
+      detail: final ? 'Final' : `${half === 'top' ? 'Top' : 'Bot'} ${ordinal(game.period)}`,
+    };
+  }
+
+  /**
+   * scores-update payload: live and finished games
+   */
+  scoresPayload({ sports = this.sports } = {}, now = Date.now()) {
+    const out = {};
+    sports.filter((sport) => this.games[sport]).forEach((sport) => {
+      out[sport] = this.games[sport].filter((game) => game.status !== 'scheduled').map((game) => this.scoreEvent(game));
+    });
+    return { sports: out, timestamp: new Date(now).toISOString() };
+  }
+
+  /**
+   * One book's props for a game
+   */
+  propsBook(game, book) {
+    const vig = BOOK_VIG[book] ?? DEFAULT_VIG;
+    // Books disagree by half a point on some lines
+    const bookIndex = PROPS_BOOKS.indexOf(book);
+    const props = [];
+    game.players.forEach((player, i) => {
+      Object.entries(player.lines).forEach(([category, line], j) => {
+        const offset = (i + j + bookIndex) % 5 === 0 && line.line > 1 ? 0.5 : 0;
+        const [overPrice, underPrice] = twoWay(line.overProb, vig);
+        props.push({
+          playerName: player.name,
+          team: player.side === 'home' ? game.home : game.away,
+          category,
+          line: line.line + offset,
+          overPrice,
+          underPrice,
+        });
+      });
+    });
+    return { key: book, title: BOOK_TITLES[book], props };
+  }
+
+  propsGame(game, books) {
+    return {
+      gameId: game.id,
+      sport: game.sport,
+      homeTeam: game.home,
+      awayTeam: game.away,
+      commenceTime: game.commenceTime,
+      books: books.map((book) => this.propsBook(game, book)),
+    };
+  }
+
+  /**
+   * Props payload for one or more books ({ sports: { sport: games[] }, timestamp })
+   */
+  propsPayload({ sports = this.sports, books = PROPS_BOOKS } = {}, now = Date.now()) {
+    const out = {};
+    sports.filter((sport) => this.games[sport]).forEach((sport) => {
+      out[sport] = this.games[sport].filter((game) => game.status !== 'final').map((game) => this.propsGame(game, books));
+    });
+    return { sports: out, timestamp: new Date(now).toISOString() };
+  }
+
+  findGame(eventId) {
+    for (const sport of this.sports) {
+      const game = this.games[sport].find((g) => g.id === eventId);
+      if (game) return game;
+    }
+    return null;
+  }
+
+  /**
+   * Odds history for one side of a market, synthesized from the pinnacle line
+   * history with the book's deviation applied
+   * @returns {{ history: Object[], openingLine: Object }|null}
+   */
+  oddsHistory({ eventId, book = 'pinnacle', market = 'h2h', side, hours }) {
+    const game = this.findGame(eventId);
+    if (!game || !game.books[book]) return null;
+    const since = hours ? Date.now() - Number(hours) * 60 * 60 * 1000 : 0;
+    const pick = (lines) => {
+      if (market === 'spreads') return { point: side === 'home' ? lines.spread.home : lines.spread.away, price: side === 'home' ? lines.spread.homeOdds : lines.spread.awayOdds };
+      if (market === 'totals') return { point: lines.total.points, price: side === 'over' ? lines.total.overOdds : lines.total.underOdds };
+      return { point: null, price: side === 'home' ? lines.moneyline.home : lines.moneyline.away };
+    };
+    const current = this.marketLines(game, book);
+    const deviation = (field, lines) => (pick(current)[field] ?? 0) - (pick(this.marketLines(game, 'pinnacle'))[field] ?? 0) + (pick(lines)[field] ?? 0);
+    const history = game.history
+      .filter((entry) => entry.ts >= since)
+      .map((entry) => ({
+        timestamp: new Date(entry.ts).toISOString(),
+        price: deviation('price', entry),
+        point: market === 'h2h' ? null : deviation('point', entry),
+      }));
+    return { history, openingLine: pick(game.opening) };
+  }
+
+  /**
+   * Line history for one player prop (synthesized around the current line)
+   */
+  propsHistory({ gameId, player, category, book = 'pinnacle', hours }) {
+    const game = this.findGame(gameId);
+    const target = game?.players.find((p) => p.name.toLowerCase() === String(player || '').toLowerCase());
+    const line = target?.lines[category];
+    if (!line) return null;
+    const points = Math.min(48, Math.max(4, Number(hours || 12) * 4));
+    const rand = createRandom(points + line.line * 10);
+    const history = [];
+    for (let i = points; i >= 0; i--) {
+      const drift = i === 0 ? 0 : Math.round((rand() - 0.5) * 2);
+      const [overPrice, underPrice] = twoWay(clamp(line.overProb + (rand() - 0.5) * 0.04, 0.3, 0.7), BOOK_VIG[book] ?? DEFAULT_VIG);
+      history.push({
+        timestamp: new Date(Date.now() - i * 15 * 60 * 1000).toISOString(),
+        line: Math.max(0.5, line.line + drift),
+        overPrice,
+        underPrice,
+      });
+    }
+    return { gameId, player: target.name, category, book, history };
+  }
+}
+
+module.exports = MockSlate;
+module.exports.americanFromProb = americanFromProb;
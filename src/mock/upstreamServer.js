@@ -0,0 +1,413 @@
+const http = require('http');
+const express = require('express');
+const { Server } = require('socket.io');
+const logger = require('../utils/logger');
+const MockSlate = require('./slate');
+const { DEFAULT_BOOKS, PROPS_BOOKS } = require('../services/feedConfig');
+const FeedRegistry = require('../services/feedRegistry');
+
+const toList = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+  .map((v) => String(v).trim().toLowerCase())
+  .filter(Boolean);
+
+const decimalFromAmerican = (price) => (price > 0 ? 1 + price / 100 : 1 + 100 / -price);
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * MockUpstream - A stand-in for the Owls Insight upstream for local development
+ * and tests, so the server can run fully offline.
+ *
+ * Serves the Socket.IO feed (odds-update, scores-update, player props for every
+ * props book, props-history-response) and the REST endpoints the server proxies
+ * (odds history, scores, odds/props, EV, arbitrage, analytics) from a synthetic
+ * MockSlate that ticks every MOCK_UPSTREAM_TICK_MS. Any API key is accepted.
+ *
+ * Started by the server when MOCK_UPSTREAM=true, or standalone with
+ * `npm run mock:upstream`.
+ */
+class MockUpstream {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.port=4010] - Port to listen on (0 picks a free port)
+   * @param {number} [options.tickMs=5000] - Interval between slate ticks and pushes
+   * @param {number} [options.seed=1] - Slate PRNG seed
+   */
+  constructor(options = {}) {
+    this.port = options.port ?? parseInt(process.env.MOCK_UPSTREAM_PORT ?? '4010');
+    this.tickMs = options.tickMs || parseInt(process.env.MOCK_UPSTREAM_TICK_MS) || 5000;
+    this.slate = new MockSlate({ seed: options.seed ?? (parseInt(process.env.MOCK_UPSTREAM_SEED) || 1) });
+    // Props event names, as the server expects them
+    this.propsFeeds = new FeedRegistry();
+
+    this.app = express();
+    this.server = http.createServer(this.app);
+    this.io = new Server(this.server, { cors: { origin: '*' } });
+    this.timer = null;
+
+    this.registerRoutes();
+    this.io.on('connection', (socket) => this.handleConnection(socket));
+  }
+
+  get url() {
+    return `http://127.0.0.1:${this.server.address()?.port ?? this.port}`;
+  }
+
+  /**
+   * Start listening and ticking
+   * @returns {Promise<string>} - Base URL of the mock upstream
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, () => {
+        this.server.off('error', reject);
+        this.slate.tick();
+        this.timer = setInterval(() => this.tick(), this.tickMs);
+        this.timer.unref();
+        logger.info(`[MockUpstream] listening on ${this.url} (tick ${this.tickMs}ms)`);
+        resolve(this.url);
+      });
+    });
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.io.close();
+    this.server.close();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Socket.IO feed
+  // ---------------------------------------------------------------------------
+
+  handleConnection(socket) {
+    logger.info(`[MockUpstream] client connected: ${socket.id}`);
+    socket.data.odds = null;
+    socket.data.props = new Map();
+
+    socket.on('subscribe', (payload = {}) => {
+      socket.data.odds = {
+        sports: toList(payload.sports).filter((sport) => this.slate.games[sport]),
+        books: toList(payload.books).filter((book) => DEFAULT_BOOKS.includes(book)),
+      };
+      if (!socket.data.odds.sports.length) socket.data.odds.sports = this.slate.sports;
+      if (!socket.data.odds.books.length) socket.data.odds.books = DEFAULT_BOOKS;
+      this.pushOdds(socket);
+      this.pushScores(socket);
+    });
+
+    this.propsFeeds.all().forEach((feed) => {
+      socket.on(feed.subscribeEvent, (payload = {}) => {
+        const sports = toList(payload.sports).filter((sport) => this.slate.games[sport]);
+        socket.data.props.set(feed.book, sports.length ? sports : this.slate.sports);
+        socket.emit(feed.subscribedEvent, { book: feed.book, sports: socket.data.props.get(feed.book) });
+        this.pushProps(socket, feed.book);
+      });
+    });
+
+    socket.on('request-props-history', (payload = {}) => {
+      const data = this.slate.propsHistory(payload);
+      socket.emit('props-history-response', data
+        ? { success: true, requestId: payload.requestId, book: data.book, data }
+        : { success: false, requestId: payload.requestId, error: 'No history found for that prop' });
+    });
+  }
+
+  tick() {
+    const now = Date.now();
+    this.slate.tick(now);
+    this.io.of('/').sockets.forEach((socket) => {
+      this.pushOdds(socket, now);
+      this.pushScores(socket, now);
+      socket.data.props.forEach((sports, book) => this.pushProps(socket, book, now));
+    });
+  }
+
+  pushOdds(socket, now = Date.now()) {
+    if (!socket.data.odds) return;
+    socket.emit('odds-update', this.slate.oddsPayload(socket.data.odds, now));
+  }
+
+  pushScores(socket, now = Date.now()) {
+    if (!socket.data.odds) return;
+    socket.emit('scores-update', this.slate.scoresPayload(socket.data.odds, now));
+  }
+
+  pushProps(socket, book, now = Date.now()) {
+    const sports = socket.data.props.get(book);
+    socket.emit(this.propsFeeds.get(book).upstreamEvent, this.slate.propsPayload({ sports, books: [book] }, now));
+  }
+
+  // ---------------------------------------------------------------------------
+  // REST endpoints
+  // ---------------------------------------------------------------------------
+
+  registerRoutes() {
+    const app = this.app;
+
+    // Any bearer token is accepted, but one must be sent (like the real upstream)
+    app.use((req, res, next) => {
+      if (!/^Bearer \S+/.test(req.headers.authorization || '')) {
+        return res.status(401).json({ success: false, error: 'API key required' });
+      }
+      return next();
+    });
+
+    const requireSport = (req, res, next) => {
+      if (!this.slate.games[req.params.sport]) {
+        return res.status(404).json({ success: false, error: `Unknown sport: ${req.params.sport}` });
+      }
+      return next();
+    };
+
+    app.get('/api/odds/history', (req, res) => {
+      const { eventId, book, market, side, hours } = req.query;
+      const data = this.slate.oddsHistory({ eventId, book, market, side, hours });
+      if (!data) return res.status(404).json({ success: false, error: 'Event not found' });
+      return res.json({ success: true, data });
+    });
+
+    app.get('/api/odds/analytics', (req, res) => res.json(this.analytics(req.query)));
+
+    app.get('/api/v1/scores/live', (req, res) => {
+      res.json({ success: true, data: this.slate.scoresPayload() });
+    });
+
+    app.get(['/api/v1/props/stats', '/api/v1/props/:book/stats'], (req, res) => {
+      const payload = this.slate.propsPayload({ books: [req.params.book || 'pinnacle'] });
+      const bySport = {};
+      let total = 0;
+      Object.entries(payload.sports).forEach(([sport, games]) => {
+        const props = games.reduce((sum, game) => sum + game.books.reduce((n, b) => n + b.props.length, 0), 0);
+        bySport[sport] = { games: games.length, props };
+        total += props;
+      });
+      res.json({ total, bySport, timestamp: payload.timestamp, ageMs: 0 });
+    });
+
+    // Odds, or one market of it
+    const MARKET_ROUTES = { odds: null, moneyline: 'h2h', spreads: 'spreads', totals: 'totals' };
+    Object.entries(MARKET_ROUTES).forEach(([route, market]) => {
+      app.get(`/api/v1/:sport/${route}`, requireSport, (req, res) => {
+        const { sport } = req.params;
+        const books = req.query.books ? toList(req.query.books) : undefined;
+        let games = this.slate.oddsPayload({ sports: [sport], books }).sports[sport];
+        if (req.query.eventId) games = games.filter((game) => game.id === req.query.eventId);
+        if (market) {
+          games = games.map((game) => ({
+            ...game,
+            bookmakers: game.bookmakers.map((b) => ({ ...b, markets: b.markets.filter((m) => m.key === market) })),
+          }));
+        }
+        res.json({ success: true, data: games, meta: { sport, count: games.length, timestamp: new Date().toISOString() } });
+      });
+    });
+
+    // Props history (before /props/:book so "history" is not taken for a book)
+    app.get(['/api/v1/:sport/props/history', '/api/v1/:sport/props/:book/history'], requireSport, (req, res) => {
+      const data = this.slate.propsHistory({
+        gameId: req.query.game_id || req.query.eventId,
+        player: req.query.player,
+        category: req.query.category || req.query.prop_type,
+        book: req.params.book || req.query.book || 'pinnacle',
+        hours: req.query.hours,
+      });
+      if (!data) return res.status(404).json({ success: false, error: 'No history found for that prop' });
+      return res.json({ success: true, data });
+    });
+
+    app.get(['/api/v1/:sport/props', '/api/v1/:sport/props/:book'], requireSport, (req, res) => {
+      const { sport, book } = req.params;
+      if (book && !PROPS_BOOKS.includes(book)) {
+        return res.status(404).json({ success: false, error: `Unknown props book: ${book}` });
+      }
+      const { game_id: gameId, player, category } = req.query;
+      let games = this.slate.propsPayload({ sports: [sport], books: book ? [book] : PROPS_BOOKS }).sports[sport];
+      if (gameId) games = games.filter((game) => game.gameId === gameId);
+      if (player || category) {
+        games = games.map((game) => ({
+          ...game,
+          books: game.books.map((b) => ({
+            ...b,
+            props: b.props.filter((p) => (!player || p.playerName.toLowerCase().includes(String(player).toLowerCase()))
+              && (!category || p.category === String(category).toLowerCase())),
+          })),
+        }));
+      }
+      return res.json({ success: true, data: games, meta: { sport, gamesReturned: games.length, timestamp: new Date().toISOString() } });
+    });
+
+    app.get('/api/v1/:sport/ev', requireSport, (req, res) => {
+      const { sport } = req.params;
+      const books = req.query.books ? toList(req.query.books) : null;
+      const minEv = parseFloat(req.query.min_ev);
+      const data = this.evOpportunities(sport)
+        .filter((opp) => !req.query.eventId || opp.eventId === req.query.eventId)
+        .filter((opp) => !books || books.includes(opp.book))
+        .filter((opp) => !Number.isFinite(minEv) || opp.ev >= minEv)
+        .sort((a, b) => b.ev - a.ev);
+      res.json({ success: true, data, meta: { sport, count: data.length, sharpBook: 'pinnacle', timestamp: new Date().toISOString() } });
+    });
+
+    app.get('/api/v1/:sport/arbitrage', requireSport, (req, res) => {
+      const { sport } = req.params;
+      const minProfit = parseFloat(req.query.min_profit);
+      const data = this.arbitrageOpportunities(sport)
+        .filter((arb) => !Number.isFinite(minProfit) || arb.profit >= minProfit)
+        .sort((a, b) => b.profit - a.profit);
+      res.json({ success: true, data, meta: { sport, count: data.length, timestamp: new Date().toISOString() } });
+    });
+  }
+
+  /**
+   * Both sides of every market a book offers for a game, as
+   * { market, side, point, price } entries
+   */
+  marketSides(game, book) {
+    const lines = this.slate.marketLines(game, book);
+    return [
+      { market: 'h2h', side: 'home', point: null, price: lines.moneyline.home },
+      { market: 'h2h', side: 'away', point: null, price: lines.moneyline.away },
+      { market: 'spreads', side: 'home', point: lines.spread.home, price: lines.spread.homeOdds },
+      { market: 'spreads', side: 'away', point: lines.spread.away, price: lines.spread.awayOdds },
+      { market: 'totals', side: 'over', point: lines.total.points, price: lines.total.overOdds },
+      { market: 'totals', side: 'under', point: lines.total.points, price: lines.total.underOdds },
+    ];
+  }
+
+  /**
+   * +EV prices against Pinnacle's no-vig line (same point only)
+   */
+  evOpportunities(sport) {
+    const opportunities = [];
+    this.slate.games[sport].filter((game) => game.status !== 'final').forEach((game) => {
+      const sharp = this.marketSides(game, 'pinnacle');
+      const fair = {};
+      ['h2h', 'spreads', 'totals'].forEach((market) => {
+        const [a, b] = sharp.filter((s) => s.market === market);
+        const pa = 1 / decimalFromAmerican(a.price);
+        const pb = 1 / decimalFromAmerican(b.price);
+        fair[`${market}:${a.side}`] = { point: a.point, prob: pa / (pa + pb) };
+        fair[`${market}:${b.side}`] = { point: b.point, prob: pb / (pa + pb) };
+      });
+
+      DEFAULT_BOOKS.filter((book) => book !== 'pinnacle').forEach((book) => {
+        this.marketSides(game, book).forEach((entry) => {
+          const reference = fair[`${entry.market}:${entry.side}`];
+          if (!reference || reference.point !== entry.point) return;
+          const ev = (reference.prob * decimalFromAmerican(entry.price) - 1) * 100;
+          if (ev <= 0) return;
+          opportunities.push({
+            eventId: game.id,
+            home_team: game.home,
+            away_team: game.away,
+            commence_time: game.commenceTime,
+            book,
+            ...entry,
+            fairProbability: round(reference.prob, 4),
+            ev: round(ev),
+          });
+        });
+      });
+    });
+    return opportunities;
+  }
+
+  /**
+   * Two-way markets where the best prices across books sum to under 100% implied
+   */
+  arbitrageOpportunities(sport) {
+    const arbs = [];
+    this.slate.games[sport].filter((game) => game.status !== 'final').forEach((game) => {
+      const best = new Map();
+      DEFAULT_BOOKS.forEach((book) => {
+        this.marketSides(game, book).forEach((entry) => {
+          const key = `${entry.market}:${entry.point ?? ''}:${entry.side}`;
+          const current = best.get(key);
+          if (!current || decimalFromAmerican(entry.price) > decimalFromAmerican(current.price)) best.set(key, { ...entry, book });
+        });
+      });
+
+      [['h2h', 'home', 'away'], ['spreads', 'home', 'away'], ['totals', 'over', 'under']].forEach(([market, sideA, sideB]) => {
+        best.forEach((a, key) => {
+          if (a.market !== market || a.side !== sideA) return;
+          const bPoint = market === 'spreads' ? -a.point : a.point;
+          const b = best.get(`${market}:${bPoint ?? ''}:${sideB}`);
+          if (!b) return;
+          const implied = 1 / decimalFromAmerican(a.price) + 1 / decimalFromAmerican(b.price);
+          if (implied >= 1) return;
+          arbs.push({
+            eventId: game.id,
+            home_team: game.home,
+            away_team: game.away,
+            market,
+            point: a.point,
+            legs: [a, b].map((leg) => ({
+              book: leg.book,
+              side: leg.side,
+              point: leg.point,
+              price: leg.price,
+              stake: round((1 / decimalFromAmerican(leg.price) / implied) * 100),
+            })),
+            profit: round((1 / implied - 1) * 100),
+          });
+        });
+      });
+    });
+    return arbs;
+  }
+
+  /**
+   * Line movement summary and bucketed series for one market
+   */
+  analytics({ eventId, book = 'pinnacle', market = 'h2h', hours, granularity = '5m' }) {
+    const side = market === 'totals' ? 'over' : 'home';
+    const data = this.slate.oddsHistory({ eventId, book, market, side, hours });
+    if (!data) return { success: false, error: 'Event not found' };
+
+    const bucketMs = ({ m: 60 * 1000, h: 60 * 60 * 1000 }[String(granularity).slice(-1)] || 60 * 1000)
+      * (parseInt(granularity) || 5);
+    const buckets = new Map();
+    data.history.forEach((point) => {
+      const bucket = Math.floor(Date.parse(point.timestamp) / bucketMs) * bucketMs;
+      buckets.set(bucket, point);
+    });
+    const series = Array.from(buckets, ([bucket, point]) => ({ timestamp: new Date(bucket).toISOString(), price: point.price, point: point.point }));
+    const prices = data.history.map((point) => point.price);
+    const current = data.history[data.history.length - 1] || null;
+
+    return {
+      success: true,
+      data: {
+        eventId,
+        book,
+        market,
+        side,
+        granularity,
+        opening: data.openingLine,
+        current,
+        high: prices.length ? Math.max(...prices) : null,
+        low: prices.length ? Math.min(...prices) : null,
+        changes: data.history.filter((point, i) => i > 0 && (point.price !== data.history[i - 1].price || point.point !== data.history[i - 1].point)).length,
+        series,
+      },
+    };
+  }
+}
+
+module.exports = MockUpstream;
+
+if (require.main === module) {
+  require('dotenv').config();
+  const mock = new MockUpstream();
+  mock.start().catch((error) => {
+    logger.error(`[MockUpstream] failed to start: ${error.message}`);
+    process.exit(1);
+  });
+  process.on('SIGINT', () => {
+    mock.stop();
+    process.exit(0);
+  });
+}
@@ -0,0 +1,314 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const logger = require('../utils/logger');
+
+const DEFAULT_TIER = 'free';
+// Keys without explicit scopes can read data but not use admin endpoints
+const DEFAULT_SCOPES = ['read'];
+const KEY_STATUSES = ['active', 'suspended'];
+
+const generateKey = () => `oi_${crypto.randomBytes(24).toString('hex')}`;
+const deriveId = (key) => `key_${crypto.createHash('sha256').update(String(key)).digest('hex').slice(0, 12)}`;
+
+/**
+ * ApiKeyStore - Holds the downstream API keys this server accepts.
+ *
+ * Keys are loaded from (in order, later sources override earlier ones):
+ *   - API_KEYS_FILE: path to a JSON file, either an array of key records
+ *     or an object of the form { keys: [...] }
+ *   - API_KEYS: inline keys, either a JSON array of key records or a
+ *     comma-separated list of `key:owner:tier` entries
+ *
+ * Keys from the file can be managed at runtime (create, update, rotate,
+ * delete); changes are written back to the file atomically. Keys from
+ * API_KEYS are read-only. A file key that API_KEYS overrides keeps its
+ * file record, which is written back unchanged.
+ *
+ * Key record shape:
+ *   { id, key, owner, tier, scopes, status, allowedOrigins, expiresAt, createdAt, updatedAt, source }
+ *
+ * Emits 'change' with { action, before, after } after every runtime change.
+ */
+class ApiKeyStore extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.filePath = options.filePath ?? process.env.API_KEYS_FILE ?? null;
+    this.envKeys = options.envKeys ?? process.env.API_KEYS ?? '';
+    this.keys = new Map();
+    // File records overridden by API_KEYS, kept so saving does not drop them
+    this.shadowedFileRecords = [];
+
+    this.load();
+  }
+
+  /**
+   * (Re)load keys from the configured file and environment
+   */
+  load() {
+    const next = new Map();
+
+    if (this.filePath && fs.existsSync(path.resolve(this.filePath))) {
+      try {
+        const raw = fs.readFileSync(path.resolve(this.filePath), 'utf8');
+        const parsed = JSON.parse(raw);
+        const records = Array.isArray(parsed) ? parsed : parsed?.keys || [];
+        records.forEach((record) => this.addRecord(next, record, 'file'));
+      } catch (e) {
+        logger.error(`Failed to load API keys file ${this.filePath}: ${e.message}`);
+      }
+    }
+    const fileRecords = Array.from(next.values());
+
+    const envKeys = String(this.envKeys || '').trim();
+    if (envKeys.startsWith('[')) {
+      try {
+        JSON.parse(envKeys).forEach((record) => this.addRecord(next, record, 'env'));
+      } catch (e) {
+        logger.error(`Failed to parse API_KEYS: ${e.message}`);
+      }
+    } else if (envKeys) {
+      envKeys.split(',').forEach((entry) => {
+        const [key, owner, tier] = entry.split(':').map((part) => part?.trim());
+        this.addRecord(next, { key, owner, tier }, 'env');
+      });
+    }
+
+    this.shadowedFileRecords = fileRecords.filter((record) => next.get(record.key)?.source === 'env');
+    this.shadowedFileRecords.forEach((record) => {
+      logger.warn(`API key ${record.id} (owner=${record.owner}) is in both API_KEYS_FILE and API_KEYS; using API_KEYS`);
+    });
+
+    this.keys = next;
+    logger.info(`Loaded ${this.keys.size} downstream API key(s)`);
+    return this.keys.size;
+  }
+
+  addRecord(target, record, source) {
+    const key = record?.key || record?.apiKey;
+    if (!key) return;
+
+    target.set(String(key), {
+      id: record.id || deriveId(key),
+      key: String(key),
+      owner: record.owner || 'unknown',
+      tier: String(record.tier || DEFAULT_TIER).toLowerCase(),
+      scopes: Array.isArray(record.scopes) && record.scopes.length > 0 ? record.scopes : DEFAULT_SCOPES,
+      status: record.status || 'active',
+      allowedOrigins: Array.isArray(record.allowedOrigins) ? record.allowedOrigins : [],
+      expiresAt: record.expiresAt || null,
+      createdAt: record.createdAt || null,
+      updatedAt: record.updatedAt || null,
+      source,
+    });
+  }
+
+  /**
+   * Write file-backed keys to API_KEYS_FILE atomically (temp file + rename)
+   */
+  save() {
+    if (!this.filePath) {
+      throw new Error('API_KEYS_FILE is not configured; runtime key changes cannot be persisted');
+    }
+
+    const target = path.resolve(this.filePath);
+    const records = Array.from(this.keys.values())
+      .filter((r) => r.source === 'file')
+      .concat(this.shadowedFileRecords)
+      .map(({ source, ...record }) => record);
+    const tmp = `${target}.${process.pid}.${Date.now()}.tmp`;
+
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(tmp, JSON.stringify({ keys: records }, null, 2));
+    fs.renameSync(tmp, target);
+  }
+
+  /**
+   * Look up a key record
+   * @param {string} apiKey - Key presented by the client
+   * @returns {Object|null} - Key record, or null if unknown
+   */
+  get(apiKey) {
+    if (!apiKey) return null;
+    return this.keys.get(String(apiKey)) || null;
+  }
+
+  /**
+   * Look up a key record by its id
+   */
+  getById(id) {
+    return Array.from(this.keys.values()).find((r) => r.id === id) || null;
+  }
+
+  list() {
+    return Array.from(this.keys.values());
+  }
+
+  /**
+   * Validate a presented key
+   * @param {string} apiKey - Key presented by the client
+   * @param {Object} [context] - { origin } of the request, checked against allowedOrigins
+   * @returns {{ ok: boolean, record?: Object, status?: number, code?: string, error?: string }}
+   */
+  validate(apiKey, { origin } = {}) {
+    if (!apiKey) {
+      return { ok: false, status: 401, code: 'missing_api_key', error: 'API key required' };
+    }
+
+    const record = this.get(apiKey);
+    if (!record) {
+      return { ok: false, status: 401, code: 'invalid_api_key', error: 'Invalid API key' };
+    }
+
+    if (record.status !== 'active') {
+      return { ok: false, status: 403, code: 'api_key_inactive', error: `API key is ${record.status}` };
+    }
+
+    if (record.expiresAt && new Date(record.expiresAt).getTime() <= Date.now()) {
+      return { ok: false, status: 403, code: 'api_key_expired', error: 'API key has expired' };
+    }
+
+    if (origin && record.allowedOrigins.length > 0 && !record.allowedOrigins.includes(origin)) {
+      return { ok: false, status: 403, code: 'origin_not_allowed', error: `Origin not allowed for this API key: ${origin}` };
+    }
+
+    return { ok: true, record };
+  }
+
+  /**
+   * Validate and normalize mutable fields from an admin request
+   * @throws {Error} with `status` 400 on invalid input
+   */
+  static normalizeFields(fields = {}) {
+    const out = {};
+    const fail = (message) => {
+      const err = new Error(message);
+      err.status = 400;
+      throw err;
+    };
+
+    if (fields.owner !== undefined) {
+      if (!fields.owner || typeof fields.owner !== 'string') fail('owner must be a non-empty string');
+      out.owner = fields.owner;
+    }
+    if (fields.tier !== undefined) {
+      if (!fields.tier || typeof fields.tier !== 'string') fail('tier must be a non-empty string');
+      out.tier = fields.tier.toLowerCase();
+    }
+    if (fields.scopes !== undefined) {
+      if (!Array.isArray(fields.scopes) || fields.scopes.some((s) => typeof s !== 'string')) fail('scopes must be an array of strings');
+      out.scopes = fields.scopes.length > 0 ? fields.scopes : DEFAULT_SCOPES;
+    }
+    if (fields.allowedOrigins !== undefined) {
+      if (!Array.isArray(fields.allowedOrigins) || fields.allowedOrigins.some((o) => typeof o !== 'string')) fail('allowedOrigins must be an array of strings');
+      out.allowedOrigins = fields.allowedOrigins;
+    }
+    if (fields.expiresAt !== undefined) {
+      if (fields.expiresAt !== null && Number.isNaN(new Date(fields.expiresAt).getTime())) fail('expiresAt must be an ISO date or null');
+      out.expiresAt = fields.expiresAt === null ? null : new Date(fields.expiresAt).toISOString();
+    }
+    if (fields.status !== undefined) {
+      if (!KEY_STATUSES.includes(fields.status)) fail(`status must be one of: ${KEY_STATUSES.join(', ')}`);
+      out.status = fields.status;
+    }
+    return out;
+  }
+
+  /**
+   * Apply a change to the in-memory map, persist it, and emit 'change'.
+   * Rolls back the in-memory change if persisting fails.
+   */
+  commit(action, before, after) {
+    const previous = new Map(this.keys);
+    if (before) this.keys.delete(before.key);
+    if (after) this.keys.set(after.key, after);
+
+    try {
+      this.save();
+    } catch (e) {
+      this.keys = previous;
+      throw e;
+    }
+
+    logger.info(`[ApiKeyStore] ${action} ${(after || before).id} (owner=${(after || before).owner})`);
+    this.emit('change', { action, before, after });
+    return after || before;
+  }
+
+  mutable(id) {
+    const record = this.getById(id);
+    if (!record) {
+      const err = new Error(`API key not found: ${id}`);
+      err.status = 404;
+      throw err;
+    }
+    if (record.source !== 'file') {
+      const err = new Error('API key is configured via API_KEYS and is read-only');
+      err.status = 409;
+      throw err;
+    }
+    return record;
+  }
+
+  /**
+   * Create a new key. The returned record includes the secret key.
+   */
+  create(fields = {}) {
+    const normalized = ApiKeyStore.normalizeFields(fields);
+    if (!normalized.owner) {
+      const err = new Error('owner is required');
+      err.status = 400;
+      throw err;
+    }
+
+    const now = new Date().toISOString();
+    const record = {
+      id: `key_${crypto.randomBytes(6).toString('hex')}`,
+      key: generateKey(),
+      tier: DEFAULT_TIER,
+      scopes: DEFAULT_SCOPES,
+      status: 'active',
+      allowedOrigins: [],
+      expiresAt: null,
+      ...normalized,
+      createdAt: now,
+      updatedAt: now,
+      source: 'file',
+    };
+    return this.commit('create', null, record);
+  }
+
+  /**
+   * Update mutable fields (owner, tier, scopes, status, allowedOrigins, expiresAt)
+   */
+  update(id, fields = {}) {
+    const before = this.mutable(id);
+    const after = { ...before, ...ApiKeyStore.normalizeFields(fields), updatedAt: new Date().toISOString() };
+    return this.commit('update', before, after);
+  }
+
+  /**
+   * Replace the secret of a key, keeping its id and settings
+   */
+  rotate(id) {
+    const before = this.mutable(id);
+    const after = { ...before, key: generateKey(), updatedAt: new Date().toISOString() };
+    return this.commit('rotate', before, after);
+  }
+
+  remove(id) {
+    const before = this.mutable(id);
+    return this.commit('delete', before, null);
+  }
+
+  /**
+   * Check whether a key record grants a scope ('*' grants everything)
+   */
+  static hasScope(record, scope) {
+    const scopes = record?.scopes || [];
+    return scopes.includes('*') || scopes.includes(scope);
+  }
+}
+
+module.exports = ApiKeyStore;
@@ -0,0 +1,137 @@
+/**
+ * BroadcastThrottle - Limits how often one client receives each broadcast event.
+ *
+ * With an interval set, an event is sent at most once per interval. The first
+ * update after a quiet period goes out immediately. Updates that arrive
+ * sooner are coalesced into a single pending message, which is sent when the
+ * interval elapses, so the client always ends up with the latest state.
+ * An interval of 0 sends every update as it arrives.
+ *
+ * While paused (e.g. the client is lagging), updates are only coalesced;
+ * resume() sends the pending ones.
+ */
+class BroadcastThrottle {
+  /**
+   * @param {Object} options
+   * @param {number} [options.intervalMs=0] - Minimum time between messages per event
+   * @param {Function} options.send - (eventName, payload) => void
+   */
+  constructor({ intervalMs = 0, send }) {
+    this.intervalMs = intervalMs;
+    this.send = send;
+    this.paused = false;
+    // eventName -> { lastSentAt, pending, coalesce, timer }
+    this.events = new Map();
+  }
+
+  stateFor(eventName) {
+    let state = this.events.get(eventName);
+    if (!state) {
+      state = { lastSentAt: 0, pending: null, coalesce: null, timer: null };
+      this.events.set(eventName, state);
+    }
+    return state;
+  }
+
+  /**
+   * Queue an update for the client
+   * @param {string} eventName - Socket event
+   * @param {Object} payload - Update payload
+   * @param {Function} [coalesce] - (pending, next) => merged payload; defaults to keeping `next`
+   */
+  push(eventName, payload, coalesce = null) {
+    if (!this.intervalMs && !this.paused) {
+      this.send(eventName, payload);
+      return;
+    }
+
+    const state = this.stateFor(eventName);
+    if (state.pending) {
+      state.pending = coalesce ? coalesce(state.pending, payload) : payload;
+      state.coalesce = coalesce;
+      return;
+    }
+
+    const wait = state.lastSentAt + this.intervalMs - Date.now();
+    if (wait <= 0 && !this.paused) {
+      state.lastSentAt = Date.now();
+      this.send(eventName, payload);
+      return;
+    }
+
+    state.pending = payload;
+    state.coalesce = coalesce;
+    if (!this.paused) state.timer = setTimeout(() => this.flush(eventName), wait);
+  }
+
+  // Whether updates are currently being held back rather than sent as they arrive
+  get holding() {
+    return this.intervalMs > 0 || this.paused;
+  }
+
+  /**
+   * Send an event's pending update now
+   */
+  flush(eventName) {
+    const state = this.events.get(eventName);
+    if (!state) return;
+    if (state.timer) clearTimeout(state.timer);
+    state.timer = null;
+    if (!state.pending || this.paused) return;
+
+    const payload = state.pending;
+    state.pending = null;
+    state.lastSentAt = Date.now();
+    this.send(eventName, payload);
+  }
+
+  /**
+   * Record that the client was just sent the full state for an event outside the
+   * throttle (e.g. a requested snapshot); older pending updates are discarded
+   */
+  markSent(eventName) {
+    const state = this.stateFor(eventName);
+    if (state.timer) clearTimeout(state.timer);
+    state.timer = null;
+    state.pending = null;
+    state.lastSentAt = Date.now();
+  }
+
+  /**
+   * Change the interval; pending updates are rescheduled (or sent now when
+   * throttling is turned off)
+   */
+  setInterval(intervalMs) {
+    this.intervalMs = intervalMs;
+    this.events.forEach((state, eventName) => {
+      if (!state.pending) return;
+      if (state.timer) clearTimeout(state.timer);
+      const wait = intervalMs ? state.lastSentAt + intervalMs - Date.now() : 0;
+      if (wait <= 0) this.flush(eventName);
+      else state.timer = setTimeout(() => this.flush(eventName), wait);
+    });
+  }
+
+  pause() {
+    this.paused = true;
+  }
+
+  /**
+   * Stop holding updates and send the pending ones now
+   */
+  resume() {
+    this.paused = false;
+    this.events.forEach((state, eventName) => {
+      if (state.pending) this.flush(eventName);
+    });
+  }
+
+  stop() {
+    this.events.forEach((state) => {
+      if (state.timer) clearTimeout(state.timer);
+    });
+    this.events.clear();
+  }
+}
+
+module.exports = BroadcastThrottle;
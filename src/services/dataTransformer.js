@@ -1,67 +1,79 @@
 const logger = require('../utils/logger');
+const { DEFAULT_SPORTS } = require('./feedConfig');
+const {
+  isPredictionMarket,
+  normalizePredictionMarkets,
+  americanFromProbability,
+  probabilityFromAmerican,
+} = require('./predictionMarkets');
+const { addFairOdds } = require('./fairOdds');
+const TransformerRegistry = require('../transformers');
+const { transformSingleEvent, transformBookmakers, transformMarkets } = require('../transformers/event');
+
+const defaultTransformers = new TransformerRegistry();
+
+// Upstream sport key -> sport key for the built-in sports
+const DEFAULT_SPORT_KEY_MAP = Object.entries(DEFAULT_SPORTS).reduce((map, [sport, aliases]) => {
+  map[sport] = sport;
+  aliases.forEach((alias) => { map[alias] = sport; });
+  return map;
+}, {});
 
 /**
  * Transform upstream data to Owls Insight expected format.
- * Modify this based on your upstream data structure.
+ * Each upstream payload format is a transformer in src/transformers.
  *
  * Expected output format for Owls Insight:
  * {
  *   sports: {
- *     nba: [{ id, home_team, away_team, commence_time, bookmakers: [...], averages: {...} }],
+ *     nba: [{ id, home_team, away_team, commence_time, bookmakers: [...], averages: {...}, fair: {...} }],
  *     nfl: [...],
  *     nhl: [...],
  *     ncaab: [...],
- *     ncaaf: [...]
+ *     ncaaf: [...],
+ *     mlb: [...]
  *   },
  *   openingLines: { ... }
  * }
  */
 
+// Sports whose spread is a fixed line (MLB's ±1.5 run line) priced through the
+// odds, with totals that mostly move on price. Their averages take the most
+// quoted line and average the prices at it as implied probabilities, since
+// near-even prices straddle +100/-100.
+const FIXED_LINE_SPORTS = ['mlb'];
+
 /**
- * Calculate average odds across all bookmakers for an event
+ * Calculate average odds across the sportsbooks for an event. Prediction
+ * markets (Kalshi) are left out: their prices carry no vig and move on
+ * contract liquidity, so they would skew sportsbook consensus.
  * @param {Object} event - Event with bookmakers array
+ * @param {string} [sport] - Sport key (defaults to event.sport_key)
  * @returns {Object|null} - Averages for spread, total, and moneyline
  */
-function calculateEventAverages(event) {
-  const bookmakers = event.bookmakers || [];
+function calculateEventAverages(event, sport = event.sport_key) {
+  const bookmakers = (event.bookmakers || []).filter(book => !isPredictionMarket(book.key));
   if (bookmakers.length === 0) return null;
+  const fixedLine = FIXED_LINE_SPORTS.includes(sport);
 
-  // Collect values from all bookmakers
-  const spreadHomePoints = [], spreadHomeOdds = [];
-  const spreadAwayPoints = [], spreadAwayOdds = [];
-  const totalOverPoints = [], totalOverOdds = [];
-  const totalUnderPoints = [], totalUnderOdds = [];
+  // Collect outcomes from all bookmakers
+  const spreadHome = [], spreadAway = [];
+  const totalOver = [], totalUnder = [];
   const mlHome = [], mlAway = [];
 
   bookmakers.forEach(book => {
     (book.markets || []).forEach(market => {
       if (market.key === 'spreads') {
         (market.outcomes || []).forEach(o => {
-          if (o.name === event.home_team) {
-            if (o.point != null) spreadHomePoints.push(o.point);
-            if (o.price != null) spreadHomeOdds.push(o.price);
-          } else {
-            if (o.point != null) spreadAwayPoints.push(o.point);
-            if (o.price != null) spreadAwayOdds.push(o.price);
-          }
+          (o.name === event.home_team ? spreadHome : spreadAway).push(o);
         });
       } else if (market.key === 'totals') {
         (market.outcomes || []).forEach(o => {
-          if (o.name === 'Over') {
-            if (o.point != null) totalOverPoints.push(o.point);
-            if (o.price != null) totalOverOdds.push(o.price);
-          } else {
-            if (o.point != null) totalUnderPoints.push(o.point);
-            if (o.price != null) totalUnderOdds.push(o.price);
-          }
+          (o.name === 'Over' ? totalOver : totalUnder).push(o);
         });
       } else if (market.key === 'h2h') {
         (market.outcomes || []).forEach(o => {
-          if (o.name === event.home_team) {
-            if (o.price != null) mlHome.push(o.price);
-          } else {
-            if (o.price != null) mlAway.push(o.price);
-          }
+          if (o.price != null) (o.name === event.home_team ? mlHome : mlAway).push(o.price);
         });
       }
     });
@@ -71,40 +83,78 @@ function calculateEventAverages(event) {
   const avg = arr => arr.length ? arr.reduce((a, b) => a + b, 0) / arr.length : null;
   const roundPoint = v => v != null ? Math.round(v * 2) / 2 : null; // Round to nearest 0.5
   const roundOdds = v => v != null ? Math.round(v) : null;
+  const avgOdds = prices => fixedLine
+    ? americanFromProbability(avg(prices.map(probabilityFromAmerican).filter(p => p != null)))
+    : roundOdds(avg(prices));
+
+  // Average line and price of one side of a spread or total
+  const line = outcomes => {
+    const priced = outcomes.filter(o => o.price != null);
+    if (!fixedLine) {
+      return {
+        point: roundPoint(avg(outcomes.filter(o => o.point != null).map(o => o.point))),
+        odds: roundOdds(avg(priced.map(o => o.price)))
+      };
+    }
+    const point = consensusPoint(outcomes);
+    return { point, odds: avgOdds(priced.filter(o => o.point === point).map(o => o.price)) };
+  };
+
+  const home = line(spreadHome), away = line(spreadAway);
+  const over = line(totalOver), under = line(totalUnder);
 
   return {
     spread: {
-      home: roundPoint(avg(spreadHomePoints)),
-      homeOdds: roundOdds(avg(spreadHomeOdds)),
-      away: roundPoint(avg(spreadAwayPoints)),
-      awayOdds: roundOdds(avg(spreadAwayOdds))
+      home: home.point,
+      homeOdds: home.odds,
+      away: away.point,
+      awayOdds: away.odds
     },
     total: {
-      over: roundPoint(avg(totalOverPoints)),
-      overOdds: roundOdds(avg(totalOverOdds)),
-      under: roundPoint(avg(totalUnderPoints)),
-      underOdds: roundOdds(avg(totalUnderOdds))
+      over: over.point,
+      overOdds: over.odds,
+      under: under.point,
+      underOdds: under.odds
     },
     moneyline: {
-      home: roundOdds(avg(mlHome)),
-      away: roundOdds(avg(mlAway))
+      home: avgOdds(mlHome),
+      away: avgOdds(mlAway)
     }
   };
 }
 
 /**
- * Add averages to all events in sports object
+ * Most quoted point among outcomes (the earliest quoted on a tie), or null
+ */
+function consensusPoint(outcomes) {
+  const counts = new Map();
+  outcomes.forEach(o => {
+    if (o.point != null) counts.set(o.point, (counts.get(o.point) || 0) + 1);
+  });
+  let best = null;
+  counts.forEach((count, point) => {
+    if (best == null || count > counts.get(best)) best = point;
+  });
+  return best;
+}
+
+/**
+ * Normalize prediction-market prices and add averages and no-vig fair lines
+ * (see fairOdds) to all events in sports object
  * @param {Object} sports - Object with sport arrays
- * @returns {Object} - Sports object with averages added to each event
+ * @returns {Object} - Sports object with averages and fair lines added to each event
  */
 function addAveragesToSports(sports) {
   const result = {};
   Object.keys(sports).forEach(sport => {
     if (Array.isArray(sports[sport])) {
-      result[sport] = sports[sport].map(event => ({
-        ...event,
-        averages: calculateEventAverages(event)
-      }));
+      result[sport] = sports[sport].map(event => {
+        const normalized = addFairOdds(normalizePredictionMarkets(event));
+        return {
+          ...normalized,
+          averages: calculateEventAverages(normalized, sport)
+        };
+      });
     } else {
       result[sport] = sports[sport];
     }
@@ -113,167 +163,58 @@ function addAveragesToSports(sports) {
 }
 
 /**
- * Transform upstream data to Owls Insight format
- * @param {Object} upstreamData - Raw data from upstream WebSocket
- * @returns {Object} - Transformed data for Owls Insight
+ * Transform upstream data to Owls Insight format through the transformer for
+ * its format (see src/transformers), then add averages
+ * @param {Object|Array} upstreamData - Raw data from upstream WebSocket
+ * @param {Object} [options]
+ * @param {Object} [options.sportKeyMap] - Upstream sport key -> sport key (see FeedConfig.sportKeyMap)
+ * @param {string} [options.format] - Transformer name; detected from the payload when omitted
+ * @param {TransformerRegistry} [options.transformers] - Registry to use (default: the built-ins)
+ * @param {Function} [options.validate] - (payload) => payload | null, applied before averages;
+ *   null drops the payload
+ * @returns {Object|null} - Transformed data for Owls Insight; `partial` when its events (or markets) are upserts
+ * @throws {Error} on an unknown format or a payload no transformer accepts
  */
-function transformUpstreamData(upstreamData) {
-  const debugEnabled = process.env.DEBUG_OWLS_INSIGHT === 'true';
-
-  // DEBUG: Log what we're transforming
-  if (debugEnabled) {
-    console.log('\n========== DATA TRANSFORMER DEBUG ==========');
-    console.log('Input data keys:', Object.keys(upstreamData || {}));
-    console.log('Has sports?', !!upstreamData?.sports);
-    console.log('Has openingLines?', !!upstreamData?.openingLines);
-    console.log('Is array?', Array.isArray(upstreamData));
-  }
-
-  // If data is already in correct format, add averages and return
-  if (upstreamData.sports && typeof upstreamData.sports === 'object') {
-    if (debugEnabled) {
-      console.log('Path: sports object format - preserving openingLines');
-      console.log('openingLines keys:', Object.keys(upstreamData.openingLines || {}).length);
-      console.log('=============================================\n');
-    }
-    return {
-      ...upstreamData,
-      sports: addAveragesToSports(upstreamData.sports)
-    };
+function transformUpstreamData(upstreamData, {
+  sportKeyMap = DEFAULT_SPORT_KEY_MAP,
+  format = null,
+  transformers = defaultTransformers,
+  validate = null,
+} = {}) {
+  const transformer = format ? transformers.get(format) : transformers.detect(upstreamData);
+  if (!transformer) {
+    throw new Error(format ? `Unknown upstream format: ${format}` : 'Unrecognized upstream payload format');
   }
 
-  // If upstream sends data in The Odds API format
-  if (Array.isArray(upstreamData)) {
-    if (debugEnabled) {
-      console.log('Path: OddsAPI array format - openingLines will be empty');
-      console.log('=============================================\n');
-    }
-    return transformOddsApiFormat(upstreamData);
+  if (process.env.DEBUG_OWLS_INSIGHT === 'true') {
+    console.log(`[DEBUG_OWLS_INSIGHT] Transforming upstream payload as ${transformer.name}${format ? '' : ' (detected)'}`);
   }
 
-  // If upstream sends data with different structure
-  // Add more transformers as needed based on your upstream format
-
-  // Default: wrap in sports object
-  if (debugEnabled) {
-    console.log('Path: default wrap - openingLines will be empty');
-    console.log('=============================================\n');
-  }
+  const transformed = transformer.transform(upstreamData, { sportKeyMap });
+  const result = validate ? validate({ ...transformed, sports: transformed?.sports || {} }) : transformed;
+  if (!result) return null;
   return {
-    sports: upstreamData,
-    openingLines: {},
+    ...result,
+    sports: addAveragesToSports(result?.sports || {}),
   };
 }
 
 /**
  * Transform The Odds API format to Owls Insight format
  * The Odds API returns an array of events
+ * @param {Array} events - Odds API events
+ * @param {Object} [sportKeyMapping] - Upstream sport key -> sport key; only mapped sports are kept
  */
-function transformOddsApiFormat(events) {
-  const sports = {
-    nba: [],
-    nfl: [],
-    nhl: [],
-    ncaab: [],
-    ncaaf: [],
-  };
-
-  const sportKeyMapping = {
-    'basketball_nba': 'nba',
-    'football_nfl': 'nfl',
-    'americanfootball_nfl': 'nfl',
-    'icehockey_nhl': 'nhl',
-    'basketball_ncaab': 'ncaab',
-    'americanfootball_ncaaf': 'ncaaf',
-    'football_ncaaf': 'ncaaf',
-  };
-
-  const debugEnabled = process.env.DEBUG_OWLS_INSIGHT === 'true';
-  if (debugEnabled) {
-    const counts = {};
-    events.forEach((e) => {
-      const key = e?.sport_key || 'missing_sport_key';
-      counts[key] = (counts[key] || 0) + 1;
-    });
-    // eslint-disable-next-line no-console
-    console.log('[DEBUG_OWLS_INSIGHT] OddsAPI sport_key counts:', counts);
-  }
-
-  events.forEach((event) => {
-    const sportKey = sportKeyMapping[event.sport_key] || event.sport_key;
-
-    if (debugEnabled && !sports[sportKey] && event?.sport_key) {
-      // eslint-disable-next-line no-console
-      console.log('[DEBUG_OWLS_INSIGHT] Unmapped sport_key:', event.sport_key, '->', sportKey);
-    }
-
-    if (sports[sportKey]) {
-      sports[sportKey].push({
-        id: event.id,
-        sport_key: event.sport_key,
-        sport: sportKey,
-        home_team: event.home_team,
-        away_team: event.away_team,
-        commence_time: event.commence_time,
-        bookmakers: event.bookmakers || [],
-      });
-    }
-  });
-
-  return {
-    sports: addAveragesToSports(sports),
-    openingLines: {},
-  };
-}
-
-/**
- * Transform a single event to Owls Insight format
- * Useful if upstream sends events one at a time
- */
-function transformSingleEvent(event, sport) {
-  return {
-    id: event.id || event.event_id || `${event.home_team}-${event.away_team}`,
-    sport: sport,
-    home_team: event.home_team || event.homeTeam,
-    away_team: event.away_team || event.awayTeam,
-    commence_time: event.commence_time || event.startTime || event.game_time,
-    bookmakers: transformBookmakers(event.bookmakers || event.odds || []),
-  };
-}
-
-/**
- * Transform bookmakers array to standard format
- */
-function transformBookmakers(bookmakers) {
-  if (!Array.isArray(bookmakers)) {
-    return [];
-  }
-
-  return bookmakers.map((book) => ({
-    key: book.key || book.id || book.name?.toLowerCase().replace(/\s+/g, ''),
-    title: book.title || book.name,
-    markets: transformMarkets(book.markets || book.odds || []),
-  }));
-}
-
-/**
- * Transform markets array to standard format
- */
-function transformMarkets(markets) {
-  if (!Array.isArray(markets)) {
-    return [];
-  }
-
-  return markets.map((market) => ({
-    key: market.key || market.type,
-    outcomes: market.outcomes || market.prices || [],
-  }));
+function transformOddsApiFormat(events, sportKeyMapping = DEFAULT_SPORT_KEY_MAP) {
+  return transformUpstreamData(events, { sportKeyMap: sportKeyMapping, format: 'odds-api' });
 }
 
 /**
  * Validate that data matches expected Owls Insight format
+ * @param {Object} data - Transformed data
+ * @param {string[]} [validSports] - Sport keys to check (defaults to the built-in sports)
  */
-function validateOwlsInsightFormat(data) {
+function validateOwlsInsightFormat(data, validSports = Object.keys(DEFAULT_SPORTS)) {
   if (!data || typeof data !== 'object') {
     return false;
   }
@@ -282,7 +223,6 @@ function validateOwlsInsightFormat(data) {
     return false;
   }
 
-  const validSports = ['nba', 'nfl', 'nhl', 'ncaab', 'ncaaf'];
   for (const sport of validSports) {
     if (data.sports[sport] && !Array.isArray(data.sports[sport])) {
       return false;
@@ -299,4 +239,5 @@ module.exports = {
   transformBookmakers,
   transformMarkets,
   validateOwlsInsightFormat,
+  calculateEventAverages,
 };
@@ -0,0 +1,171 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * Default tier entitlements. '*' grants everything in that dimension.
+ *   - sports: sports the tier may see
+ *   - books: bookmakers included in odds payloads
+ *   - propsBooks: bookmakers whose player props the tier may see (defaults to books)
+ *   - feeds: props, history, ev, arbitrage, analytics, ... (odds and scores included)
+ *
+ * Pinnacle and Bet365 props require Pro/Enterprise on the upstream, so they are
+ * withheld from the free tier here as well.
+ */
+const DEFAULT_TIERS = {
+  free: {
+    sports: ['*'],
+    books: ['*'],
+    propsBooks: ['fanduel', 'draftkings', 'betmgm', 'caesars'],
+    feeds: ['odds', 'scores', 'props', 'history'],
+  },
+  pro: {
+    sports: ['*'],
+    books: ['*'],
+    propsBooks: ['*'],
+    feeds: ['odds', 'scores', 'props', 'history', 'ev', 'arbitrage', 'analytics'],
+  },
+  enterprise: {
+    sports: ['*'],
+    books: ['*'],
+    propsBooks: ['*'],
+    feeds: ['*'],
+  },
+};
+
+const allows = (list, value) => Array.isArray(list) && (list.includes('*') || list.includes(value));
+
+/**
+ * Entitlements - Maps API key tiers to the sports, books and feeds they may access.
+ *
+ * Configure with ENTITLEMENTS_FILE: a JSON object of tier -> { sports, books, propsBooks, feeds }.
+ * Tiers in the file replace the defaults of the same name.
+ */
+class Entitlements {
+  constructor(options = {}) {
+    this.filePath = options.filePath ?? process.env.ENTITLEMENTS_FILE ?? null;
+    this.tiers = { ...DEFAULT_TIERS, ...(options.tiers || {}) };
+
+    if (this.filePath) {
+      try {
+        const raw = fs.readFileSync(path.resolve(this.filePath), 'utf8');
+        this.tiers = { ...this.tiers, ...JSON.parse(raw) };
+      } catch (e) {
+        logger.error(`Failed to load entitlements file ${this.filePath}: ${e.message}`);
+      }
+    }
+  }
+
+  /**
+   * Get a tier definition (unknown tiers are entitled to nothing)
+   */
+  forTier(tier) {
+    const def = this.tiers[String(tier || '').toLowerCase()];
+    if (!def) return { sports: [], books: [], propsBooks: [], feeds: [] };
+    return { ...def, propsBooks: def.propsBooks || def.books };
+  }
+
+  /**
+   * Check a request against a tier
+   * @param {string} tier - Tier of the calling key
+   * @param {Object} request - { feed, sport, book } (all optional); for the
+   *   props feed `book` is checked against propsBooks, otherwise against books
+   * @returns {Object|null} - null when allowed, otherwise { type, value, feed }
+   *   naming the missing entitlement
+   */
+  check(tier, { feed, sport, book } = {}) {
+    const def = this.forTier(tier);
+    if (feed && !allows(def.feeds, feed)) {
+      return { type: 'feed', value: feed, feed };
+    }
+    if (sport && !allows(def.sports, sport)) {
+      return { type: 'sport', value: sport, feed: feed || null };
+    }
+    if (book) {
+      const bookList = feed === 'props' ? def.propsBooks : def.books;
+      if (!allows(bookList, String(book).toLowerCase())) {
+        return { type: feed === 'props' ? 'propsBook' : 'book', value: book, feed: feed || null };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Build the 403 payload for a denied check
+   */
+  static deniedPayload(tier, missing) {
+    const what = missing.type === 'book' || missing.type === 'propsBook'
+      ? `${missing.feed || 'odds'} from '${missing.value}'`
+      : `${missing.type} '${missing.value}'`;
+    return {
+      success: false,
+      error: `Tier '${tier || 'unknown'}' is not entitled to ${what}`,
+      code: 'entitlement_required',
+      tier: tier || null,
+      entitlement: missing,
+    };
+  }
+
+  /**
+   * Filter an odds sports object to the sports and bookmakers a tier may see.
+   * Event fair lines (event.fair) are dropped when their reference book is withheld.
+   */
+  filterOddsSports(tier, sports) {
+    if (!sports || typeof sports !== 'object') return sports;
+    const def = this.forTier(tier);
+    const allBooks = def.books.includes('*');
+    const result = {};
+    Object.entries(sports).forEach(([sportKey, games]) => {
+      if (!allows(def.sports, sportKey)) return;
+      if (!Array.isArray(games) || allBooks) {
+        result[sportKey] = games;
+        return;
+      }
+      result[sportKey] = games.map(g => ({
+        ...g,
+        bookmakers: (g.bookmakers || []).filter(b => allows(def.books, String(b.key || '').toLowerCase())),
+        ...(g.fair && !allows(def.books, g.fair.book) && { fair: null }),
+      }));
+    });
+    return result;
+  }
+
+  /**
+   * Filter a props sports object to the sports and props books a tier may see.
+   * Handles both game.books[] (merged feeds) and single-book games.
+   */
+  filterPropsSports(tier, sports) {
+    if (!sports || typeof sports !== 'object') return sports;
+    const def = this.forTier(tier);
+    const allBooks = def.propsBooks.includes('*');
+    const result = {};
+    Object.entries(sports).forEach(([sportKey, games]) => {
+      if (!allows(def.sports, sportKey)) return;
+      if (!Array.isArray(games) || allBooks) {
+        result[sportKey] = games;
+        return;
+      }
+      result[sportKey] = games
+        .map(g => (Array.isArray(g.books)
+          ? { ...g, books: g.books.filter(b => allows(def.propsBooks, String(b.key || '').toLowerCase())) }
+          : g))
+        .filter(g => !Array.isArray(g.books) || g.books.length > 0);
+    });
+    return result;
+  }
+
+  /**
+   * Filter a scores sports object to the sports a tier may see
+   */
+  filterScoresSports(tier, sports) {
+    if (!sports || typeof sports !== 'object') return sports;
+    const def = this.forTier(tier);
+    const result = {};
+    Object.entries(sports).forEach(([sportKey, games]) => {
+      if (allows(def.sports, sportKey)) result[sportKey] = games;
+    });
+    return result;
+  }
+}
+
+module.exports = Entitlements;
@@ -0,0 +1,187 @@
+const logger = require('../utils/logger');
+const { americanFromProbability, probabilityFromAmerican } = require('./predictionMarkets');
+
+/**
+ * No-vig (fair) odds. A book's implied probabilities for a market add up to
+ * more than 1; the excess is its margin. Each method takes the margin out
+ * differently:
+ *   multiplicative - scales every probability by the same factor
+ *   additive       - subtracts the same amount from every probability
+ *   power          - raises every probability to the power k that makes them sum to 1,
+ *                    taking more margin from longshots
+ *   shin           - Shin's model: the margin protects the book from insiders (share z),
+ *                    which also weighs on longshots
+ *
+ * Fair lines are attached to each bookmaker market (`market.fair`) and, from
+ * the sharp reference book (FAIR_ODDS_BOOK, Pinnacle by default), to the event
+ * (`event.fair`). FAIR_ODDS_METHOD picks the method used at ingest; the odds
+ * routes recompute with another one on request (?fairMethod=).
+ */
+const FAIR_ODDS_METHODS = ['multiplicative', 'additive', 'power', 'shin'];
+
+const DEFAULT_FAIR_METHOD = (() => {
+  const method = String(process.env.FAIR_ODDS_METHOD || 'multiplicative').trim().toLowerCase();
+  if (FAIR_ODDS_METHODS.includes(method)) return method;
+  logger.warn(`Invalid FAIR_ODDS_METHOD: ${process.env.FAIR_ODDS_METHOD}; using multiplicative`);
+  return 'multiplicative';
+})();
+
+const SHARP_BOOK = String(process.env.FAIR_ODDS_BOOK || 'pinnacle').trim().toLowerCase();
+
+const sum = (values) => values.reduce((a, b) => a + b, 0);
+const round4 = (value) => Math.round(value * 10000) / 10000;
+
+// Root of a decreasing function f between lo and hi (f(lo) > 0 > f(hi)), or null if not bracketed
+function bisect(f, lo, hi, iterations = 100) {
+  if (!(f(lo) > 0 && f(hi) < 0)) return null;
+  for (let i = 0; i < iterations; i++) {
+    const mid = (lo + hi) / 2;
+    if (f(mid) > 0) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+const multiplicative = (probabilities, total) => probabilities.map((p) => p / total);
+
+const DEVIG = {
+  multiplicative,
+
+  additive(probabilities, total) {
+    const fair = probabilities.map((p) => p - (total - 1) / probabilities.length);
+    // A margin larger than a longshot's probability leaves nothing to price
+    return fair.every((p) => p > 0) ? fair : null;
+  },
+
+  power(probabilities) {
+    const k = bisect((exponent) => sum(probabilities.map((p) => p ** exponent)) - 1, 1e-3, 50);
+    return k == null ? null : probabilities.map((p) => p ** k);
+  },
+
+  shin(probabilities, total) {
+    // Without a margin there are no insiders to price in
+    if (total <= 1) return multiplicative(probabilities, total);
+    const fairAt = (z) => probabilities.map((p) => (Math.sqrt(z * z + 4 * (1 - z) * (p * p) / total) - z) / (2 * (1 - z)));
+    const z = bisect((share) => sum(fairAt(share)) - 1, 0, 0.99);
+    return z == null ? null : fairAt(z);
+  },
+};
+
+/**
+ * Parse a requested no-vig method
+ * @returns {{ method?: string, error?: string }}
+ */
+function parseFairMethod(value) {
+  if (value == null || value === '') return { method: DEFAULT_FAIR_METHOD };
+  const method = String(value).trim().toLowerCase();
+  if (!FAIR_ODDS_METHODS.includes(method)) {
+    return { error: `Invalid fairMethod: ${value} (expected ${FAIR_ODDS_METHODS.join(', ')})` };
+  }
+  return { method };
+}
+
+/**
+ * Remove the margin from one market's implied probabilities
+ * @param {number[]} probabilities - Implied probabilities of every outcome
+ * @param {string} [method]
+ * @returns {number[]|null} - Fair probabilities summing to 1, or null if the method has no solution
+ */
+function devig(probabilities, method = DEFAULT_FAIR_METHOD) {
+  if (probabilities.length < 2 || probabilities.some((p) => !(p > 0 && p < 1))) return null;
+  const fair = DEVIG[method](probabilities, sum(probabilities));
+  if (!fair) return null;
+  const total = sum(fair);
+  return fair.map((p) => p / total);
+}
+
+// Outcomes priced against each other: spreads by line, totals by points,
+// anything else as one group. Spreads pair one side's point with the other
+// side's point negated (home -3.5 / away +3.5), so alternate lines such as
+// home +3.5 / away -3.5 stay separate.
+function outcomeGroups(market) {
+  if (market.key !== 'spreads' && market.key !== 'totals') return [market.outcomes];
+  const side = market.outcomes.find((outcome) => outcome.point != null)?.name;
+  const groups = new Map();
+  market.outcomes.forEach((outcome) => {
+    if (outcome.point == null) return;
+    const line = market.key === 'spreads' && outcome.name !== side ? -outcome.point : outcome.point;
+    if (!groups.has(line)) groups.set(line, []);
+    groups.get(line).push(outcome);
+  });
+  return Array.from(groups.values());
+}
+
+/**
+ * Fair line of one bookmaker market
+ * @returns {{ method, margin, outcomes: { name, point?, probability, price }[] }|null}
+ *   margin is the book's overround (0.045 = 4.5%) on its first line; null if no line could be priced
+ */
+function fairMarket(market, method = DEFAULT_FAIR_METHOD) {
+  if (!Array.isArray(market?.outcomes)) return null;
+  const outcomes = [];
+  let margin = null;
+
+  outcomeGroups(market).forEach((group) => {
+    // Prediction markets carry the exact contract probability; prices are rounded
+    const implied = group.map((outcome) => outcome.impliedProbability ?? probabilityFromAmerican(outcome.price));
+    if (implied.some((p) => p == null)) return;
+    const fair = devig(implied, method);
+    if (!fair) return;
+    if (margin == null) margin = round4(sum(implied) - 1);
+    group.forEach((outcome, i) => outcomes.push({
+      name: outcome.name,
+      ...(outcome.point != null && { point: outcome.point }),
+      probability: round4(fair[i]),
+      price: americanFromProbability(fair[i]),
+    }));
+  });
+
+  return outcomes.length > 0 ? { method, margin, outcomes } : null;
+}
+
+/**
+ * Event fair lines from the sharp book's market fair lines (`market.fair`)
+ * @returns {{ book, method, markets }|null} - null when the sharp book has none
+ */
+function sharpFairLines(bookmakers, sharpBook = SHARP_BOOK) {
+  const sharp = (bookmakers || []).find((book) => String(book.key || '').toLowerCase() === sharpBook);
+  const markets = {};
+  let method = null;
+  (sharp?.markets || []).forEach((market) => {
+    if (!market.fair) return;
+    markets[market.key] = market.fair.outcomes;
+    method = market.fair.method;
+  });
+  return Object.keys(markets).length > 0 ? { book: sharpBook, method, markets } : null;
+}
+
+/**
+ * Add fair lines to an event: `fair` on each bookmaker market, and on the
+ * event the sharp book's fair lines per market ({ book, method, markets }, or null
+ * when the sharp book does not quote the event)
+ * @param {Object} event
+ * @param {Object} [options]
+ * @param {string} [options.method] - One of FAIR_ODDS_METHODS (default FAIR_ODDS_METHOD)
+ * @param {string} [options.sharpBook] - Reference book key (default FAIR_ODDS_BOOK)
+ */
+function addFairOdds(event, { method = DEFAULT_FAIR_METHOD, sharpBook = SHARP_BOOK } = {}) {
+  if (!Array.isArray(event?.bookmakers)) return event;
+
+  const bookmakers = event.bookmakers.map((book) => ({
+    ...book,
+    markets: (book.markets || []).map((market) => ({ ...market, fair: fairMarket(market, method) })),
+  }));
+
+  return { ...event, bookmakers, fair: sharpFairLines(bookmakers, sharpBook) };
+}
+
+module.exports = {
+  FAIR_ODDS_METHODS,
+  DEFAULT_FAIR_METHOD,
+  SHARP_BOOK,
+  parseFairMethod,
+  devig,
+  fairMarket,
+  sharpFairLines,
+  addFairOdds,
+};
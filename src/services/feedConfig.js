@@ -0,0 +1,231 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const logger = require('../utils/logger');
+const { PROPS_FEEDS } = require('./feedRegistry');
+
+// Sport key -> upstream sport keys it is also known as (e.g. The Odds API's sport_key)
+const DEFAULT_SPORTS = {
+  nba: ['basketball_nba'],
+  ncaab: ['basketball_ncaab'],
+  nfl: ['football_nfl', 'americanfootball_nfl'],
+  nhl: ['icehockey_nhl'],
+  ncaaf: ['americanfootball_ncaaf', 'football_ncaaf'],
+  mlb: ['baseball_mlb'],
+};
+const DEFAULT_BOOKS = ['pinnacle', 'fanduel', 'draftkings', 'betmgm', 'bet365', 'caesars', 'kalshi'];
+// Books with a player props feed this server can relay
+const PROPS_BOOKS = PROPS_FEEDS.map((feed) => feed.book);
+
+const KEY_PATTERN = /^[a-z0-9_]+$/;
+
+const toList = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+  .map((v) => String(v).trim().toLowerCase())
+  .filter(Boolean);
+
+/**
+ * FeedConfig - The sports and books this server subscribes to upstream and serves.
+ *
+ * One configuration drives the upstream subscriptions, sport validation on
+ * REST routes and socket subscriptions, the coverage report and the sport key
+ * mapping used when transforming The Odds API format.
+ *
+ * Sources (later ones override earlier ones):
+ *   - built-in defaults (nba, ncaab, nfl, nhl, ncaaf, mlb and the seven odds books)
+ *   - UPSTREAM_SPORTS / UPSTREAM_BOOKS / UPSTREAM_PROPS_BOOKS: comma-separated lists
+ *   - FEED_CONFIG_FILE: JSON file of the form
+ *       { sports: { nba: ['basketball_nba'], ... } | ['nba', ...], books: [...], propsBooks: [...] }
+ *
+ * The configuration can be changed at runtime (written back to FEED_CONFIG_FILE
+ * when set). Emits 'change' with { before, after } after every change.
+ */
+class FeedConfig extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.filePath = options.filePath ?? process.env.FEED_CONFIG_FILE ?? null;
+    this.env = {
+      sports: options.sports ?? process.env.UPSTREAM_SPORTS,
+      books: options.books ?? process.env.UPSTREAM_BOOKS,
+      propsBooks: options.propsBooks ?? process.env.UPSTREAM_PROPS_BOOKS,
+    };
+    this.config = null;
+
+    this.load();
+  }
+
+  /**
+   * (Re)load the configuration from the environment and FEED_CONFIG_FILE
+   * @returns {Object} - The loaded configuration
+   */
+  load() {
+    let config = {
+      sports: { ...DEFAULT_SPORTS },
+      books: [...DEFAULT_BOOKS],
+      propsBooks: [...PROPS_BOOKS],
+    };
+
+    try {
+      const fromEnv = {};
+      if (this.env.sports) fromEnv.sports = toList(this.env.sports);
+      if (this.env.books) fromEnv.books = toList(this.env.books);
+      if (this.env.propsBooks) fromEnv.propsBooks = toList(this.env.propsBooks);
+      config = { ...config, ...FeedConfig.normalizeFields(fromEnv) };
+    } catch (e) {
+      logger.error(`Invalid UPSTREAM_SPORTS/UPSTREAM_BOOKS/UPSTREAM_PROPS_BOOKS: ${e.message}`);
+    }
+
+    if (this.filePath && fs.existsSync(path.resolve(this.filePath))) {
+      try {
+        const parsed = JSON.parse(fs.readFileSync(path.resolve(this.filePath), 'utf8'));
+        config = { ...config, ...FeedConfig.normalizeFields(parsed) };
+      } catch (e) {
+        logger.error(`Failed to load feed config file ${this.filePath}: ${e.message}`);
+      }
+    }
+
+    const before = this.config;
+    this.config = config;
+    logger.info(`Feed config: sports=${this.sportKeys().join(',')} books=${config.books.join(',')} propsBooks=${config.propsBooks.join(',')}`);
+    if (before) this.emit('change', { before, after: config });
+    return config;
+  }
+
+  /**
+   * Validate and normalize { sports, books, propsBooks } (any subset)
+   * @throws {Error} with `status` 400 on invalid input
+   */
+  static normalizeFields(fields = {}) {
+    const out = {};
+    const fail = (message) => {
+      const err = new Error(message);
+      err.status = 400;
+      throw err;
+    };
+
+    if (fields.sports !== undefined) {
+      const sports = {};
+      if (Array.isArray(fields.sports)) {
+        fields.sports.forEach((key) => {
+          const sport = String(key).trim().toLowerCase();
+          sports[sport] = DEFAULT_SPORTS[sport] || [];
+        });
+      } else if (fields.sports && typeof fields.sports === 'object') {
+        Object.entries(fields.sports).forEach(([key, aliases]) => {
+          if (aliases != null && !Array.isArray(aliases)) fail(`sports.${key} must be an array of upstream sport keys`);
+          sports[key.trim().toLowerCase()] = (aliases || []).map((a) => String(a).trim()).filter(Boolean);
+        });
+      } else {
+        fail('sports must be an array of sport keys or an object of sport key -> upstream sport keys');
+      }
+      const invalid = Object.keys(sports).filter((key) => !KEY_PATTERN.test(key));
+      if (invalid.length > 0) fail(`Invalid sport key: ${invalid.join(', ')}`);
+      if (Object.keys(sports).length === 0) fail('sports must not be empty');
+      out.sports = sports;
+    }
+
+    if (fields.books !== undefined) {
+      if (!Array.isArray(fields.books)) fail('books must be an array of book keys');
+      const books = toList(fields.books);
+      const invalid = books.filter((book) => !KEY_PATTERN.test(book));
+      if (invalid.length > 0) fail(`Invalid book key: ${invalid.join(', ')}`);
+      out.books = Array.from(new Set(books));
+    }
+
+    if (fields.propsBooks !== undefined) {
+      if (!Array.isArray(fields.propsBooks)) fail('propsBooks must be an array of book keys');
+      const propsBooks = toList(fields.propsBooks);
+      const unsupported = propsBooks.filter((book) => !PROPS_BOOKS.includes(book));
+      if (unsupported.length > 0) fail(`No props feed for: ${unsupported.join(', ')} (supported: ${PROPS_BOOKS.join(', ')})`);
+      out.propsBooks = Array.from(new Set(propsBooks));
+    }
+
+    return out;
+  }
+
+  /**
+   * Write the configuration to FEED_CONFIG_FILE atomically (temp file + rename)
+   */
+  save() {
+    const target = path.resolve(this.filePath);
+    const tmp = `${target}.${process.pid}.${Date.now()}.tmp`;
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(tmp, JSON.stringify(this.config, null, 2));
+    fs.renameSync(tmp, target);
+  }
+
+  /**
+   * Change part of the configuration at runtime
+   * @param {Object} fields - { sports?, books?, propsBooks? }
+   * @returns {Object} - The new configuration
+   */
+  update(fields = {}) {
+    const before = this.config;
+    const after = { ...before, ...FeedConfig.normalizeFields(fields) };
+
+    this.config = after;
+    if (this.filePath) {
+      try {
+        this.save();
+      } catch (e) {
+        this.config = before;
+        throw e;
+      }
+    } else {
+      logger.warn('FEED_CONFIG_FILE is not configured; feed config change will not survive a restart');
+    }
+
+    logger.info(`[FeedConfig] updated: sports=${this.sportKeys().join(',')} books=${after.books.join(',')} propsBooks=${after.propsBooks.join(',')}`);
+    this.emit('change', { before, after });
+    return after;
+  }
+
+  get() {
+    return this.config;
+  }
+
+  sportKeys() {
+    return Object.keys(this.config.sports);
+  }
+
+  hasSport(sport) {
+    return Object.prototype.hasOwnProperty.call(this.config.sports, sport);
+  }
+
+  books() {
+    return this.config.books;
+  }
+
+  propsBooks() {
+    return this.config.propsBooks;
+  }
+
+  /**
+   * Upstream sport key -> sport key (each sport key also maps to itself)
+   */
+  sportKeyMap() {
+    const map = {};
+    Object.entries(this.config.sports).forEach(([sport, aliases]) => {
+      map[sport] = sport;
+      aliases.forEach((alias) => { map[alias] = sport; });
+    });
+    return map;
+  }
+
+  /**
+   * What a change removed, so subscriptions and caches can be narrowed
+   * @returns {{ sports: string[], books: string[], propsBooks: string[] }}
+   */
+  static removed(before, after) {
+    const missing = (a = [], b = []) => a.filter((x) => !b.includes(x));
+    return {
+      sports: missing(Object.keys(before?.sports || {}), Object.keys(after?.sports || {})),
+      books: missing(before?.books, after?.books),
+      propsBooks: missing(before?.propsBooks, after?.propsBooks),
+    };
+  }
+}
+
+module.exports = FeedConfig;
+module.exports.DEFAULT_SPORTS = DEFAULT_SPORTS;
+module.exports.DEFAULT_BOOKS = DEFAULT_BOOKS;
+module.exports.PROPS_BOOKS = PROPS_BOOKS;
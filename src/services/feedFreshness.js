@@ -0,0 +1,158 @@
+const { EventEmitter } = require('events');
+const logger = require('../utils/logger');
+
+// Window over which message rates are measured
+const RATE_WINDOW_MS = 5 * 60 * 1000;
+
+/**
+ * FeedFreshness - When each upstream feed last delivered data and how often,
+ * and which feeds have gone quiet.
+ *
+ * Feeds are named `odds:<book>`, `scores` and `props:<book>`, and are tracked
+ * from their first message. A feed is stale once nothing has arrived for its
+ * threshold: FEED_STALE_MS (default 120000), overridden per kind or per feed
+ * by FEED_STALE_THRESHOLDS, a JSON object such as
+ *   { "scores": 60000, "props": 600000, "props:caesars": 900000 }
+ *
+ * Emits 'stale' when a feed goes quiet and 'fresh' when data arrives again,
+ * both with { key, feed, book, ...status }.
+ */
+class FeedFreshness extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.defaultStaleMs = options.staleMs || parseInt(process.env.FEED_STALE_MS) || 120000;
+    this.thresholds = options.thresholds || FeedFreshness.parseThresholds(process.env.FEED_STALE_THRESHOLDS);
+    this.checkIntervalMs = options.checkIntervalMs || 5000;
+
+    // key -> { firstReceivedAt, lastReceivedAt, received, arrivals: [ts], stale }
+    this.feeds = new Map();
+    this.timer = null;
+  }
+
+  static parseThresholds(value) {
+    if (!value) return {};
+    try {
+      const parsed = JSON.parse(value);
+      return Object.fromEntries(Object.entries(parsed)
+        .map(([key, ms]) => [key.toLowerCase(), Number(ms)])
+        .filter(([, ms]) => Number.isFinite(ms) && ms > 0));
+    } catch (e) {
+      logger.error(`Failed to parse FEED_STALE_THRESHOLDS: ${e.message}`);
+      return {};
+    }
+  }
+
+  static key(feed, book = null) {
+    return book ? `${feed}:${String(book).toLowerCase()}` : feed;
+  }
+
+  static parse(key) {
+    const [feed, book = null] = key.split(':');
+    return { feed, book };
+  }
+
+  thresholdFor(key) {
+    return this.thresholds[key] ?? this.thresholds[FeedFreshness.parse(key).feed] ?? this.defaultStaleMs;
+  }
+
+  /**
+   * Record a message on a feed
+   */
+  record(key, now = Date.now()) {
+    let state = this.feeds.get(key);
+    if (!state) {
+      state = { firstReceivedAt: now, lastReceivedAt: now, received: 0, arrivals: [], stale: false };
+      this.feeds.set(key, state);
+    }
+    state.lastReceivedAt = now;
+    state.received++;
+    state.arrivals.push(now);
+    this.trim(state, now);
+
+    if (state.stale) {
+      state.stale = false;
+      logger.info(`[Freshness] ${key} is flowing again`);
+      this.emit('fresh', { key, ...FeedFreshness.parse(key), ...this.status(key, now) });
+    }
+  }
+
+  trim(state, now) {
+    const cutoff = now - RATE_WINDOW_MS;
+    let drop = 0;
+    while (drop < state.arrivals.length && state.arrivals[drop] < cutoff) drop++;
+    if (drop > 0) state.arrivals.splice(0, drop);
+  }
+
+  /**
+   * Flag feeds that have exceeded their threshold
+   */
+  check(now = Date.now()) {
+    this.feeds.forEach((state, key) => {
+      if (state.stale) return;
+      const staleAfterMs = this.thresholdFor(key);
+      if (now - state.lastReceivedAt <= staleAfterMs) return;
+      state.stale = true;
+      logger.warn(`[Freshness] ${key} is stale: nothing received for ${Math.round((now - state.lastReceivedAt) / 1000)}s`);
+      this.emit('stale', { key, ...FeedFreshness.parse(key), ...this.status(key, now) });
+    });
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.check(), this.checkIntervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Stop tracking a feed (e.g. its book was removed from the feed config)
+   */
+  forget(key) {
+    this.feeds.delete(key);
+  }
+
+  keys() {
+    return Array.from(this.feeds.keys());
+  }
+
+  /**
+   * @returns {Object|null} - { lastReceivedAt, ageMs, ratePerMin, stale, staleAfterMs }
+   */
+  status(key, now = Date.now()) {
+    const state = this.feeds.get(key);
+    if (!state) return null;
+    this.trim(state, now);
+    const spanMs = Math.max(60 * 1000, Math.min(RATE_WINDOW_MS, now - state.firstReceivedAt));
+    return {
+      lastReceivedAt: new Date(state.lastReceivedAt).toISOString(),
+      ageMs: now - state.lastReceivedAt,
+      ratePerMin: Math.round((state.arrivals.length / (spanMs / 60000)) * 10) / 10,
+      stale: state.stale,
+      staleAfterMs: this.thresholdFor(key),
+    };
+  }
+
+  /**
+   * Status of several feeds (all tracked feeds by default)
+   * @returns {Object} - { key: status }
+   */
+  snapshot(keys = this.keys()) {
+    const now = Date.now();
+    const out = {};
+    keys.forEach((key) => {
+      const status = this.status(key, now);
+      if (status) out[key] = status;
+    });
+    return out;
+  }
+
+  staleFeeds() {
+    return this.keys().filter((key) => this.feeds.get(key).stale);
+  }
+}
+
+module.exports = FeedFreshness;
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+
+const DEFAULT_MAX_BYTES = 4 * 1024 * 1024;
+
+/**
+ * FeedLog - Sequence numbers and a bounded buffer of recent messages per
+ * downstream feed, so reconnecting clients can resume without gaps.
+ *
+ * Every broadcast on a sequenced feed gets the next `seq` for that feed
+ * (starting at 1). The last FEED_BUFFER_SIZE messages (default 20) are kept
+ * unfiltered, together with the event name and feed options needed to
+ * re-filter them for a particular socket. Full odds payloads are large, so each
+ * feed's buffer is also capped at FEED_BUFFER_MAX_BYTES of JSON (default 4 MiB);
+ * the latest message is always kept, whatever its size.
+ *
+ * Sequence numbers restart when the server restarts; `epoch` identifies the
+ * current run so clients can tell their last seen numbers no longer apply.
+ */
+class FeedLog {
+  constructor(options = {}) {
+    this.size = options.size || parseInt(process.env.FEED_BUFFER_SIZE) || 20;
+    this.maxBytes = options.maxBytes || parseInt(process.env.FEED_BUFFER_MAX_BYTES) || DEFAULT_MAX_BYTES;
+    this.epoch = options.epoch || `${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`;
+
+    // feed -> last assigned seq
+    this.seqs = new Map();
+    // feed -> [{ seq, eventName, payload, feedOptions, bytes }] (oldest first)
+    this.buffers = new Map();
+    // feed -> total bytes of its buffer
+    this.bufferBytes = new Map();
+  }
+
+  /**
+   * Assign the next sequence number for a feed
+   */
+  nextSeq(feed) {
+    const seq = this.current(feed) + 1;
+    this.seqs.set(feed, seq);
+    return seq;
+  }
+
+  /**
+   * Last sequence number assigned for a feed (0 before the first message)
+   */
+  current(feed) {
+    return this.seqs.get(feed) || 0;
+  }
+
+  /**
+   * Buffer a sequenced message, dropping the oldest once the buffer is over
+   * its message count or byte size
+   * @param {string} feed - Feed name
+   * @param {Object} entry - { seq, eventName, payload, feedOptions, bytes? }
+   *   bytes is the payload's JSON size, computed when not given
+   */
+  push(feed, entry) {
+    let buffer = this.buffers.get(feed);
+    if (!buffer) {
+      buffer = [];
+      this.buffers.set(feed, buffer);
+    }
+    const bytes = entry.bytes ?? Buffer.byteLength(JSON.stringify(entry.payload) || '');
+    buffer.push({ ...entry, bytes });
+
+    let total = (this.bufferBytes.get(feed) || 0) + bytes;
+    while (buffer.length > 1 && (buffer.length > this.size || total > this.maxBytes)) {
+      total -= buffer.shift().bytes;
+    }
+    this.bufferBytes.set(feed, total);
+  }
+
+  /**
+   * Current sequence number of every feed
+   * @returns {Object} - { feed: seq }
+   */
+  sequences() {
+    return Object.fromEntries(this.seqs);
+  }
+
+  /**
+   * Work out what a client that last saw `lastSeq` needs to catch up
+   * @param {string} feed - Feed name
+   * @param {number|null} lastSeq - Last seq the client received (null if unknown,
+   *   e.g. from a previous server run)
+   * @returns {{ mode: string, entries: Object[] }} - mode is one of:
+   *   - 'empty': nothing has been broadcast on this feed yet
+   *   - 'current': the client is up to date
+   *   - 'replay': entries are the messages it missed, oldest first
+   *   - 'snapshot': the gap is too old (or unknown); entries holds only the latest message
+   */
+  missedSince(feed, lastSeq) {
+    const buffer = this.buffers.get(feed) || [];
+    if (buffer.length === 0) return { mode: 'empty', entries: [] };
+
+    const current = this.current(feed);
+    if (Number.isInteger(lastSeq) && lastSeq >= 0 && lastSeq <= current) {
+      if (lastSeq === current) return { mode: 'current', entries: [] };
+      if (lastSeq >= buffer[0].seq - 1) {
+        return { mode: 'replay', entries: buffer.filter((entry) => entry.seq > lastSeq) };
+      }
+    }
+    return { mode: 'snapshot', entries: [buffer[buffer.length - 1]] };
+  }
+}
+
+module.exports = FeedLog;
@@ -0,0 +1,174 @@
+const KEY_PATTERN = /^[a-z0-9_]+$/;
+
+/**
+ * Built-in per-book player props feeds. Each entry declares how one book's
+ * props flow through the server:
+ *   book            - book key (entitlements, subscriptions, freshness)
+ *   name            - display name for logs
+ *   upstreamEvent   - event the upstream pushes updates on
+ *   subscribeEvent  - event sent upstream to subscribe, with { sports }
+ *   subscribedEvent - upstream's subscription confirmation
+ *   downstreamEvent - event broadcast to clients
+ *   refreshEvent    - event a client sends to get the cached data again
+ *   seqFeed         - name the feed is sequenced and resumed under
+ *   multiBook       - payload games carry several books, so entitlements filter
+ *                     books inside each game instead of gating the whole feed
+ *   transform       - optional (data) => data applied to upstream payloads
+ * Only `book` and `name` are required; the event names default to the upstream
+ * convention (`<book>-props-update`, `subscribe-<book>-props`, ...), which
+ * Pinnacle's feed predates.
+ */
+const PROPS_FEEDS = [
+  {
+    book: 'pinnacle',
+    name: 'Pinnacle',
+    upstreamEvent: 'player-props-update',
+    subscribeEvent: 'subscribe-props',
+    subscribedEvent: 'props-subscribed',
+    downstreamEvent: 'player-props-update',
+    refreshEvent: 'request-props',
+    seqFeed: 'props',
+    multiBook: true,
+  },
+  { book: 'bet365', name: 'Bet365' },
+  { book: 'fanduel', name: 'FanDuel' },
+  { book: 'draftkings', name: 'DraftKings' },
+  { book: 'betmgm', name: 'BetMGM' },
+  { book: 'caesars', name: 'Caesars' },
+];
+
+/**
+ * Games and props in a list of props games. Props are nested in
+ * game.books[].props, or directly on the game for some books.
+ * @returns {{ games: number, props: number }}
+ */
+function countProps(games) {
+  let props = 0;
+  (Array.isArray(games) ? games : []).forEach((game) => {
+    if (Array.isArray(game?.books)) {
+      game.books.forEach((b) => { props += (b.props || []).length; });
+    } else if (Array.isArray(game?.props)) {
+      props += game.props.length;
+    }
+  });
+  return { games: Array.isArray(games) ? games.length : 0, props };
+}
+
+/**
+ * FeedRegistry - The per-book player props feeds this server relays, and the
+ * latest payload received on each.
+ *
+ * The definitions drive the upstream subscriptions and event handlers
+ * (UpstreamConnector), caching, downstream broadcasts, client refresh
+ * requests, REST routes, coverage and health, so supporting a new book's props
+ * is one entry in PROPS_FEEDS.
+ */
+class FeedRegistry {
+  /**
+   * @param {Object[]} [definitions=PROPS_FEEDS]
+   */
+  constructor(definitions = PROPS_FEEDS) {
+    // book -> feed definition
+    this.feeds = new Map();
+    // book -> { data, updatedAt }
+    this.cache = new Map();
+
+    definitions.forEach((definition) => this.register(definition));
+  }
+
+  /**
+   * Fill in a definition's defaults
+   * @throws {Error} on a missing or invalid book key
+   */
+  static define(definition) {
+    const book = String(definition?.book || '').trim().toLowerCase();
+    if (!KEY_PATTERN.test(book)) throw new Error(`Invalid props feed book: ${definition?.book}`);
+    return {
+      name: book,
+      upstreamEvent: `${book}-props-update`,
+      subscribeEvent: `subscribe-${book}-props`,
+      subscribedEvent: `${book}-props-subscribed`,
+      downstreamEvent: `${book}-props-update`,
+      refreshEvent: `request-${book}-props`,
+      seqFeed: `${book}-props`,
+      multiBook: false,
+      transform: null,
+      ...definition,
+      book,
+      key: `props:${book}`,
+    };
+  }
+
+  /**
+   * Add a feed
+   * @returns {Object} - The completed definition
+   */
+  register(definition) {
+    const feed = FeedRegistry.define(definition);
+    if (this.feeds.has(feed.book)) throw new Error(`Props feed already registered: ${feed.book}`);
+    this.feeds.set(feed.book, feed);
+    return feed;
+  }
+
+  get(book) {
+    return this.feeds.get(String(book || '').toLowerCase()) || null;
+  }
+
+  has(book) {
+    return this.feeds.has(String(book || '').toLowerCase());
+  }
+
+  all() {
+    return Array.from(this.feeds.values());
+  }
+
+  books() {
+    return Array.from(this.feeds.keys());
+  }
+
+  /**
+   * Cache the latest payload of a feed
+   */
+  update(book, data, now = Date.now()) {
+    this.cache.set(book, { data, updatedAt: now });
+  }
+
+  /**
+   * Drop the cached payload of a feed, e.g. once it is disabled
+   */
+  forget(book) {
+    this.cache.delete(book);
+  }
+
+  /**
+   * Latest cached payload of a feed, or null
+   */
+  latest(book) {
+    return this.cache.get(book)?.data || null;
+  }
+
+  hasData() {
+    return this.cache.size > 0;
+  }
+
+  /**
+   * Cache state per feed, for /health
+   */
+  status() {
+    return Object.fromEntries(this.all().map((feed) => {
+      const entry = this.cache.get(feed.book);
+      const counts = Object.values(entry?.data?.sports || {})
+        .map(countProps)
+        .reduce((sum, c) => ({ games: sum.games + c.games, props: sum.props + c.props }), { games: 0, props: 0 });
+      return [feed.book, {
+        cached: !!entry,
+        updatedAt: entry ? new Date(entry.updatedAt).toISOString() : null,
+        ...counts,
+      }];
+    }));
+  }
+}
+
+module.exports = FeedRegistry;
+module.exports.PROPS_FEEDS = PROPS_FEEDS;
+module.exports.countProps = countProps;
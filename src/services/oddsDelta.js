@@ -0,0 +1,181 @@
+/**
+ * Odds delta encoding.
+ *
+ * Diffs two odds `sports` objects ({ sport: games[] }) down to the outcome
+ * level. Each level is a keyed collection:
+ *
+ *   games (eventId|id) -> bookmakers (key) -> markets (key) -> outcomes (name|description)
+ *
+ * and a node that changed is described as
+ *
+ *   { id, fields?: { ...changed non-child fields }, unset?: [field], <children>?: { added, removed, changed } }
+ *
+ * where `added` holds full new nodes, `removed` holds ids and `changed` holds
+ * nested change nodes. Fields that disappeared are listed in `unset` (a field
+ * whose value became null is a change like any other). A sport's delta is
+ * { added, removed, changed } over its games, or null when the sport is gone.
+ * Applying a delta reproduces the full payload, except that added nodes are
+ * appended to their collection.
+ */
+
+// How each level is identified and which field holds its children
+const LEVELS = [
+  { id: (g) => g?.eventId || g?.id || g?.event_id || null, children: 'bookmakers' },
+  { id: (b) => b?.key || null, children: 'markets' },
+  { id: (m) => m?.key || null, children: 'outcomes' },
+  { id: (o) => `${o?.name ?? ''}|${o?.description ?? ''}`, children: null },
+];
+
+const sameValue = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Diff two keyed arrays at a level
+ * @returns {Object|null} - { added, removed, changed } or null when identical
+ */
+function diffCollection(prevList, nextList, depth) {
+  const level = LEVELS[depth];
+  const prevById = new Map();
+  (Array.isArray(prevList) ? prevList : []).forEach((node) => {
+    const id = level.id(node);
+    if (id != null) prevById.set(String(id), node);
+  });
+
+  const added = [];
+  const changed = [];
+  const seen = new Set();
+
+  (Array.isArray(nextList) ? nextList : []).forEach((node) => {
+    const id = level.id(node);
+    if (id == null) return;
+    const key = String(id);
+    seen.add(key);
+    const prevNode = prevById.get(key);
+    if (!prevNode) {
+      added.push(node);
+      return;
+    }
+    if (prevNode === node) return;
+    const nodeDelta = diffNode(prevNode, node, depth);
+    if (nodeDelta) changed.push({ id: key, ...nodeDelta });
+  });
+
+  const removed = Array.from(prevById.keys()).filter((id) => !seen.has(id));
+
+  if (added.length === 0 && removed.length === 0 && changed.length === 0) return null;
+  return { added, removed, changed };
+}
+
+/**
+ * Diff one node (game, bookmaker, market or outcome)
+ * @returns {Object|null} - { fields?, <children>? } or null when identical
+ */
+function diffNode(prevNode, nextNode, depth) {
+  const childField = LEVELS[depth].children;
+  const fields = {};
+  const unset = [];
+  const keys = new Set([...Object.keys(prevNode || {}), ...Object.keys(nextNode || {})]);
+  keys.forEach((k) => {
+    if (k === childField) return;
+    if (sameValue(prevNode?.[k], nextNode?.[k])) return;
+    if (nextNode?.[k] === undefined) unset.push(k);
+    else fields[k] = nextNode[k];
+  });
+
+  const result = {};
+  if (Object.keys(fields).length > 0) result.fields = fields;
+  if (unset.length > 0) result.unset = unset;
+  if (childField) {
+    const childDelta = diffCollection(prevNode?.[childField], nextNode?.[childField], depth + 1);
+    if (childDelta) result[childField] = childDelta;
+  }
+  return Object.keys(result).length > 0 ? result : null;
+}
+
+/**
+ * Diff two sports objects
+ * @param {Object} prevSports - { sport: games[] } last sent
+ * @param {Object} nextSports - { sport: games[] } to send
+ * @returns {Object} - { sport: { added, removed, changed } | null } (only sports that
+ *   changed; null for sports no longer in nextSports)
+ */
+function diffSports(prevSports, nextSports) {
+  const result = {};
+  const sports = new Set([...Object.keys(prevSports || {}), ...Object.keys(nextSports || {})]);
+  sports.forEach((sport) => {
+    if (!(sport in (nextSports || {}))) {
+      result[sport] = null;
+      return;
+    }
+    const sportDelta = diffCollection(prevSports?.[sport], nextSports?.[sport], 0);
+    if (sportDelta) result[sport] = sportDelta;
+  });
+  return result;
+}
+
+/**
+ * Diff two flat objects (used for openingLines)
+ * @returns {Object|null} - { changed: { key: value }, removed: [key] } or null when identical
+ */
+function diffObject(prevObj, nextObj) {
+  const changed = {};
+  Object.entries(nextObj || {}).forEach(([k, v]) => {
+    if (!sameValue(prevObj?.[k], v)) changed[k] = v;
+  });
+  const removed = Object.keys(prevObj || {}).filter((k) => !(k in (nextObj || {})));
+  if (Object.keys(changed).length === 0 && removed.length === 0) return null;
+  return { changed, removed };
+}
+
+function applyCollection(list, collectionDelta, depth) {
+  const level = LEVELS[depth];
+  const removed = new Set(collectionDelta.removed || []);
+  const changedById = new Map((collectionDelta.changed || []).map((c) => [String(c.id), c]));
+
+  const next = (Array.isArray(list) ? list : [])
+    .filter((node) => !removed.has(String(level.id(node))))
+    .map((node) => {
+      const change = changedById.get(String(level.id(node)));
+      return change ? applyNode(node, change, depth) : node;
+    });
+  return [...next, ...(collectionDelta.added || [])];
+}
+
+function applyNode(node, change, depth) {
+  const childField = LEVELS[depth].children;
+  const next = { ...node };
+  Object.assign(next, change.fields || {});
+  (change.unset || []).forEach((k) => { delete next[k]; });
+  if (childField && change[childField]) {
+    next[childField] = applyCollection(node[childField], change[childField], depth + 1);
+  }
+  return next;
+}
+
+/**
+ * Apply an `odds-delta` payload to a client-side state (reference
+ * implementation for clients and tests)
+ * @param {Object} state - { sports, openingLines }
+ * @param {Object} delta - { sports, openingLines }
+ * @returns {Object} - New { sports, openingLines }
+ */
+function applyOddsDelta(state, delta) {
+  const sports = { ...(state?.sports || {}) };
+  Object.entries(delta?.sports || {}).forEach(([sport, sportDelta]) => {
+    if (sportDelta === null) delete sports[sport];
+    else sports[sport] = applyCollection(sports[sport], sportDelta, 0);
+  });
+
+  const openingLines = { ...(state?.openingLines || {}) };
+  if (delta?.openingLines) {
+    (delta.openingLines.removed || []).forEach((k) => { delete openingLines[k]; });
+    Object.assign(openingLines, delta.openingLines.changed || {});
+  }
+
+  return { sports, openingLines };
+}
+
+module.exports = {
+  diffSports,
+  diffObject,
+  applyOddsDelta,
+};
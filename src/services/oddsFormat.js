@@ -0,0 +1,101 @@
+const { probabilityFromAmerican } = require('./predictionMarkets');
+
+/**
+ * Odds formats prices can be served in. Upstream prices are American odds;
+ * the others are derived from them:
+ *   decimal    - total return per unit staked (-110 -> 1.909)
+ *   fractional - profit per unit staked as a reduced fraction (-110 -> "10/11")
+ *   hongkong   - profit per unit staked (-110 -> 0.909)
+ *   implied    - implied probability including the margin (-110 -> 0.5238)
+ */
+const ODDS_FORMATS = ['american', 'decimal', 'fractional', 'hongkong', 'implied'];
+const DEFAULT_ODDS_FORMAT = 'american';
+
+const FORMAT_ALIASES = { us: 'american', eu: 'decimal', uk: 'fractional', hk: 'hongkong', probability: 'implied' };
+
+// Keys holding American prices: price/odds and camelCase or snake_case names ending in them
+// (overPrice, homeOdds, mlHomePrice, over_price, ...). Prediction-market contract prices are not odds.
+const PRICE_KEY = /^(price|odds)$|[a-z](Price|Odds)$|_(price|odds)$/;
+const NOT_PRICE_KEYS = new Set(['contractPrice']);
+// Objects whose home/away values are prices (averages and opening lines)
+const MONEYLINE_KEYS = new Set(['moneyline', 'h2h']);
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+
+/**
+ * Parse a requested odds format
+ * @returns {{ format?: string, error?: string }}
+ */
+function parseOddsFormat(value) {
+  if (value == null || value === '') return { format: DEFAULT_ODDS_FORMAT };
+  const key = String(value).trim().toLowerCase();
+  const format = FORMAT_ALIASES[key] || key;
+  if (!ODDS_FORMATS.includes(format)) {
+    return { error: `Invalid oddsFormat: ${value} (expected ${ODDS_FORMATS.slice(0, -1).join(', ')} or ${ODDS_FORMATS[ODDS_FORMATS.length - 1]})` };
+  }
+  return { format };
+}
+
+/**
+ * Convert one American price; values that are not American odds are returned unchanged
+ */
+function convertPrice(price, format) {
+  if (format === DEFAULT_ODDS_FORMAT || typeof price !== 'number') return price;
+  const probability = probabilityFromAmerican(price);
+  if (probability == null) return price;
+
+  switch (format) {
+    case 'decimal':
+      return round(price > 0 ? 1 + price / 100 : 1 + 100 / -price, 3);
+    case 'hongkong':
+      return round(price > 0 ? price / 100 : 100 / -price, 3);
+    case 'implied':
+      return round(probability, 4);
+    case 'fractional': {
+      const [numerator, denominator] = price > 0 ? [Math.round(price), 100] : [100, Math.round(-price)];
+      const divisor = gcd(numerator, denominator);
+      return `${numerator / divisor}/${denominator / divisor}`;
+    }
+    default:
+      return price;
+  }
+}
+
+/**
+ * Convert every price in a payload (outcomes, averages, opening lines, props,
+ * history rows) to a format. Returns a converted copy; the input is untouched.
+ * @param {*} value - Payload
+ * @param {string} format - One of ODDS_FORMATS
+ */
+function convertOdds(value, format) {
+  if (format === DEFAULT_ODDS_FORMAT) return value;
+
+  // rowKeys: extra keys holding prices in this node (moneyline history rows' value/opening)
+  const walk = (node, { moneyline = false, rowKeys = null } = {}) => {
+    if (Array.isArray(node)) return node.map((item) => walk(item, { rowKeys }));
+    if (!node || typeof node !== 'object') return node;
+
+    const h2hHistory = node.market === 'h2h' && Array.isArray(node.historyRows);
+    const out = {};
+    Object.entries(node).forEach(([key, child]) => {
+      const isPrice = (PRICE_KEY.test(key) && !NOT_PRICE_KEYS.has(key))
+        || (moneyline && (key === 'home' || key === 'away'))
+        || (rowKeys && rowKeys.includes(key));
+      if (isPrice && typeof child === 'number') out[key] = convertPrice(child, format);
+      else if (h2hHistory && key === 'historyRows') out[key] = walk(child, { rowKeys: ['value', 'opening'] });
+      else out[key] = walk(child, { moneyline: MONEYLINE_KEYS.has(key) });
+    });
+    return out;
+  };
+
+  return walk(value);
+}
+
+module.exports = {
+  ODDS_FORMATS,
+  DEFAULT_ODDS_FORMAT,
+  parseOddsFormat,
+  convertPrice,
+  convertOdds,
+};
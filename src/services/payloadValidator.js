@@ -0,0 +1,289 @@
+const logger = require('../utils/logger');
+const { isPredictionMarket } = require('./predictionMarkets');
+
+// Longest JSON kept for a quarantined item
+const SAMPLE_CHARS = 1000;
+
+const PROP_PRICE_FIELDS = ['overPrice', 'underPrice', 'over_price', 'under_price', 'price'];
+
+// Prediction-market outcomes may carry only a contract price, in the order
+// predictionMarkets.normalizeOutcome reads them
+const CONTRACT_PRICE_FIELDS = ['yes_price', 'yesPrice', 'probability', 'price'];
+
+const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// A finite number (numeric strings are converted), undefined for null/absent, NaN when invalid
+function toNumber(value) {
+  if (value == null || value === '') return undefined;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : NaN;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value);
+  return NaN;
+}
+
+const isInvalidNumber = (value) => Number.isNaN(value);
+
+const gameId = (game) => game.eventId || game.id || game.event_id || game.eventID || game.gameId || game.game_id || null;
+
+const teamNames = (game) => ({
+  home: game.home_team || game.homeTeam || game.home?.name || game.home?.team?.displayName || null,
+  away: game.away_team || game.awayTeam || game.away?.name || game.away?.team?.displayName || null,
+});
+
+/**
+ * PayloadValidator - Checks every upstream payload (odds, scores, each props
+ * feed) before it is cached or broadcast, so one bad game cannot break the rest.
+ *
+ *   - outcomes with a null or non-numeric price, a non-numeric point or no name
+ *     are dropped, as are props without a player, category or valid price;
+ *     markets and books left empty go with them. Prediction-market outcomes may
+ *     be priced by their contract price alone (yes_price, ...), normalized after
+ *     validation
+ *   - games without an id or teams, or with a non-numeric score, are
+ *     quarantined: left out of the payload while the other games go through
+ *   - payloads that are not objects are rejected outright
+ *
+ * Each feed (`odds`, `scores`, `props:<book>`) keeps counters per reason, and
+ * the last QUARANTINE_SAMPLES (default 100) items are kept for /internal/quarantine.
+ */
+class PayloadValidator {
+  constructor(options = {}) {
+    this.maxSamples = options.maxSamples ?? (parseInt(process.env.QUARANTINE_SAMPLES) || 100);
+    this.startedAt = Date.now();
+
+    // feed -> { payloads, rejectedPayloads, games, quarantinedGames, dropped, reasons: { reason: count }, lastAt }
+    this.feeds = new Map();
+    // Most recent quarantined items, newest last
+    this.samples = [];
+  }
+
+  feedStats(feed) {
+    if (!this.feeds.has(feed)) {
+      this.feeds.set(feed, { payloads: 0, rejectedPayloads: 0, games: 0, quarantinedGames: 0, dropped: 0, reasons: {}, lastAt: null });
+    }
+    return this.feeds.get(feed);
+  }
+
+  /**
+   * Count a quarantined or dropped item and keep a sample of it
+   * @param {string} level - 'payload' | 'game' | 'item'
+   */
+  record(feed, level, reason, { sport = null, id = null, path = null, item } = {}) {
+    const stats = this.feedStats(feed);
+    if (level === 'payload') stats.rejectedPayloads++;
+    else if (level === 'game') stats.quarantinedGames++;
+    else stats.dropped++;
+    stats.reasons[reason] = (stats.reasons[reason] || 0) + 1;
+    stats.lastAt = Date.now();
+
+    let sample;
+    try {
+      sample = JSON.stringify(item);
+      if (sample && sample.length > SAMPLE_CHARS) sample = `${sample.slice(0, SAMPLE_CHARS)}…`;
+    } catch (e) {
+      sample = String(item);
+    }
+    this.samples.push({ at: new Date().toISOString(), feed, level, reason, sport, id, path, sample: sample ?? null });
+    if (this.samples.length > this.maxSamples) this.samples.splice(0, this.samples.length - this.maxSamples);
+
+    if (level !== 'item') {
+      logger.warn(`[Quarantine] ${feed} ${level}${id ? ` ${id}` : ''}${sport ? ` (${sport})` : ''}: ${reason}`);
+    }
+  }
+
+  /**
+   * Reject a whole payload that could not be read at all (e.g. its transformer failed)
+   */
+  reject(feed, reason, data) {
+    this.feedStats(feed).payloads++;
+    this.record(feed, 'payload', reason, { item: data });
+  }
+
+  /**
+   * Validate each game of a { sports: { sport: games[] } } payload with checkGame,
+   * which returns the cleaned game or a reason string to quarantine it
+   * @returns {Object|null} - The payload with cleaned sports, or null when rejected
+   */
+  validateSports(feed, data, checkGame) {
+    const stats = this.feedStats(feed);
+    stats.payloads++;
+
+    if (!isObject(data) || !isObject(data.sports)) {
+      this.record(feed, 'payload', 'invalid_payload', { item: data });
+      return null;
+    }
+
+    const sports = {};
+    Object.entries(data.sports).forEach(([sport, games]) => {
+      if (!Array.isArray(games)) {
+        this.record(feed, 'item', 'invalid_sport', { sport, item: games });
+        return;
+      }
+      sports[sport] = [];
+      games.forEach((game) => {
+        stats.games++;
+        let result;
+        try {
+          result = isObject(game) ? checkGame(game, sport) : 'invalid_game';
+        } catch (error) {
+          result = 'validation_error';
+        }
+        if (typeof result === 'string') {
+          this.record(feed, 'game', result, { sport, id: isObject(game) ? gameId(game) : null, item: game });
+        } else {
+          sports[sport].push(result);
+        }
+      });
+    });
+
+    return { ...data, sports };
+  }
+
+  // Reason a game cannot be repaired (no id, missing teams), or null
+  static gameProblem(game, { requireId = true } = {}) {
+    if (requireId && !gameId(game)) return 'missing_id';
+    const { home, away } = teamNames(game);
+    if (!home || !away) return 'missing_teams';
+    return null;
+  }
+
+  /**
+   * Odds payload ({ sports, openingLines }) after transformation
+   */
+  validateOdds(data) {
+    return this.validateSports('odds', data, (game, sport) => {
+      const problem = PayloadValidator.gameProblem(game);
+      if (problem) return problem;
+      if (game.bookmakers != null && !Array.isArray(game.bookmakers)) return 'invalid_bookmakers';
+
+      const id = gameId(game);
+      const bookmakers = (game.bookmakers || []).map((book) => this.checkBookmaker(book, { sport, id })).filter(Boolean);
+      return { ...game, bookmakers };
+    });
+  }
+
+  checkBookmaker(book, context) {
+    if (!isObject(book) || !book.key || !Array.isArray(book.markets)) {
+      this.record('odds', 'item', 'invalid_bookmaker', { ...context, path: `bookmakers[${book?.key ?? '?'}]`, item: book });
+      return null;
+    }
+
+    const predictionMarket = isPredictionMarket(book.key);
+    const markets = book.markets.map((market) => {
+      const path = `bookmakers[${book.key}].markets[${market?.key ?? '?'}]`;
+      if (!isObject(market) || !market.key || !Array.isArray(market.outcomes)) {
+        this.record('odds', 'item', 'invalid_market', { ...context, path, item: market });
+        return null;
+      }
+
+      const outcomes = market.outcomes.map((outcome, i) => {
+        const reason = PayloadValidator.outcomeProblem(outcome, { predictionMarket });
+        if (reason) {
+          this.record('odds', 'item', reason, { ...context, path: `${path}.outcomes[${i}]`, item: outcome });
+          return null;
+        }
+        const price = toNumber(outcome.price);
+        const point = toNumber(outcome.point);
+        return { ...outcome, ...(price !== undefined && { price }), ...(point !== undefined && { point }) };
+      }).filter(Boolean);
+
+      return outcomes.length > 0 ? { ...market, outcomes } : null;
+    }).filter(Boolean);
+
+    return markets.length > 0 ? { ...book, markets } : null;
+  }
+
+  static outcomeProblem(outcome, { predictionMarket = false } = {}) {
+    if (!isObject(outcome)) return 'invalid_outcome';
+    if (outcome.name == null || outcome.name === '') return 'missing_outcome_name';
+    const price = predictionMarket
+      ? toNumber(CONTRACT_PRICE_FIELDS.map((field) => outcome[field]).find((value) => value != null))
+      : toNumber(outcome.price);
+    if (price === undefined || isInvalidNumber(price)) return 'invalid_price';
+    if (isInvalidNumber(toNumber(outcome.point))) return 'invalid_point';
+    return null;
+  }
+
+  /**
+   * Live scores payload ({ sports })
+   */
+  validateScores(data) {
+    // Some scores payloads nest the sports object under `data`
+    if (isObject(data) && !data.sports && isObject(data.data?.sports)) {
+      const inner = this.validateScores(data.data);
+      return inner && { ...data, data: inner };
+    }
+
+    // Scores are matched to odds by team names when they have no id
+    return this.validateSports('scores', data, (game) => {
+      const problem = PayloadValidator.gameProblem(game, { requireId: false });
+      if (problem) return problem;
+      const scores = [game.home_score ?? game.homeScore ?? game.home?.score, game.away_score ?? game.awayScore ?? game.away?.score];
+      if (scores.some((score) => isInvalidNumber(toNumber(score)))) return 'invalid_score';
+      return game;
+    });
+  }
+
+  /**
+   * Props payload of one props feed ({ sports }); props sit in game.books[].props
+   * or directly in game.props
+   */
+  validateProps(feed, data) {
+    return this.validateSports(feed, data, (game, sport) => {
+      const problem = PayloadValidator.gameProblem(game);
+      if (problem) return problem;
+      const context = { sport, id: gameId(game) };
+
+      if (Array.isArray(game.books)) {
+        const books = game.books.map((book) => {
+          if (!isObject(book) || !book.key || !Array.isArray(book.props)) {
+            this.record(feed, 'item', 'invalid_book', { ...context, path: `books[${book?.key ?? '?'}]`, item: book });
+            return null;
+          }
+          const props = this.checkProps(feed, book.props, { ...context, pathPrefix: `books[${book.key}]` });
+          return props.length > 0 ? { ...book, props } : null;
+        }).filter(Boolean);
+        return { ...game, books };
+      }
+
+      if (game.props != null && !Array.isArray(game.props)) return 'invalid_props';
+      return { ...game, props: this.checkProps(feed, game.props || [], { ...context, pathPrefix: '' }) };
+    });
+  }
+
+  checkProps(feed, props, { pathPrefix, ...context }) {
+    return props.map((prop, i) => {
+      const reason = PayloadValidator.propProblem(prop);
+      if (reason) {
+        this.record(feed, 'item', reason, { ...context, path: `${pathPrefix}${pathPrefix ? '.' : ''}props[${i}]`, item: prop });
+        return null;
+      }
+      return prop;
+    }).filter(Boolean);
+  }
+
+  static propProblem(prop) {
+    if (!isObject(prop)) return 'invalid_prop';
+    if (!(prop.playerName || prop.player_name || prop.player)) return 'missing_player';
+    if (!(prop.category || prop.market)) return 'missing_category';
+    if (isInvalidNumber(toNumber(prop.line))) return 'invalid_line';
+    // Only the price fields a prop carries are checked; all of them null is invalid
+    const prices = PROP_PRICE_FIELDS.filter((field) => field in prop).map((field) => toNumber(prop[field]));
+    if (prices.some(isInvalidNumber) || (prices.length > 0 && prices.every((price) => price === undefined))) return 'invalid_price';
+    return null;
+  }
+
+  /**
+   * Counters per feed and the recent quarantined items, for /internal/quarantine
+   */
+  snapshot({ feed = null, limit = this.maxSamples } = {}) {
+    const feeds = Object.fromEntries(Array.from(this.feeds.entries()).filter(([key]) => !feed || key === feed).map(([key, stats]) => [key, {
+      ...stats,
+      reasons: { ...stats.reasons },
+      lastAt: stats.lastAt ? new Date(stats.lastAt).toISOString() : null,
+    }]));
+    const recent = this.samples.filter((sample) => !feed || sample.feed === feed).slice(-limit).reverse();
+    return { since: new Date(this.startedAt).toISOString(), feeds, recent };
+  }
+}
+
+module.exports = PayloadValidator;
@@ -0,0 +1,104 @@
+/**
+ * Prediction-market books: exchanges quoting event contracts rather than
+ * sportsbook odds. A Kalshi contract trades between 1 and 99 cents and pays
+ * 100 if the outcome happens, so its price is the market's implied probability.
+ *
+ * normalizePredictionMarkets rewrites these books' outcomes into the same
+ * markets/outcomes shape as the sportsbooks: `price` becomes American odds,
+ * `impliedProbability` holds the probability and `contractPrice` the original
+ * price in cents. Bookmakers are flagged with `predictionMarket: true`.
+ */
+const PREDICTION_MARKET_BOOKS = ['kalshi'];
+
+// Book types accepted by the odds routes' `bookType` filter
+const BOOK_TYPES = ['sportsbook', 'prediction'];
+
+const isPredictionMarket = (bookKey) => PREDICTION_MARKET_BOOKS.includes(String(bookKey || '').toLowerCase());
+
+const bookType = (bookKey) => (isPredictionMarket(bookKey) ? 'prediction' : 'sportsbook');
+
+/**
+ * Implied probability of a contract price given in cents (1-99) or as a
+ * probability (0-1); null for anything else, e.g. a price already in American odds
+ */
+function contractProbability(price) {
+  const value = Number(price);
+  if (!Number.isFinite(value) || value <= 0) return null;
+  if (value < 1) return value;
+  if (value < 100) return value / 100;
+  return null;
+}
+
+function americanFromProbability(probability) {
+  if (!(probability > 0 && probability < 1)) return null;
+  return probability >= 0.5
+    ? -Math.round((100 * probability) / (1 - probability))
+    : Math.round((100 * (1 - probability)) / probability);
+}
+
+function probabilityFromAmerican(price) {
+  const value = Number(price);
+  if (!Number.isFinite(value) || Math.abs(value) < 100) return null;
+  return value > 0 ? 100 / (value + 100) : -value / (-value + 100);
+}
+
+const round4 = (value) => (value == null ? null : Math.round(value * 10000) / 10000);
+
+/**
+ * Normalize one prediction-market outcome. Accepts the contract price as
+ * `price`, `yes_price`/`yesPrice` (cents or probability) or `probability`.
+ * Outcomes already in American odds only gain `impliedProbability`.
+ */
+function normalizeOutcome(outcome) {
+  if (!outcome || typeof outcome !== 'object') return outcome;
+  const raw = outcome.yes_price ?? outcome.yesPrice ?? outcome.probability ?? outcome.price;
+  const probability = contractProbability(raw);
+
+  if (probability == null) {
+    const implied = probabilityFromAmerican(outcome.price);
+    return implied == null ? outcome : { ...outcome, impliedProbability: round4(implied) };
+  }
+
+  return {
+    ...outcome,
+    price: americanFromProbability(probability),
+    impliedProbability: round4(probability),
+    contractPrice: Math.round(probability * 10000) / 100,
+  };
+}
+
+/**
+ * Normalize a prediction-market bookmaker's outcomes (no-op for sportsbooks)
+ */
+function normalizeBookmaker(bookmaker) {
+  if (!bookmaker || !isPredictionMarket(bookmaker.key)) return bookmaker;
+  return {
+    ...bookmaker,
+    predictionMarket: true,
+    markets: (bookmaker.markets || []).map((market) => ({
+      ...market,
+      outcomes: (market.outcomes || []).map(normalizeOutcome),
+    })),
+  };
+}
+
+/**
+ * Normalize the prediction-market bookmakers of an event
+ */
+function normalizePredictionMarkets(event) {
+  if (!Array.isArray(event?.bookmakers) || !event.bookmakers.some((b) => isPredictionMarket(b?.key))) return event;
+  return { ...event, bookmakers: event.bookmakers.map(normalizeBookmaker) };
+}
+
+module.exports = {
+  PREDICTION_MARKET_BOOKS,
+  BOOK_TYPES,
+  isPredictionMarket,
+  bookType,
+  contractProbability,
+  americanFromProbability,
+  probabilityFromAmerican,
+  normalizeOutcome,
+  normalizeBookmaker,
+  normalizePredictionMarkets,
+};
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * Default per-tier limits.
+ *   - capacity: token bucket size (max burst)
+ *   - refillPerSec: tokens added per second
+ *   - dailyQuota: max requests per UTC day (null = unlimited)
+ */
+const DEFAULT_LIMITS = {
+  free: { capacity: 10, refillPerSec: 1, dailyQuota: 5000 },
+  pro: { capacity: 50, refillPerSec: 10, dailyQuota: 100000 },
+  enterprise: { capacity: 200, refillPerSec: 50, dailyQuota: null },
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const IDLE_ENTRY_TTL_MS = 10 * 60 * 1000;
+
+const utcDay = (now) => Math.floor(now / DAY_MS);
+
+/**
+ * In-process rate limit store. Counters are per pod; provide a shared store
+ * (e.g. Redis running the same algorithm in a Lua script) to share them.
+ *
+ * Store interface: async consume(id, { capacity, refillPerSec, dailyQuota, cost, now })
+ * resolving to { allowed, remaining, resetMs, retryAfterMs, dailyUsed, quotaExceeded }.
+ * consume must be atomic per id.
+ */
+class MemoryRateLimitStore {
+  constructor() {
+    this.entries = new Map();
+
+    setInterval(() => {
+      const now = Date.now();
+      this.entries.forEach((entry, id) => {
+        if (now - entry.updatedAt > IDLE_ENTRY_TTL_MS && utcDay(now) !== entry.day) {
+          this.entries.delete(id);
+        }
+      });
+    }, IDLE_ENTRY_TTL_MS).unref();
+  }
+
+  async consume(id, { capacity, refillPerSec, dailyQuota, cost = 1, now = Date.now() }) {
+    const day = utcDay(now);
+    const entry = this.entries.get(id) || { tokens: capacity, updatedAt: now, day, dailyUsed: 0 };
+
+    // Refill the bucket for the elapsed time, and reset the quota on a new UTC day
+    entry.tokens = Math.min(capacity, entry.tokens + ((now - entry.updatedAt) / 1000) * refillPerSec);
+    entry.updatedAt = now;
+    if (entry.day !== day) {
+      entry.day = day;
+      entry.dailyUsed = 0;
+    }
+
+    const quotaExceeded = dailyQuota != null && entry.dailyUsed + cost > dailyQuota;
+    const allowed = !quotaExceeded && entry.tokens >= cost;
+    if (allowed) {
+      entry.tokens -= cost;
+      entry.dailyUsed += cost;
+    }
+    this.entries.set(id, entry);
+
+    const tokensShort = Math.max(0, cost - entry.tokens);
+    return {
+      allowed,
+      remaining: Math.floor(entry.tokens),
+      resetMs: Math.ceil(((capacity - entry.tokens) / refillPerSec) * 1000),
+      retryAfterMs: quotaExceeded
+        ? (day + 1) * DAY_MS - now
+        : Math.ceil((tokensShort / refillPerSec) * 1000),
+      dailyUsed: entry.dailyUsed,
+      quotaExceeded,
+    };
+  }
+}
+
+/**
+ * RateLimiter - Token bucket rate limiting with daily quotas, per tier.
+ *
+ * Configure with RATE_LIMITS_FILE: a JSON object of tier -> { capacity, refillPerSec, dailyQuota }.
+ * Tiers in the file replace the defaults of the same name. Unknown tiers get the free limits.
+ */
+class RateLimiter {
+  constructor(options = {}) {
+    this.store = options.store || new MemoryRateLimitStore();
+    this.filePath = options.filePath ?? process.env.RATE_LIMITS_FILE ?? null;
+    this.limits = { ...DEFAULT_LIMITS, ...(options.limits || {}) };
+
+    if (this.filePath) {
+      try {
+        const raw = fs.readFileSync(path.resolve(this.filePath), 'utf8');
+        this.limits = { ...this.limits, ...JSON.parse(raw) };
+      } catch (e) {
+        logger.error(`Failed to load rate limits file ${this.filePath}: ${e.message}`);
+      }
+    }
+  }
+
+  limitsForTier(tier) {
+    return this.limits[String(tier || '').toLowerCase()] || this.limits.free;
+  }
+
+  /**
+   * Consume tokens for a client
+   * @param {string} id - Limiter identity (API key record id)
+   * @param {string} tier - Tier of the client
+   * @param {number} [cost=1] - Tokens to consume
+   */
+  async consume(id, tier, cost = 1) {
+    const limits = this.limitsForTier(tier);
+    const result = await this.store.consume(id, { ...limits, cost, now: Date.now() });
+    return { ...result, limits };
+  }
+}
+
+module.exports = RateLimiter;
+module.exports.MemoryRateLimitStore = MemoryRateLimitStore;
@@ -0,0 +1,103 @@
+const logger = require('../utils/logger');
+
+const POLICIES = ['skip', 'delta', 'disconnect'];
+
+const packetBytes = (data) => {
+  if (typeof data === 'string') return data.length;
+  return data?.byteLength || 0;
+};
+
+/**
+ * SlowConsumerMonitor - Watches how much data is queued for each downstream
+ * socket and tracks which ones are lagging.
+ *
+ * A socket is lagging once its outbound buffer (packets queued in Engine.IO
+ * plus bytes buffered by the WebSocket) exceeds SLOW_CONSUMER_MAX_BUFFER_BYTES
+ * (default 8 MB), and recovers once it drops below half of that.
+ *
+ * SLOW_CONSUMER_POLICY decides what happens to a lagging socket:
+ *   - skip (default): hold live updates, then send only the latest state once it catches up
+ *   - delta: send odds as `odds-delta` instead of full snapshots; other feeds are held as with skip
+ *   - disconnect: disconnect it with reason `slow-consumer`
+ */
+class SlowConsumerMonitor {
+  constructor(options = {}) {
+    const policy = String(options.policy || process.env.SLOW_CONSUMER_POLICY || 'skip').toLowerCase();
+    if (!POLICIES.includes(policy)) {
+      logger.warn(`Unknown SLOW_CONSUMER_POLICY '${policy}', using 'skip'`);
+    }
+    this.policy = POLICIES.includes(policy) ? policy : 'skip';
+    this.maxBufferBytes = options.maxBufferBytes || parseInt(process.env.SLOW_CONSUMER_MAX_BUFFER_BYTES) || 8 * 1024 * 1024;
+    this.recoverBufferBytes = Math.floor(this.maxBufferBytes / 2);
+
+    // socketId -> { since, bufferedBytes }
+    this.lagging = new Map();
+    this.counters = { detected: 0, recovered: 0, heldUpdates: 0, deltaDowngrades: 0, disconnected: 0 };
+  }
+
+  /**
+   * Bytes queued for a socket but not yet written to the network
+   */
+  static outboundBytes(socket) {
+    const conn = socket.conn;
+    let bytes = 0;
+    (conn?.writeBuffer || []).forEach((packet) => { bytes += packetBytes(packet.data); });
+    const ws = conn?.transport?.socket;
+    if (typeof ws?.bufferedAmount === 'number') bytes += ws.bufferedAmount;
+    return bytes;
+  }
+
+  isLagging(socket) {
+    return this.lagging.has(socket.id);
+  }
+
+  /**
+   * Re-measure a socket's buffer and update its lag state
+   * @returns {string|null} - 'lagging' when it just fell behind, 'recovered' when it
+   *   just caught up, otherwise null
+   */
+  update(socket) {
+    const bufferedBytes = SlowConsumerMonitor.outboundBytes(socket);
+    const state = this.lagging.get(socket.id);
+
+    if (!state && bufferedBytes > this.maxBufferBytes) {
+      this.lagging.set(socket.id, { since: Date.now(), bufferedBytes });
+      this.counters.detected++;
+      logger.warn(`[SlowConsumer] ${socket.id} is lagging (${bufferedBytes} bytes buffered, policy=${this.policy})`);
+      return 'lagging';
+    }
+
+    if (state && bufferedBytes <= this.recoverBufferBytes) {
+      this.lagging.delete(socket.id);
+      this.counters.recovered++;
+      logger.info(`[SlowConsumer] ${socket.id} caught up after ${Date.now() - state.since}ms`);
+      return 'recovered';
+    }
+
+    if (state) state.bufferedBytes = bufferedBytes;
+    return null;
+  }
+
+  /**
+   * Count an action taken for a lagging socket
+   * @param {string} counter - heldUpdates | deltaDowngrades | disconnected
+   */
+  record(counter) {
+    this.counters[counter] = (this.counters[counter] || 0) + 1;
+  }
+
+  forget(socket) {
+    this.lagging.delete(socket.id);
+  }
+
+  metrics() {
+    return {
+      policy: this.policy,
+      maxBufferBytes: this.maxBufferBytes,
+      lagging: this.lagging.size,
+      ...this.counters,
+    };
+  }
+}
+
+module.exports = SlowConsumerMonitor;
@@ -0,0 +1,122 @@
+/**
+ * Downstream socket subscriptions, backed by Socket.IO rooms.
+ *
+ * A socket subscribes by joining rooms named `sport:<sport>`, `event:<eventId>`
+ * and `book:<book>`. Its effective subscription is derived from the rooms it
+ * is in, so Socket.IO stays the source of truth (and room membership is
+ * visible through the adapter). A socket in none of these rooms receives
+ * everything, which keeps clients that never subscribe working unchanged.
+ *
+ * Filtering rules:
+ *   - sports / eventIds: a game is included if its sport or its id was
+ *     subscribed; if neither was given, all games are included
+ *   - books: restricts bookmakers (odds) and props books; per-book props
+ *     feeds for unsubscribed books are not sent at all
+ */
+
+const ROOM_PREFIXES = {
+  sports: 'sport:',
+  eventIds: 'event:',
+  books: 'book:',
+};
+
+const toList = (value) => {
+  if (value == null) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map((v) => String(v).trim()).filter(Boolean);
+};
+
+/**
+ * Normalize subscribe/unsubscribe params (arrays or comma-separated strings)
+ * @returns {{ sports: string[], eventIds: string[], books: string[] }}
+ */
+function normalizeSubscription(params = {}) {
+  return {
+    sports: toList(params.sports).map((s) => s.toLowerCase()),
+    eventIds: toList(params.eventIds),
+    books: toList(params.books).map((b) => b.toLowerCase()),
+  };
+}
+
+function subscriptionRooms(subscription) {
+  return Object.entries(ROOM_PREFIXES).flatMap(([field, prefix]) => (
+    (subscription[field] || []).map((value) => `${prefix}${value}`)
+  ));
+}
+
+/**
+ * Derive a socket's subscription from its rooms
+ */
+function socketSubscription(socket) {
+  const subscription = { sports: [], eventIds: [], books: [] };
+  socket.rooms.forEach((room) => {
+    Object.entries(ROOM_PREFIXES).forEach(([field, prefix]) => {
+      if (room.startsWith(prefix)) subscription[field].push(room.slice(prefix.length));
+    });
+  });
+  return subscription;
+}
+
+const isSubscribedToAll = (subscription) => (
+  subscription.sports.length === 0 && subscription.eventIds.length === 0 && subscription.books.length === 0
+);
+
+/**
+ * Stable key for grouping sockets that share a subscription
+ */
+function subscriptionKey(subscription) {
+  if (isSubscribedToAll(subscription)) return '*';
+  return subscriptionRooms(subscription).sort().join(',');
+}
+
+const gameId = (game) => game?.eventId || game?.id || game?.event_id || game?.gameId || game?.game_id || null;
+
+/**
+ * Filter a sports object to a subscription
+ * @param {Object} sports - { sport: games[] }
+ * @param {Object} subscription - { sports, eventIds, books }
+ * @param {Object} [options]
+ * @param {string} [options.booksField] - Game field holding bookmakers to filter
+ *   by subscribed books ('bookmakers' for odds, 'books' for props)
+ */
+function filterSportsForSubscription(sports, subscription, { booksField = null } = {}) {
+  if (!sports || typeof sports !== 'object' || isSubscribedToAll(subscription)) return sports;
+
+  const { sports: sportList, eventIds, books } = subscription;
+  const byGame = sportList.length > 0 || eventIds.length > 0;
+  const result = {};
+
+  Object.entries(sports).forEach(([sportKey, games]) => {
+    const wholeSport = !byGame || sportList.includes(sportKey);
+    if (!Array.isArray(games)) {
+      if (wholeSport) result[sportKey] = games;
+      return;
+    }
+
+    let selected = wholeSport ? games : games.filter((g) => eventIds.includes(String(gameId(g))));
+    if (booksField && books.length > 0) {
+      selected = selected.map((g) => (Array.isArray(g[booksField])
+        ? { ...g, [booksField]: g[booksField].filter((b) => books.includes(String(b.key || '').toLowerCase())) }
+        : g));
+    }
+    if (wholeSport || selected.length > 0) result[sportKey] = selected;
+  });
+
+  return result;
+}
+
+/**
+ * Whether a per-book feed should be sent to a subscription at all
+ */
+function subscribedToBook(subscription, book) {
+  return !book || subscription.books.length === 0 || subscription.books.includes(String(book).toLowerCase());
+}
+
+module.exports = {
+  normalizeSubscription,
+  subscriptionRooms,
+  socketSubscription,
+  subscriptionKey,
+  filterSportsForSubscription,
+  subscribedToBook,
+};
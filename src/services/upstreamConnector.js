@@ -1,6 +1,57 @@
+const { EventEmitter } = require('events');
 const { io: ioClient } = require('socket.io-client');
 const logger = require('../utils/logger');
 const { transformUpstreamData } = require('./dataTransformer');
+const FeedConfig = require('./feedConfig');
+const FeedRegistry = require('./feedRegistry');
+const TransformerRegistry = require('../transformers');
+const PayloadValidator = require('./payloadValidator');
+const UpstreamRecorder = require('./upstreamRecorder');
+const UpstreamReplay = require('./upstreamReplay');
+
+// Silence from a connected upstream before failing over (UPSTREAM_STALE_MS).
+// Dead connections are caught sooner by Socket.IO's own ping timeout; this
+// catches an upstream that stays connected but stops publishing, so it has to
+// outlast quiet periods such as overnight slates with no live games.
+const DEFAULT_STALE_MS = 15 * 60 * 1000;
+
+// Log the shape of a props payload (DEBUG_OWLS_INSIGHT)
+function debugPropsPayload(feed, data) {
+  console.log(`\n========== ${feed.name.toUpperCase()} PROPS PAYLOAD DEBUG ==========`);
+  console.log('Top-level keys:', Object.keys(data || {}));
+  console.log('Has sports?', !!data?.sports);
+  console.log('Has timestamp?', !!data?.timestamp);
+
+  const sportsObj = data?.sports || {};
+  console.log('Sports keys:', Object.keys(sportsObj));
+
+  // Log sample from each sport
+  Object.entries(sportsObj).forEach(([sportKey, games]) => {
+    if (Array.isArray(games) && games.length > 0) {
+      console.log(`\n--- ${sportKey.toUpperCase()} (${games.length} games) ---`);
+      const sampleGame = games[0];
+      console.log('Sample game keys:', Object.keys(sampleGame || {}));
+      console.log('Sample game:', JSON.stringify(sampleGame, null, 2).slice(0, 2000));
+
+      // If there are books, show the structure
+      if (Array.isArray(sampleGame?.books) && sampleGame.books.length > 0) {
+        console.log('\nBooks array length:', sampleGame.books.length);
+        const sampleBook = sampleGame.books[0];
+        console.log('Sample book keys:', Object.keys(sampleBook || {}));
+        console.log('Sample book:', JSON.stringify(sampleBook, null, 2).slice(0, 1500));
+
+        // If there are props, show the structure
+        if (Array.isArray(sampleBook?.props) && sampleBook.props.length > 0) {
+          console.log('\nProps array length:', sampleBook.props.length);
+          const sampleProp = sampleBook.props[0];
+          console.log('Sample prop keys:', Object.keys(sampleProp || {}));
+          console.log('Sample prop:', JSON.stringify(sampleProp, null, 2));
+        }
+      }
+    }
+  });
+  console.log('=================================================\n');
+}
 
 /**
  * UpstreamConnector - Connects to the upstream WebSocket odds provider
@@ -9,36 +60,193 @@ const { transformUpstreamData } = require('./dataTransformer');
  * Configure the following environment variables:
  *   - UPSTREAM_WS_URL: WebSocket URL of the odds provider
  *   - OWLS_INSIGHT_SERVER_API_KEY: API key for authentication
+ *
+ * For failover, UPSTREAM_WS_URLS lists several endpoints in priority order,
+ * either comma-separated URLs or a JSON array of
+ * { url, name, path, apiKey, apiBaseUrl, priority } (lower priority wins).
+ * The connector fails over to the next endpoint when the active one cannot be
+ * reached (UPSTREAM_FAILOVER_ATTEMPTS reconnect attempts), disconnects us, or
+ * sends nothing for UPSTREAM_STALE_MS (default 15 minutes). While on a lower-priority endpoint it
+ * probes the higher-priority ones every UPSTREAM_FAILBACK_MS and fails back
+ * as soon as one accepts a connection.
+ *
+ * Reconnects back off exponentially from UPSTREAM_RECONNECT_DELAY up to
+ * UPSTREAM_RECONNECT_DELAY_MAX, with up to UPSTREAM_RECONNECT_JITTER of each
+ * delay randomly taken off. With UPSTREAM_MAX_RECONNECTS unset or 0 it never
+ * gives up. While reconnecting the connector is 'degraded'; after giving up
+ * it is 'down'. Every (re)connect resubscribes all configured feeds.
+ *
+ * With UPSTREAM_RECORD_DIR set, every upstream event is also written to
+ * rotating NDJSON files. With UPSTREAM_REPLAY_FILE set, the connector plays a
+ * recording (file or directory) through the same handlers instead of
+ * connecting, at UPSTREAM_REPLAY_SPEED (default 1 = real time, 0 = no delays).
  */
 class UpstreamConnector {
   constructor(options = {}) {
     this.socket = null;
     this.connected = false;
     this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = parseInt(process.env.UPSTREAM_MAX_RECONNECTS) || 10;
-    this.reconnectDelay = parseInt(process.env.UPSTREAM_RECONNECT_DELAY) || 5000;
+    const maxReconnects = parseInt(process.env.UPSTREAM_MAX_RECONNECTS);
+    this.maxReconnectAttempts = maxReconnects > 0 ? maxReconnects : Infinity;
+    this.reconnectDelay = parseInt(process.env.UPSTREAM_RECONNECT_DELAY) || 1000;
+    this.reconnectDelayMax = parseInt(process.env.UPSTREAM_RECONNECT_DELAY_MAX) || 60000;
+    const jitter = parseFloat(process.env.UPSTREAM_RECONNECT_JITTER ?? '0.5');
+    this.reconnectJitter = jitter >= 0 && jitter <= 1 ? jitter : 0.5;
+    this.reconnectTimer = null;
+    this.nextReconnectAt = null;
+    // Failed attempts on the active endpoint since it was last connected
+    this.endpointAttempts = 0;
+
+    // connecting | connected | degraded (reconnecting) | down (gave up)
+    this.state = 'connecting';
+    this.stateSince = Date.now();
 
     // Callbacks
     this.onOddsUpdate = options.onOddsUpdate || (() => {});
     this.onScoresUpdate = options.onScoresUpdate || (() => {});
+    // (feed, data) for every props feed in the registry
     this.onPropsUpdate = options.onPropsUpdate || (() => {});
-    this.onBet365PropsUpdate = options.onBet365PropsUpdate || (() => {});
-    this.onFanDuelPropsUpdate = options.onFanDuelPropsUpdate || (() => {});
-    this.onDraftKingsPropsUpdate = options.onDraftKingsPropsUpdate || (() => {});
-    this.onBetMGMPropsUpdate = options.onBetMGMPropsUpdate || (() => {});
-    this.onCaesarsPropsUpdate = options.onCaesarsPropsUpdate || (() => {});
     this.onPropsHistoryResponse = options.onPropsHistoryResponse || (() => {});
     this.onConnect = options.onConnect || (() => {});
     this.onDisconnect = options.onDisconnect || (() => {});
     this.onError = options.onError || (() => {});
+    this.onStatusChange = options.onStatusChange || (() => {});
+
+    // Sports and books to subscribe to
+    this.feedConfig = options.feedConfig || new FeedConfig();
+    // Per-book props feeds (event names and transformers)
+    this.feedRegistry = options.feedRegistry || new FeedRegistry();
+    // Schema checks and quarantine for every upstream payload
+    this.validator = options.validator || new PayloadValidator();
 
     // Upstream configuration
-    this.upstreamUrl = process.env.UPSTREAM_WS_URL;
     this.upstreamPath = process.env.UPSTREAM_WS_PATH || '/socket.io';
     this.apiKey = process.env.OWLS_INSIGHT_SERVER_API_KEY;
+    this.endpoints = UpstreamConnector.parseEndpoints(options.endpoints ?? process.env.UPSTREAM_WS_URLS ?? process.env.UPSTREAM_WS_URL, {
+      path: this.upstreamPath,
+      apiKey: this.apiKey,
+    });
+    this.activeIndex = 0;
+
+    // Failover configuration
+    this.failoverAttempts = parseInt(process.env.UPSTREAM_FAILOVER_ATTEMPTS) || 3;
+    this.staleMs = UpstreamConnector.parseStaleMs(process.env.UPSTREAM_STALE_MS);
+    this.failbackMs = parseInt(process.env.UPSTREAM_FAILBACK_MS) || 60000;
+    this.failovers = 0;
+    this.lastMessageAt = null;
+    this.lastFailbackProbeAt = 0;
+    this.probing = false;
+    this.healthTimer = null;
+
+    // Recording and replay
+    this.recorder = options.recorder || new UpstreamRecorder();
+    this.replaySource = options.replaySource ?? process.env.UPSTREAM_REPLAY_FILE ?? null;
+    const replaySpeed = parseFloat(process.env.UPSTREAM_REPLAY_SPEED ?? '1');
+    this.replaySpeed = Number.isFinite(replaySpeed) && replaySpeed >= 0 ? replaySpeed : 1;
+    this.replayLoop = process.env.UPSTREAM_REPLAY_LOOP === 'true';
+    this.replay = null;
 
     // Event name mapping (configure based on upstream server)
     this.upstreamEventName = process.env.UPSTREAM_EVENT_NAME || 'odds-update';
+
+    // Payload transformers, and the format each odds event is pinned to (null: detect)
+    this.transformers = options.transformers || TransformerRegistry.fromEnv();
+    this.eventFormats = new Map([
+      [this.upstreamEventName, this.checkFormat(process.env.UPSTREAM_EVENT_FORMAT, this.upstreamEventName)],
+    ]);
+    this.additionalEvents = [];
+    String(process.env.UPSTREAM_ADDITIONAL_EVENTS || '').split(',').forEach((entry) => {
+      const [eventName, format] = entry.split(':').map((part) => part.trim());
+      if (!eventName) return;
+      this.additionalEvents.push(eventName);
+      this.eventFormats.set(eventName, this.checkFormat(format, eventName));
+    });
+  }
+
+  /**
+   * A configured event format, or null (detect) when unset or unknown
+   */
+  checkFormat(format, eventName) {
+    if (!format || format === 'auto') return null;
+    if (this.transformers.has(format)) return format;
+    logger.error(`Unknown upstream format "${format}" for ${eventName}; detecting it instead (available: ${this.transformers.names().join(', ')})`);
+    return null;
+  }
+
+  /**
+   * Transform an odds payload received on an upstream event and pass it on
+   */
+  handleOddsPayload(eventName, data) {
+    try {
+      const transformedData = transformUpstreamData(data, {
+        sportKeyMap: this.feedConfig.sportKeyMap(),
+        format: this.eventFormats.get(eventName),
+        transformers: this.transformers,
+        validate: (payload) => this.validator.validateOdds(payload),
+      });
+      if (transformedData) this.onOddsUpdate(transformedData);
+    } catch (error) {
+      logger.error(`Error transforming ${eventName} data: ${error.message}`);
+      this.validator.reject('odds', 'transform_error', data);
+    }
+  }
+
+  /**
+   * Parse UPSTREAM_STALE_MS: milliseconds, 0 disables. Malformed values fall
+   * back to the default with a warning rather than disabling stale detection.
+   */
+  static parseStaleMs(value) {
+    if (value == null || String(value).trim() === '') return DEFAULT_STALE_MS;
+    const ms = Number(value);
+    if (Number.isInteger(ms) && ms >= 0) return ms;
+    logger.warn(`Invalid UPSTREAM_STALE_MS: ${value}; using ${DEFAULT_STALE_MS}`);
+    return DEFAULT_STALE_MS;
+  }
+
+  /**
+   * Parse upstream endpoints from UPSTREAM_WS_URLS / UPSTREAM_WS_URL
+   * @param {string|Array} value - Comma-separated URLs or a JSON array of endpoint objects
+   * @param {Object} defaults - { path, apiKey } applied to endpoints that do not set them
+   * @returns {Object[]} - Endpoints sorted by priority
+   */
+  static parseEndpoints(value, defaults = {}) {
+    if (!value) return [];
+
+    let entries = value;
+    if (typeof value === 'string') {
+      const trimmed = value.trim();
+      try {
+        entries = trimmed.startsWith('[') ? JSON.parse(trimmed) : trimmed.split(',');
+      } catch (e) {
+        logger.error(`Failed to parse UPSTREAM_WS_URLS: ${e.message}`);
+        return [];
+      }
+    }
+
+    return entries
+      .map((entry) => (typeof entry === 'string' ? { url: entry.trim() } : entry))
+      .filter((entry) => entry?.url)
+      .map((entry, i) => ({
+        name: entry.name || entry.url.split('?')[0],
+        url: entry.url,
+        path: entry.path || defaults.path,
+        apiKey: entry.apiKey || defaults.apiKey,
+        apiBaseUrl: entry.apiBaseUrl || null,
+        priority: Number.isFinite(Number(entry.priority)) ? Number(entry.priority) : i + 1,
+        state: 'idle',
+        failures: 0,
+        lastError: null,
+        lastConnectedAt: null,
+        lastMessageAt: null,
+      }))
+      .sort((a, b) => a.priority - b.priority);
+  }
+
+  /**
+   * The endpoint currently in use
+   */
+  activeEndpoint() {
+    return this.endpoints[this.activeIndex] || null;
   }
 
   emit(eventName, payload) {
@@ -51,98 +259,167 @@ class UpstreamConnector {
   }
 
   /**
-   * Connect to the upstream WebSocket server
+   * Socket.IO client options for an endpoint
    */
-  connect() {
-    if (!this.upstreamUrl) {
-      logger.error('UPSTREAM_WS_URL not configured. Set it in .env file.');
-      return;
-    }
-
-    if (!this.apiKey) {
-      logger.warn('OWLS_INSIGHT_SERVER_API_KEY not configured. Authentication may fail.');
-    }
-
-    logger.info(`Connecting to upstream: ${this.upstreamUrl}`);
-
-    // Build connection options
+  connectionOptions(endpoint) {
+    // Reconnects are scheduled by the connector (see scheduleReconnect)
     const connectionOptions = {
-      path: this.upstreamPath,
+      path: endpoint.path,
       transports: ['websocket', 'polling'],
-      reconnection: true,
-      reconnectionAttempts: this.maxReconnectAttempts,
-      reconnectionDelay: this.reconnectDelay,
+      reconnection: false,
     };
 
     // Add authentication with API key (multiple formats for compatibility)
-    if (this.apiKey) {
+    if (endpoint.apiKey) {
       connectionOptions.auth = {
-        apiKey: this.apiKey,
+        apiKey: endpoint.apiKey,
       };
       connectionOptions.query = {
-        apiKey: this.apiKey,
+        apiKey: endpoint.apiKey,
       };
       connectionOptions.extraHeaders = {
-        'X-API-Key': this.apiKey,
+        'X-API-Key': endpoint.apiKey,
       };
     }
+    return connectionOptions;
+  }
+
+  /**
+   * Connect to the upstream WebSocket server (highest-priority endpoint first)
+   */
+  connect() {
+    if (this.replaySource) {
+      this.startReplay();
+      return;
+    }
+
+    if (this.endpoints.length === 0) {
+      logger.error('UPSTREAM_WS_URL not configured. Set it in .env file.');
+      return;
+    }
+
+    if (!this.apiKey) {
+      logger.warn('OWLS_INSIGHT_SERVER_API_KEY not configured. Authentication may fail.');
+    }
+
+    this.connectTo(0, 'startup');
+
+    if (!this.healthTimer) {
+      this.healthTimer = setInterval(() => this.checkHealth(), 5000);
+      this.healthTimer.unref();
+    }
+  }
+
+  /**
+   * Replace the current connection with one to endpoints[index]
+   */
+  connectTo(index, reason) {
+    this.closeSocket();
+    this.activeIndex = index;
+    const endpoint = this.endpoints[index];
+    endpoint.state = 'connecting';
+    this.endpointAttempts = 0;
+    this.lastMessageAt = null;
+
+    logger.info(`Connecting to upstream: ${endpoint.name} (priority ${endpoint.priority}, reason: ${reason})`);
 
     // Create socket connection
-    this.socket = ioClient(this.upstreamUrl, connectionOptions);
+    this.socket = ioClient(endpoint.url, this.connectionOptions(endpoint));
+
+    // Track the last message of any kind, for staleness, and record it
+    this.socket.onAny((event, data) => {
+      this.lastMessageAt = Date.now();
+      endpoint.lastMessageAt = this.lastMessageAt;
+      this.recorder.record(event, data, this.lastMessageAt);
+    });
 
     // Handle connection events
     this.socket.on('connect', () => {
+      const downFor = this.state === 'degraded' ? Date.now() - this.stateSince : null;
       this.connected = true;
       this.reconnectAttempts = 0;
-      logger.info('Connected to upstream WebSocket server');
+      this.endpointAttempts = 0;
+      this.clearReconnect();
+      endpoint.state = 'connected';
+      endpoint.failures = 0;
+      endpoint.lastConnectedAt = Date.now();
+      logger.info(`Connected to upstream WebSocket server ${endpoint.name}${downFor != null ? ` after ${Math.round(downFor / 1000)}s degraded` : ''}`);
+      this.setState('connected');
       this.onConnect();
+      // Upstream subscriptions do not survive a reconnect, so resubscribe every feed
+      this.subscribe();
+    });
 
-      // Subscribe to all sports and books for odds
-      this.socket.emit('subscribe', {
-        sports: ['nba', 'ncaab', 'nfl', 'nhl', 'ncaaf'],
-        books: ['pinnacle', 'fanduel', 'draftkings', 'betmgm', 'bet365', 'caesars', 'kalshi'],
-      });
-      logger.info('Sent subscription request for all sports and books');
+    this.registerFeedHandlers(this.socket);
 
-      // Subscribe to Pinnacle player props (requires Pro/Enterprise tier on upstream)
-      this.socket.emit('subscribe-props', {
-        sports: ['nba', 'ncaab', 'nfl', 'nhl', 'ncaaf'],
-      });
-      logger.info('Sent Pinnacle props subscription request for all sports');
+    // Handle disconnect
+    this.socket.on('disconnect', (reason) => {
+      this.connected = false;
+      endpoint.state = 'disconnected';
+      logger.warn(`Disconnected from upstream ${endpoint.name}: ${reason}`);
+      this.onDisconnect(reason);
 
-      // Subscribe to Bet365 player props (requires Pro/Enterprise tier on upstream)
-      this.socket.emit('subscribe-bet365-props', {
-        sports: ['nba', 'ncaab', 'nfl', 'nhl', 'ncaaf'],
-      });
-      logger.info('Sent Bet365 props subscription request for all sports');
+      // We closed it ourselves (shutdown or a feed config reconnect)
+      if (reason === 'io client disconnect') return;
+      // The server closed the connection on purpose; move on to the next endpoint if there is one
+      if (reason === 'io server disconnect') this.endpointAttempts = this.failoverAttempts;
+      this.scheduleReconnect(reason);
+    });
 
-      // Subscribe to FanDuel player props
-      this.socket.emit('subscribe-fanduel-props', {
-        sports: ['nba', 'ncaab', 'nfl', 'nhl', 'ncaaf'],
-      });
-      logger.info('Sent FanDuel props subscription request for all sports');
+    // Handle connection errors
+    this.socket.on('connect_error', (error) => {
+      this.reconnectAttempts++;
+      this.endpointAttempts++;
+      endpoint.failures++;
+      endpoint.lastError = error.message;
+      logger.error(`Upstream connection error on ${endpoint.name} (attempt ${this.reconnectAttempts}): ${error.message}`);
+      this.onError(error);
+      this.scheduleReconnect(error.message);
+    });
 
-      // Subscribe to DraftKings player props
-      this.socket.emit('subscribe-draftkings-props', {
-        sports: ['nba', 'ncaab', 'nfl', 'nhl', 'ncaaf'],
-      });
-      logger.info('Sent DraftKings props subscription request for all sports');
+    // Handle general errors (can be Error object or custom { message, code } from server)
+    this.socket.on('error', (error) => {
+      const errorMsg = error?.message || JSON.stringify(error);
+      const errorCode = error?.code || 'UNKNOWN';
+      logger.error(`Upstream socket error [${errorCode}]: ${errorMsg}`);
+      this.onError(error);
+    });
+  }
 
-      // Subscribe to BetMGM player props
-      this.socket.emit('subscribe-betmgm-props', {
-        sports: ['nba', 'ncaab', 'nfl', 'nhl', 'ncaaf'],
-      });
-      logger.info('Sent BetMGM props subscription request for all sports');
+  /**
+   * Play a recording through the feed handlers instead of connecting upstream
+   */
+  startReplay() {
+    const source = new EventEmitter();
+    this.registerFeedHandlers(source);
+
+    this.replay = new UpstreamReplay({
+      source: this.replaySource,
+      speed: this.replaySpeed,
+      loop: this.replayLoop,
+      dispatch: (event, data) => {
+        this.lastMessageAt = Date.now();
+        source.emit(event, data);
+      },
+    });
 
-      // Subscribe to Caesars player props
-      this.socket.emit('subscribe-caesars-props', {
-        sports: ['nba', 'ncaab', 'nfl', 'nhl', 'ncaaf'],
-      });
-      logger.info('Sent Caesars props subscription request for all sports');
+    logger.info(`Replaying upstream recording ${this.replaySource} instead of connecting`);
+    this.connected = true;
+    this.setState('connected', 'replay');
+    this.onConnect();
+    this.replay.start().catch((error) => {
+      logger.error(`Upstream replay failed: ${error.message}`);
+      this.onError(error);
     });
+  }
 
+  /**
+   * Register the upstream data event handlers on an event source: the live
+   * socket, or the emitter a replay dispatches recorded events to
+   */
+  registerFeedHandlers(source) {
     // Handle odds update from upstream
-    this.socket.on(this.upstreamEventName, (data) => {
+    source.on(this.upstreamEventName, (data) => {
       logger.debug(`Received odds update from upstream`);
 
       // DEBUG: Check for openingLines in raw upstream data
@@ -203,16 +480,11 @@ class UpstreamConnector {
         logger.warn(`[Upstream] sampling failed: ${e.message}`);
       }
 
-      try {
-        const transformedData = transformUpstreamData(data);
-        this.onOddsUpdate(transformedData);
-      } catch (error) {
-        logger.error(`Error transforming upstream data: ${error.message}`);
-      }
+      this.handleOddsPayload(this.upstreamEventName, data);
     });
 
     // Handle scores update from upstream (live game scores)
-    this.socket.on('scores-update', (data) => {
+    source.on('scores-update', (data) => {
       logger.debug(`Received scores-update from upstream`);
 
       try {
@@ -232,195 +504,290 @@ class UpstreamConnector {
         logger.warn(`[Upstream] scores debug failed: ${e.message}`);
       }
 
-      // Pass through directly (no transformation needed for scores)
-      this.onScoresUpdate(data);
+      // No transformation needed for scores, only validation
+      const validated = this.validator.validateScores(data);
+      if (validated) this.onScoresUpdate(validated);
     });
 
-    // Handle player props update from upstream
-    this.socket.on('player-props-update', (data) => {
-      logger.debug(`Received player-props-update from upstream`);
-
-      // DEBUG: Log full payload structure for player props
-      if (process.env.DEBUG_OWLS_INSIGHT === 'true') {
-        console.log('\n========== PLAYER PROPS PAYLOAD DEBUG ==========');
-        console.log('Top-level keys:', Object.keys(data || {}));
-        console.log('Has sports?', !!data?.sports);
-        console.log('Has timestamp?', !!data?.timestamp);
-
-        const sportsObj = data?.sports || {};
-        console.log('Sports keys:', Object.keys(sportsObj));
-
-        // Log sample from each sport
-        Object.entries(sportsObj).forEach(([sportKey, games]) => {
-          if (Array.isArray(games) && games.length > 0) {
-            console.log(`\n--- ${sportKey.toUpperCase()} (${games.length} games) ---`);
-            const sampleGame = games[0];
-            console.log('Sample game keys:', Object.keys(sampleGame || {}));
-            console.log('Sample game:', JSON.stringify(sampleGame, null, 2).slice(0, 2000));
-
-            // If there are books, show the structure
-            if (Array.isArray(sampleGame?.books) && sampleGame.books.length > 0) {
-              console.log('\nBooks array length:', sampleGame.books.length);
-              const sampleBook = sampleGame.books[0];
-              console.log('Sample book keys:', Object.keys(sampleBook || {}));
-              console.log('Sample book:', JSON.stringify(sampleBook, null, 2).slice(0, 1500));
-
-              // If there are props, show the structure
-              if (Array.isArray(sampleBook?.props) && sampleBook.props.length > 0) {
-                console.log('\nProps array length:', sampleBook.props.length);
-                const sampleProp = sampleBook.props[0];
-                console.log('Sample prop keys:', Object.keys(sampleProp || {}));
-                console.log('Sample prop:', JSON.stringify(sampleProp, null, 2));
-              }
-            }
-          }
-        });
-        console.log('=================================================\n');
-      }
-
-      try {
-        const sportsObj = data.sports || {};
-        const propsCounts = {};
-        let totalGames = 0;
+    // Handle player props updates: one upstream event per book in the feed registry
+    this.feedRegistry.all().forEach((feed) => {
+      source.on(feed.upstreamEvent, (data) => {
+        logger.debug(`Received ${feed.upstreamEvent} from upstream`);
+        if (process.env.DEBUG_OWLS_INSIGHT === 'true') debugPropsPayload(feed, data);
 
-        Object.entries(sportsObj).forEach(([sportKey, games]) => {
-          if (Array.isArray(games)) {
-            propsCounts[sportKey] = games.length;
-            totalGames += games.length;
+        let payload = data;
+        if (feed.transform) {
+          try {
+            payload = feed.transform(data);
+          } catch (error) {
+            logger.error(`Error transforming ${feed.upstreamEvent} data: ${error.message}`);
+            this.validator.reject(feed.key, 'transform_error', data);
+            return;
           }
-        });
-
-        logger.debug(`[Upstream] player-props-update: ${totalGames} games with props`, propsCounts);
-      } catch (e) {
-        logger.warn(`[Upstream] props debug failed: ${e.message}`);
-      }
+        }
+        const validated = this.validator.validateProps(feed.key, payload);
+        if (validated) this.onPropsUpdate(feed, validated);
+      });
 
-      // Pass through directly (no transformation needed for props)
-      this.onPropsUpdate(data);
+      source.on(feed.subscribedEvent, (subscription) => {
+        logger.info(`${feed.name} props subscription confirmed: ${JSON.stringify(subscription)}`);
+      });
     });
 
-    // Handle props subscription confirmation
-    this.socket.on('props-subscribed', (subscription) => {
-      logger.info(`Pinnacle props subscription confirmed: ${JSON.stringify(subscription)}`);
+    // Handle props history response from upstream
+    source.on('props-history-response', (data) => {
+      logger.debug('Received props-history-response from upstream');
+      this.onPropsHistoryResponse(data);
     });
 
-    // Handle Bet365 player props update from upstream
-    this.socket.on('bet365-props-update', (data) => {
-      logger.debug(`Received bet365-props-update from upstream`);
-      this.onBet365PropsUpdate(data);
+    // Handle additional odds events if configured (UPSTREAM_ADDITIONAL_EVENTS=event[:format],...)
+    this.additionalEvents.forEach((eventName) => {
+      source.on(eventName, (data) => {
+        logger.debug(`Received ${eventName} from upstream`);
+        this.handleOddsPayload(eventName, data);
+      });
     });
+  }
 
-    // Handle Bet365 props subscription confirmation
-    this.socket.on('bet365-props-subscribed', (subscription) => {
-      logger.info(`Bet365 props subscription confirmed: ${JSON.stringify(subscription)}`);
+  /**
+   * Subscribe to the configured sports and books: odds for every book, and
+   * player props for each props book (props require Pro/Enterprise tier upstream)
+   */
+  subscribe() {
+    const sports = this.feedConfig.sportKeys();
+    const books = this.feedConfig.books();
+
+    this.socket.emit('subscribe', { sports, books });
+    logger.info(`Sent subscription request for sports ${sports.join(',')} and books ${books.join(',')}`);
+
+    this.feedConfig.propsBooks().forEach((book) => {
+      const feed = this.feedRegistry.get(book);
+      if (!feed) return;
+      this.socket.emit(feed.subscribeEvent, { sports });
+      logger.info(`Sent ${feed.name} props subscription request for sports ${sports.join(',')}`);
     });
+  }
 
-    // Handle FanDuel player props update from upstream
-    this.socket.on('fanduel-props-update', (data) => {
-      logger.debug(`Received fanduel-props-update from upstream`);
-      this.onFanDuelPropsUpdate(data);
-    });
+  /**
+   * Apply a feed config change. Additions are subscribed on the live connection;
+   * removals need a fresh connection, since upstream subscriptions only accumulate.
+   * @param {Object} before - Previous feed config
+   * @param {Object} after - New feed config
+   */
+  applyFeedConfig(before, after) {
+    if (!this.socket || !this.connected) return;
 
-    // Handle FanDuel props subscription confirmation
-    this.socket.on('fanduel-props-subscribed', (subscription) => {
-      logger.info(`FanDuel props subscription confirmed: ${JSON.stringify(subscription)}`);
-    });
+    const removed = FeedConfig.removed(before, after);
+    if (removed.sports.length > 0 || removed.books.length > 0 || removed.propsBooks.length > 0) {
+      logger.info(`Feed config removed ${JSON.stringify(removed)}; reconnecting to upstream to resubscribe`);
+      this.socket.disconnect();
+      this.socket.connect();
+      return;
+    }
 
-    // Handle DraftKings player props update from upstream
-    this.socket.on('draftkings-props-update', (data) => {
-      logger.debug(`Received draftkings-props-update from upstream`);
-      this.onDraftKingsPropsUpdate(data);
-    });
+    logger.info('Feed config changed; resubscribing upstream');
+    this.subscribe();
+  }
 
-    // Handle DraftKings props subscription confirmation
-    this.socket.on('draftkings-props-subscribed', (subscription) => {
-      logger.info(`DraftKings props subscription confirmed: ${JSON.stringify(subscription)}`);
-    });
+  setState(state, reason) {
+    if (this.state === state) return;
+    logger.info(`Upstream state ${this.state} -> ${state}${reason ? ` (${reason})` : ''}`);
+    this.state = state;
+    this.stateSince = Date.now();
+    this.onStatusChange(this.status());
+  }
 
-    // Handle BetMGM player props update from upstream
-    this.socket.on('betmgm-props-update', (data) => {
-      logger.debug(`Received betmgm-props-update from upstream`);
-      this.onBetMGMPropsUpdate(data);
-    });
+  /**
+   * Delay before reconnect attempt n (1-based): exponential from
+   * UPSTREAM_RECONNECT_DELAY, capped, with jitter taken off
+   */
+  backoffDelay(attempt) {
+    const exponential = Math.min(this.reconnectDelayMax, this.reconnectDelay * 2 ** Math.min(attempt - 1, 30));
+    return Math.round(exponential * (1 - this.reconnectJitter * Math.random()));
+  }
 
-    // Handle BetMGM props subscription confirmation
-    this.socket.on('betmgm-props-subscribed', (subscription) => {
-      logger.info(`BetMGM props subscription confirmed: ${JSON.stringify(subscription)}`);
-    });
+  /**
+   * Schedule the next reconnect attempt, failing over once the active endpoint
+   * has had UPSTREAM_FAILOVER_ATTEMPTS attempts
+   */
+  scheduleReconnect(reason) {
+    if (this.reconnectTimer) return;
 
-    // Handle Caesars player props update from upstream
-    this.socket.on('caesars-props-update', (data) => {
-      logger.debug(`Received caesars-props-update from upstream`);
-      this.onCaesarsPropsUpdate(data);
-    });
+    if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+      logger.error(`Max reconnection attempts (${this.maxReconnectAttempts}) reached. Stopping reconnection.`);
+      this.activeEndpoint().state = 'unreachable';
+      this.setState('down', reason);
+      return;
+    }
 
-    // Handle Caesars props subscription confirmation
-    this.socket.on('caesars-props-subscribed', (subscription) => {
-      logger.info(`Caesars props subscription confirmed: ${JSON.stringify(subscription)}`);
-    });
+    this.setState('degraded', reason);
+    const delay = this.backoffDelay(this.reconnectAttempts + 1);
+    const switchEndpoint = this.endpoints.length > 1 && this.endpointAttempts >= this.failoverAttempts;
+    this.nextReconnectAt = Date.now() + delay;
+    logger.info(`Reconnecting to upstream in ${delay}ms (attempt ${this.reconnectAttempts + 1})`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.nextReconnectAt = null;
+      if (switchEndpoint) {
+        this.activeEndpoint().state = 'unreachable';
+        this.failover('unreachable');
+      } else if (this.socket) {
+        this.socket.connect();
+      }
+    }, delay);
+  }
 
-    // Handle props history response from upstream
-    this.socket.on('props-history-response', (data) => {
-      logger.debug('Received props-history-response from upstream');
-      this.onPropsHistoryResponse(data);
-    });
+  clearReconnect() {
+    if (this.reconnectTimer) clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.nextReconnectAt = null;
+  }
 
-    // Handle additional event names if configured
-    const additionalEvents = process.env.UPSTREAM_ADDITIONAL_EVENTS?.split(',') || [];
-    additionalEvents.forEach((eventName) => {
-      if (eventName.trim()) {
-        this.socket.on(eventName.trim(), (data) => {
-          logger.debug(`Received ${eventName} from upstream`);
-          try {
-            const transformedData = transformUpstreamData(data);
-            this.onOddsUpdate(transformedData);
-          } catch (error) {
-            logger.error(`Error transforming ${eventName} data: ${error.message}`);
-          }
-        });
-      }
-    });
+  /**
+   * Move to the next endpoint in priority order (wrapping around; with a
+   * single endpoint this reconnects to it)
+   */
+  failover(reason) {
+    const from = this.activeEndpoint();
+    const next = (this.activeIndex + 1) % this.endpoints.length;
+    if (next === this.activeIndex) {
+      logger.warn(`Upstream ${from.name} ${reason}; reconnecting`);
+      this.connectTo(next, reason);
+      return;
+    }
 
-    // Handle disconnect
-    this.socket.on('disconnect', (reason) => {
-      this.connected = false;
-      logger.warn(`Disconnected from upstream: ${reason}`);
-      this.onDisconnect(reason);
-    });
+    this.failovers++;
+    // Give the endpoint we are leaving UPSTREAM_FAILBACK_MS before probing it again
+    this.lastFailbackProbeAt = Date.now();
+    logger.warn(`Upstream ${from.name} ${reason}; failing over to ${this.endpoints[next].name}`);
+    this.connectTo(next, reason);
+  }
 
-    // Handle connection errors
-    this.socket.on('connect_error', (error) => {
-      this.reconnectAttempts++;
-      logger.error(`Upstream connection error (attempt ${this.reconnectAttempts}): ${error.message}`);
-      this.onError(error);
+  /**
+   * Periodic health check: fail over when the active endpoint goes stale, and
+   * probe higher-priority endpoints for fail-back
+   */
+  checkHealth() {
+    if (!this.socket || !this.connected) return;
+    const endpoint = this.activeEndpoint();
+    const now = Date.now();
+
+    const lastActivity = this.lastMessageAt || endpoint.lastConnectedAt;
+    if (this.staleMs > 0 && lastActivity && now - lastActivity > this.staleMs) {
+      endpoint.state = 'stale';
+      this.failover(`stale (no messages for ${Math.round((now - lastActivity) / 1000)}s)`);
+      return;
+    }
 
-      if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-        logger.error('Max reconnection attempts reached. Stopping reconnection.');
-        this.socket.disconnect();
+    if (this.activeIndex > 0 && !this.probing && now - this.lastFailbackProbeAt >= this.failbackMs) {
+      this.probeFailback();
+    }
+  }
+
+  /**
+   * Try higher-priority endpoints in order and fail back to the first that accepts a connection
+   */
+  async probeFailback() {
+    this.probing = true;
+    this.lastFailbackProbeAt = Date.now();
+    try {
+      const candidates = this.endpoints.slice(0, this.activeIndex);
+      for (let i = 0; i < candidates.length; i++) {
+        if (await this.probe(candidates[i])) {
+          logger.info(`Upstream ${candidates[i].name} is reachable again; failing back`);
+          this.connectTo(i, 'fail-back');
+          return;
+        }
       }
-    });
+    } finally {
+      this.probing = false;
+    }
+  }
 
-    // Handle general errors (can be Error object or custom { message, code } from server)
-    this.socket.on('error', (error) => {
-      const errorMsg = error?.message || JSON.stringify(error);
-      const errorCode = error?.code || 'UNKNOWN';
-      logger.error(`Upstream socket error [${errorCode}]: ${errorMsg}`);
-      this.onError(error);
+  /**
+   * Check whether an endpoint accepts a connection, using a short-lived socket
+   * @returns {Promise<boolean>}
+   */
+  probe(endpoint) {
+    return new Promise((resolve) => {
+      const probe = ioClient(endpoint.url, { ...this.connectionOptions(endpoint), reconnection: false, timeout: 10000 });
+      const done = (ok, error) => {
+        probe.removeAllListeners();
+        probe.disconnect();
+        if (!ok) endpoint.lastError = error?.message || 'probe failed';
+        resolve(ok);
+      };
+      probe.once('connect', () => done(true));
+      probe.once('connect_error', (error) => done(false, error));
     });
   }
 
+  /**
+   * Close the current socket without triggering failover
+   */
+  closeSocket() {
+    this.clearReconnect();
+    if (!this.socket) return;
+    const endpoint = this.activeEndpoint();
+    if (endpoint && endpoint.state !== 'unreachable' && endpoint.state !== 'stale') endpoint.state = 'idle';
+    this.socket.removeAllListeners();
+    this.socket.offAny();
+    this.socket.disconnect();
+    this.socket = null;
+    if (this.connected) {
+      this.connected = false;
+      this.onDisconnect('switching upstream');
+    }
+  }
+
   /**
    * Disconnect from upstream server
    */
   disconnect() {
+    if (this.healthTimer) {
+      clearInterval(this.healthTimer);
+      this.healthTimer = null;
+    }
+    if (this.replay) {
+      this.replay.stop();
+      this.connected = false;
+    }
+    this.recorder.close();
     if (this.socket) {
       logger.info('Disconnecting from upstream...');
-      this.socket.disconnect();
-      this.socket = null;
-      this.connected = false;
+      this.closeSocket();
     }
   }
 
+  /**
+   * Which upstream is active and the state of each endpoint
+   */
+  status() {
+    const active = this.activeEndpoint();
+    return {
+      connected: this.connected,
+      state: this.state,
+      since: new Date(this.stateSince).toISOString(),
+      reconnectAttempts: this.reconnectAttempts,
+      nextReconnectAt: this.nextReconnectAt ? new Date(this.nextReconnectAt).toISOString() : null,
+      active: active ? { name: active.name, priority: active.priority } : null,
+      failovers: this.failovers,
+      recording: this.recorder.enabled ? this.recorder.status() : null,
+      replay: this.replay ? this.replay.status() : null,
+      lastMessageAt: this.lastMessageAt ? new Date(this.lastMessageAt).toISOString() : null,
+      endpoints: this.endpoints.map((e) => ({
+        name: e.name,
+        priority: e.priority,
+        state: e.state,
+        failures: e.failures,
+        lastError: e.lastError,
+        lastConnectedAt: e.lastConnectedAt ? new Date(e.lastConnectedAt).toISOString() : null,
+        lastMessageAt: e.lastMessageAt ? new Date(e.lastMessageAt).toISOString() : null,
+      })),
+    };
+  }
+
   /**
    * Check if connected to upstream
    */
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * UpstreamRecorder - Writes every upstream event to rotating NDJSON files, for
+ * reproducing merge and matching bugs locally (see UpstreamReplay).
+ *
+ * Enabled with UPSTREAM_RECORD_DIR. Each line is
+ *   { "ts": <epoch ms>, "at": <ISO time>, "event": "odds-update", "data": <raw payload> }
+ * Files are named upstream-<UTC start time>.ndjson and rotate once they reach
+ * UPSTREAM_RECORD_MAX_BYTES (default 100 MB); only the newest
+ * UPSTREAM_RECORD_MAX_FILES (default 24) are kept.
+ */
+class UpstreamRecorder {
+  constructor(options = {}) {
+    this.dir = options.dir ?? process.env.UPSTREAM_RECORD_DIR ?? null;
+    this.maxBytes = options.maxBytes || parseInt(process.env.UPSTREAM_RECORD_MAX_BYTES) || 100 * 1024 * 1024;
+    this.maxFiles = options.maxFiles || parseInt(process.env.UPSTREAM_RECORD_MAX_FILES) || 24;
+
+    this.stream = null;
+    this.file = null;
+    this.bytes = 0;
+    this.recorded = 0;
+  }
+
+  get enabled() {
+    return !!this.dir;
+  }
+
+  /**
+   * Append an event to the current file, rotating first if it is full
+   */
+  record(event, data, now = Date.now()) {
+    if (!this.enabled) return;
+
+    try {
+      const line = `${JSON.stringify({ ts: now, at: new Date(now).toISOString(), event, data })}\n`;
+      if (!this.stream || this.bytes >= this.maxBytes) this.rotate(now);
+      this.stream.write(line);
+      this.bytes += Buffer.byteLength(line);
+      this.recorded++;
+    } catch (e) {
+      logger.error(`[Recorder] failed to record ${event}: ${e.message}`);
+    }
+  }
+
+  /**
+   * Start a new file and delete the oldest ones beyond UPSTREAM_RECORD_MAX_FILES
+   */
+  rotate(now = Date.now()) {
+    this.close();
+    fs.mkdirSync(this.dir, { recursive: true });
+
+    const stamp = new Date(now).toISOString().replace(/[-:]/g, '').replace('.', '');
+    this.file = path.join(this.dir, `upstream-${stamp}.ndjson`);
+    // Opened here rather than by the stream, so the pruning below counts the new file
+    this.stream = fs.createWriteStream(this.file, { fd: fs.openSync(this.file, 'a') });
+    this.stream.on('error', (e) => logger.error(`[Recorder] write error on ${this.file}: ${e.message}`));
+    this.bytes = 0;
+    logger.info(`[Recorder] recording upstream events to ${this.file}`);
+
+    const files = UpstreamRecorder.listFiles(this.dir);
+    files.slice(0, Math.max(0, files.length - this.maxFiles)).forEach((file) => {
+      try {
+        fs.unlinkSync(file);
+        logger.info(`[Recorder] removed old recording ${file}`);
+      } catch (e) {
+        logger.warn(`[Recorder] failed to remove ${file}: ${e.message}`);
+      }
+    });
+  }
+
+  close() {
+    if (this.stream) this.stream.end();
+    this.stream = null;
+  }
+
+  /**
+   * Recording files in a directory, oldest first
+   */
+  static listFiles(dir) {
+    return fs.readdirSync(dir)
+      .filter((name) => /^upstream-.*\.ndjson$/.test(name))
+      .sort()
+      .map((name) => path.join(dir, name));
+  }
+
+  status() {
+    return {
+      enabled: this.enabled,
+      file: this.file,
+      bytes: this.bytes,
+      recorded: this.recorded,
+    };
+  }
+}
+
+module.exports = UpstreamRecorder;
@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const logger = require('../utils/logger');
+const UpstreamRecorder = require('./upstreamRecorder');
+
+const sleep = (ms) => new Promise((resolve) => {
+  setTimeout(resolve, ms);
+});
+
+/**
+ * UpstreamReplay - Plays back NDJSON recordings written by UpstreamRecorder.
+ *
+ * `source` is a recording file or a directory of them (played oldest first).
+ * Events are dispatched with their original spacing divided by `speed`
+ * (1 = real time, 10 = ten times faster, 0 = as fast as possible). Files are
+ * streamed line by line, so long recordings are not loaded into memory.
+ */
+class UpstreamReplay {
+  /**
+   * @param {Object} options
+   * @param {string} options.source - Recording file or directory
+   * @param {number} [options.speed=1] - Playback speed multiplier (0 = no delays)
+   * @param {boolean} [options.loop=false] - Start over at the end
+   * @param {Function} options.dispatch - (event, data) => void
+   */
+  constructor({ source, speed = 1, loop = false, dispatch }) {
+    this.source = source;
+    this.speed = speed;
+    this.loop = loop;
+    this.dispatch = dispatch;
+
+    this.running = false;
+    this.replayed = 0;
+    this.position = null;
+  }
+
+  files() {
+    const resolved = path.resolve(this.source);
+    if (fs.statSync(resolved).isDirectory()) return UpstreamRecorder.listFiles(resolved);
+    return [resolved];
+  }
+
+  /**
+   * Play the recording until it ends (or forever with loop)
+   * @returns {Promise<void>}
+   */
+  async start() {
+    this.running = true;
+    do {
+      const files = this.files();
+      if (files.length === 0) {
+        logger.warn(`[Replay] no recordings found in ${this.source}`);
+        break;
+      }
+      logger.info(`[Replay] replaying ${files.length} file(s) from ${this.source} at ${this.speed || 'max'}x`);
+
+      let previousTs = null;
+      for (const file of files) {
+        if (!this.running) return;
+        previousTs = await this.playFile(file, previousTs);
+      }
+    } while (this.running && this.loop);
+
+    this.running = false;
+    logger.info(`[Replay] finished after ${this.replayed} events`);
+  }
+
+  async playFile(file, previousTs) {
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+    let lastTs = previousTs;
+    let lineNumber = 0;
+
+    try {
+      for await (const line of lines) {
+        if (!this.running) break;
+        lineNumber++;
+        if (!line.trim()) continue;
+
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (e) {
+          logger.warn(`[Replay] skipping malformed line ${lineNumber} of ${file}: ${e.message}`);
+          continue;
+        }
+
+        if (this.speed > 0 && lastTs != null && entry.ts > lastTs) {
+          await sleep((entry.ts - lastTs) / this.speed);
+        }
+        lastTs = entry.ts;
+        this.position = { file, line: lineNumber, at: entry.at };
+
+        try {
+          this.dispatch(entry.event, entry.data);
+          this.replayed++;
+        } catch (e) {
+          logger.error(`[Replay] ${entry.event} at ${file}:${lineNumber} failed: ${e.message}`);
+        }
+        // Let downstream I/O run between events when replaying without delays
+        if (!(this.speed > 0)) await new Promise((resolve) => setImmediate(resolve));
+      }
+    } finally {
+      lines.close();
+    }
+    return lastTs;
+  }
+
+  stop() {
+    this.running = false;
+  }
+
+  status() {
+    return {
+      source: this.source,
+      speed: this.speed,
+      loop: this.loop,
+      running: this.running,
+      replayed: this.replayed,
+      position: this.position,
+    };
+  }
+}
+
+module.exports = UpstreamReplay;
@@ -0,0 +1,178 @@
+const HOUR_MS = 60 * 60 * 1000;
+const CONNECTION_FLUSH_MS = 60 * 1000;
+
+const hourStart = (now) => Math.floor(now / HOUR_MS) * HOUR_MS;
+
+const emptyUsage = () => ({
+  requests: 0,
+  errors: 0,
+  routes: {},
+  sports: {},
+  connectionMinutes: 0,
+  messagesBroadcast: 0,
+  bytesBroadcast: 0,
+});
+
+/**
+ * Mask an API key for display (first 4 and last 4 characters)
+ */
+function maskApiKey(apiKey) {
+  const key = String(apiKey || '');
+  if (key.length <= 8) return `${key.slice(0, 2)}…`;
+  return `${key.slice(0, 4)}…${key.slice(-4)}`;
+}
+
+/**
+ * UsageMeter - Meters this server's own downstream traffic per API key.
+ * Usage is kept by key record id, so a key's history survives rotating its secret.
+ *
+ * Tracks REST calls (per route and sport), socket connection-minutes and
+ * bytes/messages broadcast, rolled into hourly buckets kept for
+ * USAGE_RETENTION_HOURS (default 7 days).
+ */
+class UsageMeter {
+  constructor(options = {}) {
+    this.retentionHours = options.retentionHours || parseInt(process.env.USAGE_RETENTION_HOURS) || 168;
+
+    // hourStart(ms) -> Map<keyId, usage>
+    this.buckets = new Map();
+    // keyId -> { owner, tier, apiKey (masked, latest secret) }
+    this.keyInfo = new Map();
+    // socketId -> { keyId, accountedAt }
+    this.sessions = new Map();
+
+    setInterval(() => {
+      this.flushConnections();
+      this.prune();
+    }, CONNECTION_FLUSH_MS).unref();
+  }
+
+  usageFor(keyId, now = Date.now()) {
+    const start = hourStart(now);
+    let bucket = this.buckets.get(start);
+    if (!bucket) {
+      bucket = new Map();
+      this.buckets.set(start, bucket);
+    }
+    const id = keyId || 'anonymous';
+    let usage = bucket.get(id);
+    if (!usage) {
+      usage = emptyUsage();
+      bucket.set(id, usage);
+    }
+    return usage;
+  }
+
+  remember(apiKeyInfo) {
+    if (apiKeyInfo?.id) {
+      this.keyInfo.set(apiKeyInfo.id, { owner: apiKeyInfo.owner, tier: apiKeyInfo.tier, apiKey: maskApiKey(apiKeyInfo.apiKey) });
+    }
+  }
+
+  /**
+   * Record a REST call
+   * @param {Object} apiKeyInfo - { id, apiKey, owner, tier } of the caller
+   * @param {Object} call - { route, sport, status }
+   */
+  recordRequest(apiKeyInfo, { route, sport, status }) {
+    this.remember(apiKeyInfo);
+    const usage = this.usageFor(apiKeyInfo?.id);
+    usage.requests++;
+    if (status >= 400) usage.errors++;
+    if (route) usage.routes[route] = (usage.routes[route] || 0) + 1;
+    if (sport) usage.sports[sport] = (usage.sports[sport] || 0) + 1;
+  }
+
+  /**
+   * Start metering a socket connection
+   */
+  socketConnected(socketId, apiKeyInfo) {
+    this.remember(apiKeyInfo);
+    this.sessions.set(socketId, { keyId: apiKeyInfo?.id, accountedAt: Date.now() });
+  }
+
+  /**
+   * Stop metering a socket connection, accounting its final partial minute
+   */
+  socketDisconnected(socketId) {
+    this.flushConnections(Date.now(), socketId);
+    this.sessions.delete(socketId);
+  }
+
+  /**
+   * Record a message sent to a client
+   * @param {Object} apiKeyInfo - { id, ... } of the client's key
+   */
+  recordBroadcast(apiKeyInfo, bytes) {
+    const usage = this.usageFor(apiKeyInfo?.id);
+    usage.messagesBroadcast++;
+    usage.bytesBroadcast += bytes;
+  }
+
+  /**
+   * Move elapsed connection time of open sockets into the current hour bucket
+   */
+  flushConnections(now = Date.now(), onlySocketId = null) {
+    this.sessions.forEach((session, socketId) => {
+      if (onlySocketId && socketId !== onlySocketId) return;
+      const minutes = (now - session.accountedAt) / 60000;
+      if (minutes > 0) {
+        this.usageFor(session.keyId, now).connectionMinutes += minutes;
+        session.accountedAt = now;
+      }
+    });
+  }
+
+  prune(now = Date.now()) {
+    const cutoff = hourStart(now) - this.retentionHours * HOUR_MS;
+    this.buckets.forEach((_, start) => {
+      if (start < cutoff) this.buckets.delete(start);
+    });
+  }
+
+  /**
+   * Hourly usage report
+   * @param {Object} options
+   * @param {string} [options.keyId] - Limit to one key record id (omit for all keys)
+   * @param {number} [options.hours=24] - How many recent hours to include
+   */
+  report({ keyId = null, hours = 24 } = {}) {
+    const now = Date.now();
+    this.flushConnections(now);
+    const since = hourStart(now) - (hours - 1) * HOUR_MS;
+
+    const byKey = new Map();
+    Array.from(this.buckets.keys()).sort((a, b) => a - b).forEach((start) => {
+      if (start < since) return;
+      this.buckets.get(start).forEach((usage, id) => {
+        if (keyId && id !== keyId) return;
+        if (!byKey.has(id)) byKey.set(id, { totals: emptyUsage(), hourly: [] });
+        const entry = byKey.get(id);
+        entry.hourly.push({ hour: new Date(start).toISOString(), ...usage, connectionMinutes: Math.round(usage.connectionMinutes * 100) / 100 });
+        addUsage(entry.totals, usage);
+      });
+    });
+
+    return Array.from(byKey.entries()).map(([id, { totals, hourly }]) => ({
+      keyId: id,
+      apiKey: this.keyInfo.get(id)?.apiKey || null,
+      owner: this.keyInfo.get(id)?.owner || null,
+      tier: this.keyInfo.get(id)?.tier || null,
+      totals: { ...totals, connectionMinutes: Math.round(totals.connectionMinutes * 100) / 100 },
+      hourly,
+    }));
+  }
+}
+
+function addUsage(target, usage) {
+  target.requests += usage.requests;
+  target.errors += usage.errors;
+  target.connectionMinutes += usage.connectionMinutes;
+  target.messagesBroadcast += usage.messagesBroadcast;
+  target.bytesBroadcast += usage.bytesBroadcast;
+  Object.entries(usage.routes).forEach(([k, v]) => { target.routes[k] = (target.routes[k] || 0) + v; });
+  Object.entries(usage.sports).forEach(([k, v]) => { target.sports[k] = (target.sports[k] || 0) + v; });
+}
+
+module.exports = UsageMeter;
+module.exports.maskApiKey = maskApiKey;
@@ -0,0 +1,83 @@
+const path = require('path');
+
+/**
+ * Transform markets array to standard format
+ */
+function transformMarkets(markets) {
+  if (!Array.isArray(markets)) {
+    return [];
+  }
+
+  return markets.map((market) => ({
+    key: market.key || market.type,
+    ...((market.last_update || market.lastUpdate) && { last_update: market.last_update || market.lastUpdate }),
+    outcomes: market.outcomes || market.prices || [],
+  }));
+}
+
+/**
+ * Transform bookmakers array to standard format
+ */
+function transformBookmakers(bookmakers) {
+  if (!Array.isArray(bookmakers)) {
+    return [];
+  }
+
+  return bookmakers.map((book) => ({
+    key: book.key || book.id || book.name?.toLowerCase().replace(/\s+/g, ''),
+    title: book.title || book.name,
+    ...((book.last_update || book.lastUpdate) && { last_update: book.last_update || book.lastUpdate }),
+    markets: transformMarkets(book.markets || book.odds || []),
+  }));
+}
+
+/**
+ * Transform a single event to Owls Insight format
+ */
+function transformSingleEvent(event, sport) {
+  return {
+    id: event.id || event.event_id || `${event.home_team}-${event.away_team}`,
+    sport: sport,
+    home_team: event.home_team || event.homeTeam,
+    away_team: event.away_team || event.awayTeam,
+    commence_time: event.commence_time || event.startTime || event.game_time,
+    bookmakers: transformBookmakers(event.bookmakers || event.odds || []),
+  };
+}
+
+// The event of a per-event push: the payload itself or its `event`
+const unwrap = (data) => (data?.event && typeof data.event === 'object' ? data.event : data);
+
+/**
+ * Per-event push: one event at a time, bare or as { sport, event }.
+ *   { sport_key: 'basketball_nba', id, home_team, away_team, commence_time, bookmakers: [...] }
+ * The result is partial: the event is upserted into its sport's games.
+ */
+module.exports = {
+  name: 'event',
+  description: 'One event per message ({ sport_key, home_team, away_team, bookmakers } or { sport, event })',
+  fixture: path.join(__dirname, 'fixtures', 'event.json'),
+
+  detect(data) {
+    const event = unwrap(data);
+    return !!event && typeof event === 'object' && !Array.isArray(event) && !event.sports
+      && !!(event.home_team || event.homeTeam)
+      && Array.isArray(event.bookmakers || event.odds);
+  },
+
+  transform(data, { sportKeyMap }) {
+    const event = unwrap(data);
+    const upstreamSport = data.sport || event.sport || event.sport_key;
+    const sport = sportKeyMap[upstreamSport];
+    if (!sport) return { sports: {}, partial: true };
+
+    return {
+      sports: { [sport]: [{ ...transformSingleEvent(event, sport), sport_key: event.sport_key || upstreamSport }] },
+      partial: true,
+    };
+  },
+
+  transformSingleEvent,
+  transformBookmakers,
+  transformMarkets,
+};
@@ -0,0 +1,123 @@
+const path = require('path');
+const logger = require('../utils/logger');
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+/**
+ * Built-in upstream payload transformers, in detection order. Each one maps
+ * one payload format onto the Owls Insight sports object:
+ *   name        - format name, used to pin an upstream event to it
+ *   description - one line for logs and docs
+ *   detect      - (data) => boolean; whether a payload is in this format
+ *   transform   - (data, { sportKeyMap }) => { sports, openingLines?, partial? }
+ *                 sportKeyMap maps upstream sport keys to sport keys.
+ *                 `partial: true` upserts the events instead of replacing
+ *                 each sport's games; `partial: 'markets'` also upserts the
+ *                 markets of each book, keeping those not in the payload.
+ *                 Averages are added afterwards.
+ *   fallback    - optional; tried after every other transformer
+ *   fixture     - optional path to a sample payload (npm run transformers:check)
+ */
+const BUILT_IN_TRANSFORMERS = [
+  require('./owlsInsight'),
+  require('./oddsApi'),
+  require('./outcomeRows'),
+  require('./event'),
+  require('./passthrough'),
+];
+
+/**
+ * TransformerRegistry - The payload transformers available to the upstream
+ * connector, with format detection.
+ *
+ * Additional transformers (plugins) are modules exporting the same shape,
+ * listed in UPSTREAM_TRANSFORMERS; they are tried before the built-ins.
+ */
+class TransformerRegistry {
+  /**
+   * @param {Object[]} [transformers=BUILT_IN_TRANSFORMERS]
+   */
+  constructor(transformers = BUILT_IN_TRANSFORMERS) {
+    // name -> transformer, in registration order
+    this.transformers = new Map();
+    transformers.forEach((transformer) => this.register(transformer));
+  }
+
+  /**
+   * Build a registry with the plugins in UPSTREAM_TRANSFORMERS (comma-separated
+   * module paths, relative to the working directory) ahead of the built-ins.
+   * Plugins that fail to load are logged and skipped.
+   */
+  static fromEnv(value = process.env.UPSTREAM_TRANSFORMERS) {
+    const plugins = String(value || '').split(',').map((p) => p.trim()).filter(Boolean).map((modulePath) => {
+      try {
+        return require(path.resolve(process.cwd(), modulePath));
+      } catch (error) {
+        logger.error(`Failed to load upstream transformer ${modulePath}: ${error.message}`);
+        return null;
+      }
+    }).filter(Boolean);
+
+    const registry = new TransformerRegistry([]);
+    [...plugins, ...BUILT_IN_TRANSFORMERS].forEach((transformer) => {
+      try {
+        registry.register(transformer);
+      } catch (error) {
+        logger.error(error.message);
+      }
+    });
+    return registry;
+  }
+
+  /**
+   * Add a transformer
+   * @throws {Error} on an invalid or duplicate transformer
+   */
+  register(transformer) {
+    const name = String(transformer?.name || '').trim().toLowerCase();
+    if (!NAME_PATTERN.test(name)) throw new Error(`Invalid upstream transformer name: ${transformer?.name}`);
+    if (typeof transformer.detect !== 'function' || typeof transformer.transform !== 'function') {
+      throw new Error(`Upstream transformer ${name} must implement detect() and transform()`);
+    }
+    if (this.transformers.has(name)) throw new Error(`Upstream transformer already registered: ${name}`);
+    this.transformers.set(name, { ...transformer, name });
+    return this.transformers.get(name);
+  }
+
+  get(name) {
+    return this.transformers.get(String(name || '').trim().toLowerCase()) || null;
+  }
+
+  has(name) {
+    return this.transformers.has(String(name || '').trim().toLowerCase());
+  }
+
+  /**
+   * All transformers in detection order (fallbacks last)
+   */
+  all() {
+    const list = Array.from(this.transformers.values());
+    return [...list.filter((t) => !t.fallback), ...list.filter((t) => t.fallback)];
+  }
+
+  names() {
+    return this.all().map((t) => t.name);
+  }
+
+  /**
+   * The first transformer whose detect() accepts a payload, or null
+   */
+  detect(data) {
+    return this.all().find((transformer) => {
+      try {
+        return transformer.detect(data);
+      } catch (error) {
+        logger.warn(`Upstream transformer ${transformer.name} detect failed: ${error.message}`);
+        return false;
+      }
+    }) || null;
+  }
+}
+
+module.exports = TransformerRegistry;
+module.exports.BUILT_IN_TRANSFORMERS = BUILT_IN_TRANSFORMERS;
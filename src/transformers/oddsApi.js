@@ -0,0 +1,61 @@
+const path = require('path');
+
+// Latest of a list of ISO timestamps, or null
+const latest = (timestamps) => timestamps.filter(Boolean).sort().pop() || null;
+
+/**
+ * The Odds API v4: an array of events, each with its sport_key and bookmakers.
+ * Bookmakers and markets carry `last_update`; the event gets the latest of its
+ * bookmakers'. Every configured sport is included, so a sport missing from the
+ * payload is emptied. Events of unmapped sport keys are dropped.
+ */
+module.exports = {
+  name: 'odds-api',
+  description: 'The Odds API v4 event array ([{ sport_key, bookmakers: [{ last_update, markets }] }])',
+  fixture: path.join(__dirname, 'fixtures', 'odds-api.json'),
+
+  detect(data) {
+    return Array.isArray(data) && data.every((event) => Array.isArray(event?.bookmakers));
+  },
+
+  transform(events, { sportKeyMap }) {
+    const sports = {};
+    new Set(Object.values(sportKeyMap)).forEach((sport) => { sports[sport] = []; });
+
+    const debugEnabled = process.env.DEBUG_OWLS_INSIGHT === 'true';
+    if (debugEnabled) {
+      const counts = {};
+      events.forEach((e) => {
+        const key = e?.sport_key || 'missing_sport_key';
+        counts[key] = (counts[key] || 0) + 1;
+      });
+      // eslint-disable-next-line no-console
+      console.log('[DEBUG_OWLS_INSIGHT] OddsAPI sport_key counts:', counts);
+    }
+
+    events.forEach((event) => {
+      const sportKey = sportKeyMap[event.sport_key];
+
+      if (debugEnabled && !sportKey && event?.sport_key) {
+        // eslint-disable-next-line no-console
+        console.log('[DEBUG_OWLS_INSIGHT] Unmapped sport_key:', event.sport_key);
+      }
+
+      if (sports[sportKey]) {
+        const bookmakers = event.bookmakers || [];
+        sports[sportKey].push({
+          id: event.id,
+          sport_key: event.sport_key,
+          sport: sportKey,
+          home_team: event.home_team,
+          away_team: event.away_team,
+          commence_time: event.commence_time,
+          last_update: latest(bookmakers.map((b) => b.last_update)),
+          bookmakers,
+        });
+      }
+    });
+
+    return { sports, openingLines: {} };
+  },
+};
@@ -0,0 +1,81 @@
+const path = require('path');
+
+const field = (row, ...names) => names.map((name) => row[name]).find((value) => value != null);
+
+const isRow = (row) => !!row && typeof row === 'object'
+  && field(row, 'book', 'bookmaker') != null
+  && field(row, 'market', 'market_key') != null
+  && field(row, 'outcome', 'name') != null
+  && field(row, 'price', 'odds') != null;
+
+/**
+ * Flattened outcome rows: one row per event, book, market and outcome.
+ *   [{ event_id, sport_key, home_team, away_team, commence_time, book, market, outcome, price, point, last_update }]
+ * Rows are grouped back into events/bookmakers/markets/outcomes. The result is
+ * partial per market: events are upserted, and a book's rows replace only the
+ * markets they carry, so a book's other markets on the event are kept.
+ */
+module.exports = {
+  name: 'outcome-rows',
+  description: 'Flattened rows ([{ event_id, sport_key, book, market, outcome, price, point }])',
+  fixture: path.join(__dirname, 'fixtures', 'outcome-rows.json'),
+
+  detect(data) {
+    return Array.isArray(data) && data.length > 0 && data.every(isRow);
+  },
+
+  transform(rows, { sportKeyMap }) {
+    // eventId -> { event, books: Map(book -> Map(market -> market)) }
+    const events = new Map();
+
+    rows.forEach((row) => {
+      const sport = sportKeyMap[field(row, 'sport', 'sport_key')];
+      const id = field(row, 'event_id', 'eventId', 'id');
+      if (!sport || !id) return;
+
+      if (!events.has(id)) {
+        events.set(id, {
+          event: {
+            id,
+            sport_key: field(row, 'sport_key', 'sport'),
+            sport,
+            home_team: field(row, 'home_team', 'homeTeam'),
+            away_team: field(row, 'away_team', 'awayTeam'),
+            commence_time: field(row, 'commence_time', 'startTime'),
+          },
+          books: new Map(),
+        });
+      }
+      const entry = events.get(id);
+
+      const bookKey = String(field(row, 'book', 'bookmaker')).toLowerCase();
+      if (!entry.books.has(bookKey)) {
+        entry.books.set(bookKey, { key: bookKey, title: field(row, 'book_title', 'bookmaker_title') || bookKey, markets: new Map() });
+      }
+      const book = entry.books.get(bookKey);
+      const lastUpdate = field(row, 'last_update', 'lastUpdate');
+      if (lastUpdate && !(book.last_update >= lastUpdate)) book.last_update = lastUpdate;
+
+      const marketKey = field(row, 'market', 'market_key');
+      if (!book.markets.has(marketKey)) book.markets.set(marketKey, { key: marketKey, outcomes: [] });
+
+      const point = field(row, 'point', 'line');
+      book.markets.get(marketKey).outcomes.push({
+        name: field(row, 'outcome', 'name'),
+        price: field(row, 'price', 'odds'),
+        ...(point != null && { point }),
+      });
+    });
+
+    const sports = {};
+    events.forEach(({ event, books }) => {
+      if (!sports[event.sport]) sports[event.sport] = [];
+      sports[event.sport].push({
+        ...event,
+        bookmakers: Array.from(books.values()).map(({ markets, ...book }) => ({ ...book, markets: Array.from(markets.values()) })),
+      });
+    });
+
+    return { sports, partial: 'markets' };
+  },
+};
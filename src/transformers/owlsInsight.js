@@ -0,0 +1,20 @@
+const path = require('path');
+
+/**
+ * Owls Insight format: already grouped by sport, optionally with openingLines.
+ *   { sports: { nba: [event, ...], ... }, openingLines: { ... } }
+ */
+module.exports = {
+  name: 'owls-insight',
+  description: 'Events grouped by sport ({ sports, openingLines })',
+  fixture: path.join(__dirname, 'fixtures', 'owls-insight.json'),
+
+  detect(data) {
+    return !!data && typeof data === 'object' && !Array.isArray(data)
+      && !!data.sports && typeof data.sports === 'object' && !Array.isArray(data.sports);
+  },
+
+  transform(data) {
+    return data;
+  },
+};
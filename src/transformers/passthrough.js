@@ -0,0 +1,20 @@
+const path = require('path');
+
+/**
+ * Fallback for any other object: treated as the sports object itself.
+ *   { nba: [event, ...], ... }
+ */
+module.exports = {
+  name: 'passthrough',
+  description: 'Bare sports object ({ nba: [...], ... }); tried last',
+  fallback: true,
+  fixture: path.join(__dirname, 'fixtures', 'passthrough.json'),
+
+  detect(data) {
+    return !!data && typeof data === 'object' && !Array.isArray(data);
+  },
+
+  transform(data) {
+    return { sports: data, openingLines: {} };
+  },
+};
@@ -0,0 +1,55 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ApiKeyStore = require('../src/services/apiKeyStore');
+
+describe('ApiKeyStore', () => {
+  let dir;
+  let filePath;
+  const fileKeys = () => JSON.parse(fs.readFileSync(filePath, 'utf8')).keys;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'owls-keys-'));
+    filePath = path.join(dir, 'keys.json');
+    fs.writeFileSync(filePath, JSON.stringify({
+      keys: [
+        { id: 'key_shared', key: 'shared-secret', owner: 'acme', tier: 'pro' },
+        { id: 'key_file', key: 'file-secret', owner: 'globex', tier: 'free' },
+      ],
+    }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('lets API_KEYS override a file key, read-only', () => {
+    const store = new ApiKeyStore({ filePath, envKeys: JSON.stringify([{ key: 'shared-secret', owner: 'acme-env', tier: 'enterprise' }]) });
+    const record = store.get('shared-secret');
+    assert.equal(record.source, 'env');
+    assert.equal(record.tier, 'enterprise');
+    assert.throws(() => store.update(record.id, { tier: 'free' }), { status: 409 });
+  });
+
+  it('keeps overridden file keys in the file on admin writes', () => {
+    const store = new ApiKeyStore({ filePath, envKeys: JSON.stringify([{ key: 'shared-secret', owner: 'acme-env' }]) });
+    store.update('key_file', { tier: 'pro' });
+    store.create({ owner: 'initech' });
+
+    const saved = fileKeys();
+    assert.deepEqual(saved.map((r) => r.owner).sort(), ['acme', 'globex', 'initech']);
+    const shared = saved.find((r) => r.key === 'shared-secret');
+    assert.equal(shared.tier, 'pro', 'file record written back unchanged');
+    assert.equal(shared.source, undefined);
+    assert.equal(saved.find((r) => r.id === 'key_file').tier, 'pro');
+  });
+
+  it('writes no shadowed records once the override is gone', () => {
+    const store = new ApiKeyStore({ filePath, envKeys: '' });
+    assert.equal(store.get('shared-secret').source, 'file');
+    store.remove('key_shared');
+    assert.deepEqual(fileKeys().map((r) => r.id), ['key_file']);
+  });
+});
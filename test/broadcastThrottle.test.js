@@ -0,0 +1,87 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const BroadcastThrottle = require('../src/services/broadcastThrottle');
+
+// A throttle that records what it sends
+function throttle(intervalMs) {
+  const sent = [];
+  const instance = new BroadcastThrottle({ intervalMs, send: (eventName, payload) => sent.push([eventName, payload]) });
+  return { instance, sent };
+}
+
+const append = (pending, next) => ({ values: [...pending.values, ...next.values] });
+
+describe('BroadcastThrottle', () => {
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1000000 });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  it('sends every update without an interval', () => {
+    const { instance, sent } = throttle(0);
+    instance.push('odds-update', { n: 1 });
+    instance.push('odds-update', { n: 2 });
+    assert.deepEqual(sent.map(([, p]) => p.n), [1, 2]);
+    assert.equal(instance.holding, false);
+  });
+
+  it('sends the first update at once and coalesces the rest until the interval elapses', () => {
+    const { instance, sent } = throttle(1000);
+    instance.push('odds-update', { values: [1] }, append);
+    instance.push('odds-update', { values: [2] }, append);
+    instance.push('odds-update', { values: [3] }, append);
+    assert.deepEqual(sent, [['odds-update', { values: [1] }]]);
+
+    mock.timers.tick(999);
+    assert.equal(sent.length, 1);
+    mock.timers.tick(1);
+    assert.deepEqual(sent[1], ['odds-update', { values: [2, 3] }]);
+  });
+
+  it('keeps the latest update without a coalesce function', () => {
+    const { instance, sent } = throttle(1000);
+    ['a', 'b', 'c'].forEach((n) => instance.push('scores-update', { n }));
+    mock.timers.tick(1000);
+    assert.deepEqual(sent.map(([, p]) => p.n), ['a', 'c']);
+  });
+
+  it('throttles each event separately', () => {
+    const { instance, sent } = throttle(1000);
+    instance.push('odds-update', { n: 1 });
+    instance.push('scores-update', { n: 1 });
+    assert.deepEqual(sent.map(([eventName]) => eventName), ['odds-update', 'scores-update']);
+  });
+
+  it('discards pending updates once a snapshot was sent', () => {
+    const { instance, sent } = throttle(1000);
+    instance.push('odds-update', { n: 1 });
+    instance.push('odds-update', { n: 2 });
+    instance.markSent('odds-update');
+    mock.timers.tick(5000);
+    assert.deepEqual(sent.map(([, p]) => p.n), [1]);
+  });
+
+  it('sends pending updates when throttling is turned off', () => {
+    const { instance, sent } = throttle(10000);
+    instance.push('odds-update', { n: 1 });
+    instance.push('odds-update', { n: 2 });
+    instance.setInterval(0);
+    assert.deepEqual(sent.map(([, p]) => p.n), [1, 2]);
+  });
+
+  it('holds updates while paused and sends them on resume', () => {
+    const { instance, sent } = throttle(0);
+    instance.pause();
+    assert.equal(instance.holding, true);
+    instance.push('odds-update', { values: [1] }, append);
+    instance.push('odds-update', { values: [2] }, append);
+    mock.timers.tick(60000);
+    assert.equal(sent.length, 0);
+
+    instance.resume();
+    assert.deepEqual(sent, [['odds-update', { values: [1, 2] }]]);
+  });
+});
@@ -0,0 +1,48 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateEventAverages } = require('../src/services/dataTransformer');
+
+const outcome = (name, price, point) => ({ name, price, ...(point != null && { point }) });
+
+// A book quoting a run line / spread, a total and a moneyline
+const book = (key, { spread, total, moneyline }) => ({
+  key,
+  markets: [
+    { key: 'spreads', outcomes: [outcome('Home', spread[1], spread[0]), outcome('Away', spread[2], -spread[0])] },
+    { key: 'totals', outcomes: [outcome('Over', total[1], total[0]), outcome('Under', total[2], total[0])] },
+    { key: 'h2h', outcomes: [outcome('Home', moneyline[0]), outcome('Away', moneyline[1])] },
+  ],
+});
+
+const event = {
+  home_team: 'Home',
+  away_team: 'Away',
+  bookmakers: [
+    book('pinnacle', { spread: [-1.5, 110, -130], total: [8.5, -105, -115], moneyline: [-200, 170] }),
+    book('fanduel', { spread: [-1.5, 200, -250], total: [8.5, -110, -110], moneyline: [100, -120] }),
+    book('caesars', { spread: [-2.5, 260, -330], total: [9, 100, -120], moneyline: [-150, 130] }),
+  ],
+};
+
+describe('calculateEventAverages', () => {
+  it('MLB: averages prices at the most quoted run line and total as probabilities', () => {
+    assert.deepEqual(calculateEventAverages(event, 'mlb'), {
+      spread: { home: -1.5, homeOdds: 147, away: 1.5, awayOdds: -178 },
+      total: { over: 8.5, overOdds: -107, under: 8.5, underOdds: -112 },
+      moneyline: { home: -143, away: 122 },
+    });
+  });
+
+  it('other sports: averages every line and price arithmetically', () => {
+    assert.deepEqual(calculateEventAverages(event, 'nba'), {
+      spread: { home: -2, homeOdds: 190, away: 2, awayOdds: -237 },
+      total: { over: 8.5, overOdds: -38, under: 8.5, underOdds: -115 },
+      moneyline: { home: -83, away: 60 },
+    });
+  });
+
+  it('returns null without sportsbooks', () => {
+    assert.equal(calculateEventAverages({ ...event, bookmakers: [] }, 'mlb'), null);
+    assert.equal(calculateEventAverages({ ...event, bookmakers: [{ ...event.bookmakers[0], key: 'kalshi' }] }, 'mlb'), null);
+  });
+});
@@ -0,0 +1,209 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { FAIR_ODDS_METHODS, parseFairMethod, devig, fairMarket, sharpFairLines, addFairOdds } = require('../src/services/fairOdds');
+
+const sum = (values) => values.reduce((a, b) => a + b, 0);
+
+function assertClose(actual, expected, tolerance = 1e-6) {
+  assert.equal(actual.length, expected.length);
+  actual.forEach((value, i) => assert.ok(Math.abs(value - expected[i]) < tolerance, `${value} != ${expected[i]} at ${i}`));
+}
+
+// Implied probabilities with a 5% overround
+const TWO_WAY = [0.6, 0.45];
+const THREE_WAY = [0.5, 0.3, 0.25];
+
+// Reference values, solved independently
+const EXPECTED = {
+  twoWay: {
+    multiplicative: [0.571429, 0.428571],
+    additive: [0.575, 0.425],
+    power: [0.576847, 0.423153],
+    // Shin and additive agree on two-way markets
+    shin: [0.575, 0.425],
+  },
+  threeWay: {
+    multiplicative: [0.476190, 0.285714, 0.238095],
+    additive: [0.483333, 0.283333, 0.233333],
+    power: [0.483404, 0.282916, 0.233680],
+    shin: [0.481495, 0.283934, 0.234571],
+  },
+};
+
+describe('devig', () => {
+  FAIR_ODDS_METHODS.forEach((method) => {
+    it(`${method}: prices known two-way and three-way markets`, () => {
+      const twoWay = devig(TWO_WAY, method);
+      const threeWay = devig(THREE_WAY, method);
+      assertClose(twoWay, EXPECTED.twoWay[method]);
+      assertClose(threeWay, EXPECTED.threeWay[method]);
+      assert.ok(Math.abs(sum(twoWay) - 1) < 1e-9);
+      assert.ok(Math.abs(sum(threeWay) - 1) < 1e-9);
+    });
+
+    it(`${method}: splits an even market evenly`, () => {
+      assertClose(devig([0.5238, 0.5238], method), [0.5, 0.5]);
+    });
+  });
+
+  it('power applies one exponent to every outcome', () => {
+    const fair = devig(THREE_WAY, 'power');
+    const exponents = fair.map((f, i) => Math.log(f) / Math.log(THREE_WAY[i]));
+    assertClose(exponents, exponents.map(() => exponents[0]), 1e-9);
+  });
+
+  it('takes more margin from longshots with power and shin', () => {
+    const multiplicative = devig(THREE_WAY, 'multiplicative');
+    ['power', 'shin'].forEach((method) => {
+      const fair = devig(THREE_WAY, method);
+      assert.ok(fair[2] < multiplicative[2], method);
+      assert.ok(fair[0] > multiplicative[0], method);
+    });
+  });
+
+  it('returns null for a single outcome', () => {
+    FAIR_ODDS_METHODS.forEach((method) => assert.equal(devig([0.95], method), null));
+  });
+
+  it('returns null for missing or out-of-range probabilities', () => {
+    FAIR_ODDS_METHODS.forEach((method) => {
+      assert.equal(devig([0.6, null], method), null);
+      assert.equal(devig([0.6, NaN], method), null);
+      assert.equal(devig([0.6, 0], method), null);
+      assert.equal(devig([1, 0.45], method), null);
+    });
+  });
+
+  it('handles an overround at or below 1', () => {
+    const under = [0.5, 0.45];
+    assertClose(devig(under, 'multiplicative'), [0.526316, 0.473684]);
+    assertClose(devig(under, 'additive'), [0.525, 0.475]);
+    assertClose(devig(under, 'power'), [0.524502, 0.475498]);
+    // No margin, no insiders: Shin falls back to multiplicative
+    assertClose(devig(under, 'shin'), devig(under, 'multiplicative'));
+
+    FAIR_ODDS_METHODS.forEach((method) => assertClose(devig([0.4, 0.6], method), [0.4, 0.6]));
+  });
+
+  it('returns null when the additive margin exceeds a longshot', () => {
+    assert.equal(devig([0.95, 0.1, 0.02], 'additive'), null);
+    assert.ok(devig([0.95, 0.1, 0.02], 'multiplicative'));
+  });
+});
+
+describe('fairMarket', () => {
+  const outcome = (name, price, point) => ({ name, price, ...(point != null && { point }) });
+
+  it('prices a moneyline with its margin', () => {
+    const fair = fairMarket({ key: 'h2h', outcomes: [outcome('Home', -150), outcome('Away', 150)] }, 'multiplicative');
+    assert.equal(fair.method, 'multiplicative');
+    assert.equal(fair.margin, 0);
+    assert.deepEqual(fair.outcomes, [
+      { name: 'Home', probability: 0.6, price: -150 },
+      { name: 'Away', probability: 0.4, price: 150 },
+    ]);
+  });
+
+  it('devigs spreads and totals per line', () => {
+    const spreads = fairMarket({
+      key: 'spreads',
+      outcomes: [outcome('Home', -110, -3.5), outcome('Away', -110, 3.5), outcome('Home', 150, -7.5), outcome('Away', -180, 7.5)],
+    }, 'multiplicative');
+    assert.equal(spreads.outcomes.length, 4);
+    const byLine = (line) => spreads.outcomes.filter((o) => Math.abs(o.point) === line);
+    assert.ok(Math.abs(sum(byLine(3.5).map((o) => o.probability)) - 1) < 1e-3);
+    assert.ok(Math.abs(sum(byLine(7.5).map((o) => o.probability)) - 1) < 1e-3);
+    assert.equal(spreads.margin, 0.0476);
+  });
+
+  it('keeps alternate spread lines apart', () => {
+    // Home -3.5 / away +3.5 and the alternate home +3.5 / away -3.5
+    const spreads = fairMarket({
+      key: 'spreads',
+      outcomes: [outcome('Home', -110, -3.5), outcome('Away', -110, 3.5), outcome('Home', -250, 3.5), outcome('Away', 200, -3.5)],
+    }, 'multiplicative');
+    const price = (name, point) => spreads.outcomes.find((o) => o.name === name && o.point === point);
+    assert.equal(price('Home', -3.5).probability, 0.5);
+    assert.equal(price('Away', 3.5).probability, 0.5);
+    assert.ok(Math.abs(price('Home', 3.5).probability + price('Away', -3.5).probability - 1) < 1e-3);
+    assert.ok(price('Home', 3.5).probability > 0.6);
+  });
+
+  it('prefers the implied probability of prediction markets', () => {
+    const fair = fairMarket({
+      key: 'h2h',
+      outcomes: [{ name: 'Home', price: -150, impliedProbability: 0.62 }, { name: 'Away', price: 150, impliedProbability: 0.41 }],
+    }, 'multiplicative');
+    assert.equal(fair.margin, 0.03);
+  });
+
+  it('skips lines with a missing price and keeps the others', () => {
+    const totals = fairMarket({
+      key: 'totals',
+      outcomes: [outcome('Over', -110, 220.5), outcome('Under', null, 220.5), outcome('Over', -105, 221.5), outcome('Under', -115, 221.5)],
+    });
+    assert.deepEqual(totals.outcomes.map((o) => o.point), [221.5, 221.5]);
+
+    assert.equal(fairMarket({ key: 'h2h', outcomes: [outcome('Home', -150), outcome('Away', undefined)] }), null);
+  });
+
+  it('returns null for a single outcome or no outcomes', () => {
+    assert.equal(fairMarket({ key: 'h2h', outcomes: [outcome('Home', -150)] }), null);
+    assert.equal(fairMarket({ key: 'h2h', outcomes: [] }), null);
+    assert.equal(fairMarket({ key: 'h2h' }), null);
+  });
+});
+
+describe('addFairOdds', () => {
+  const market = (home, away) => ({ key: 'h2h', outcomes: [{ name: 'Home', price: home }, { name: 'Away', price: away }] });
+  const event = {
+    id: 'g1',
+    bookmakers: [
+      { key: 'pinnacle', markets: [market(-120, 110)] },
+      { key: 'fanduel', markets: [market(-130, 110)] },
+    ],
+  };
+
+  it('adds fair lines to every market and the sharp book to the event', () => {
+    const result = addFairOdds(event, { method: 'power' });
+    result.bookmakers.forEach((b) => assert.equal(b.markets[0].fair.method, 'power'));
+    assert.equal(result.fair.book, 'pinnacle');
+    assert.equal(result.fair.method, 'power');
+    assert.deepEqual(result.fair.markets.h2h, result.bookmakers[0].markets[0].fair.outcomes);
+    assert.equal(event.fair, undefined, 'input is not modified');
+  });
+
+  it('sets event fair lines to null without the sharp book', () => {
+    assert.equal(addFairOdds(event, { sharpBook: 'circa' }).fair, null);
+    assert.equal(addFairOdds({ ...event, bookmakers: event.bookmakers.slice(1) }).fair, null);
+  });
+});
+
+describe('sharpFairLines', () => {
+  const priced = (key, home, away) => ({
+    key,
+    markets: [{ key: 'h2h', outcomes: [{ name: 'Home', price: home }, { name: 'Away', price: away }] }],
+  });
+
+  it('builds event fair lines from the sharp book markets', () => {
+    const { bookmakers } = addFairOdds({ bookmakers: [priced('fanduel', -130, 110), priced('pinnacle', -120, 110)] }, { method: 'shin' });
+    const fair = sharpFairLines(bookmakers);
+    assert.equal(fair.book, 'pinnacle');
+    assert.equal(fair.method, 'shin');
+    assert.deepEqual(fair.markets.h2h, bookmakers[1].markets[0].fair.outcomes);
+  });
+
+  it('is null once the sharp book is gone', () => {
+    const { bookmakers } = addFairOdds({ bookmakers: [priced('fanduel', -130, 110)] });
+    assert.equal(sharpFairLines(bookmakers), null);
+    assert.equal(sharpFairLines([]), null);
+  });
+});
+
+describe('parseFairMethod', () => {
+  it('accepts known methods in any case and rejects others', () => {
+    assert.deepEqual(parseFairMethod(' Shin '), { method: 'shin' });
+    assert.ok(FAIR_ODDS_METHODS.includes(parseFairMethod(undefined).method));
+    assert.match(parseFairMethod('median').error, /Invalid fairMethod/);
+  });
+});
@@ -0,0 +1,65 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const FeedFreshness = require('../src/services/feedFreshness');
+
+const T0 = Date.UTC(2026, 0, 15, 12);
+
+describe('FeedFreshness', () => {
+  it('uses per-feed, then per-kind, then default thresholds', () => {
+    const freshness = new FeedFreshness({
+      staleMs: 1000,
+      thresholds: FeedFreshness.parseThresholds('{"props": 5000, "Props:Caesars": 9000, "scores": "x"}'),
+    });
+    assert.equal(freshness.thresholdFor('props:caesars'), 9000);
+    assert.equal(freshness.thresholdFor('props:fanduel'), 5000);
+    assert.equal(freshness.thresholdFor('scores'), 1000);
+    assert.deepEqual(FeedFreshness.parseThresholds('not json'), {});
+  });
+
+  it('flags a quiet feed once and clears it when data arrives', () => {
+    const freshness = new FeedFreshness({ staleMs: 1000 });
+    const changes = [];
+    freshness.on('stale', (change) => changes.push(change));
+    freshness.on('fresh', (change) => changes.push(change));
+
+    freshness.record(FeedFreshness.key('odds', 'Pinnacle'), T0);
+    freshness.check(T0 + 1000);
+    assert.deepEqual(changes, []);
+    freshness.check(T0 + 1001);
+    freshness.check(T0 + 2000);
+    assert.equal(changes.length, 1);
+    assert.deepEqual(
+      { key: changes[0].key, feed: changes[0].feed, book: changes[0].book, stale: changes[0].stale, ageMs: changes[0].ageMs },
+      { key: 'odds:pinnacle', feed: 'odds', book: 'pinnacle', stale: true, ageMs: 1001 },
+    );
+    assert.deepEqual(freshness.staleFeeds(), ['odds:pinnacle']);
+
+    freshness.record('odds:pinnacle', T0 + 3000);
+    assert.equal(changes.length, 2);
+    assert.equal(changes[1].stale, false);
+    assert.deepEqual(freshness.staleFeeds(), []);
+  });
+
+  it('measures the message rate over the last five minutes', () => {
+    const freshness = new FeedFreshness();
+    // Every 10 s for 10 minutes
+    for (let t = 0; t <= 600000; t += 10000) freshness.record('scores', T0 + t);
+    const status = freshness.status('scores', T0 + 600000);
+    assert.equal(status.ratePerMin, 6.2);
+    assert.equal(status.lastReceivedAt, new Date(T0 + 600000).toISOString());
+
+    // Under a minute of history counts as a minute
+    const young = new FeedFreshness();
+    young.record('scores', T0);
+    young.record('scores', T0 + 1000);
+    assert.equal(young.status('scores', T0 + 2000).ratePerMin, 2);
+  });
+
+  it('stops tracking forgotten feeds', () => {
+    const freshness = new FeedFreshness();
+    freshness.record('props:caesars', T0);
+    freshness.forget('props:caesars');
+    assert.equal(freshness.status('props:caesars'), null);
+    assert.deepEqual(freshness.snapshot(), {});
+  });
+});
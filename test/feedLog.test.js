@@ -0,0 +1,72 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const FeedLog = require('../src/services/feedLog');
+
+// Push `count` messages of about `bytes` bytes each on a feed
+function pushMessages(log, feed, count, bytes = 100) {
+  for (let i = 0; i < count; i++) {
+    const seq = log.nextSeq(feed);
+    log.push(feed, { seq, eventName: 'odds-update', payload: { seq, filler: 'x'.repeat(bytes) }, feedOptions: {} });
+  }
+}
+
+const seqs = (entries) => entries.map((entry) => entry.seq);
+
+describe('FeedLog', () => {
+  it('assigns sequence numbers per feed', () => {
+    const log = new FeedLog({ epoch: 'e1' });
+    assert.equal(log.nextSeq('odds'), 1);
+    assert.equal(log.nextSeq('odds'), 2);
+    assert.equal(log.nextSeq('scores'), 1);
+    assert.deepEqual(log.sequences(), { odds: 2, scores: 1 });
+  });
+
+  it('keeps the last `size` messages', () => {
+    const log = new FeedLog({ size: 3 });
+    pushMessages(log, 'odds', 5);
+    assert.deepEqual(seqs(log.missedSince('odds', 2).entries), [3, 4, 5]);
+    assert.equal(log.missedSince('odds', 1).mode, 'snapshot');
+  });
+
+  it('drops the oldest messages once over maxBytes', () => {
+    const log = new FeedLog({ size: 20, maxBytes: 1000 });
+    pushMessages(log, 'odds', 10, 300);
+    // About 320 bytes each: three fit
+    const { mode, entries } = log.missedSince('odds', 7);
+    assert.equal(mode, 'replay');
+    assert.deepEqual(seqs(entries), [8, 9, 10]);
+    assert.equal(log.missedSince('odds', 6).mode, 'snapshot');
+    assert.ok(log.bufferBytes.get('odds') <= 1000);
+  });
+
+  it('always keeps the latest message, whatever its size', () => {
+    const log = new FeedLog({ maxBytes: 100 });
+    pushMessages(log, 'odds', 3, 500);
+    const { mode, entries } = log.missedSince('odds', 0);
+    assert.equal(mode, 'snapshot');
+    assert.deepEqual(seqs(entries), [3]);
+  });
+
+  it('caps each feed separately', () => {
+    const log = new FeedLog({ maxBytes: 1000 });
+    pushMessages(log, 'odds', 5, 600);
+    pushMessages(log, 'scores', 5, 10);
+    assert.deepEqual(seqs(log.missedSince('odds', 0).entries), [5]);
+    assert.deepEqual(seqs(log.missedSince('scores', 0).entries), [1, 2, 3, 4, 5]);
+  });
+
+  it('uses the byte size given with an entry', () => {
+    const log = new FeedLog({ maxBytes: 1000 });
+    [1, 2, 3].forEach((seq) => log.push('odds', { seq, eventName: 'odds-update', payload: { seq }, feedOptions: {}, bytes: 400 }));
+    assert.equal(log.bufferBytes.get('odds'), 800);
+    assert.deepEqual(seqs(log.buffers.get('odds')), [2, 3]);
+  });
+
+  it('reports empty, current and unknown-epoch states', () => {
+    const log = new FeedLog();
+    assert.equal(log.missedSince('odds', 0).mode, 'empty');
+    pushMessages(log, 'odds', 2);
+    assert.equal(log.missedSince('odds', 2).mode, 'current');
+    assert.deepEqual(seqs(log.missedSince('odds', null).entries), [2]);
+  });
+});
@@ -0,0 +1,139 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { io } = require('socket.io-client');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+// Unused TCP port for the server or its mock upstream
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.unref();
+    srv.on('error', reject);
+    srv.listen(0, () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Write a JSON config file (entitlements, rate limits, ...) into a temp directory
+function writeJsonFile(dir, name, data) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, JSON.stringify(data));
+  return file;
+}
+
+/**
+ * Start the server against the bundled mock upstream in a child process and
+ * wait until it holds odds data (or only until it answers, with ready: 'listening').
+ * @param {Object} [options]
+ * @param {Object[]} [options.keys] - API_KEYS entries ({ key, owner, tier, scopes })
+ * @param {Object} [options.entitlements] - Written to ENTITLEMENTS_FILE
+ * @param {Object} [options.rateLimits] - Written to RATE_LIMITS_FILE
+ * @param {Object} [options.env] - Extra environment variables
+ * @param {string} [options.ready='odds'] - 'odds' or 'listening'
+ * @returns {Promise<Object>} - { url, get, connect, stop }
+ */
+async function startServer({ keys = [], entitlements, rateLimits, env = {}, ready = 'odds' } = {}) {
+  const [port, mockPort] = [await freePort(), await freePort()];
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'owls-test-'));
+
+  const child = spawn(process.execPath, [path.join(ROOT, 'src', 'index.js')], {
+    cwd: dir,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      MOCK_UPSTREAM: 'true',
+      MOCK_UPSTREAM_PORT: String(mockPort),
+      MOCK_UPSTREAM_TICK_MS: '500',
+      LOG_LEVEL: 'error',
+      API_KEYS: JSON.stringify(keys),
+      ...(entitlements && { ENTITLEMENTS_FILE: writeJsonFile(dir, 'entitlements.json', entitlements) }),
+      ...(rateLimits && { RATE_LIMITS_FILE: writeJsonFile(dir, 'rate-limits.json', rateLimits) }),
+      ...env,
+    },
+    stdio: ['ignore', 'ignore', 'pipe'],
+  });
+  let stderr = '';
+  child.stderr.on('data', (chunk) => { stderr += chunk; });
+
+  const url = `http://127.0.0.1:${port}`;
+  const sockets = [];
+
+  const stop = async () => {
+    sockets.forEach((socket) => socket.close());
+    if (child.exitCode == null) {
+      const exited = new Promise((resolve) => child.once('exit', resolve));
+      child.kill('SIGTERM');
+      const timer = setTimeout(() => child.kill('SIGKILL'), 3000);
+      await exited;
+      clearTimeout(timer);
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+
+  // Wait for the first odds from the mock upstream
+  const deadline = Date.now() + 20000;
+  for (;;) {
+    if (child.exitCode != null) throw new Error(`server exited (${child.exitCode}): ${stderr}`);
+    try {
+      const health = await (await fetch(`${url}/health`)).json();
+      if (health.hasOddsData || ready === 'listening') break;
+    } catch (e) {
+      // not listening yet
+    }
+    if (Date.now() > deadline) {
+      await stop();
+      throw new Error(`server did not receive odds in time: ${stderr}`);
+    }
+    await sleep(200);
+  }
+
+  /**
+   * GET a route with an API key
+   * @returns {Promise<{ status, headers, body }>}
+   */
+  const get = async (route, key) => {
+    const res = await fetch(`${url}${route}`, { headers: key ? { Authorization: `Bearer ${key}` } : {} });
+    return { status: res.status, headers: res.headers, body: await res.json() };
+  };
+
+  // Socket.IO client; closed by stop(). `options` are extra client options ({ path, parser })
+  const connect = (auth = {}, options = {}) => {
+    const socket = io(url, { auth, transports: ['websocket'], reconnection: false, forceNew: true, ...options });
+    sockets.push(socket);
+    return socket;
+  };
+
+  return { url, get, connect, stop };
+}
+
+/**
+ * Resolve with the next `event` emitted on a socket
+ */
+function nextEvent(socket, event, timeoutMs = 10000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.off(event, onEvent);
+      reject(new Error(`timed out waiting for ${event}`));
+    }, timeoutMs);
+    const onEvent = (payload) => {
+      clearTimeout(timer);
+      resolve(payload);
+    };
+    socket.once(event, onEvent);
+  });
+}
+
+module.exports = {
+  freePort,
+  startServer,
+  nextEvent,
+  sleep,
+};
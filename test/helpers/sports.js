@@ -0,0 +1,29 @@
+// Keyed collections in an odds sports object, sorted by id: games (eventId|id),
+// bookmakers and markets (key), outcomes (name|description). Deltas append
+// added nodes, so only the order of these collections may differ from a full payload.
+const LEVELS = [
+  { id: (g) => String(g.eventId || g.id), children: 'bookmakers' },
+  { id: (b) => String(b.key), children: 'markets' },
+  { id: (m) => String(m.key), children: 'outcomes' },
+  { id: (o) => `${o.name ?? ''}|${o.description ?? ''}`, children: null },
+];
+
+function canonicalList(list, depth) {
+  const level = LEVELS[depth];
+  return [...list]
+    .sort((a, b) => level.id(a).localeCompare(level.id(b)))
+    .map((node) => (level.children && Array.isArray(node[level.children])
+      ? { ...node, [level.children]: canonicalList(node[level.children], depth + 1) }
+      : node));
+}
+
+function canonicalSports(sports) {
+  return Object.fromEntries(Object.keys(sports || {}).sort().map((sport) => [
+    sport,
+    Array.isArray(sports[sport]) ? canonicalList(sports[sport], 0) : sports[sport],
+  ]));
+}
+
+module.exports = {
+  canonicalSports,
+};
@@ -0,0 +1,138 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { diffSports, diffObject, applyOddsDelta } = require('../src/services/oddsDelta');
+const { transformUpstreamData } = require('../src/services/dataTransformer');
+const MockSlate = require('../src/mock/slate');
+const { canonicalSports } = require('./helpers/sports');
+
+// Delta from one full payload to the next, as emitOddsFeed builds it
+const delta = (prev, next) => ({
+  sports: diffSports(prev.sports, next.sports),
+  openingLines: diffObject(prev.openingLines, next.openingLines),
+});
+
+function assertRoundTrip(prev, next) {
+  const applied = applyOddsDelta(prev, delta(prev, next));
+  assert.deepEqual(canonicalSports(applied.sports), canonicalSports(next.sports));
+  assert.deepEqual(applied.openingLines, next.openingLines || {});
+}
+
+const outcome = (name, price, point) => ({ name, price, ...(point != null && { point }) });
+
+function game(id, { books = ['pinnacle', 'fanduel'], ...fields } = {}) {
+  return {
+    id,
+    eventId: id,
+    home_team: 'Home',
+    away_team: 'Away',
+    status: 'scheduled',
+    ...fields,
+    bookmakers: books.map((key) => ({
+      key,
+      title: key,
+      markets: [
+        { key: 'h2h', outcomes: [outcome('Home', -120), outcome('Away', 100)] },
+        { key: 'totals', outcomes: [outcome('Over', -110, 220.5), outcome('Under', -110, 220.5)] },
+      ],
+    })),
+  };
+}
+
+// Copy a payload and change one game with fn
+function edit(payload, sport, id, fn) {
+  const copy = structuredClone(payload);
+  fn(copy.sports[sport].find((g) => g.id === id));
+  return copy;
+}
+
+describe('odds deltas', () => {
+  const base = {
+    sports: { nba: [game('g1'), game('g2')], nhl: [game('h1')] },
+    openingLines: { g1: { moneyline: { home: -110, away: -110 } }, h1: { moneyline: { home: 120, away: -140 } } },
+  };
+
+  it('is empty for identical payloads', () => {
+    assert.deepEqual(diffSports(base.sports, structuredClone(base.sports)), {});
+    assert.equal(diffObject(base.openingLines, structuredClone(base.openingLines)), null);
+  });
+
+  it('round-trips changed prices and points', () => {
+    assertRoundTrip(base, edit(base, 'nba', 'g1', (g) => {
+      g.bookmakers[0].markets[0].outcomes[0].price = -130;
+      g.bookmakers[1].markets[1].outcomes.forEach((o) => { o.point = 221.5; });
+    }));
+  });
+
+  it('round-trips added and removed games', () => {
+    const next = structuredClone(base);
+    next.sports.nba = [game('g3'), next.sports.nba[1]];
+    const d = diffSports(base.sports, next.sports);
+    assert.deepEqual(d.nba.removed, ['g1']);
+    assert.deepEqual(d.nba.added.map((g) => g.id), ['g3']);
+    assertRoundTrip(base, next);
+  });
+
+  it('round-trips removed books, markets and outcomes', () => {
+    assertRoundTrip(base, edit(base, 'nba', 'g1', (g) => { g.bookmakers.pop(); }));
+    assertRoundTrip(base, edit(base, 'nba', 'g1', (g) => { g.bookmakers[0].markets.pop(); }));
+    assertRoundTrip(base, edit(base, 'nba', 'g2', (g) => { g.bookmakers[1].markets[0].outcomes.pop(); }));
+    assertRoundTrip(base, edit(base, 'nba', 'g2', (g) => { g.bookmakers = []; }));
+  });
+
+  it('round-trips added books, markets and outcomes', () => {
+    assertRoundTrip(base, edit(base, 'nba', 'g1', (g) => {
+      g.bookmakers.push(game('x', { books: ['caesars'] }).bookmakers[0]);
+      g.bookmakers[0].markets.push({ key: 'spreads', outcomes: [outcome('Home', -110, -2.5), outcome('Away', -110, 2.5)] });
+      g.bookmakers[1].markets[0].outcomes.push(outcome('Draw', 250));
+    }));
+  });
+
+  it('round-trips removed fields and fields that became null', () => {
+    const withFields = edit(base, 'nba', 'g1', (g) => {
+      g.fair = { book: 'pinnacle', method: 'multiplicative', markets: {} };
+      g.score_home = 10;
+    });
+    const next = edit(withFields, 'nba', 'g1', (g) => {
+      g.fair = null;
+      delete g.score_home;
+    });
+    const d = diffSports(withFields.sports, next.sports);
+    assert.deepEqual(d.nba.changed[0].fields, { fair: null });
+    assert.deepEqual(d.nba.changed[0].unset, ['score_home']);
+    assertRoundTrip(withFields, next);
+  });
+
+  it('round-trips removed and added sports', () => {
+    const next = structuredClone(base);
+    delete next.sports.nhl;
+    next.sports.mlb = [game('b1')];
+    assert.equal(diffSports(base.sports, next.sports).nhl, null);
+    assertRoundTrip(base, next);
+  });
+
+  it('round-trips opening lines', () => {
+    const next = structuredClone(base);
+    delete next.openingLines.h1;
+    next.openingLines.g1.moneyline.home = -115;
+    next.openingLines.g2 = { moneyline: { home: 100, away: -120 } };
+    assertRoundTrip(base, next);
+  });
+
+  it('round-trips a moving slate, including games that finish', () => {
+    const slate = new MockSlate({ seed: 7 });
+    const start = Date.now();
+    const payloadAt = (now) => transformUpstreamData(slate.oddsPayload({}, now));
+
+    let prev = payloadAt(start);
+    let finished = 0;
+    for (let tick = 1; tick <= 200; tick++) {
+      const now = start + tick * 5000;
+      slate.tick(now);
+      const next = payloadAt(now);
+      finished += Object.values(diffSports(prev.sports, next.sports)).reduce((n, d) => n + (d?.removed.length || 0), 0);
+      assertRoundTrip(prev, next);
+      prev = next;
+    }
+    assert.ok(finished > 0, 'expected games to finish and be removed');
+  });
+});
@@ -0,0 +1,219 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const PayloadValidator = require('../src/services/payloadValidator');
+const { transformUpstreamData } = require('../src/services/dataTransformer');
+
+const game = (bookmakers) => ({
+  id: 'nba:BOS@SAC',
+  eventId: 'nba:BOS@SAC',
+  home_team: 'Sacramento Kings',
+  away_team: 'Boston Celtics',
+  bookmakers,
+});
+
+// Kalshi quotes contract prices only, as the upstream sends them
+const kalshi = {
+  key: 'kalshi',
+  title: 'Kalshi',
+  markets: [
+    { key: 'h2h', outcomes: [{ name: 'Sacramento Kings', yes_price: 55 }, { name: 'Boston Celtics', yesPrice: '47' }] },
+    { key: 'totals', outcomes: [{ name: 'Over', probability: 0.52, point: 229.5 }, { name: 'Under', price: 50, point: '229.5' }] },
+  ],
+};
+
+describe('PayloadValidator prediction markets', () => {
+  it('accepts outcomes priced only by a contract price', () => {
+    const validator = new PayloadValidator();
+    const result = validator.validateOdds({ sports: { nba: [game([kalshi])] } });
+    assert.deepEqual(result.sports.nba[0].bookmakers[0].markets.map((m) => m.outcomes.length), [2, 2]);
+    assert.equal(validator.feedStats('odds').dropped, 0);
+  });
+
+  it('normalizes contract prices after validation', () => {
+    const validator = new PayloadValidator();
+    const result = transformUpstreamData({ sports: { nba: [game([kalshi])] } }, { validate: (p) => validator.validateOdds(p) });
+    const [h2h, totals] = result.sports.nba[0].bookmakers[0].markets;
+    assert.deepEqual(h2h.outcomes.map((o) => o.price), [-122, 113]);
+    assert.deepEqual(h2h.outcomes.map((o) => o.contractPrice), [55, 47]);
+    assert.deepEqual(totals.outcomes.map((o) => o.impliedProbability), [0.52, 0.5]);
+    assert.equal(totals.outcomes[1].point, 229.5);
+  });
+
+  it('drops prediction-market outcomes without a valid contract price', () => {
+    const validator = new PayloadValidator();
+    const result = validator.validateOdds({
+      sports: {
+        nba: [game([{
+          key: 'kalshi',
+          markets: [{ key: 'h2h', outcomes: [{ name: 'Sacramento Kings', yes_price: 'n/a' }, { name: 'Boston Celtics' }, { name: 'Draw', yes_price: 2 }] }],
+        }])],
+      },
+    });
+    assert.deepEqual(result.sports.nba[0].bookmakers[0].markets[0].outcomes.map((o) => o.name), ['Draw']);
+    assert.deepEqual(validator.feedStats('odds').reasons, { invalid_price: 2 });
+  });
+
+  it('still requires a price from sportsbooks', () => {
+    const validator = new PayloadValidator();
+    const result = validator.validateOdds({
+      sports: { nba: [game([{ key: 'fanduel', markets: [{ key: 'h2h', outcomes: [{ name: 'Sacramento Kings', yes_price: 55 }] }] }])] },
+    });
+    assert.deepEqual(result.sports.nba[0].bookmakers, []);
+    assert.deepEqual(validator.feedStats('odds').reasons, { invalid_price: 1 });
+  });
+});
+
+const fanduel = (outcomes) => ({ key: 'fanduel', title: 'FanDuel', markets: [{ key: 'spreads', outcomes }] });
+
+describe('PayloadValidator odds', () => {
+  it('drops invalid outcomes and the markets and books they empty', () => {
+    const validator = new PayloadValidator();
+    const result = validator.validateOdds({
+      sports: {
+        nba: [game([
+          fanduel([
+            { name: 'Sacramento Kings', price: '-110', point: '7.5' },
+            { name: 'Boston Celtics', price: null, point: -7.5 },
+            { name: 'Boston Celtics', price: -110, point: 'pk' },
+            { price: -110, point: -7.5 },
+          ]),
+          { key: 'draftkings', markets: [{ key: 'h2h', outcomes: [{ name: 'Sacramento Kings', price: 'even' }] }] },
+          { key: 'caesars' },
+        ])],
+      },
+    });
+
+    const [book] = result.sports.nba[0].bookmakers;
+    assert.equal(book.key, 'fanduel');
+    assert.deepEqual(book.markets[0].outcomes, [{ name: 'Sacramento Kings', price: -110, point: 7.5 }]);
+    assert.deepEqual(validator.feedStats('odds').reasons, {
+      invalid_price: 2, invalid_point: 1, missing_outcome_name: 1, invalid_bookmaker: 1,
+    });
+    assert.equal(validator.feedStats('odds').dropped, 5);
+    assert.equal(validator.feedStats('odds').quarantinedGames, 0);
+  });
+
+  it('quarantines a game without teams or an id and keeps the rest', () => {
+    const validator = new PayloadValidator();
+    const { home_team: omitted, ...noHome } = game([]);
+    const { id, eventId, ...noId } = game([]);
+    const other = { ...game([fanduel([{ name: 'Boston Celtics', price: -110, point: -7.5 }])]), id: 'nba:LAL@MIA', eventId: 'nba:LAL@MIA' };
+    const result = validator.validateOdds({
+      sports: { nba: [noHome, noId, 'not a game', other], nhl: [] },
+      openingLines: { 'nba:LAL@MIA': {} },
+    });
+
+    assert.deepEqual(result.sports.nba.map((g) => g.id), ['nba:LAL@MIA']);
+    assert.deepEqual(result.sports.nhl, []);
+    assert.deepEqual(result.openingLines, { 'nba:LAL@MIA': {} });
+    const stats = validator.feedStats('odds');
+    assert.equal(stats.games, 4);
+    assert.equal(stats.quarantinedGames, 3);
+    assert.deepEqual(stats.reasons, { missing_teams: 1, missing_id: 1, invalid_game: 1 });
+  });
+
+  it('rejects payloads that are not objects', () => {
+    const validator = new PayloadValidator();
+    assert.equal(validator.validateOdds(null), null);
+    assert.equal(validator.validateOdds({ sports: [] }), null);
+    assert.deepEqual(validator.validateOdds({ sports: { nba: {} } }).sports, {});
+
+    validator.reject('odds', 'transform_error', [1, 2]);
+    const stats = validator.feedStats('odds');
+    assert.equal(stats.payloads, 4);
+    assert.equal(stats.rejectedPayloads, 3);
+    assert.deepEqual(stats.reasons, { invalid_payload: 2, invalid_sport: 1, transform_error: 1 });
+  });
+});
+
+describe('PayloadValidator scores', () => {
+  const score = (fields) => ({ home_team: 'Sacramento Kings', away_team: 'Boston Celtics', ...fields });
+
+  it('quarantines games with a non-numeric score and matches the rest by team names', () => {
+    const validator = new PayloadValidator();
+    const result = validator.validateScores({
+      sports: { nba: [score({ home_score: '101', away_score: 99 }), score({ home_score: 'TBD' }), score({ home_team: '' })] },
+    });
+    assert.equal(result.sports.nba.length, 1);
+    assert.deepEqual(validator.feedStats('scores').reasons, { invalid_score: 1, missing_teams: 1 });
+  });
+
+  it('validates sports nested under data', () => {
+    const validator = new PayloadValidator();
+    const result = validator.validateScores({ success: true, data: { sports: { nba: [score({ homeScore: NaN }), score({})] } } });
+    assert.equal(result.success, true);
+    assert.equal(result.data.sports.nba.length, 1);
+    assert.deepEqual(validator.feedStats('scores').reasons, { invalid_score: 1 });
+  });
+});
+
+describe('PayloadValidator props', () => {
+  const prop = (fields) => ({ playerName: 'Domantas Sabonis', category: 'rebounds', line: 12.5, overPrice: -115, underPrice: -105, ...fields });
+
+  it('drops invalid props from books and from the game, per props feed', () => {
+    const validator = new PayloadValidator();
+    const result = validator.validateProps('props:fanduel', {
+      sports: {
+        nba: [
+          game(undefined),
+          { ...game(undefined), id: 'nba:LAL@MIA', eventId: 'nba:LAL@MIA', books: [{ key: 'fanduel', props: [prop({ line: 'x' })] }, { key: 'draftkings', props: [prop({})] }] },
+        ],
+      },
+    });
+    assert.deepEqual(result.sports.nba[0].props, []);
+    assert.deepEqual(result.sports.nba[1].books.map((b) => b.key), ['draftkings']);
+
+    const validated = validator.validateProps('props:fanduel', {
+      sports: {
+        nba: [{
+          ...game(undefined),
+          props: [prop({}), prop({ playerName: null }), prop({ category: '' }), prop({ overPrice: null, underPrice: null }), prop({ overPrice: 'x' }), { player: 'Jaylen Brown', market: 'points', price: '-120' }],
+        }],
+      },
+    });
+    assert.equal(validated.sports.nba[0].props.length, 2);
+    assert.deepEqual(validator.feedStats('props:fanduel').reasons, {
+      invalid_line: 1, missing_player: 1, missing_category: 1, invalid_price: 2,
+    });
+    assert.equal(validator.feedStats('odds').payloads, 0);
+  });
+
+  it('quarantines a game whose props are not a list', () => {
+    const validator = new PayloadValidator();
+    const result = validator.validateProps('props:pinnacle', { sports: { nba: [{ ...game(undefined), props: {} }] } });
+    assert.deepEqual(result.sports.nba, []);
+    assert.deepEqual(validator.feedStats('props:pinnacle').reasons, { invalid_props: 1 });
+  });
+});
+
+describe('PayloadValidator snapshot', () => {
+  it('reports counters per feed and the newest samples first, capped at maxSamples', () => {
+    const validator = new PayloadValidator({ maxSamples: 2 });
+    validator.validateOdds({ sports: { nba: [{ id: 'a' }, { id: 'b' }] } });
+    validator.validateScores({ sports: { nba: [{ id: 'c' }] } });
+
+    const snapshot = validator.snapshot();
+    assert.deepEqual(Object.keys(snapshot.feeds), ['odds', 'scores']);
+    assert.equal(snapshot.feeds.odds.quarantinedGames, 2);
+    assert.match(snapshot.feeds.odds.lastAt, /^\d{4}-\d{2}-\d{2}T/);
+    assert.deepEqual(snapshot.recent.map((s) => [s.feed, s.id, s.level, s.reason]), [
+      ['scores', 'c', 'game', 'missing_teams'],
+      ['odds', 'b', 'game', 'missing_teams'],
+    ]);
+    assert.equal(snapshot.recent[0].sample, '{"id":"c"}');
+
+    const odds = validator.snapshot({ feed: 'odds', limit: 1 });
+    assert.deepEqual(Object.keys(odds.feeds), ['odds']);
+    assert.deepEqual(odds.recent.map((s) => s.id), ['b']);
+  });
+
+  it('keeps the path of dropped outcomes and truncates long samples', () => {
+    const validator = new PayloadValidator();
+    validator.validateOdds({ sports: { nba: [game([fanduel([{ name: 'x'.repeat(2000), price: null }])])] } });
+    const [sample] = validator.snapshot().recent;
+    assert.equal(sample.path, 'bookmakers[fanduel].markets[spreads].outcomes[0]');
+    assert.equal(sample.sport, 'nba');
+    assert.equal(sample.id, 'nba:BOS@SAC');
+    assert.equal(sample.sample.length, 1001);
+  });
+});
@@ -0,0 +1,91 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  isPredictionMarket,
+  bookType,
+  contractProbability,
+  americanFromProbability,
+  probabilityFromAmerican,
+  normalizeOutcome,
+  normalizePredictionMarkets,
+} = require('../src/services/predictionMarkets');
+const { transformUpstreamData } = require('../src/services/dataTransformer');
+
+describe('prediction markets', () => {
+  it('recognizes prediction-market books in any case', () => {
+    assert.equal(isPredictionMarket('Kalshi'), true);
+    assert.equal(isPredictionMarket('pinnacle'), false);
+    assert.equal(isPredictionMarket(undefined), false);
+    assert.equal(bookType('kalshi'), 'prediction');
+    assert.equal(bookType('fanduel'), 'sportsbook');
+  });
+
+  it('reads contract prices in cents or as probabilities', () => {
+    assert.equal(contractProbability(55), 0.55);
+    assert.equal(contractProbability('0.4'), 0.4);
+    assert.equal(contractProbability(1), 0.01);
+    // American odds, or out of range
+    [-150, 120, 100, 0, null, 'x'].forEach((price) => assert.equal(contractProbability(price), null, String(price)));
+  });
+
+  it('converts between probabilities and American odds', () => {
+    assert.equal(americanFromProbability(0.6), -150);
+    assert.equal(americanFromProbability(0.4), 150);
+    assert.equal(americanFromProbability(0.5), -100);
+    assert.equal(americanFromProbability(1), null);
+    assert.equal(probabilityFromAmerican(-150), 0.6);
+    assert.equal(probabilityFromAmerican(150), 0.4);
+    assert.equal(probabilityFromAmerican(50), null);
+  });
+
+  it('normalizes an outcome from any contract price field', () => {
+    const expected = { price: -122, impliedProbability: 0.55, contractPrice: 55 };
+    [{ price: 55 }, { price: 0.55 }, { yes_price: 55 }, { yesPrice: '55' }, { probability: 0.55 }].forEach((fields) => {
+      const { name, yes_price: _a, yesPrice: _b, probability: _c, ...normalized } = normalizeOutcome({ name: 'Home', ...fields });
+      assert.equal(name, 'Home');
+      assert.deepEqual(normalized, expected, JSON.stringify(fields));
+    });
+
+    // Already American odds: only the implied probability is added
+    assert.deepEqual(normalizeOutcome({ name: 'Home', price: -150 }), { name: 'Home', price: -150, impliedProbability: 0.6 });
+    assert.deepEqual(normalizeOutcome({ name: 'Home', price: null }), { name: 'Home', price: null });
+  });
+
+  it('normalizes only prediction-market bookmakers', () => {
+    const event = {
+      id: 'g1',
+      bookmakers: [
+        { key: 'kalshi', markets: [{ key: 'h2h', outcomes: [{ name: 'Home', price: 60 }, { name: 'Away', price: 43 }] }] },
+        { key: 'fanduel', markets: [{ key: 'h2h', outcomes: [{ name: 'Home', price: -140 }, { name: 'Away', price: 120 }] }] },
+      ],
+    };
+    const { bookmakers: [kalshi, fanduel] } = normalizePredictionMarkets(event);
+    assert.equal(kalshi.predictionMarket, true);
+    assert.deepEqual(kalshi.markets[0].outcomes.map((o) => o.price), [-150, 133]);
+    assert.equal(fanduel, event.bookmakers[1]);
+
+    const sportsbooksOnly = { id: 'g2', bookmakers: [event.bookmakers[1]] };
+    assert.equal(normalizePredictionMarkets(sportsbooksOnly), sportsbooksOnly);
+  });
+
+  it('leaves prediction markets out of the consensus averages', () => {
+    const market = (home, away) => [{ key: 'h2h', outcomes: [{ name: 'Home', price: home }, { name: 'Away', price: away }] }];
+    const { sports } = transformUpstreamData({
+      sports: {
+        nba: [{
+          id: 'g1',
+          home_team: 'Home',
+          away_team: 'Away',
+          bookmakers: [
+            { key: 'kalshi', markets: market(90, 12) },
+            { key: 'fanduel', markets: market(-140, 120) },
+            { key: 'draftkings', markets: market(-160, 130) },
+          ],
+        }],
+      },
+    });
+    const [game] = sports.nba;
+    assert.deepEqual(game.averages.moneyline, { home: -150, away: 125 });
+    assert.equal(game.bookmakers[0].markets[0].outcomes[0].price, -900);
+  });
+});
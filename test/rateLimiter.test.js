@@ -0,0 +1,154 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const RateLimiter = require('../src/services/rateLimiter');
+const { MemoryRateLimitStore } = require('../src/services/rateLimiter');
+const { createRateLimitMiddleware } = require('../src/middleware/rateLimit');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Noon UTC, so a few hours of requests stay on one day
+const NOON = Date.UTC(2026, 0, 15, 12);
+
+describe('MemoryRateLimitStore', () => {
+  const limits = { capacity: 5, refillPerSec: 2, dailyQuota: null };
+
+  it('allows a burst up to capacity', async () => {
+    const store = new MemoryRateLimitStore();
+    const results = [];
+    for (let i = 0; i < 6; i++) results.push(await store.consume('a', { ...limits, now: NOON }));
+    assert.deepEqual(results.map((r) => r.allowed), [true, true, true, true, true, false]);
+    assert.deepEqual(results.map((r) => r.remaining), [4, 3, 2, 1, 0, 0]);
+    // One token short at 2 tokens/s
+    assert.equal(results[5].retryAfterMs, 500);
+    assert.equal(results[5].quotaExceeded, false);
+  });
+
+  it('refills at refillPerSec up to capacity', async () => {
+    const store = new MemoryRateLimitStore();
+    for (let i = 0; i < 5; i++) await store.consume('a', { ...limits, now: NOON });
+
+    assert.equal((await store.consume('a', { ...limits, now: NOON + 400 })).allowed, false);
+    // 1 s after the burst: 2 tokens, one used by this request
+    const refilled = await store.consume('a', { ...limits, now: NOON + 1000 });
+    assert.equal(refilled.allowed, true);
+    assert.equal(refilled.remaining, 1);
+
+    // Capped at capacity however long the client was idle
+    const idle = await store.consume('a', { ...limits, now: NOON + 60000 });
+    assert.equal(idle.remaining, limits.capacity - 1);
+    assert.equal(idle.resetMs, 500);
+  });
+
+  it('keeps separate buckets per id', async () => {
+    const store = new MemoryRateLimitStore();
+    for (let i = 0; i < 5; i++) await store.consume('a', { ...limits, now: NOON });
+    assert.equal((await store.consume('b', { ...limits, now: NOON })).allowed, true);
+  });
+
+  it('enforces the daily quota until the next UTC day', async () => {
+    const store = new MemoryRateLimitStore();
+    const quota = { capacity: 100, refillPerSec: 100, dailyQuota: 3 };
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await store.consume('a', { ...quota, now: NOON + i * 1000 })).allowed, true);
+    }
+
+    const rejected = await store.consume('a', { ...quota, now: NOON + 5000 });
+    assert.equal(rejected.allowed, false);
+    assert.equal(rejected.quotaExceeded, true);
+    assert.equal(rejected.dailyUsed, 3);
+    assert.equal(rejected.retryAfterMs, DAY_MS / 2 - 5000);
+
+    const nextDay = await store.consume('a', { ...quota, now: NOON + DAY_MS / 2 });
+    assert.equal(nextDay.allowed, true);
+    assert.equal(nextDay.dailyUsed, 1);
+  });
+
+  it('does not count rejected requests against the quota', async () => {
+    const store = new MemoryRateLimitStore();
+    const quota = { capacity: 1, refillPerSec: 1, dailyQuota: 10 };
+    await store.consume('a', { ...quota, now: NOON });
+    const rejected = await store.consume('a', { ...quota, now: NOON });
+    assert.equal(rejected.allowed, false);
+    assert.equal(rejected.dailyUsed, 1);
+  });
+});
+
+describe('RateLimiter', () => {
+  it('uses the tier limits and falls back to free', () => {
+    const limiter = new RateLimiter({ limits: { trial: { capacity: 2, refillPerSec: 1, dailyQuota: 10 } } });
+    assert.equal(limiter.limitsForTier('Trial').capacity, 2);
+    assert.deepEqual(limiter.limitsForTier('unknown'), limiter.limitsForTier('free'));
+  });
+});
+
+describe('createRateLimitMiddleware', () => {
+  // Minimal Express request/response pair
+  function call(middleware, apiKeyInfo) {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      set(name, value) { this.headers[name] = value; return this; },
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; },
+    };
+    let nextCalled = false;
+    return middleware({ apiKeyInfo, method: 'GET', path: '/api/v1/nba/odds' }, res, () => { nextCalled = true; })
+      .then(() => ({ res, nextCalled }));
+  }
+
+  const limiter = () => new RateLimiter({
+    limits: {
+      trial: { capacity: 2, refillPerSec: 0.5, dailyQuota: null },
+      capped: { capacity: 10, refillPerSec: 10, dailyQuota: 1 },
+    },
+  });
+
+  it('sets rate limit headers on allowed requests', async () => {
+    const { res, nextCalled } = await call(createRateLimitMiddleware({ rateLimiter: limiter() }), { id: 'key_1', apiKey: 'k', tier: 'trial' });
+    assert.equal(nextCalled, true);
+    assert.equal(res.headers['X-RateLimit-Limit'], '2');
+    assert.equal(res.headers['X-RateLimit-Remaining'], '1');
+    assert.equal(res.headers['X-RateLimit-Daily-Limit'], undefined);
+  });
+
+  it('answers 429 with Retry-After once the bucket is empty', async () => {
+    const middleware = createRateLimitMiddleware({ rateLimiter: limiter() });
+    await call(middleware, { id: 'key_1', apiKey: 'k', tier: 'trial' });
+    await call(middleware, { id: 'key_1', apiKey: 'k', tier: 'trial' });
+    const { res, nextCalled } = await call(middleware, { id: 'key_1', apiKey: 'k', tier: 'trial' });
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 429);
+    assert.equal(res.body.code, 'rate_limited');
+    // One token at 0.5 tokens/s
+    assert.equal(res.headers['Retry-After'], '2');
+    assert.equal(res.body.retryAfter, 2);
+  });
+
+  it('answers 429 with the time to the next UTC day once the quota is used', async () => {
+    const middleware = createRateLimitMiddleware({ rateLimiter: limiter() });
+    const first = await call(middleware, { id: 'key_1', apiKey: 'k', tier: 'capped' });
+    assert.equal(first.res.headers['X-RateLimit-Daily-Remaining'], '0');
+
+    const { res } = await call(middleware, { id: 'key_1', apiKey: 'k', tier: 'capped' });
+    assert.equal(res.statusCode, 429);
+    assert.equal(res.body.code, 'quota_exceeded');
+    const expected = Math.ceil((DAY_MS - (Date.now() % DAY_MS)) / 1000);
+    assert.ok(Math.abs(Number(res.headers['Retry-After']) - expected) <= 1);
+  });
+
+  it('keeps the bucket of a key whose secret was rotated', async () => {
+    const middleware = createRateLimitMiddleware({ rateLimiter: limiter() });
+    await call(middleware, { id: 'key_1', apiKey: 'old-secret', tier: 'trial' });
+    await call(middleware, { id: 'key_1', apiKey: 'old-secret', tier: 'trial' });
+    const rotated = await call(middleware, { id: 'key_1', apiKey: 'new-secret', tier: 'trial' });
+    assert.equal(rotated.res.statusCode, 429);
+
+    const other = await call(middleware, { id: 'key_2', apiKey: 'other', tier: 'trial' });
+    assert.equal(other.nextCalled, true);
+  });
+
+  it('passes requests without an API key through untouched', async () => {
+    const { res, nextCalled } = await call(createRateLimitMiddleware({ rateLimiter: limiter() }), undefined);
+    assert.equal(nextCalled, true);
+    assert.deepEqual(res.headers, {});
+  });
+});
@@ -0,0 +1,887 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { freePort, startServer, nextEvent, sleep } = require('./helpers/server');
+const { applyOddsDelta } = require('../src/services/oddsDelta');
+const { canonicalSports } = require('./helpers/sports');
+
+// End-to-end: the server against the bundled mock upstream, over REST and Socket.IO
+
+const KEYS = [
+  { key: 'admin-key', owner: 'ops', tier: 'enterprise', scopes: ['*'] },
+  { key: 'free-key', owner: 'free-client', tier: 'free' },
+  { key: 'trial-key', owner: 'trial-client', tier: 'trial' },
+  { key: 'limited-key', owner: 'limited-client', tier: 'limited' },
+];
+
+const ENTITLEMENTS = {
+  trial: { sports: ['nba'], books: ['fanduel', 'draftkings'], propsBooks: ['fanduel'], feeds: ['odds', 'scores'] },
+  limited: { sports: ['nba'], books: ['*'], propsBooks: [], feeds: ['odds'] },
+};
+
+const RATE_LIMITS = {
+  limited: { capacity: 3, refillPerSec: 0.01, dailyQuota: null },
+};
+
+const allOutcomes = (games) => games.flatMap((g) => g.bookmakers.flatMap((b) => b.markets.flatMap((m) => m.outcomes)));
+
+describe('server against the mock upstream', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ keys: KEYS, entitlements: ENTITLEMENTS, rateLimits: RATE_LIMITS });
+  });
+
+  after(async () => {
+    await server?.stop();
+  });
+
+  describe('authentication', () => {
+    it('rejects REST calls without a key or with an unknown key', async () => {
+      const missing = await server.get('/api/v1/nba/odds');
+      assert.equal(missing.status, 401);
+      assert.equal(missing.body.code, 'missing_api_key');
+
+      const invalid = await server.get('/api/v1/nba/odds', 'nope');
+      assert.equal(invalid.status, 401);
+      assert.equal(invalid.body.code, 'invalid_api_key');
+    });
+
+    it('leaves /health open', async () => {
+      const res = await fetch(`${server.url}/health`);
+      assert.equal(res.status, 200);
+    });
+
+    it('rejects socket handshakes with an unknown key', async () => {
+      const socket = server.connect({ apiKey: 'nope' });
+      const err = await nextEvent(socket, 'connect_error');
+      assert.equal(err.data.code, 'invalid_api_key');
+    });
+
+    it('requires the admin scope for /admin', async () => {
+      const res = await server.get('/admin/keys', 'free-key');
+      assert.equal(res.status, 403);
+      assert.equal(res.body.code, 'insufficient_scope');
+    });
+  });
+
+  describe('entitlements', () => {
+    it('denies feeds and props books outside the tier', async () => {
+      const ev = await server.get('/api/v1/nba/ev', 'free-key');
+      assert.equal(ev.status, 403);
+      assert.equal(ev.body.code, 'entitlement_required');
+
+      const props = await server.get('/api/v1/nba/props/pinnacle', 'free-key');
+      assert.equal(props.status, 403);
+      assert.equal(props.body.code, 'entitlement_required');
+    });
+
+    it('denies sports outside the tier', async () => {
+      const res = await server.get('/api/v1/nhl/odds', 'trial-key');
+      assert.equal(res.status, 403);
+    });
+
+    it('filters odds to the books of the tier', async () => {
+      const res = await server.get('/api/v1/nba/odds', 'trial-key');
+      assert.equal(res.status, 200);
+      const books = new Set(res.body.data.flatMap((g) => g.bookmakers.map((b) => b.key)));
+      assert.ok(books.size > 0);
+      books.forEach((book) => assert.ok(['fanduel', 'draftkings'].includes(book), `unexpected book ${book}`));
+    });
+
+    it('filters cached scores to the sports of the tier', async () => {
+      const all = await server.get('/api/v1/scores/live', 'trial-key');
+      assert.equal(all.body.cached, true);
+      assert.deepEqual(Object.keys(all.body.data.sports), ['nba']);
+
+      const nba = await server.get('/api/v1/nba/scores/live', 'trial-key');
+      assert.equal(nba.status, 200);
+      assert.ok(nba.body.count > 0);
+      assert.equal((await server.get('/api/v1/nhl/scores/live', 'trial-key')).status, 403);
+    });
+
+    it('withholds fair lines of a reference book outside the tier', async () => {
+      const admin = await server.get('/api/v1/nba/odds', 'admin-key');
+      assert.ok(admin.body.data.some((g) => g.fair?.book === 'pinnacle'));
+
+      for (const query of ['', '?fairMethod=shin']) {
+        const res = await server.get(`/api/v1/nba/odds${query}`, 'trial-key');
+        res.body.data.forEach((g) => assert.equal(g.fair, null));
+      }
+    });
+
+    it('filters socket broadcasts to the tier', async () => {
+      const socket = server.connect({ apiKey: 'trial-key' });
+      const update = await nextEvent(socket, 'odds-update');
+      assert.deepEqual(Object.keys(update.sports), ['nba']);
+      update.sports.nba.forEach((g) => {
+        g.bookmakers.forEach((b) => assert.ok(['fanduel', 'draftkings'].includes(b.key)));
+        assert.equal(g.fair, null);
+      });
+      socket.close();
+    });
+  });
+
+  // Early on: the mock's live MLB game is final after about 100 s of ticks
+  describe('MLB', () => {
+    it('serves MLB odds with run lines and their averages', async () => {
+      const res = await server.get('/api/v1/mlb/odds?bookType=sportsbook', 'admin-key');
+      assert.equal(res.status, 200);
+      assert.ok(res.body.data.length > 0);
+      res.body.data.forEach((game) => {
+        game.bookmakers.forEach((b) => b.markets.filter((m) => m.key === 'spreads')
+          .forEach((m) => m.outcomes.forEach((o) => assert.equal(Math.abs(o.point), 1.5))));
+        assert.equal(Math.abs(game.averages.spread.home), 1.5);
+        assert.equal(game.averages.spread.away, -game.averages.spread.home);
+      });
+    });
+
+    it('adds the inning, half and outs of live games to odds events', async () => {
+      const socket = server.connect({ apiKey: 'admin-key', subscribe: { sports: 'mlb' } });
+      const update = await nextEvent(socket, 'odds-update');
+      const live = update.sports.mlb.filter((g) => g.score_inning != null);
+      assert.ok(live.length > 0);
+      live.forEach((game) => {
+        assert.ok(game.score_inning >= 1);
+        assert.ok(['top', 'middle', 'bottom', 'end'].includes(game.score_inning_half), game.score_inning_half);
+        assert.ok(game.score_outs >= 0 && game.score_outs <= 2);
+      });
+      socket.close();
+
+      const scores = await server.get('/api/v1/mlb/scores/live', 'admin-key');
+      assert.equal(scores.status, 200);
+      assert.ok(scores.body.count > 0);
+    });
+
+    it('serves MLB props categories', async () => {
+      const res = await server.get('/api/v1/mlb/props/pinnacle', 'admin-key');
+      assert.equal(res.status, 200);
+      const categories = JSON.stringify(res.body.data);
+      ['strikeouts', 'hits', 'home_runs', 'rbis', 'total_bases'].forEach((category) => assert.ok(categories.includes(category), category));
+    });
+  });
+
+  describe('rate limits', () => {
+    it('answers 429 with Retry-After once the bucket is empty', async () => {
+      const statuses = [];
+      let rejected;
+      for (let i = 0; i < 4; i++) {
+        const res = await server.get('/api/v1/nba/odds', 'limited-key');
+        statuses.push(res.status);
+        if (res.status === 429) rejected = res;
+      }
+      assert.deepEqual(statuses, [200, 200, 200, 429]);
+      assert.equal(rejected.body.code, 'rate_limited');
+      assert.ok(Number(rejected.headers.get('retry-after')) >= 1);
+      assert.equal(rejected.headers.get('x-ratelimit-limit'), '3');
+    });
+
+    it('does not meter rejected calls as usage', async () => {
+      const res = await server.get('/api/v1/usage/all', 'admin-key');
+      const usage = res.body.data.find((entry) => entry.owner === 'limited-client');
+      assert.equal(usage.totals.requests, 3);
+      assert.equal(usage.totals.errors, 0);
+
+      // Reported under the key's record id, as listed by /admin/keys
+      const keys = (await server.get('/admin/keys', 'admin-key')).body.data;
+      assert.equal(usage.keyId, keys.find((key) => key.owner === 'limited-client').id);
+    });
+  });
+
+  describe('odds deltas', () => {
+    it('reproduces the full odds-update when deltas are applied', async () => {
+      // Same tier and subscription, so both sockets get the same payloads
+      const full = server.connect({ apiKey: 'admin-key' });
+      const delta = server.connect({ apiKey: 'admin-key', capabilities: ['odds-delta'] });
+
+      const fullByVersion = new Map();
+      full.on('odds-update', (payload) => fullByVersion.set(payload.version, payload));
+
+      let state = null;
+      let version = null;
+      const checked = [];
+      const errors = [];
+      delta.on('odds-update', (payload) => {
+        state = { sports: payload.sports, openingLines: payload.openingLines };
+        version = payload.version;
+      });
+      delta.on('odds-delta', (payload) => {
+        if (payload.baseVersion !== version) {
+          errors.push(`delta ${payload.version} on base ${payload.baseVersion}, holding ${version}`);
+          return;
+        }
+        state = applyOddsDelta(state, payload);
+        version = payload.version;
+        checked.push({ version, state });
+      });
+
+      const deadline = Date.now() + 10000;
+      while (checked.filter((c) => fullByVersion.has(c.version)).length < 3 && Date.now() < deadline) await sleep(100);
+
+      assert.deepEqual(errors, []);
+      const comparable = checked.filter((c) => fullByVersion.has(c.version));
+      assert.ok(comparable.length >= 3, 'expected at least 3 deltas');
+      comparable.forEach(({ version: v, state: s }) => {
+        const expected = fullByVersion.get(v);
+        assert.deepEqual(canonicalSports(s.sports), canonicalSports(expected.sports), `sports differ at version ${v}`);
+        assert.deepEqual(s.openingLines, expected.openingLines, `openingLines differ at version ${v}`);
+      });
+      full.close();
+      delta.close();
+    });
+  });
+
+  describe('resume', () => {
+    it('replays missed odds messages after a reconnect', async () => {
+      const first = server.connect({ apiKey: 'admin-key' });
+      const { epoch } = await nextEvent(first, 'sequences');
+      const { seq } = await nextEvent(first, 'odds-update');
+      first.close();
+      await sleep(1200);
+
+      const second = server.connect({ apiKey: 'admin-key', resume: { epoch, feeds: { odds: seq } } });
+      const replayed = [];
+      second.on('odds-update', (payload) => replayed.push(payload.seq));
+      const resumed = await nextEvent(second, 'resumed');
+      assert.equal(resumed.feeds.odds.mode, 'replay');
+      assert.ok(resumed.feeds.odds.sent >= 1);
+      await sleep(100);
+      assert.deepEqual(replayed.slice(0, resumed.feeds.odds.sent), Array.from({ length: resumed.feeds.odds.sent }, (_, i) => seq + i + 1));
+      second.close();
+    });
+
+    it('sends the latest message as a snapshot for an unknown epoch', async () => {
+      const socket = server.connect({ apiKey: 'admin-key', resume: { epoch: 'previous-run', feeds: { odds: 3 } } });
+      const resumed = await nextEvent(socket, 'resumed');
+      assert.equal(resumed.feeds.odds.mode, 'snapshot');
+      assert.equal(resumed.feeds.odds.sent, 1);
+      socket.close();
+    });
+  });
+
+  describe('fair odds', () => {
+    it('recomputes fair lines with the requested method', async () => {
+      const res = await server.get('/api/v1/nba/odds?fairMethod=shin', 'admin-key');
+      assert.equal(res.status, 200);
+      assert.equal(res.body.meta.fairMethod, 'shin');
+      const game = res.body.data.find((g) => g.fair);
+      assert.equal(game.fair.book, 'pinnacle');
+      assert.equal(game.fair.method, 'shin');
+      const h2h = game.fair.markets.h2h;
+      assert.ok(Math.abs(h2h.reduce((a, o) => a + o.probability, 0) - 1) < 0.001);
+      game.bookmakers.forEach((b) => b.markets.forEach((m) => m.fair && assert.equal(m.fair.method, 'shin')));
+    });
+
+    it('uses the default method without fairMethod', async () => {
+      const res = await server.get('/api/v1/nba/moneyline', 'admin-key');
+      assert.equal(res.body.meta.fairMethod, 'multiplicative');
+      assert.equal(res.body.data.find((g) => g.fair).fair.method, 'multiplicative');
+    });
+
+    it('rejects an unknown method', async () => {
+      const res = await server.get('/api/v1/nba/totals?fairMethod=median', 'admin-key');
+      assert.equal(res.status, 400);
+      assert.match(res.body.error, /Invalid fairMethod/);
+    });
+  });
+
+  describe('odds formats', () => {
+    it('converts REST prices, averages and fair prices', async () => {
+      const res = await server.get('/api/v1/nba/odds?oddsFormat=decimal', 'admin-key');
+      assert.equal(res.status, 200);
+      assert.equal(res.body.oddsFormat, 'decimal');
+      const games = res.body.data;
+      allOutcomes(games).forEach((o) => assert.ok(o.price > 1 && o.price < 100, `price ${o.price}`));
+      games.forEach((g) => {
+        assert.ok(g.averages.moneyline.home > 1 && g.averages.moneyline.home < 100);
+        g.fair?.markets.h2h?.forEach((o) => assert.ok(o.price > 1 && o.price < 100));
+      });
+    });
+
+    it('converts props prices', async () => {
+      const res = await server.get('/api/v1/nba/props/fanduel?oddsFormat=implied', 'admin-key');
+      assert.equal(res.status, 200);
+      const props = JSON.stringify(res.body.data).match(/"(over|under)Price":[^,}]+/g) || [];
+      assert.ok(props.length > 0);
+      props.forEach((p) => {
+        const value = Number(p.split(':')[1]);
+        assert.ok(value > 0 && value < 1, p);
+      });
+    });
+
+    it('rejects an unknown format', async () => {
+      const res = await server.get('/api/v1/nba/odds?oddsFormat=roman', 'admin-key');
+      assert.equal(res.status, 400);
+      assert.match(res.body.error, /Invalid oddsFormat/);
+    });
+
+    it('converts socket payloads to the format of each client', async () => {
+      const socket = server.connect({ apiKey: 'admin-key', oddsFormat: 'fractional' });
+      const update = await nextEvent(socket, 'odds-update');
+      allOutcomes(update.sports.nba).forEach((o) => assert.match(String(o.price), /^\d+\/\d+$/));
+
+      const ack = await new Promise((resolve) => socket.emit('set-odds-format', { oddsFormat: 'hk' }, resolve));
+      assert.deepEqual(ack, { success: true, oddsFormat: 'hongkong' });
+      const converted = await nextEvent(socket, 'odds-update');
+      allOutcomes(converted.sports.nba).forEach((o) => assert.ok(typeof o.price === 'number' && o.price > 0 && o.price < 100));
+      socket.close();
+    });
+  });
+
+  describe('subscriptions', () => {
+    const emitWithAck = (socket, event, params) => new Promise((resolve) => socket.emit(event, params, resolve));
+    const bookKeys = (games) => new Set(games.flatMap((g) => g.bookmakers.map((b) => b.key)));
+
+    it('narrows the initial snapshot to a handshake subscription', async () => {
+      const socket = server.connect({ apiKey: 'admin-key', subscribe: { sports: ['nhl'], books: 'pinnacle' } });
+      const update = await nextEvent(socket, 'odds-update');
+      assert.deepEqual(Object.keys(update.sports), ['nhl']);
+      assert.ok(update.sports.nhl.length > 0);
+      assert.deepEqual([...bookKeys(update.sports.nhl)], ['pinnacle']);
+      socket.close();
+    });
+
+    it('narrows broadcasts to subscribed events and restores everything on unsubscribe', async () => {
+      const [game] = (await server.get('/api/v1/nba/odds', 'admin-key')).body.data;
+      const socket = server.connect({ apiKey: 'admin-key' });
+      await nextEvent(socket, 'odds-update');
+
+      const ack = await emitWithAck(socket, 'subscribe', { eventIds: [game.id] });
+      assert.deepEqual(ack, { success: true, subscription: { sports: [], eventIds: [game.id], books: [] } });
+      // Snapshot re-sent for the new subscription
+      const narrowed = await nextEvent(socket, 'odds-update');
+      assert.deepEqual(Object.keys(narrowed.sports), ['nba']);
+      assert.deepEqual(narrowed.sports.nba.map((g) => g.id), [game.id]);
+      const broadcast = await nextEvent(socket, 'odds-update');
+      assert.deepEqual(broadcast.sports.nba.map((g) => g.id), [game.id]);
+
+      const cleared = await emitWithAck(socket, 'unsubscribe');
+      assert.deepEqual(cleared.subscription, { sports: [], eventIds: [], books: [] });
+      const everything = await nextEvent(socket, 'odds-update');
+      assert.ok(Object.keys(everything.sports).length > 1);
+      socket.close();
+    });
+
+    it('rejects unknown sports', async () => {
+      const socket = server.connect({ apiKey: 'admin-key' });
+      const ack = await emitWithAck(socket, 'subscribe', { sports: 'nba,cricket' });
+      assert.deepEqual(ack, { success: false, error: 'Invalid sport: cricket' });
+
+      const handshake = server.connect({ apiKey: 'admin-key', subscribe: { sports: ['cricket'] } });
+      const error = await nextEvent(handshake, 'subscription-error');
+      assert.equal(error.error, 'Invalid sport: cricket');
+      socket.close();
+      handshake.close();
+    });
+  });
+
+  describe('throttling', () => {
+    // odds-update messages a socket receives in `ms`, with their arrival times
+    async function collectOdds(socket, ms) {
+      const received = [];
+      socket.on('odds-update', (payload) => received.push({ at: Date.now(), payload }));
+      await sleep(ms);
+      return received;
+    }
+
+    it('coalesces odds updates to the cadence of the client', async () => {
+      const subscribe = { sports: ['nba'] };
+      const throttled = server.connect({ apiKey: 'admin-key', subscribe, throttleMs: 1500 });
+      const live = server.connect({ apiKey: 'admin-key', subscribe });
+      const [slow, fast] = await Promise.all([collectOdds(throttled, 4000), collectOdds(live, 4000)]);
+
+      assert.ok(fast.length >= 6, `live client got ${fast.length} updates`);
+      assert.ok(slow.length >= 2 && slow.length <= 4, `throttled client got ${slow.length} updates`);
+      slow.slice(1).forEach((message, i) => assert.ok(message.at - slow[i].at >= 1300, `updates ${message.at - slow[i].at}ms apart`));
+
+      // Held-back updates are merged into the next message, which is the latest state
+      const coalesced = slow.slice(1).map((m) => m.payload);
+      assert.ok(coalesced.some((payload, i) => payload.seq - slow[i].payload.seq > 1), 'expected skipped seqs');
+      const compared = coalesced.filter((payload) => {
+        const same = fast.find((m) => m.payload.seq === payload.seq);
+        if (same) assert.deepEqual(canonicalSports(payload.sports), canonicalSports(same.payload.sports));
+        return same;
+      });
+      assert.ok(compared.length > 0);
+      throttled.close();
+      live.close();
+    });
+
+    it('changes the cadence with set-throttle', async () => {
+      const socket = server.connect({ apiKey: 'admin-key', throttleMs: 60000 });
+      await nextEvent(socket, 'odds-update');
+      assert.deepEqual(await new Promise((resolve) => socket.emit('set-throttle', { throttleMs: 0 }, resolve)), { success: true, throttleMs: 0 });
+      // The held update is sent once throttling is off
+      await nextEvent(socket, 'odds-update', 2000);
+
+      const invalid = await new Promise((resolve) => socket.emit('set-throttle', { throttleMs: 120000 }, resolve));
+      assert.equal(invalid.success, false);
+      assert.match(invalid.error, /throttleMs must be a number between 0 and 60000/);
+
+      const handshake = server.connect({ apiKey: 'admin-key', throttleMs: -1 });
+      assert.equal((await nextEvent(handshake, 'throttle-error')).success, false);
+      socket.close();
+      handshake.close();
+    });
+  });
+
+  describe('MessagePack', () => {
+    const msgpack = { path: '/socket.io-msgpack', parser: require('socket.io-msgpack-parser') };
+
+    it('sends the same payloads as binary frames on the MessagePack path', async () => {
+      const subscribe = { sports: ['nhl'] };
+      const binary = server.connect({ apiKey: 'admin-key', subscribe }, msgpack);
+      const json = server.connect({ apiKey: 'admin-key', subscribe });
+      const frames = [];
+      binary.io.on('open', () => binary.io.engine.on('packet', (packet) => packet.type === 'message' && frames.push(packet.data)));
+
+      const bySeq = [new Map(), new Map()];
+      [binary, json].forEach((socket, i) => socket.on('odds-update', (payload) => bySeq[i].set(payload.seq, payload)));
+      const deadline = Date.now() + 10000;
+      const common = () => [...bySeq[0].keys()].filter((seq) => bySeq[1].has(seq));
+      while (common().length < 2 && Date.now() < deadline) await sleep(100);
+
+      assert.ok(common().length >= 2);
+      common().forEach((seq) => {
+        const [fromBinary, fromJson] = bySeq.map((payloads) => payloads.get(seq));
+        assert.deepEqual(canonicalSports(fromBinary.sports), canonicalSports(fromJson.sports), `odds-update ${seq} differs`);
+        assert.deepEqual(fromBinary.openingLines, fromJson.openingLines);
+      });
+      assert.ok(frames.length > 0);
+      frames.forEach((frame) => assert.notEqual(typeof frame, 'string'));
+      binary.close();
+      json.close();
+    });
+
+    it('authenticates and filters MessagePack clients like JSON ones', async () => {
+      const rejected = server.connect({ apiKey: 'nope' }, msgpack);
+      assert.equal((await nextEvent(rejected, 'connect_error')).data.code, 'invalid_api_key');
+
+      const socket = server.connect({ apiKey: 'trial-key' }, msgpack);
+      const update = await nextEvent(socket, 'odds-update');
+      assert.deepEqual(Object.keys(update.sports), ['nba']);
+      const ack = await new Promise((resolve) => socket.emit('subscribe', { books: 'fanduel' }, resolve));
+      assert.deepEqual(ack.subscription.books, ['fanduel']);
+      socket.close();
+    });
+  });
+
+  describe('freshness', () => {
+    const TRIAL_ODDS_FEEDS = ['odds:draftkings', 'odds:fanduel'];
+
+    it('reports the freshness of the feeds behind REST responses, per tier', async () => {
+      const res = await server.get('/api/v1/nba/odds', 'trial-key');
+      assert.deepEqual(Object.keys(res.body.freshness).sort(), TRIAL_ODDS_FEEDS);
+      Object.values(res.body.freshness).forEach((status) => {
+        assert.equal(status.stale, false);
+        assert.equal(status.staleAfterMs, 120000);
+        assert.ok(status.ageMs >= 0 && status.ageMs < 5000);
+        assert.ok(status.ratePerMin > 0);
+      });
+
+      const admin = await server.get('/api/v1/nba/odds', 'admin-key');
+      assert.ok(Object.keys(admin.body.freshness).includes('odds:pinnacle'));
+      const scores = await server.get('/api/v1/scores/live', 'trial-key');
+      assert.deepEqual(Object.keys(scores.body.freshness), ['scores']);
+    });
+
+    it('adds freshness to socket payloads and reports every feed on /health', async () => {
+      const socket = server.connect({ apiKey: 'trial-key', subscribe: { books: 'fanduel' } });
+      const update = await nextEvent(socket, 'odds-update');
+      assert.deepEqual(Object.keys(update.freshness), ['odds:fanduel']);
+      socket.close();
+
+      const health = await (await fetch(`${server.url}/health`)).json();
+      assert.equal(health.status, 'ok');
+      assert.deepEqual(health.staleFeeds, []);
+      assert.ok(['odds:pinnacle', 'scores', 'props:fanduel'].every((feed) => health.feeds[feed]));
+    });
+  });
+
+  describe('prediction markets', () => {
+    const bookKeys = (games) => new Set(games.flatMap((g) => g.bookmakers.map((b) => b.key)));
+
+    it('serves Kalshi contracts as American odds with their implied probability', async () => {
+      const res = await server.get('/api/v1/nba/odds?bookType=prediction', 'admin-key');
+      assert.equal(res.status, 200);
+      assert.deepEqual([...bookKeys(res.body.data)], ['kalshi']);
+      const [kalshi] = res.body.data[0].bookmakers;
+      assert.equal(kalshi.predictionMarket, true);
+      kalshi.markets.flatMap((m) => m.outcomes).forEach((o) => {
+        assert.ok(Math.abs(o.price) >= 100, `price ${o.price}`);
+        assert.ok(o.impliedProbability > 0 && o.impliedProbability < 1);
+        assert.equal(o.contractPrice, Math.round(o.impliedProbability * 10000) / 100);
+      });
+    });
+
+    it('filters odds routes by book type', async () => {
+      const sportsbooks = await server.get('/api/v1/nba/moneyline?bookType=sportsbook', 'admin-key');
+      const books = bookKeys(sportsbooks.body.data);
+      assert.ok(books.size > 1);
+      assert.ok(!books.has('kalshi'));
+
+      const invalid = await server.get('/api/v1/nba/totals?bookType=exchange', 'admin-key');
+      assert.equal(invalid.status, 400);
+      assert.match(invalid.body.error, /Invalid bookType/);
+    });
+
+    it('reports book types in coverage', async () => {
+      const res = await server.get('/api/v1/coverage', 'admin-key');
+      assert.equal(res.body.summary.predictionMarketBooks, 1);
+      assert.equal(res.body.odds.nba.books.kalshi.type, 'prediction');
+      assert.equal(res.body.odds.nba.books.pinnacle.type, 'sportsbook');
+    });
+  });
+
+  // Last: changes the feed configuration of the shared server
+  describe('feed config changes', () => {
+    it('drops cached data of removed books and props feeds', async () => {
+      const before = await server.get('/api/v1/nba/props/fanduel', 'admin-key');
+      assert.equal(before.body.meta.cached, true);
+
+      const config = (await server.get('/admin/feeds', 'admin-key')).body.data;
+      const res = await fetch(`${server.url}/admin/feeds`, {
+        method: 'PATCH',
+        headers: { Authorization: 'Bearer admin-key', 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          books: config.books.filter((book) => book !== 'draftkings'),
+          propsBooks: config.propsBooks.filter((book) => book !== 'fanduel'),
+        }),
+      });
+      assert.equal(res.status, 200);
+
+      // Served by the upstream instead of the last cached payload
+      const props = await server.get('/api/v1/nba/props/fanduel', 'admin-key');
+      assert.equal(props.status, 200);
+      assert.notEqual(props.body.meta.cached, true);
+
+      const odds = await server.get('/api/v1/nba/odds', 'admin-key');
+      const books = new Set(odds.body.data.flatMap((g) => g.bookmakers.map((b) => b.key)));
+      assert.ok(books.size > 0);
+      assert.ok(!books.has('draftkings'));
+    });
+  });
+});
+
+// REST fallbacks: no upstream socket, so nothing is cached and routes proxy the upstream REST API
+describe('server without cached data', () => {
+  let upstream;
+  let server;
+
+  before(async () => {
+    const MockUpstream = require('../src/mock/upstreamServer');
+    upstream = new MockUpstream({ port: 0, tickMs: 60000 });
+    await upstream.start();
+    server = await startServer({
+      keys: KEYS,
+      entitlements: ENTITLEMENTS,
+      ready: 'listening',
+      env: {
+        MOCK_UPSTREAM: 'false',
+        UPSTREAM_WS_URL: `http://127.0.0.1:${await freePort()}`,
+        UPSTREAM_MAX_RECONNECTS: '1',
+        UPSTREAM_RECONNECT_DELAY: '100',
+        OWLS_INSIGHT_API_BASE_URL: upstream.url,
+      },
+    });
+  });
+
+  after(async () => {
+    await server?.stop();
+    upstream?.stop();
+  });
+
+  it('filters upstream scores to the sports of the tier', async () => {
+    const all = await server.get('/api/v1/scores/live', 'trial-key');
+    assert.equal(all.status, 200);
+    assert.equal(all.body.cached, false);
+    assert.deepEqual(Object.keys(all.body.data.sports), ['nba']);
+
+    const full = await server.get('/api/v1/scores/live', 'admin-key');
+    assert.ok(Object.keys(full.body.data.sports).length > 1);
+
+    const nba = await server.get('/api/v1/nba/scores/live', 'trial-key');
+    assert.equal(nba.status, 200);
+    assert.equal(nba.body.count, nba.body.events.length);
+  });
+
+  it('answers 503 on /health once reconnecting has been given up', async () => {
+    let res;
+    for (let i = 0; i < 50; i++) {
+      res = await fetch(`${server.url}/health`);
+      if (res.status === 503) break;
+      await sleep(100);
+    }
+    assert.equal(res.status, 503);
+    const health = await res.json();
+    assert.equal(health.status, 'unhealthy');
+    assert.equal(health.upstream.state, 'down');
+    assert.equal(health.hasOddsData, false);
+  });
+});
+
+// Upstream socket feed from an in-process mock, so tests can push their own payloads
+describe('server against a socket upstream', () => {
+  const rows = require('../src/transformers/fixtures/outcome-rows.json');
+  const EVENT_ID = rows[0].event_id;
+  let upstream;
+  let server;
+
+  before(async () => {
+    const MockUpstream = require('../src/mock/upstreamServer');
+    upstream = new MockUpstream({ port: 0, tickMs: 60000 });
+    await upstream.start();
+    server = await startServer({
+      keys: KEYS,
+      entitlements: ENTITLEMENTS,
+      env: {
+        MOCK_UPSTREAM: 'false',
+        UPSTREAM_WS_URL: upstream.url,
+        OWLS_INSIGHT_SERVER_API_KEY: 'mock',
+        UPSTREAM_ADDITIONAL_EVENTS: 'outcome-rows:outcome-rows',
+        FEED_STALE_MS: '1000',
+      },
+    });
+  });
+
+  after(async () => {
+    await server?.stop();
+    upstream?.stop();
+  });
+
+  // The cached game once `check` accepts it
+  async function cachedGame(check) {
+    for (let i = 0; i < 50; i++) {
+      const res = await server.get(`/api/v1/mlb/odds?eventId=${encodeURIComponent(EVENT_ID)}`, 'admin-key');
+      const [game] = res.body.data || [];
+      if (game && check(game)) return game;
+      await sleep(100);
+    }
+    throw new Error('odds cache did not update');
+  }
+
+  const book = (game, key) => game.bookmakers.find((b) => b.key === key);
+
+  it('merges outcome rows per market instead of replacing the book', async () => {
+    upstream.io.emit('outcome-rows', rows);
+    await cachedGame((g) => g.bookmakers.length === 2);
+
+    // A pinnacle moneyline move alone
+    upstream.io.emit('outcome-rows', rows
+      .filter((row) => row.book === 'pinnacle' && row.market === 'h2h')
+      .map((row) => ({ ...row, price: row.price + 10, last_update: '2026-04-10T17:05:00Z' })));
+    const game = await cachedGame((g) => book(g, 'pinnacle').markets.find((m) => m.key === 'h2h').outcomes[0].price === 114);
+
+    const pinnacle = book(game, 'pinnacle');
+    assert.deepEqual(pinnacle.markets.map((m) => m.key), ['h2h', 'spreads']);
+    assert.deepEqual(pinnacle.markets[1].outcomes.map((o) => o.price), [-180, 158]);
+    assert.equal(pinnacle.last_update, '2026-04-10T17:05:00Z');
+    assert.deepEqual(book(game, 'caesars').markets.map((m) => m.key), ['totals']);
+    // Event lines cover the kept markets too
+    assert.deepEqual(Object.keys(game.fair.markets), ['h2h', 'spreads']);
+    assert.equal(game.averages.total.over, 8.5);
+    assert.equal(game.averages.moneyline.home, 114);
+  });
+
+  it('tells clients when a feed they use goes quiet and when it flows again', async () => {
+    const socket = server.connect({ apiKey: 'trial-key' });
+    const changes = [];
+    socket.on('feed-stale', (change) => changes.push(change));
+    const waitForChange = async (check) => {
+      for (let i = 0; i < 100 && !changes.some(check); i++) await sleep(100);
+      return changes.find(check);
+    };
+
+    // Nothing arrives after the subscribe-time push; staleness is checked every 5 s,
+    // and a client connecting after that is told on connect
+    const stale = await waitForChange((c) => c.feed === 'odds:fanduel' && c.stale);
+    assert.deepEqual(
+      { kind: stale.kind, book: stale.book, staleAfterMs: stale.staleAfterMs },
+      { kind: 'odds', book: 'fanduel', staleAfterMs: 1000 },
+    );
+    assert.ok(stale.ageMs > 1000);
+    assert.ok(changes.every((c) => ['odds:fanduel', 'odds:draftkings', 'scores', 'props:fanduel'].includes(c.feed)), 'only feeds of the tier');
+
+    const health = await (await fetch(`${server.url}/health`)).json();
+    assert.equal(health.status, 'degraded');
+    assert.ok(health.staleFeeds.includes('odds:pinnacle'));
+
+    // Clients connecting now are told about the feeds already stale
+    const late = server.connect({ apiKey: 'trial-key', subscribe: { books: 'fanduel' } });
+    const onConnect = [];
+    late.on('feed-stale', (change) => onConnect.push(change.feed));
+    await nextEvent(late, 'sequences');
+    assert.ok(onConnect.includes('odds:fanduel'));
+    assert.ok(!onConnect.includes('odds:draftkings'), 'only subscribed books');
+
+    upstream.io.sockets.sockets.forEach((upstreamSocket) => upstream.pushOdds(upstreamSocket));
+    const fresh = await waitForChange((c) => c.feed === 'odds:fanduel' && !c.stale);
+    assert.ok(fresh.ageMs < 1000);
+    socket.close();
+    late.close();
+  });
+
+  it('quarantines a bad game and broadcasts the others', async () => {
+    const payload = upstream.slate.oddsPayload({ sports: ['nba'] });
+    const [bad, repaired, ...rest] = payload.sports.nba;
+    delete bad.home_team;
+    repaired.bookmakers[0].markets[0].outcomes[0].price = null;
+
+    const socket = server.connect({ apiKey: 'admin-key', subscribe: { sports: 'nba' } });
+    await nextEvent(socket, 'sequences');
+    upstream.io.emit('odds-update', payload);
+    let update;
+    do update = await nextEvent(socket, 'odds-update');
+    while (!update.sports?.nba?.some((g) => g.id === repaired.id && g.bookmakers.length > 0));
+    socket.close();
+
+    const ids = update.sports.nba.map((g) => g.id);
+    assert.ok(!ids.includes(bad.id));
+    assert.deepEqual(ids.filter((id) => id !== repaired.id).sort(), rest.map((g) => g.id).sort());
+
+    const quarantine = await server.get('/internal/quarantine?feed=odds');
+    assert.equal(quarantine.status, 200);
+    const { odds } = quarantine.body.feeds;
+    assert.equal(odds.quarantinedGames, 1);
+    assert.deepEqual(odds.reasons, { missing_teams: 1, invalid_price: 1 });
+    assert.deepEqual(quarantine.body.recent.map((s) => [s.id, s.reason]), [[repaired.id, 'invalid_price'], [bad.id, 'missing_teams']]);
+  });
+});
+
+// Slow consumers: a polling client that stops polling, so the server queues everything for it
+describe('slow consumers', () => {
+  // Engine.IO packets of a polling response
+  const packets = (body) => body.split('\x1e');
+
+  async function stalledClient(url, auth) {
+    const base = `${url}/socket.io/?EIO=4&transport=polling`;
+    const { sid } = JSON.parse((await (await fetch(base)).text()).slice(1));
+    await fetch(`${base}&sid=${sid}`, { method: 'POST', body: `40${JSON.stringify(auth)}` });
+    return { poll: async () => packets(await (await fetch(`${base}&sid=${sid}`)).text()) };
+  }
+
+  const slowConsumerMetrics = async (server) => (await (await fetch(`${server.url}/health`)).json()).slowConsumers;
+
+  async function waitFor(check) {
+    for (let i = 0; i < 50; i++) {
+      const value = await check();
+      if (value) return value;
+      await sleep(100);
+    }
+    throw new Error('timed out');
+  }
+
+  it('holds updates for a lagging client and sends the latest state once it catches up', async () => {
+    const server = await startServer({ keys: KEYS, env: { SLOW_CONSUMER_MAX_BUFFER_BYTES: '20000' } });
+    try {
+      const client = await stalledClient(server.url, { apiKey: 'admin-key' });
+      const lagging = await waitFor(async () => {
+        const metrics = await slowConsumerMetrics(server);
+        return metrics.lagging === 1 && metrics.heldUpdates > 0 && metrics;
+      });
+      assert.equal(lagging.policy, 'skip');
+      assert.equal(lagging.detected, 1);
+
+      // Catch up on what was queued, then get the held updates as one message
+      const queued = await client.poll();
+      assert.ok(queued.some((p) => p.startsWith('42["slow-consumer",{"state":"lagging","policy":"skip"}')));
+      const oddsQueued = queued.filter((p) => p.startsWith('42["odds-update"')).length;
+
+      const resumed = await waitFor(async () => (await slowConsumerMetrics(server)).recovered === 1);
+      assert.ok(resumed);
+      const caughtUp = await client.poll();
+      assert.ok(caughtUp.some((p) => p.startsWith('42["slow-consumer",{"state":"recovered"}')));
+      assert.ok(caughtUp.filter((p) => p.startsWith('42["odds-update"')).length >= 1);
+      assert.ok(oddsQueued <= 2, `${oddsQueued} odds updates queued while lagging`);
+    } finally {
+      await server.stop();
+    }
+  });
+
+  it('disconnects a lagging client under the disconnect policy', async () => {
+    const server = await startServer({
+      keys: KEYS,
+      env: { SLOW_CONSUMER_MAX_BUFFER_BYTES: '20000', SLOW_CONSUMER_POLICY: 'disconnect' },
+    });
+    try {
+      const client = await stalledClient(server.url, { apiKey: 'admin-key' });
+      const metrics = await waitFor(async () => {
+        const current = await slowConsumerMetrics(server);
+        return current.disconnected === 1 && current;
+      });
+      assert.equal(metrics.lagging, 0);
+
+      const queued = await client.poll();
+      assert.ok(queued.some((p) => p.startsWith('42["slow-consumer",{"state":"disconnected","reason":"slow-consumer"}')));
+      // Socket.IO disconnect packet
+      assert.ok(queued.includes('41'));
+    } finally {
+      await server.stop();
+    }
+  });
+});
+
+// Record upstream traffic from the mock, then replay the recording without an upstream
+describe('record and replay', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'owls-recording-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const health = async (server) => (await fetch(`${server.url}/health`)).json();
+  const recorded = () => fs.readdirSync(dir)
+    .flatMap((name) => fs.readFileSync(path.join(dir, name), 'utf8').split('\n').filter(Boolean))
+    .map((line) => JSON.parse(line));
+
+  it('records every upstream event to NDJSON and replays it through the same handlers', async () => {
+    const recorder = await startServer({ keys: KEYS, env: { UPSTREAM_RECORD_DIR: dir } });
+    try {
+      for (let i = 0; i < 50 && (await health(recorder)).upstream.recording.recorded < 20; i++) await sleep(100);
+      const { recording } = (await health(recorder)).upstream;
+      assert.match(path.basename(recording.file), /^upstream-\d{8}T\d{9}Z\.ndjson$/);
+    } finally {
+      await recorder.stop();
+    }
+
+    const entries = recorded();
+    const events = new Set(entries.map((entry) => entry.event));
+    ['odds-update', 'scores-update'].forEach((event) => assert.ok(events.has(event), `${event} recorded`));
+    assert.ok([...events].some((event) => event.includes('props')), 'props feeds recorded');
+    entries.forEach((entry) => assert.equal(entry.at, new Date(entry.ts).toISOString()));
+    const lastOdds = entries.filter((entry) => entry.event === 'odds-update').pop().data;
+
+    const replay = await startServer({
+      keys: KEYS,
+      env: { MOCK_UPSTREAM: 'false', UPSTREAM_REPLAY_FILE: dir, UPSTREAM_REPLAY_SPEED: '0' },
+    });
+    try {
+      let status;
+      for (let i = 0; i < 50; i++) {
+        status = (await health(replay)).upstream;
+        if (!status.replay.running) break;
+        await sleep(100);
+      }
+      assert.equal(status.state, 'connected');
+      assert.equal(status.replay.running, false);
+      assert.equal(status.replay.replayed, entries.length);
+
+      // The cache ends on the last recorded odds
+      const res = await replay.get('/api/v1/nba/odds', 'admin-key');
+      const ids = (games) => games.map((g) => g.id).sort();
+      assert.deepEqual(ids(res.body.data), ids(lastOdds.sports.nba));
+      const recordedGame = lastOdds.sports.nba[0];
+      const replayedGame = res.body.data.find((g) => g.id === recordedGame.id);
+      const prices = (game) => game.bookmakers.find((b) => b.key === 'pinnacle').markets.find((m) => m.key === 'h2h').outcomes.map((o) => o.price);
+      assert.deepEqual(prices(replayedGame), prices(recordedGame));
+    } finally {
+      await replay.stop();
+    }
+  });
+});
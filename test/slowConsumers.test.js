@@ -0,0 +1,42 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const SlowConsumerMonitor = require('../src/services/slowConsumers');
+
+// A socket with `queued` bytes in its Engine.IO write buffer and `buffered` in the WebSocket
+const fakeSocket = (id, queued = 0, buffered = 0) => ({
+  id,
+  conn: { writeBuffer: [{ data: 'x'.repeat(queued) }], transport: { socket: { bufferedAmount: buffered } } },
+});
+
+describe('SlowConsumerMonitor', () => {
+  it('counts queued packets and WebSocket buffered bytes', () => {
+    assert.equal(SlowConsumerMonitor.outboundBytes(fakeSocket('a', 300, 200)), 500);
+    assert.equal(SlowConsumerMonitor.outboundBytes({ id: 'b' }), 0);
+  });
+
+  it('flags a socket over the limit and clears it below half of it', () => {
+    const monitor = new SlowConsumerMonitor({ maxBufferBytes: 1000 });
+    assert.equal(monitor.update(fakeSocket('a', 1000)), null);
+    assert.equal(monitor.update(fakeSocket('a', 1001)), 'lagging');
+    assert.equal(monitor.isLagging(fakeSocket('a')), true);
+    assert.equal(monitor.update(fakeSocket('a', 600)), null, 'still above half the limit');
+    assert.equal(monitor.update(fakeSocket('a', 500)), 'recovered');
+    assert.equal(monitor.isLagging(fakeSocket('a')), false);
+
+    assert.deepEqual(monitor.metrics(), {
+      policy: 'skip',
+      maxBufferBytes: 1000,
+      lagging: 0,
+      detected: 1,
+      recovered: 1,
+      heldUpdates: 0,
+      deltaDowngrades: 0,
+      disconnected: 0,
+    });
+  });
+
+  it('falls back to skip for an unknown policy', () => {
+    assert.equal(new SlowConsumerMonitor({ policy: 'Delta' }).policy, 'delta');
+    assert.equal(new SlowConsumerMonitor({ policy: 'drop' }).policy, 'skip');
+  });
+});
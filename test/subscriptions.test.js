@@ -0,0 +1,58 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeSubscription,
+  subscriptionRooms,
+  socketSubscription,
+  subscriptionKey,
+  filterSportsForSubscription,
+  subscribedToBook,
+} = require('../src/services/subscriptions');
+
+const game = (id, books) => ({ id, bookmakers: books.map((key) => ({ key, markets: [] })) });
+
+const SPORTS = {
+  nba: [game('nba-1', ['pinnacle', 'fanduel']), game('nba-2', ['fanduel'])],
+  nhl: [game('nhl-1', ['pinnacle'])],
+};
+
+// A socket whose rooms are those of a subscription, plus its own id room
+const socketIn = (subscription) => ({ rooms: new Set(['socket-id', ...subscriptionRooms(subscription)]) });
+
+describe('subscriptions', () => {
+  it('normalizes lists and comma-separated strings', () => {
+    assert.deepEqual(normalizeSubscription({ sports: 'NBA, nhl', eventIds: ['a', ''], books: ['Pinnacle'] }), {
+      sports: ['nba', 'nhl'],
+      eventIds: ['a'],
+      books: ['pinnacle'],
+    });
+    assert.deepEqual(normalizeSubscription(), { sports: [], eventIds: [], books: [] });
+  });
+
+  it('derives a subscription from socket rooms', () => {
+    const subscription = { sports: ['nhl'], eventIds: ['nba-1'], books: ['pinnacle'] };
+    assert.deepEqual(subscriptionRooms(subscription), ['sport:nhl', 'event:nba-1', 'book:pinnacle']);
+    assert.deepEqual(socketSubscription(socketIn(subscription)), subscription);
+    assert.equal(subscriptionKey(socketSubscription(socketIn({}))), '*');
+    assert.equal(subscriptionKey(subscription), subscriptionKey({ books: ['pinnacle'], eventIds: ['nba-1'], sports: ['nhl'] }));
+  });
+
+  it('includes a game whose sport or id is subscribed', () => {
+    const filtered = filterSportsForSubscription(SPORTS, normalizeSubscription({ sports: 'nhl', eventIds: 'nba-2' }));
+    assert.deepEqual(filtered.nhl.map((g) => g.id), ['nhl-1']);
+    assert.deepEqual(filtered.nba.map((g) => g.id), ['nba-2']);
+  });
+
+  it('narrows bookmakers to subscribed books', () => {
+    const filtered = filterSportsForSubscription(SPORTS, normalizeSubscription({ books: 'pinnacle' }), { booksField: 'bookmakers' });
+    assert.deepEqual(filtered.nba.map((g) => g.bookmakers.map((b) => b.key)), [['pinnacle'], []]);
+    assert.deepEqual(filtered.nhl[0].bookmakers.map((b) => b.key), ['pinnacle']);
+  });
+
+  it('leaves everything to a socket without subscriptions', () => {
+    assert.equal(filterSportsForSubscription(SPORTS, normalizeSubscription()), SPORTS);
+    assert.equal(subscribedToBook(normalizeSubscription(), 'caesars'), true);
+    assert.equal(subscribedToBook(normalizeSubscription({ books: 'pinnacle' }), 'Caesars'), false);
+    assert.equal(subscribedToBook(normalizeSubscription({ books: 'pinnacle' }), null), true);
+  });
+});
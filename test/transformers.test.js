@@ -0,0 +1,147 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const TransformerRegistry = require('../src/transformers');
+const { transformUpstreamData } = require('../src/services/dataTransformer');
+
+const fixture = (name) => require(`../src/transformers/fixtures/${name}.json`);
+
+// Sports holding events, without the empty lists of sports missing from a payload
+const nonEmpty = (sports) => Object.fromEntries(Object.entries(sports).filter(([, games]) => games.length > 0));
+
+// Markets without the fair lines added at ingest
+const plainMarkets = (book) => book.markets.map(({ fair, ...market }) => market);
+
+const h2h = (home, away) => ({ key: 'h2h', outcomes: [home, away] });
+
+describe('transformer fixtures', () => {
+  const registry = new TransformerRegistry();
+
+  it('are each detected as their own format', () => {
+    registry.all().forEach((transformer) => {
+      assert.equal(registry.detect(fixture(transformer.name)).name, transformer.name);
+    });
+  });
+
+  it('owls-insight: keeps sports and opening lines as sent', () => {
+    const result = transformUpstreamData(fixture('owls-insight'));
+    assert.deepEqual(Object.keys(result.sports), ['nba']);
+    const [game] = result.sports.nba;
+    assert.equal(game.id, 'nba:BOS@SAC-20260122');
+    assert.deepEqual(plainMarkets(game.bookmakers[0]), fixture('owls-insight').sports.nba[0].bookmakers[0].markets);
+    assert.deepEqual(result.openingLines['nba:BOS@SAC-20260122'].moneyline, { home: 230, away: -275 });
+    assert.equal(result.timestamp, '2026-01-22T01:15:00Z');
+    assert.equal(result.partial, undefined);
+
+    assert.equal(game.fair.book, 'pinnacle');
+    assert.deepEqual(game.averages.spread, { home: 7.5, homeOdds: -108, away: -7.5, awayOdds: -112 });
+  });
+
+  it('odds-api: maps sport keys and takes the latest bookmaker update', () => {
+    const result = transformUpstreamData(fixture('odds-api'));
+    assert.deepEqual(Object.keys(nonEmpty(result.sports)), ['nfl', 'nhl']);
+    assert.deepEqual(result.sports.nba, [], 'configured sports missing from the payload are emptied');
+
+    const [game] = result.sports.nfl;
+    assert.equal(game.id, 'e912304de2b2ce35b473ce2ecd3d1502');
+    assert.equal(game.sport, 'nfl');
+    assert.equal(game.sport_key, 'americanfootball_nfl');
+    assert.equal(game.home_team, 'Buffalo Bills');
+    assert.equal(game.last_update, '2026-01-19T18:04:40Z');
+    assert.deepEqual(game.bookmakers.map((b) => b.key), ['draftkings', 'fanduel']);
+    assert.equal(game.bookmakers[0].markets[1].last_update, '2026-01-19T18:02:11Z');
+    assert.deepEqual(game.averages.moneyline, { home: -125, away: 105 });
+    assert.deepEqual(game.averages.total, { over: 47.5, overOdds: -108, under: 47.5, underOdds: -112 });
+    // No pinnacle lines to price against
+    assert.equal(game.fair, null);
+
+    const [noBooks] = result.sports.nhl;
+    assert.equal(noBooks.last_update, null);
+    assert.equal(noBooks.averages, null);
+  });
+
+  it('outcome-rows: groups rows into events, books and markets', () => {
+    const result = transformUpstreamData(fixture('outcome-rows'));
+    assert.equal(result.partial, 'markets');
+    assert.deepEqual(Object.keys(result.sports), ['mlb']);
+
+    const [game] = result.sports.mlb;
+    assert.equal(game.id, 'mlb:NYY@BOS-20260410');
+    assert.equal(game.sport, 'mlb');
+    assert.equal(game.sport_key, 'baseball_mlb');
+    assert.equal(game.away_team, 'New York Yankees');
+    assert.equal(game.commence_time, '2026-04-10T23:10:00Z');
+
+    const [pinnacle, caesars] = game.bookmakers;
+    assert.equal(pinnacle.key, 'pinnacle');
+    // Latest row of the book
+    assert.equal(pinnacle.last_update, '2026-04-10T17:02:00Z');
+    assert.deepEqual(plainMarkets(pinnacle), [
+      h2h({ name: 'Boston Red Sox', price: 104 }, { name: 'New York Yankees', price: -114 }),
+      {
+        key: 'spreads',
+        outcomes: [{ name: 'Boston Red Sox', price: -180, point: 1.5 }, { name: 'New York Yankees', price: 158, point: -1.5 }],
+      },
+    ]);
+    assert.deepEqual(plainMarkets(caesars), [{
+      key: 'totals',
+      outcomes: [{ name: 'Over', price: -115, point: 8.5 }, { name: 'Under', price: -105, point: 8.5 }],
+    }]);
+    assert.deepEqual(Object.keys(game.fair.markets), ['h2h', 'spreads']);
+  });
+
+  it('outcome-rows: carries only the markets of the rows sent', () => {
+    const rows = fixture('outcome-rows').filter((row) => row.book === 'pinnacle' && row.market === 'h2h');
+    const [game] = transformUpstreamData(rows).sports.mlb;
+    assert.deepEqual(game.bookmakers.map((b) => b.key), ['pinnacle']);
+    assert.deepEqual(game.bookmakers[0].markets.map((m) => m.key), ['h2h']);
+  });
+
+  it('event: upserts the event under its mapped sport', () => {
+    const result = transformUpstreamData(fixture('event'));
+    assert.equal(result.partial, true);
+    assert.deepEqual(Object.keys(result.sports), ['nba']);
+
+    const [game] = result.sports.nba;
+    assert.equal(game.id, 'nba:LAL@MIA-20260122');
+    assert.equal(game.sport, 'nba');
+    assert.equal(game.sport_key, 'basketball_nba');
+    assert.equal(game.bookmakers[0].title, 'FanDuel');
+    assert.equal(game.bookmakers[0].last_update, '2026-01-22T20:11:03Z');
+    assert.deepEqual(plainMarkets(game.bookmakers[0]), fixture('event').event.bookmakers[0].markets);
+    assert.deepEqual(game.averages.moneyline, { home: 120, away: -142 });
+
+    assert.deepEqual(transformUpstreamData({ ...fixture('event'), sport: 'cricket' }).sports, {});
+  });
+
+  it('passthrough: treats the payload as the sports object', () => {
+    const result = transformUpstreamData(fixture('passthrough'));
+    assert.deepEqual(Object.keys(result.sports), ['nhl']);
+    assert.deepEqual(result.openingLines, {});
+    const [game] = result.sports.nhl;
+    assert.equal(game.id, 'nhl:Philadelphia Flyers@Utah Mammoth-20260122');
+    assert.deepEqual(plainMarkets(game.bookmakers[0]), fixture('passthrough').nhl[0].bookmakers[0].markets);
+    assert.deepEqual(game.averages.moneyline, { home: -135, away: 115 });
+  });
+});
+
+describe('TransformerRegistry', () => {
+  const plugin = { name: 'My-Feed', detect: (data) => data?.myFeed === true, transform: () => ({ sports: {} }) };
+
+  it('tries fallbacks last and rejects invalid or duplicate transformers', () => {
+    const registry = new TransformerRegistry();
+    assert.equal(registry.names().at(-1), 'passthrough');
+    registry.register(plugin);
+    assert.equal(registry.get('my-feed').name, 'my-feed');
+    assert.equal(registry.detect({ myFeed: true }).name, 'my-feed');
+    assert.equal(registry.detect({ other: true }).name, 'passthrough');
+
+    assert.throws(() => registry.register(plugin), /already registered/);
+    assert.throws(() => registry.register({ ...plugin, name: 'Bad Name' }), /Invalid upstream transformer name/);
+    assert.throws(() => registry.register({ name: 'no-detect', transform: plugin.transform }), /must implement/);
+  });
+
+  it('throws on a payload no transformer accepts', () => {
+    assert.throws(() => transformUpstreamData([1, 2]), /Unrecognized upstream payload format/);
+    assert.throws(() => transformUpstreamData({}, { format: 'nope' }), /Unknown upstream format: nope/);
+  });
+});
@@ -0,0 +1,21 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const UpstreamConnector = require('../src/services/upstreamConnector');
+
+describe('UpstreamConnector.parseStaleMs', () => {
+  const DEFAULT = 15 * 60 * 1000;
+
+  it('defaults to 15 minutes', () => {
+    assert.equal(UpstreamConnector.parseStaleMs(undefined), DEFAULT);
+    assert.equal(UpstreamConnector.parseStaleMs(''), DEFAULT);
+  });
+
+  it('accepts milliseconds, with 0 disabling stale detection', () => {
+    assert.equal(UpstreamConnector.parseStaleMs('300000'), 300000);
+    assert.equal(UpstreamConnector.parseStaleMs(' 0 '), 0);
+  });
+
+  it('falls back to the default for malformed values', () => {
+    ['2m', 'abc', '-5', '1.5'].forEach((value) => assert.equal(UpstreamConnector.parseStaleMs(value), DEFAULT, value));
+  });
+});
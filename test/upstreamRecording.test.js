@@ -0,0 +1,82 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const UpstreamRecorder = require('../src/services/upstreamRecorder');
+const UpstreamReplay = require('../src/services/upstreamReplay');
+
+const T0 = Date.UTC(2026, 0, 15, 12);
+
+// Wait for a recorder's write stream to flush and close
+const closeRecorder = (recorder) => new Promise((resolve) => {
+  const { stream } = recorder;
+  recorder.close();
+  if (stream) stream.once('close', resolve);
+  else resolve();
+});
+
+describe('upstream recording', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'owls-recorder-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('is disabled without a directory', () => {
+    const recorder = new UpstreamRecorder({ dir: null });
+    recorder.record('odds-update', {});
+    assert.deepEqual(recorder.status(), { enabled: false, file: null, bytes: 0, recorded: 0 });
+  });
+
+  it('rotates full files and keeps the newest ones', async () => {
+    const recorder = new UpstreamRecorder({ dir, maxBytes: 100, maxFiles: 2 });
+    for (let i = 0; i < 4; i++) {
+      // Each line is over 100 bytes, so every event starts a new file
+      recorder.record('odds-update', { i, filler: 'x'.repeat(60) }, T0 + i * 1000);
+    }
+    await closeRecorder(recorder);
+
+    const files = UpstreamRecorder.listFiles(dir);
+    assert.deepEqual(files.map((file) => path.basename(file)), ['upstream-20260115T120002000Z.ndjson', 'upstream-20260115T120003000Z.ndjson']);
+    const [line] = fs.readFileSync(files[1], 'utf8').trim().split('\n');
+    assert.deepEqual(JSON.parse(line), {
+      ts: T0 + 3000,
+      at: '2026-01-15T12:00:03.000Z',
+      event: 'odds-update',
+      data: { i: 3, filler: 'x'.repeat(60) },
+    });
+    assert.equal(recorder.status().recorded, 4);
+  });
+
+  it('replays a directory of recordings in order, skipping malformed lines', async () => {
+    const recorder = new UpstreamRecorder({ dir, maxBytes: 1 });
+    recorder.record('odds-update', { n: 1 }, T0);
+    recorder.record('scores-update', { n: 2 }, T0 + 10);
+    await closeRecorder(recorder);
+    fs.appendFileSync(UpstreamRecorder.listFiles(dir)[1], 'not json\n\n');
+
+    const dispatched = [];
+    const replay = new UpstreamReplay({ source: dir, speed: 0, dispatch: (event, data) => dispatched.push([event, data.n]) });
+    await replay.start();
+    assert.deepEqual(dispatched, [['odds-update', 1], ['scores-update', 2]]);
+    assert.equal(replay.status().replayed, 2);
+    assert.equal(replay.status().running, false);
+  });
+
+  it('keeps the recorded spacing divided by the speed', async () => {
+    const recorder = new UpstreamRecorder({ dir });
+    recorder.record('odds-update', { n: 1 }, T0);
+    recorder.record('odds-update', { n: 2 }, T0 + 400);
+    await closeRecorder(recorder);
+
+    const times = [];
+    const replay = new UpstreamReplay({ source: recorder.file, speed: 2, dispatch: () => times.push(Date.now()) });
+    await replay.start();
+    assert.ok(times[1] - times[0] >= 190, `${times[1] - times[0]}ms between events`);
+  });
+});
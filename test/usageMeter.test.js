@@ -0,0 +1,42 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const UsageMeter = require('../src/services/usageMeter');
+
+describe('UsageMeter', () => {
+  const before = { id: 'key_1', apiKey: 'owls_old_secret_1234', owner: 'acme', tier: 'pro' };
+  const rotated = { ...before, apiKey: 'owls_new_secret_5678' };
+
+  it('keeps one history per key id across a rotation', () => {
+    const meter = new UsageMeter();
+    meter.recordRequest(before, { route: '/api/v1/:sport/odds', sport: 'nba', status: 200 });
+    meter.recordRequest(rotated, { route: '/api/v1/:sport/odds', sport: 'nba', status: 404 });
+    meter.recordBroadcast(rotated, 250);
+
+    const report = meter.report();
+    assert.equal(report.length, 1);
+    const [usage] = report;
+    assert.equal(usage.keyId, 'key_1');
+    assert.equal(usage.apiKey, 'owls…5678');
+    assert.equal(usage.owner, 'acme');
+    assert.equal(usage.totals.requests, 2);
+    assert.equal(usage.totals.errors, 1);
+    assert.equal(usage.totals.bytesBroadcast, 250);
+  });
+
+  it('reports one key by id', () => {
+    const meter = new UsageMeter();
+    meter.recordRequest(before, { route: '/a', status: 200 });
+    meter.recordRequest({ id: 'key_2', apiKey: 'other-secret-0000', owner: 'other', tier: 'free' }, { route: '/a', status: 200 });
+    assert.deepEqual(meter.report({ keyId: 'key_2' }).map((u) => u.owner), ['other']);
+  });
+
+  it('accounts socket connection time to the key id', () => {
+    const meter = new UsageMeter();
+    meter.socketConnected('s1', before);
+    meter.sessions.get('s1').accountedAt -= 90 * 1000;
+    meter.socketDisconnected('s1');
+    const [usage] = meter.report({ keyId: 'key_1' });
+    assert.ok(Math.abs(usage.totals.connectionMinutes - 1.5) < 0.02);
+    assert.equal(meter.sessions.size, 0);
+  });
+});